@@ -0,0 +1,171 @@
+// sw.js — Offline cache so the hub boots with no network (events with bad Wi-Fi).
+//
+//   • install  — precache the page shell, Draco decoder, models and textures
+//   • 'cache-urls' message — the page sends every file it loaded (hashed Vite bundles,
+//     fonts…) once it's running, so the next visit works offline too; bundles from older
+//     builds are pruned at the same time
+//   • fetch    — page navigations: network first, cached page as fallback
+//                hashed Vite bundles (/assets/name-[hash].ext): cache first — they never change
+//                everything else (models, textures, chat replays…): stale-while-revalidate,
+//                so a re-exported model shows up on the next visit without a VERSION bump
+//                except /audio (jukebox music), always streamed from the network
+//
+// Bump VERSION only when the precache list changes; old caches are dropped on activate.
+
+const VERSION = 'v3';
+const CACHE = `portfolio-${VERSION}`;
+const ASSET_CACHE = `portfolio-assets-${VERSION}`;
+const EMOTE_CACHE = `portfolio-emotes-${VERSION}`;
+const MAX_EMOTES = 200;
+
+// Vite's default output name: /assets/<name>-<8-char hash>.<ext>
+const HASHED_ASSET = /^\/assets\/(.+)-[\w-]{8}(\.\w+)$/;
+
+const PRECACHE = [
+    '/',
+    '/index.html',
+
+    // Draco decoder (DRACO_DECODER_PATH in assetManager.js)
+    '/draco/draco_decoder.js',
+    '/draco/draco_decoder.wasm',
+    '/draco/draco_wasm_wrapper.js',
+
+    // Models (ASSETS manifest in assetManager.js)
+    '/models/yannis.glb',
+    '/models/chess.glb',
+    '/models/cassette.glb',
+    '/models/chemine_blend.glb',
+    '/models/lampadaire.glb',
+    '/models/3d_model_of_soccer__football_goal_post.glb',
+    '/models/soccer_ball__football.glb',
+
+    // Textures (ASSETS manifest, plus the splatmap HubWorld loads itself)
+    '/textures/Terrain_splatmap.png',
+    '/textures/newmap.png',
+];
+
+// Twitch emotes dropped by chat — cached so repeat emotes still show when offline
+const EMOTE_HOST = 'static-cdn.jtvnw.net';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE)
+            .then(cache => Promise.all(PRECACHE.map(url =>
+                // One missing file must not fail the whole install
+                cache.add(url).catch(err => console.warn(`[SW] precache failed: ${url}`, err))
+            )))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(k => k !== CACHE && k !== ASSET_CACHE && k !== EMOTE_CACHE).map(k => caches.delete(k))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'cache-urls') return;
+    const urls = event.data.urls.filter(url => new URL(url).origin === self.location.origin);
+    event.waitUntil((async () => {
+        for (const url of urls) {
+            const cache = await caches.open(isHashed(new URL(url)) ? ASSET_CACHE : CACHE);
+            if (!(await cache.match(url))) await cache.add(url).catch(() => { });
+        }
+        await pruneAssets(urls);
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    // Music streams with Range requests (206s can't be cached) and the playlist must stay fresh
+    if (request.headers.has('range') || url.pathname.startsWith('/audio/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin && isHashed(url)) {
+        event.respondWith(cacheFirst(request, ASSET_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request, event));
+    } else if (url.hostname === EMOTE_HOST) {
+        event.respondWith(cacheFirst(request, EMOTE_CACHE, MAX_EMOTES));
+    }
+    // Anything else (Twitch IRC, social links…) goes straight to the network
+});
+
+// ── Strategies ────────────────────────────────────────────────────────────
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        return (await cache.match(request)) ?? (await cache.match('/index.html')) ?? Response.error();
+    }
+}
+
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    });
+    if (!cached) return refresh;
+    // Answer from the cache now; the fresh copy is for the next visit
+    event.waitUntil(refresh.catch(() => { }));
+    return cached;
+}
+
+async function cacheFirst(request, cacheName, maxEntries = Infinity) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        if (maxEntries < Infinity) trim(cache, maxEntries);
+    }
+    return response;
+}
+
+/** Drop the oldest entries once a runtime cache grows past `maxEntries`. */
+async function trim(cache, maxEntries) {
+    const keys = await cache.keys();
+    for (const key of keys.slice(0, Math.max(0, keys.length - maxEntries))) await cache.delete(key);
+}
+
+// ── Hashed bundles ────────────────────────────────────────────────────────
+
+function isHashed(url) {
+    return HASHED_ASSET.test(url.pathname);
+}
+
+/** `/assets/index-B3III38K.js` → `index.js` — what stays the same from one build to the next. */
+function assetStem(pathname) {
+    const match = HASHED_ASSET.exec(pathname);
+    return match ? match[1] + match[2] : null;
+}
+
+/**
+ * Drop bundles a newer build replaced: `urls` is everything the running page loaded, so a
+ * cached /assets file whose stem appears there under another hash is dead weight.
+ */
+async function pruneAssets(urls) {
+    const current = new Set(urls.map(url => new URL(url).pathname));
+    const stems = new Set([...current].map(assetStem).filter(Boolean));
+    const cache = await caches.open(ASSET_CACHE);
+    for (const key of await cache.keys()) {
+        const { pathname } = new URL(key.url);
+        if (!current.has(pathname) && stems.has(assetStem(pathname))) await cache.delete(key);
+    }
+}
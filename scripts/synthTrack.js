@@ -0,0 +1,173 @@
+// synthTrack.js — Synthesises the jukebox's bundled lo-fi loop into public/audio.
+//
+//   node scripts/synthTrack.js      (npm run audio:track — also run by predev / prebuild)
+//
+// Everything is generated from oscillators and seeded noise, so the track is our own work,
+// released under CC0 — the jukebox plays something out of the box without shipping
+// third-party music. Deterministic: re-running it rewrites the same bytes, so the WAV is
+// build output and stays out of git.
+
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const OUT = fileURLToPath(new URL('../public/audio/synth-lofi-01.wav', import.meta.url));
+
+const RATE = 22050;                // mono 16-bit: ~2 MB for the whole loop
+const BPM = 78;
+const BEAT = 60 / BPM;
+const BARS = 16;
+const LENGTH = BARS * 4 * BEAT;
+
+// Fmaj7 – Em7 – Dm7 – Cmaj7, one chord per bar (MIDI notes)
+const CHORDS = [
+    [53, 57, 60, 64],
+    [52, 55, 59, 62],
+    [50, 53, 57, 60],
+    [48, 52, 55, 59],
+];
+const BASS = [41, 40, 38, 36];
+// Pentatonic-ish melody: [beat within the 4-bar phrase, midi, beats held]
+const MELODY = [
+    [0, 72, 1.5], [2, 69, 1], [3, 67, 1], [4.5, 71, 1.5], [6.5, 67, 1],
+    [8, 69, 1], [9, 65, 1], [10, 64, 2], [12.5, 67, 1], [13.5, 64, 0.5], [14, 60, 2],
+];
+
+const buffer = new Float32Array(Math.ceil(LENGTH * RATE));
+
+// ── Helpers ───────────────────────────────────────────────────────────────
+
+const hz = midi => 440 * 2 ** ((midi - 69) / 12);
+
+/** Mulberry32 — same noise on every run. */
+function seeded(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+const random = seeded(1989);
+
+/** Add `fn(t)` (t = seconds since the note started) to the buffer for `duration` seconds. */
+function render(start, duration, fn) {
+    const from = Math.floor(start * RATE);
+    const to = Math.min(buffer.length, Math.floor((start + duration) * RATE));
+    for (let i = from; i < to; i++) buffer[i] += fn((i - from) / RATE);
+}
+
+// ── Instruments ───────────────────────────────────────────────────────────
+
+/** Soft electric piano: sine plus a decaying bell partial, slightly detuned. */
+function keys(start, midi, duration, gain) {
+    const f = hz(midi) * (1 + (random() - 0.5) * 0.002);
+    render(start, duration + 0.6, (t) => {
+        const env = Math.min(1, t / 0.01) * Math.exp(-t * 1.4) * (t > duration ? Math.exp(-(t - duration) * 8) : 1);
+        const tone = Math.sin(2 * Math.PI * f * t) + 0.25 * Math.sin(2 * Math.PI * f * 2 * t) * Math.exp(-t * 6);
+        return gain * env * tone;
+    });
+}
+
+function bass(start, midi, duration) {
+    const f = hz(midi);
+    render(start, duration, (t) => {
+        const env = Math.min(1, t / 0.02) * Math.min(1, (duration - t) / 0.05);
+        return 0.32 * env * Math.tanh(1.5 * Math.sin(2 * Math.PI * f * t));
+    });
+}
+
+function kick(start) {
+    render(start, 0.4, (t) => {
+        const phase = 2 * Math.PI * (50 * t + 45 * (1 - Math.exp(-t * 30)) / 30);
+        return 0.7 * Math.exp(-t * 9) * Math.sin(phase);
+    });
+}
+
+function snare(start) {
+    let low = 0;
+    render(start, 0.25, (t) => {
+        low += 0.35 * ((random() * 2 - 1) - low);    // dull the noise a little
+        return 0.22 * Math.exp(-t * 18) * low + 0.12 * Math.exp(-t * 30) * Math.sin(2 * Math.PI * 185 * t);
+    });
+}
+
+function hat(start, gain) {
+    let prev = 0;
+    render(start, 0.06, (t) => {
+        const n = random() * 2 - 1;
+        const high = n - prev;                         // crude high-pass
+        prev = n;
+        return gain * Math.exp(-t * 70) * high;
+    });
+}
+
+/** Vinyl bed: faint hiss and sparse crackle over the whole loop. */
+function vinyl() {
+    let hiss = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        hiss += 0.05 * ((random() * 2 - 1) - hiss);
+        buffer[i] += 0.02 * hiss;
+        if (random() < 0.0004) buffer[i] += (random() - 0.5) * 0.25;
+    }
+}
+
+// ── Arrangement ───────────────────────────────────────────────────────────
+
+for (let bar = 0; bar < BARS; bar++) {
+    const t0 = bar * 4 * BEAT;
+    const chord = CHORDS[bar % 4];
+
+    // Lazy strum, re-hit on the "and" of 3
+    chord.forEach((midi, n) => keys(t0 + n * 0.018, midi, 2.4 * BEAT, 0.09));
+    chord.forEach((midi, n) => keys(t0 + 2.5 * BEAT + n * 0.018, midi, 1.3 * BEAT, 0.06));
+
+    bass(t0, BASS[bar % 4], 1.8 * BEAT);
+    bass(t0 + 2.5 * BEAT, BASS[bar % 4] + 7, 1.2 * BEAT);
+
+    // Drums come in after the first phrase, swung eighths on the hats
+    if (bar >= 4) {
+        kick(t0);
+        kick(t0 + 2.5 * BEAT);
+        snare(t0 + BEAT);
+        snare(t0 + 3 * BEAT);
+        for (let e = 0; e < 8; e++) hat(t0 + (e + (e % 2) * 0.16) * BEAT / 2, e % 2 ? 0.05 : 0.08);
+    }
+}
+
+// Melody over the middle two phrases
+for (const phrase of [1, 2]) {
+    for (const [beat, midi, held] of MELODY) keys((phrase * 16 + beat) * BEAT, midi, held * BEAT, 0.11);
+}
+
+vinyl();
+
+// ── Master: warm low-pass, fade the loop edges, normalise, write ─────────
+
+let lp = 0;
+let peak = 0;
+for (let i = 0; i < buffer.length; i++) {
+    lp += 0.45 * (buffer[i] - lp);
+    const t = i / RATE;
+    buffer[i] = lp * Math.min(1, t / 0.05, (LENGTH - t) / 1.5);
+    peak = Math.max(peak, Math.abs(buffer[i]));
+}
+
+const data = Buffer.alloc(44 + buffer.length * 2);
+data.write('RIFF', 0);
+data.writeUInt32LE(36 + buffer.length * 2, 4);
+data.write('WAVEfmt ', 8);
+data.writeUInt32LE(16, 16);                // fmt chunk size
+data.writeUInt16LE(1, 20);                 // PCM
+data.writeUInt16LE(1, 22);                 // mono
+data.writeUInt32LE(RATE, 24);
+data.writeUInt32LE(RATE * 2, 28);          // byte rate
+data.writeUInt16LE(2, 32);                 // block align
+data.writeUInt16LE(16, 34);                // bits per sample
+data.write('data', 36);
+data.writeUInt32LE(buffer.length * 2, 40);
+for (let i = 0; i < buffer.length; i++) {
+    data.writeInt16LE(Math.round((buffer[i] / peak) * 0.89 * 32767), 44 + i * 2);
+}
+
+writeFileSync(OUT, data);
+console.log(`[synthTrack] ${OUT} — ${LENGTH.toFixed(1)} s, ${(data.length / 1e6).toFixed(1)} MB`);
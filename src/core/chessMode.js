@@ -0,0 +1,392 @@
+// chessMode.js — Play a game of chess on the Hub's board against a small built-in AI.
+// Entering the ChessZone and pressing Enter freezes the player, swings the camera over the
+// board and hands the arrows / Enter / mouse to the game. Escape leaves at any time.
+//
+// The visitor plays white; pawns promote to a queen. Black is the built-in AI or — when a
+// Twitch channel is connected, toggled with E — the chat itself, voting with `!move e7e5`.
+
+import * as THREE from 'three';
+import { ChessGame } from '../systems/chessEngine.js';
+import { ChessAI } from '../systems/chessAI.js';
+import { input } from '../systems/inputManager.js';
+import { save } from '../systems/saveSystem.js';
+import { ChessVote } from '../systems/chessVote.js';
+import { VoteBillboard } from '../entities/voteBillboard.js';
+
+const AI_DELAY_S = 0.6;    // pause before black answers, so the player sees their move land
+const CAM_BACK = 7.5;      // board-view camera: distance behind white's side…
+const CAM_HEIGHT = 8;      // …and above the board
+const VOTE_S = 20;         // chat's voting window per move
+const BOARD_BACK = 3;      // vote billboard: distance past black's side of the centre…
+const BOARD_HEIGHT = 4;    // …and above the board
+
+export class ChessMode {
+    /**
+     * @param {object} opts
+     * @param {import('../entities/chess.js').Chess} opts.chess
+     * @param {import('./scene.js').SceneSetup} opts.sceneSetup
+     */
+    constructor({ chess, sceneSetup }) {
+        this._chess = chess;
+        this._sceneSetup = sceneSetup;
+        this._game = new ChessGame();
+        this._player = null;
+        this._active = false;
+
+        this._cursor = 12;        // e2
+        this._selected = -1;
+        this._targets = [];       // legal moves from the selected square
+        this._aiTimer = -1;       // counting down to black's move, -1 when idle
+        this._ai = new ChessAI();
+        this._thinking = false;   // a search is running in the worker
+        this._search = 0;         // bumped per search / cancel, so stale answers are dropped
+        this._unsubs = [];
+
+        this._chat = null;        // ChatSystem, once connected
+        this._opponent = 'ai';    // 'ai' | 'chat'
+        this._vote = new ChessVote();
+        this._billboard = new VoteBillboard(chess.scene);
+        this._chatResult = '';    // billboard title between votes
+
+        this._raycaster = new THREE.Raycaster();
+        this._pointer = new THREE.Vector2();
+        this._canvas = sceneSetup.renderer.domElement;
+        this._onPointerMove = (e) => {
+            const sq = this._pick(e);
+            if (sq >= 0 && sq !== this._cursor) { this._cursor = sq; this._refresh(); }
+        };
+        this._onPointerDown = (e) => {
+            const sq = this._pick(e);
+            if (sq >= 0) { this._cursor = sq; this._select(sq); }
+        };
+
+        this._inject();
+    }
+
+    get isActive() { return this._active; }
+
+    /**
+     * Let Twitch chat take black's side (toggled with E while seated).
+     * @param {import('../systems/chatSystem.js').ChatSystem | null} chat
+     */
+    setChat(chat) {
+        this._chat = chat;
+        if (!chat && this._opponent === 'chat') this._setOpponent('ai');
+    }
+
+    /**
+     * Sit down at the board and start a fresh game.
+     * @param {import('../entities/player.js').Player} player
+     */
+    start(player) {
+        if (this._active || !this._chess.ready) return;
+        this._active = true;
+        this._player = player;
+        if (player) player.isFrozen = true;
+
+        const { center, forward, up } = this._chess;
+        this._sceneSetup.setCameraMode('focus', {
+            position: center.clone().addScaledVector(forward, -CAM_BACK).addScaledVector(up, CAM_HEIGHT),
+            target: center.clone().addScaledVector(forward, 0.8),
+            up: up.clone(),
+        });
+
+        const move = (df, dr) => () => this._moveCursor(df, dr);
+        this._unsubs = [
+            input.on('up', move(0, 1)),
+            input.on('down', move(0, -1)),
+            input.on('left', move(-1, 0)),
+            input.on('right', move(1, 0)),
+            input.on('interact', () => this._confirm()),
+            input.on('jump', () => this._confirm()),
+            input.on('menu', () => { this.stop(); return true; }),
+            input.on('echo', () => {
+                if (this._chat) this._setOpponent(this._opponent === 'ai' ? 'chat' : 'ai');
+                return true;
+            }),
+        ];
+        if (this._chat) this._unsubs.push(this._chat.commands.register({
+            name: 'move', args: '<move>', description: "Vote for black's next move",
+            handler: ({ args, user }) => this._onVote(args, user.name),
+        }));
+        this._canvas.addEventListener('pointermove', this._onPointerMove);
+        this._canvas.addEventListener('pointerdown', this._onPointerDown);
+
+        this._el.classList.add('cm-visible');
+        this._newGame();
+    }
+
+    /** Leave the board — the pieces go back to being physics toys. */
+    stop() {
+        if (!this._active) return;
+        this._active = false;
+        this._aiTimer = -1;
+        this._cancelThinking();
+        this._vote.close();
+        this._billboard.hide();
+
+        for (const off of this._unsubs) off();
+        this._unsubs = [];
+        this._canvas.removeEventListener('pointermove', this._onPointerMove);
+        this._canvas.removeEventListener('pointerdown', this._onPointerDown);
+
+        this._el.classList.remove('cm-visible');
+        this._chess.endGame();
+        this._sceneSetup.setCameraMode('player');
+        if (this._player) this._player.isFrozen = false;
+        this._player = null;
+    }
+
+    /** Call every frame. */
+    update(dt) {
+        if (!this._active) return;
+
+        if (this._vote.isOpen) {
+            const result = this._vote.update(dt);
+            if (result) this._playChat(result.move);
+            else this._refreshBillboard();
+        }
+
+        if (this._aiTimer < 0) return;
+        this._aiTimer -= dt;
+        if (this._aiTimer < 0) this._playAI();
+    }
+
+    dispose() {
+        this.stop();
+        this._ai.dispose();
+        this._billboard.dispose();
+        this._el.remove();
+        this._style.remove();
+    }
+
+    // ── Game flow ─────────────────────────────────────────────────────────
+
+    _newGame() {
+        this._game.reset();
+        this._chess.setupGame(this._game.board);
+        this._cursor = 12;
+        this._selected = -1;
+        this._targets = [];
+        this._aiTimer = -1;
+        this._cancelThinking();
+        this._vote.close();
+        this._chatResult = 'Chat plays black';
+        this._refresh();
+    }
+
+    _setOpponent(opponent) {
+        this._opponent = opponent;
+        if (this._active) this._newGame();
+    }
+
+    get _over() { return this._game.status !== 'playing'; }
+    get _yourTurn() { return this._game.turn === 'w' && this._aiTimer < 0 && !this._thinking; }
+
+    _moveCursor(df, dr) {
+        const f = THREE.MathUtils.clamp((this._cursor & 7) + df, 0, 7);
+        const r = THREE.MathUtils.clamp((this._cursor >> 3) + dr, 0, 7);
+        this._cursor = r * 8 + f;
+        this._refresh();
+        return true;
+    }
+
+    /** Enter / Space / A: select, move, or start over once the game is finished. */
+    _confirm() {
+        if (this._over) this._newGame();
+        else this._select(this._cursor);
+        return true;
+    }
+
+    _select(sq) {
+        if (this._over || !this._yourTurn) return;
+
+        const move = this._targets.find(m => m.to === sq);
+        if (move) {
+            this._play({ from: move.from, to: move.to, promotion: 'q' });
+            return;
+        }
+
+        const piece = this._game.pieceAt(sq);
+        const mine = piece && piece === piece.toUpperCase();
+        this._selected = mine && this._selected !== sq ? sq : -1;
+        this._targets = this._selected >= 0 ? this._game.moves({ square: sq }) : [];
+        this._refresh();
+    }
+
+    _play(choice) {
+        const move = this._game.move(choice);
+        if (!move) return;
+        this._chess.applyMove(move);
+        this._selected = -1;
+        this._targets = [];
+
+        if (!this._over && this._game.turn === 'b') {
+            if (this._opponent === 'chat') this._vote.open(this._game, VOTE_S);
+            else this._aiTimer = AI_DELAY_S;
+        }
+        if (this._game.winner === 'w') save.addToRecord('chess', 'wins');
+        this._refresh();
+    }
+
+    _playAI() {
+        this._aiTimer = -1;
+        this._think((move) => this._play(move));
+    }
+
+    /** The vote closed — play the winner, or let the AI move for a silent chat. */
+    _playChat(choice) {
+        const play = (move) => {
+            this._play(move);
+            const played = this._game.lastMove?.san;
+            this._chatResult = choice ? `Chat played ${played}` : `No votes — AI played ${played}`;
+            this._refresh();
+        };
+        if (choice) play(choice);
+        else this._think(play);
+    }
+
+    /** Search black's move in the worker, then hand it to `play` — unless the game moved on. */
+    _think(play) {
+        const search = ++this._search;
+        this._thinking = true;
+        this._ai.think(this._game).then((move) => {
+            if (search !== this._search) return;   // cancelled: left the board or started over
+            this._thinking = false;
+            if (move) play(move);
+            else this._refresh();
+        });
+    }
+
+    _cancelThinking() {
+        this._search++;
+        this._thinking = false;
+        this._ai.cancel();
+    }
+
+    /**
+     * `!move <san|uci>` from chat. Consumed whenever chat is the opponent, so votes
+     * (legal or not) never turn into chat characters — illegal ones are dropped silently.
+     */
+    _onVote(text, username) {
+        if (!this._active || this._opponent !== 'chat') return false;
+        this._vote.cast(username, text.trim());
+        return true;
+    }
+
+    // ── Board + panel ─────────────────────────────────────────────────────
+
+    _refresh() {
+        const game = this._game;
+        const marks = [];
+
+        const last = game.lastMove;
+        if (last) marks.push({ square: last.from, kind: 'lastMove' }, { square: last.to, kind: 'lastMove' });
+        if (game.inCheck()) marks.push({ square: game.board.indexOf(game.turn === 'w' ? 'K' : 'k'), kind: 'check' });
+        if (this._selected >= 0) marks.push({ square: this._selected, kind: 'selected' });
+        for (const m of this._targets) {
+            if (m.promotion && m.promotion !== 'q') continue;
+            marks.push({ square: m.to, kind: m.captured ? 'capture' : 'target' });
+        }
+        if (!this._over) marks.push({ square: this._cursor, kind: 'cursor' });
+        this._chess.setHighlights(marks);
+
+        this._statusEl.textContent = this._statusText();
+        const toggle = this._chat ? (this._opponent === 'ai' ? ' · E — vs chat' : ' · E — vs AI') : '';
+        this._hintEl.textContent = (this._over
+            ? 'ENTER — play again · ESC — leave'
+            : 'ARROWS / MOUSE — move · ENTER — select · ESC — leave') + toggle;
+
+        // Move list, two plies per line
+        const sans = game.history();
+        const lines = [];
+        for (let i = 0; i < sans.length; i += 2) {
+            lines.push(`${i / 2 + 1}. ${sans[i]}${sans[i + 1] ? '  ' + sans[i + 1] : ''}`);
+        }
+        this._movesEl.textContent = lines.slice(-6).join('\n');
+        this._refreshBillboard();
+    }
+
+    /** Live tally above the board while chat is the opponent. */
+    _refreshBillboard() {
+        if (!this._active || this._opponent !== 'chat') {
+            this._billboard.hide();
+            return;
+        }
+        const { center, forward, up } = this._chess;
+        this._billboard.show(center.addScaledVector(forward, BOARD_BACK).addScaledVector(up, BOARD_HEIGHT));
+
+        if (this._vote.isOpen) {
+            this._billboard.set({ title: 'Chat votes', tally: this._vote.tally, remaining: this._vote.remaining });
+        } else {
+            this._billboard.set({ title: this._over ? this._statusText() : this._chatResult });
+        }
+    }
+
+    _statusText() {
+        const game = this._game;
+        switch (game.status) {
+            case 'checkmate': return game.winner === 'w' ? 'Checkmate — you win! 🏆'
+                : `Checkmate — ${this._opponent === 'chat' ? 'chat' : 'black'} wins`;
+            case 'stalemate': return 'Stalemate — draw';
+            case 'draw': return 'Draw';
+        }
+        if (this._vote.isOpen) return 'Chat is voting…';
+        if (!this._yourTurn) return 'Black is thinking…';
+        return game.inCheck() ? 'Check! Your move' : 'Your move (white)';
+    }
+
+    /** Square under the mouse, -1 if none. */
+    _pick(e) {
+        if (!this._chess.ready) return -1;
+        const rect = this._canvas.getBoundingClientRect();
+        this._pointer.set(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this._raycaster.setFromCamera(this._pointer, this._sceneSetup.camera);
+        const hit = this._raycaster.ray.intersectPlane(this._chess.plane, new THREE.Vector3());
+        return hit ? this._chess.squareAt(hit) : -1;
+    }
+
+    _inject() {
+        this._style = document.createElement('style');
+        this._style.textContent = `
+            .cm-panel {
+                position: fixed; top: 24px; right: 24px; z-index: 9000;
+                min-width: 240px; padding: 16px 20px;
+                border-radius: 14px;
+                background: rgba(20, 12, 48, 0.88);
+                border: 2px solid rgba(255, 224, 102, 0.6);
+                box-shadow: 0 6px 24px rgba(0,0,0,0.45);
+                font-family: 'Fredoka One', 'Arial Rounded MT Bold', sans-serif;
+                color: #fff;
+                opacity: 0; transform: translateX(20px);
+                transition: opacity 0.3s ease, transform 0.3s ease;
+                pointer-events: none;
+            }
+            .cm-visible { opacity: 1; transform: none; }
+            .cm-title { font-size: 1.3rem; color: #ffe066; margin-bottom: 0.4rem; }
+            .cm-status { font-size: 1.1rem; margin-bottom: 0.6rem; }
+            .cm-moves {
+                font-family: monospace; font-size: 0.9rem; white-space: pre;
+                color: #9fd8ff; min-height: 1.2em; margin-bottom: 0.6rem;
+            }
+            .cm-hint { font-family: monospace; font-size: 0.75rem; opacity: 0.7; }
+        `;
+        document.head.appendChild(this._style);
+
+        this._el = document.createElement('div');
+        this._el.className = 'cm-panel';
+        this._el.innerHTML = `
+            <div class="cm-title">♟ CHESS</div>
+            <div class="cm-status"></div>
+            <div class="cm-moves"></div>
+            <div class="cm-hint"></div>
+        `;
+        this._statusEl = this._el.querySelector('.cm-status');
+        this._movesEl = this._el.querySelector('.cm-moves');
+        this._hintEl = this._el.querySelector('.cm-hint');
+        document.body.appendChild(this._el);
+    }
+}
@@ -4,6 +4,7 @@
 import GUI from 'lil-gui';
 import * as THREE from 'three';
 import { positionWorld, positionView, color, exp, mul, negate, float, mix, fog } from 'three/tsl';
+import { save } from '../systems/saveSystem.js';
 
 export class DebugGui {
     /**
@@ -35,7 +36,7 @@ export class DebugGui {
             fogHeightFalloff: 0.05, // How fast fog disappears with height
 
             // Ambient light
-            ambientIntensity: sceneSetup.ambientLight?.intensity ?? 0.7,
+            ambientIntensity: sceneSetup.lightBase?.ambient ?? 0.7,
 
             // Lamp
             lampColor: '#d1d100',
@@ -68,6 +69,7 @@ export class DebugGui {
             cloudSpeed:      0.035,
             cloudOpacity:    0.93,
             cloudVolume:     1.8,
+            cloudRipple:     1.5,
         };
 
         this._buildBloomFolder();
@@ -80,6 +82,14 @@ export class DebugGui {
         this._buildLampOutlineFolder();
         this._buildCloudFolder();
         this._buildCassetteFolder();
+
+        // Persist tweaks — load() replays each controller's onChange with the saved value
+        const saved = save.data.settings.debugGui;
+        if (saved) this._gui.load(saved);
+        this._gui.onFinishChange(() => {
+            save.data.settings.debugGui = this._gui.save();
+            save.commit();
+        });
     }
 
     // ── Bloom ──────────────────────────────────────────────────────────────
@@ -213,7 +223,7 @@ export class DebugGui {
 
         if (sc.ambientLight) {
             f.add(this._state, 'ambientIntensity', 0, 3, 0.05).name('Ambient Intensity').onChange(v => {
-                sc.ambientLight.intensity = v;
+                sc.lightBase.ambient = v;
             });
 
             // Ambient color (as hex string for lil-gui color picker)
@@ -225,11 +235,11 @@ export class DebugGui {
 
         if (sc.dirLight) {
             const dirState = {
-                intensity: sc.dirLight.intensity,
+                intensity: sc.lightBase.dir,
                 color: '#' + sc.dirLight.color.getHexString(),
             };
             f.add(dirState, 'intensity', 0, 5, 0.05).name('Sun Intensity').onChange(v => {
-                sc.dirLight.intensity = v;
+                sc.lightBase.dir = v;
             });
             f.addColor(dirState, 'color').name('Sun Color').onChange(v => {
                 sc.dirLight.color.set(v);
@@ -342,6 +352,10 @@ export class DebugGui {
         f.add(this._state, 'cloudVolume', 0.0, 6.0, 0.1)
             .name('Volume (bumps)')
             .onChange(v => { if (clouds()) clouds()._uVolume.value = v; });
+
+        f.add(this._state, 'cloudRipple', 0.0, 6.0, 0.1)
+            .name('Bass Ripple')
+            .onChange(v => { if (clouds()) clouds()._uRipple.value = v; });
     }
 
     // ── Cassette ──────────────────────────────────────────────────────────
@@ -0,0 +1,102 @@
+// endingSequence.js — Drives the 'playing' → 'ending' → 'ended' phases.
+// Ending: input freezes, the camera cranes out, the screen crossfades to the end text.
+// Ended: the player can restart the current theme or go back to the Hub.
+
+import { state, onPhaseChange, setPhase, getGoalMessage, resetRun } from './stateManager.js';
+import { input } from '../systems/inputManager.js';
+
+const CRANE_S = 2.5;  // camera pull-back before the crossfade starts
+const TEXT_S = 3.5;  // end text appears (crossfade is 2s in CSS)
+const ENDED_S = 6.5;  // 'ending' → 'ended'
+
+export class EndingSequence {
+    /**
+     * @param {object} opts
+     * @param {import('./scene.js').SceneSetup} opts.sceneSetup
+     * @param {import('../entities/player.js').Player} opts.player
+     * @param {() => Promise<void>} opts.onRestart      — reload the current theme
+     * @param {() => Promise<void>} opts.onReturnToHub  — travel back to the Hub
+     */
+    constructor({ sceneSetup, player, onRestart, onReturnToHub }) {
+        this._sceneSetup = sceneSetup;
+        this._player = player;
+        this._onRestart = onRestart;
+        this._onReturnToHub = onReturnToHub;
+        this._time = 0;
+        this._busy = false;
+
+        this._crossfade = document.getElementById('crossfade');
+        this._endText = document.getElementById('end-text');
+        this._actions = document.getElementById('end-actions');
+        this._defaultText = this._endText?.innerText ?? '';
+
+        this._actions?.querySelector('#end-restart')
+            ?.addEventListener('click', () => this._leave(this._onRestart));
+        this._actions?.querySelector('#end-hub')
+            ?.addEventListener('click', () => this._leave(this._onReturnToHub));
+
+        // interact → restart, menu → Hub (only once the run has ended)
+        this._unsubs = [
+            input.on('interact', () => this._onEndedPress(this._onRestart)),
+            input.on('menu', () => this._onEndedPress(this._onReturnToHub)),
+        ];
+
+        onPhaseChange((phase) => this._onPhase(phase));
+    }
+
+    /** Call every frame. */
+    update(dt) {
+        if (state.phase !== 'ending') return;
+        const prev = this._time;
+        this._time += dt;
+
+        if (prev < CRANE_S && this._time >= CRANE_S) this._setOpacity(this._crossfade, 1);
+        if (prev < TEXT_S && this._time >= TEXT_S) this._setOpacity(this._endText, 1);
+        if (this._time >= ENDED_S) setPhase('ended');
+    }
+
+    dispose() {
+        for (const off of this._unsubs) off();
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _onPhase(phase) {
+        if (phase === 'ending') {
+            this._time = 0;
+            this._player.isFrozen = true;
+            this._sceneSetup.setCameraMode('ending');
+            if (this._endText) this._endText.innerText = getGoalMessage() ?? this._defaultText;
+        } else if (phase === 'ended') {
+            this._actions?.classList.add('show');
+        } else if (phase === 'playing') {
+            this._actions?.classList.remove('show');
+            this._setOpacity(this._endText, 0);
+            this._setOpacity(this._crossfade, 0);
+            this._sceneSetup.setCameraMode('player');
+            this._player.isFrozen = false;
+        }
+    }
+
+    _onEndedPress(travel) {
+        if (state.phase !== 'ended') return false;
+        this._leave(travel);
+        return true;
+    }
+
+    async _leave(travel) {
+        if (this._busy || state.phase !== 'ended') return;
+        this._busy = true;
+        this._actions?.classList.remove('show');
+        try {
+            await travel?.();
+        } finally {
+            resetRun();
+            this._busy = false;
+        }
+    }
+
+    _setOpacity(el, v) {
+        if (el) el.style.opacity = String(v);
+    }
+}
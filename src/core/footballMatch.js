@@ -0,0 +1,215 @@
+// footballMatch.js — Timed football match on the Hub pitch against an AI goalkeeper.
+// Step into the kickoff ring and press Enter: the ball goes back to the centre spot,
+// a keeper guards the south goal and the clock starts. Score in the south goal, keep
+// the keeper's clearances out of the north one. Escape abandons the match.
+//
+// Results (played / won / drawn / lost), goals past the keeper and best scores go to
+// save.data.records.football.
+
+import * as THREE from 'three';
+import { Goalkeeper } from '../entities/goalkeeper.js';
+import { triggers } from '../systems/triggerSystem.js';
+import { input } from '../systems/inputManager.js';
+import { save } from '../systems/saveSystem.js';
+import { planet } from '../environment/planetCore.js';
+
+const MATCH_S = 120;
+const RESET_DELAY_S = 2.5;   // celebration time before the ball returns to the centre spot
+const RESULT_S = 6;          // full-time card stays up this long
+const ZONE_RADIUS = 1.5;
+
+// Goal indices in Football.goals
+const TARGET_GOAL = 0;       // south — defended by the keeper
+const OWN_GOAL = 1;          // north — the visitor's
+
+export class FootballMatch {
+    /**
+     * @param {object} opts
+     * @param {import('../entities/football.js').Football} opts.football
+     * @param {THREE.Scene} opts.scene
+     * @param {*} opts.RAPIER
+     * @param {*} opts.world
+     * @param {THREE.Vector3} opts.position — kickoff ring, on the touchline
+     */
+    constructor({ football, scene, RAPIER, world, position }) {
+        this._football = football;
+        this.scene = scene;
+        this.RAPIER = RAPIER;
+        this.world = world;
+
+        this._active = false;
+        this._score = [0, 0];      // [visitor, keeper]
+        this._timeLeft = 0;
+        this._resetTimer = -1;
+        this._resultTimer = -1;
+        this._keeper = null;
+        this._offMenu = null;
+
+        // ── Kickoff ring + trigger ────────────────────────────────────────
+        const center = planet.project(position);
+        const normal = planet.upAt(center);
+        this._ring = new THREE.Mesh(
+            new THREE.RingGeometry(ZONE_RADIUS - 0.15, ZONE_RADIUS, 32),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.7, side: THREE.DoubleSide, depthWrite: false })
+        );
+        this._ring.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+        this._ring.position.copy(center).addScaledVector(normal, 0.1);
+        scene.add(this._ring);
+
+        this._trigger = triggers.add({
+            position: center,
+            radius: ZONE_RADIUS,
+            height: 3,
+            label: 'Start a match',
+            onInteract: () => this.start(),
+        });
+
+        this._inject();
+    }
+
+    get isActive() { return this._active; }
+
+    start() {
+        if (this._active || !this._football.ballBody) return;
+        this._active = true;
+        this._score = [0, 0];
+        this._timeLeft = MATCH_S;
+        this._resetTimer = -1;
+        this._resultTimer = -1;
+        this._trigger.interactable = false;
+
+        const goals = this._football.goals;
+        this._keeper = new Goalkeeper(this.scene, this.RAPIER, this.world, goals[TARGET_GOAL], goals[OWN_GOAL].position);
+        this._football.kickoff();
+        this._offMenu = input.on('menu', () => { this.stop(); return true; });
+
+        this._el.className = 'fm-hud fm-visible';
+        this._refresh();
+    }
+
+    /** Abandon the match — nothing is recorded. */
+    stop() {
+        if (!this._active) return;
+        this._end();
+        this._el.classList.remove('fm-visible');
+    }
+
+    /** Football reports every goal here; only counted during a match. */
+    onGoal(index) {
+        if (!this._active || this._resetTimer >= 0) return;
+        this._score[index === TARGET_GOAL ? 0 : 1]++;
+        if (index === TARGET_GOAL) save.addToRecord('football', 'goals');
+        this._resetTimer = RESET_DELAY_S;
+        this._refresh();
+    }
+
+    /** Call every frame. */
+    update(dt) {
+        if (this._resultTimer >= 0) {
+            this._resultTimer -= dt;
+            if (this._resultTimer < 0) this._el.classList.remove('fm-visible');
+        }
+        if (!this._active) return;
+
+        if (this._resetTimer >= 0) {
+            this._resetTimer -= dt;
+            if (this._resetTimer < 0) {
+                this._football.kickoff();
+                this._keeper.reset();
+            }
+        }
+        this._keeper.update(dt, this._football.ballBody);
+
+        const shown = Math.ceil(this._timeLeft);
+        this._timeLeft -= dt;
+        if (this._timeLeft <= 0) this._finish();
+        else if (Math.ceil(this._timeLeft) !== shown) this._refresh();
+    }
+
+    dispose() {
+        this.stop();
+        this._trigger.dispose();
+        this.scene.remove(this._ring);
+        this._ring.geometry.dispose();
+        this._ring.material.dispose();
+        this._el.remove();
+        this._style.remove();
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _end() {
+        this._active = false;
+        this._resetTimer = -1;
+        this._keeper?.dispose();
+        this._keeper = null;
+        this._offMenu?.();
+        this._offMenu = null;
+        this._trigger.interactable = true;
+    }
+
+    _finish() {
+        this._end();
+        const [mine, theirs] = this._score;
+
+        save.addToRecord('football', 'matches');
+        const result = mine > theirs ? 'wins' : mine === theirs ? 'draws' : 'losses';
+        save.addToRecord('football', result);
+        const best = mine > 0 && save.recordBest('football', 'bestMatchGoals', mine);
+        if (mine > theirs) save.recordBest('football', 'bestMargin', mine - theirs);
+
+        const rec = save.data.records.football;
+        this._el.className = 'fm-hud fm-visible fm-result';
+        this._titleEl.textContent = { wins: 'YOU WIN!', draws: 'DRAW', losses: 'KEEPER WINS' }[result];
+        this._scoreEl.textContent = `${mine} – ${theirs}`;
+        this._infoEl.textContent =
+            `${best ? 'New best! · ' : ''}W ${rec.wins ?? 0} · D ${rec.draws ?? 0} · L ${rec.losses ?? 0}`;
+        this._resultTimer = RESULT_S;
+    }
+
+    _refresh() {
+        const s = Math.max(0, Math.ceil(this._timeLeft));
+        this._titleEl.textContent = `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+        this._scoreEl.textContent = `${this._score[0]} – ${this._score[1]}`;
+        this._infoEl.textContent = 'YOU · KEEPER   —   ESC — give up';
+    }
+
+    _inject() {
+        this._style = document.createElement('style');
+        this._style.textContent = `
+            .fm-hud {
+                position: fixed; top: 20px; left: 50%; z-index: 9000;
+                transform: translate(-50%, -20px);
+                min-width: 220px; padding: 10px 24px;
+                border-radius: 14px; text-align: center;
+                background: rgba(20, 12, 48, 0.88);
+                border: 2px solid rgba(105, 219, 124, 0.7);
+                box-shadow: 0 6px 24px rgba(0,0,0,0.45);
+                font-family: 'Fredoka One', 'Arial Rounded MT Bold', sans-serif;
+                color: #fff;
+                opacity: 0;
+                transition: opacity 0.3s ease, transform 0.3s ease;
+                pointer-events: none;
+            }
+            .fm-visible { opacity: 1; transform: translate(-50%, 0); }
+            .fm-title { font-size: 1.1rem; color: #69db7c; }
+            .fm-score { font-size: 2.2rem; line-height: 1.1; }
+            .fm-info { font-family: monospace; font-size: 0.75rem; opacity: 0.7; }
+            .fm-result { border-color: rgba(255, 224, 102, 0.8); }
+            .fm-result .fm-title { color: #ffe066; font-size: 1.4rem; }
+        `;
+        document.head.appendChild(this._style);
+
+        this._el = document.createElement('div');
+        this._el.className = 'fm-hud';
+        this._el.innerHTML = `
+            <div class="fm-title"></div>
+            <div class="fm-score"></div>
+            <div class="fm-info"></div>
+        `;
+        this._titleEl = this._el.querySelector('.fm-title');
+        this._scoreEl = this._el.querySelector('.fm-score');
+        this._infoEl = this._el.querySelector('.fm-info');
+        document.body.appendChild(this._el);
+    }
+}
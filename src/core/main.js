@@ -3,15 +3,31 @@
 import * as THREE from 'three';
 import RAPIER from '@dimforge/rapier3d-compat';
 
+// Self-hosted fonts (bundled by Vite — no Google Fonts request)
+import '@fontsource/fredoka-one';
+import '@fontsource/boogaloo';
+
 import { SceneSetup } from '../core/scene.js';
 import { Player } from '../entities/player.js';
 import { EchoSystem } from '../systems/echoSystem.js';
 import { ParticleSystem } from '../systems/particleSystem.js';
+import { gravity } from '../systems/gravitySystem.js';
+import { triggers } from '../systems/triggerSystem.js';
+import { input } from '../systems/inputManager.js';
+import { save } from '../systems/saveSystem.js';
+import { audio } from '../systems/audioSystem.js';
+import { audioReactive } from '../systems/audioReactive.js';
+import { achievements, SKINS, TRAILS } from '../systems/achievementSystem.js';
+import { PlayerTrail } from '../entities/playerTrail.js';
+import { AchievementToast } from '../ui/achievementToast.js';
 import { ChatSystem } from '../systems/chatSystem.js';
-import { state, updateState } from '../core/stateManager.js';
+import { chatSources } from '../systems/chatProviders.js';
+import { state, updateState, checkWinConditions } from '../core/stateManager.js';
+import { EndingSequence } from '../core/endingSequence.js';
 import Stats from 'three/addons/libs/stats.module.js';
 import { initMobileControls } from '../ui/mobileControls.js';
 import { DebugGui } from '../core/debugGui.js';
+import { registerServiceWorker } from '../core/serviceWorker.js';
 
 // World system
 import { ThemeManager } from '../environment/themeManager.js';
@@ -20,21 +36,30 @@ import { DesertTheme } from '../environment/themes/DesertTheme.js';
 import { IceTheme } from '../environment/themes/IceTheme.js';
 import { LavaTheme } from '../environment/themes/LavaTheme.js';
 import { GalaxyMenu } from '../ui/galaxyMenu.js';
+import { ControlsPanel } from '../ui/controlsPanel.js';
+import { ChatCommandsPanel } from '../ui/chatCommandsPanel.js';
+import { LoadingScreen } from '../ui/loadingScreen.js';
+import { assets, ASSETS } from '../systems/assetManager.js';
 
-const CLIMB_THRESHOLD = 5; // units height to trigger ending
-
-// ── Twitch integration ────────────────────────────────────────────────────────
-// Set to your Twitch channel name (lowercase, no #). Leave empty to disable.
-const TWITCH_CHANNEL = 'yaaaannis_dev';  // e.g. 'shroud' or 'your_channel'
+// Saved theme key → class (Hub on first launch)
+const THEMES = { hub: HubTheme, desert: DesertTheme, ice: IceTheme, lava: LavaTheme };
 
 async function init() {
+    // Loading screen — download the player + starting theme while the engine boots
+    const loadingScreen = new LoadingScreen();
+    const StartTheme = THEMES[save.data.progress.theme] ?? HubTheme;
+    const preloading = assets.preload(
+        [ASSETS.yannis, ...StartTheme.assets],
+        (p) => loadingScreen.setProgress(p),
+    );
+
     // Init Rapier WASM
     await RAPIER.init();
 
     // Init Mobile Controls
     initMobileControls();
 
-    // Physics world (zero gravity, we apply spherical gravity manually)
+    // Physics world (zero gravity, the central gravity field applies spherical gravity)
     const world = new RAPIER.World({ x: 0, y: 0, z: 0 });
 
     // Canvas
@@ -48,11 +73,20 @@ async function init() {
     // WebGPU Renderer Initialization
     await renderer.init();
 
+    // Audio — listener rides on the camera, the first gesture unlocks the context
+    audio.init(scene, sceneSetup.camera);
+    input.on('mute', () => { audio.toggleMute(); return true; });
+
+    await preloading;
+
     // Systems
     const player = new Player(scene, RAPIER, world);
+    triggers.init(RAPIER, world, player);
     const echoSys = new EchoSystem(scene, RAPIER, world);
     const particleSys = new ParticleSystem(scene);
-    const chatSys = TWITCH_CHANNEL ? new ChatSystem(scene, TWITCH_CHANNEL, player, sceneSetup, RAPIER, world) : null;
+    // Chat — sources from ?chat=… or VITE_CHAT (e.g. twitch:yaaaannis_dev, mock); see chatProviders.js
+    const sources = chatSources();
+    const chatSys = sources.length ? new ChatSystem(scene, sources, player, sceneSetup, RAPIER, world) : null;
 
     // Galaxy Menu — single portal opens this Mario-Galaxy-style selector
     const galaxyMenu = new GalaxyMenu((key) => travelTo(key));
@@ -69,24 +103,110 @@ async function init() {
     };
     function travelTo(key) {
         const fn = WORLD_MAP[key];
-        if (fn) fn(onPortal);
+        return fn ? fn(onPortal) : Promise.resolve();
     }
     function onPortal(currentKey) {
         galaxyMenu.open(currentKey);
     }
 
-    // Load Hub as first theme
-    await worldManager.init(HubTheme, onPortal);
+    // Echo mode follows the active theme (Hub = free-roam, others = ghost platforming)
+    worldManager.onThemeChange((ThemeClass) => {
+        echoSys.clear();
+        echoSys.setMode(ThemeClass.echoMode);
+    });
+
+    // Chat can join in — e.g. voting black's moves on the Hub chess board
+    if (chatSys) worldManager.onThemeChange((_ThemeClass, theme) => theme.attachChat(chatSys));
+
+    // ── Save — restore the last theme / spawn and lifetime totals ─────────────
+    const { progress, totals } = save.data;
+    const playTimeBefore = totals.playTime;
+    state.totalDistanceTravelled = totals.distance;
+
+    worldManager.onThemeChange((ThemeClass) => {
+        save.data.progress.theme = ThemeClass.themeKey;
+        save.data.progress.spawn = null;
+        save.commit();
+        achievements.markVisited(ThemeClass.themeKey);
+    });
+    save.onBeforeWrite((data) => {
+        data.totals.distance = state.totalDistanceTravelled;
+        data.totals.playTime = playTimeBefore + state.elapsedTime;
+        data.totals.bestHeight = Math.max(data.totals.bestHeight, state.maxHeightReached);
+        if (state.phase === 'playing') {
+            const p = player.getPosition();
+            data.progress.spawn = [p.x, p.y, p.z];
+        }
+    });
+
+    // Load the saved theme
+    const savedSpawn = progress.spawn;
+    await worldManager.init(StartTheme, onPortal);
+    if (Array.isArray(savedSpawn) && savedSpawn.length === 3 && savedSpawn.every(Number.isFinite)) {
+        worldManager.placePlayer(new THREE.Vector3(...savedSpawn));
+    }
+    save.start();
+    loadingScreen.hide();
+    registerServiceWorker();
 
     // Debug GUI (dev only — remove import for production)
     new DebugGui(sceneSetup);
 
     // Timer setup moved lower where it's actually instantiated
 
-    // UI refs
-    const crossfade = document.getElementById('crossfade');
-    const endText = document.getElementById('end-text');
+    // Ending sequence — reaching a theme goal (e.g. the climb threshold) ends the run
+    const ending = new EndingSequence({
+        sceneSetup,
+        player,
+        onRestart: () => travelTo(worldManager.currentKey),
+        onReturnToHub: () => travelTo('hub'),
+    });
+
+    // ── Achievements + cosmetics ──────────────────────────────────────────────
+    new AchievementToast();
+    const trail = new PlayerTrail(scene);
+    function applyCosmetics() {
+        const { skin, trail: trailId } = save.data.cosmetics;
+        const skinDef = SKINS.find(s => s.id === skin && achievements.isItemUnlocked(s));
+        const trailDef = TRAILS.find(t => t.id === trailId && achievements.isItemUnlocked(t));
+        player.setSkin(skinDef?.color ?? null);
+        trail.setColors(trailDef?.colors ?? null);
+    }
+    applyCosmetics();
+
+    // Controls panel — the menu action (Escape / Start) opens key rebinding while playing
+    const controlsPanel = new ControlsPanel({ onCosmeticsChange: applyCosmetics });
+    input.on('menu', () => {
+        if (state.phase !== 'playing' || galaxyMenu.isOpen) return false;
+        controlsPanel.open();
+        return true;
+    });
+
+    // Chat commands overlay — the streamer toggles viewer commands and event effects (C)
+    if (chatSys) {
+        const commandsPanel = new ChatCommandsPanel(chatSys);
+        input.on('commands', () => {
+            if (state.phase !== 'playing' || controlsPanel.isOpen) return false;
+            commandsPanel.toggle();
+            return true;
+        });
+    }
+
+    // UI refs — the key hint follows the current bindings
     const hint = document.getElementById('controls-hint');
+    function renderHint() {
+        const key = action => input.keyFor(action).toUpperCase() || '—';
+        const move = ['up', 'left', 'down', 'right'].map(key);
+        hint.textContent = [
+            `${move.join('') === '↑←↓→' ? 'ARROW KEYS' : move.join(' ')} — MOVE`,
+            `${key('jump')} — JUMP`,
+            `${key('echo')} — SPAWN ECHO`,
+            `${key('mute')} — MUTE`,
+            `${key('menu')} — CONTROLS`,
+        ].join(' \u00a0|\u00a0 ');
+    }
+    renderHint();
+    input.onBindingsChange(renderHint);
 
     // Fade hint out after 5s
     setTimeout(() => { hint.style.opacity = '0'; }, 5000);
@@ -101,20 +221,6 @@ async function init() {
     stats.dom.style.pointerEvents = 'auto'; // allow clicking through the UI layer
     document.getElementById('ui').appendChild(stats.dom);
 
-    // Possession state
-    let isPossessingQueen = false;
-
-    // Keys state for the game loop (since player module abstracts it, we need our own local tracking for possession)
-    const inputState = { ArrowUp: false, ArrowDown: false, ArrowLeft: false, ArrowRight: false, Enter: false, Escape: false };
-
-    // Listen for inputs
-    window.addEventListener('keydown', (e) => {
-        if (e.code in inputState) inputState[e.code] = true;
-    });
-    window.addEventListener('keyup', (e) => {
-        if (e.code in inputState) inputState[e.code] = false;
-    });
-
     // Helper for UI
     function uiElementToggle(element, text, show) {
         if (!element) return;
@@ -131,7 +237,6 @@ async function init() {
     player.particleSystem = particleSys;
     player.timeGetter = () => timer.getElapsed();
 
-    let ending = false;
     let physicsAccumulator = 0;
 
     function gameLoop() {
@@ -142,30 +247,49 @@ async function init() {
         const dt = Math.min(timer.getDelta(), 0.1); // cap at 100ms
         const now = timer.getElapsed();
 
+        // Gamepad polling (keyboard / touch are event-driven)
+        input.update();
+
+        // The controls panel pauses the game — the last frame stays on screen behind it
+        if (controlsPanel.isOpen) {
+            sceneSetup.render();
+            stats.end();
+            return;
+        }
+
         // --- Physics step (Fix: Frame-rate independence) ---
         const TIMESTEP = 1 / 60;
         physicsAccumulator += dt;
         while (physicsAccumulator >= TIMESTEP) {
             // Player logic must be inside the fixed loop for consistent movement
             player.update(TIMESTEP, sceneSetup.camera);
+            gravity.step(TIMESTEP);
             world.step();
             physicsAccumulator -= TIMESTEP;
         }
 
+        // Trigger volumes (enter / exit / Enter-to-interact)
+        triggers.update(dt);
+
         const playerPos = player.getPosition();
 
-        // State update
-        updateState(player.speed, dt, playerPos.y);
+        // State update — height is the altitude above the active planet's surface
+        const altitude = playerPos.distanceTo(worldManager.planetCenter) - worldManager.planetRadius;
+        updateState(player.speed, dt, altitude);
+        checkWinConditions();
+        ending.update(dt);
 
         // Manual ghost echo spawn
         if (player.wantsToSpawnGhost) {
             echoSys.spawnManualEcho(playerPos, state.elapsedTime);
         }
 
-        // Echo system
-        echoSys.tick(state.elapsedTime, dt);
+        trail.update(dt, playerPos);
 
-        // Twitch chat characters
+        // Echo system (records + replays the path in 'replay' mode)
+        echoSys.tick(state.elapsedTime, dt, playerPos);
+
+        // Chat characters
         let chatPositions = [];
         if (chatSys) {
             chatSys.update(dt, playerPos);
@@ -178,6 +302,9 @@ async function init() {
         // Particles update
         particleSys.update(now);
 
+        // Music levels → shader uniforms (before the frame that reads them)
+        audioReactive.update(dt);
+
         const targetPos = playerPos;
 
         // Grass update — delegated to active world (HubWorld manages its own)
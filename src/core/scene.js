@@ -4,10 +4,14 @@ import * as THREE from 'three';
 import { WebGPURenderer, PostProcessing, MeshBasicNodeMaterial } from 'three/webgpu';
 import { pass, uniform, positionLocal, vec3, mix, smoothstep } from 'three/tsl';
 import { bloom } from 'three/addons/tsl/display/BloomNode.js';
+import { ReactiveWorld } from '../systems/reactiveWorld.js';
+import { planet } from '../environment/planetCore.js';
 
 const ISO_ANGLE = Math.PI / 4;      // 45° tilt from horizontal
 const CAM_DISTANCE = 18;
 const CAM_HEIGHT = 16;
+const ENERGY_LIGHT = 0.3;   // ±30% light intensity at full / zero energy
+const ENERGY_CLOSE_IN = 0.3;   // camera pulls in by up to 30% when the player idles
 
 export class SceneSetup {
     constructor(canvas) {
@@ -43,6 +47,9 @@ export class SceneSetup {
 
         this._camTarget = new THREE.Vector3();
 
+        // Room energy → world reactions (themes subscribe through this)
+        this.reactive = new ReactiveWorld();
+
         // Lights
         this._setupLights();
 
@@ -53,7 +60,10 @@ export class SceneSetup {
         window.addEventListener('resize', () => this._onResize());
 
         // Camera Modes
-        this.cameraMode = 'player'; // 'player' or 'topdown'
+        this.cameraMode = 'player'; // 'player', 'topdown', 'ending' or 'focus'
+        this._cinematicTime = 0;    // seconds spent in the 'ending' crane shot
+        this._focus = null;         // { position, target, up } for the 'focus' shot
+        this._focusLook = new THREE.Vector3();
 
         // Day/Night Cycle
         this.timeOfDay = 1.0; // 1 = Day, 0 = Night
@@ -141,6 +151,9 @@ export class SceneSetup {
             fillInt: 0.05,
             exposure: 0.3                     // dim HDR background
         };
+
+        // Day/night intensities before the energy boost (the debug GUI edits these)
+        this.lightBase = { ambient: this.dayColors.ambientInt, dir: this.dayColors.dirInt };
     }
 
     /** Set target time (1.0 = day, 0.0 = night) */
@@ -149,10 +162,15 @@ export class SceneSetup {
     }
 
     /**
-     * @param {'player'|'topdown'} mode
+     * @param {'player'|'topdown'|'ending'|'focus'} mode
+     * @param {{ position: THREE.Vector3, target: THREE.Vector3, up: THREE.Vector3 }} [focus]
+     *        — fixed shot for 'focus' (e.g. the chess board); the camera eases into it
      */
-    setCameraMode(mode) {
+    setCameraMode(mode, focus = null) {
+        if (mode === 'focus' && this.cameraMode !== 'focus') this._focusLook.copy(this._camTarget);
         this.cameraMode = mode;
+        this._cinematicTime = 0;
+        this._focus = focus;
     }
 
     /**
@@ -162,12 +180,14 @@ export class SceneSetup {
      * @param {number} dt
      */
     update(targetPos, energy, dt) {
+        this.reactive.update(energy, dt);
+        const e = this.reactive.energy;
+
         // Smooth camera follow
         this._camTarget.lerp(targetPos, 0.08);
 
         // Spherical surface normal at camera target
-        const planetCenter = new THREE.Vector3(0, -50, 0); // Match ROOM PLANET_CENTER
-        const upNormal = new THREE.Vector3().subVectors(this._camTarget, planetCenter).normalize();
+        const upNormal = planet.upAt(this._camTarget);
 
         // Align camera Up vector to surface normal
         this.camera.up.copy(upNormal);
@@ -176,7 +196,9 @@ export class SceneSetup {
         const surfaceQuat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), upNormal);
 
         if (this.cameraMode === 'player') {
-            const rotatedOffset = this._camOffset.clone().applyQuaternion(surfaceQuat);
+            // Idle → the world closes in around the player
+            const closeIn = 1 - ENERGY_CLOSE_IN * Math.max(0, -e);
+            const rotatedOffset = this._camOffset.clone().multiplyScalar(closeIn).applyQuaternion(surfaceQuat);
             this.camera.position.copy(this._camTarget).add(rotatedOffset);
             this.camera.lookAt(this._camTarget);
         } else if (this.cameraMode === 'topdown') {
@@ -191,6 +213,24 @@ export class SceneSetup {
             lookTarget.add(forwardTangent.multiplyScalar(0.01));
 
             this.camera.lookAt(lookTarget);
+        } else if (this.cameraMode === 'ending') {
+            // Slow crane shot: pull back and rise while orbiting around the target
+            this._cinematicTime += dt;
+            const t = this._cinematicTime;
+            const pull = 1 + Math.min(t * 0.3, 1.5);
+            const orbitQuat = new THREE.Quaternion().setFromAxisAngle(upNormal, t * 0.12);
+            const craneOffset = this._camOffset.clone()
+                .multiplyScalar(pull)
+                .applyQuaternion(surfaceQuat)
+                .applyQuaternion(orbitQuat);
+            this.camera.position.copy(this._camTarget).add(craneOffset);
+            this.camera.lookAt(this._camTarget);
+        } else if (this.cameraMode === 'focus' && this._focus) {
+            const k = 1 - Math.exp(-dt * 4);
+            this.camera.position.lerp(this._focus.position, k);
+            this._focusLook.lerp(this._focus.target, k);
+            this.camera.up.copy(this._focus.up);
+            this.camera.lookAt(this._focusLook);
         }
 
         // Light follows target
@@ -208,13 +248,18 @@ export class SceneSetup {
             this.dirLight.color.lerpColors(this.nightColors.dir, this.dayColors.dir, this.timeOfDay);
             this.fillLight.color.lerpColors(this.nightColors.fill, this.dayColors.fill, this.timeOfDay);
 
-            this.ambientLight.intensity = THREE.MathUtils.lerp(this.nightColors.ambientInt, this.dayColors.ambientInt, this.timeOfDay);
-            this.dirLight.intensity = THREE.MathUtils.lerp(this.nightColors.dirInt, this.dayColors.dirInt, this.timeOfDay);
+            this.lightBase.ambient = THREE.MathUtils.lerp(this.nightColors.ambientInt, this.dayColors.ambientInt, this.timeOfDay);
+            this.lightBase.dir = THREE.MathUtils.lerp(this.nightColors.dirInt, this.dayColors.dirInt, this.timeOfDay);
             this.fillLight.intensity = THREE.MathUtils.lerp(this.nightColors.fillInt, this.dayColors.fillInt, this.timeOfDay);
 
             this.renderer.toneMappingExposure = THREE.MathUtils.lerp(this.nightColors.exposure, this.dayColors.exposure, this.timeOfDay);
             this._uSkyDay.value = this.timeOfDay;
         }
+
+        // Active → lights brighten, idle → they dim
+        const boost = 1 + ENERGY_LIGHT * e;
+        this.ambientLight.intensity = this.lightBase.ambient * boost;
+        this.dirLight.intensity = this.lightBase.dir * boost;
     }
 
     _onResize() {
@@ -0,0 +1,19 @@
+// serviceWorker.js — Registers public/sw.js so the game keeps working without network.
+// Production builds only: in dev the cache would serve stale Vite modules.
+
+export function registerServiceWorker() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then((reg) => {
+            // Hand over everything this page loaded (hashed bundles, fonts…) —
+            // the first visit happens before the worker can intercept anything.
+            const urls = [
+                location.href,
+                ...performance.getEntriesByType('resource').map(e => e.name),
+            ];
+            reg.active?.postMessage({ type: 'cache-urls', urls });
+        })
+        .catch(err => console.warn('[SW] registration failed:', err));
+}
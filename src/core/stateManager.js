@@ -1,32 +1,41 @@
 // stateManager.js — Behavioral variables shared across systems
 
+import { Emitter } from '../systems/emitter.js';
+
 export const state = {
     // Player behavioral metrics
     movementIntensity: 0,
     idleTimer: 0,
     totalDistanceTravelled: 0,
     maxHeightReached: 0,
+    height: 0,
 
     // Derived room energy [-1, 1]
     roomEnergy: 0,
 
     // Game phase
     phase: 'playing', // 'playing' | 'ending' | 'ended'
+    goal: null,       // id of the win condition that triggered the ending
 
     // Elapsed time in seconds
     elapsedTime: 0,
 };
 
 const INTENSITY_THRESHOLD = 0.5; // units/s to count as "moving"
+export const CLIMB_THRESHOLD = 5; // units height to trigger ending
+
+const phaseChanges = new Emitter();
+const winConditions = new Map(); // id → { test: (state) => boolean, message }
 
 /**
  * Called every frame.
  * @param {number} speed - current player speed (units/s)
  * @param {number} dt - delta time (seconds)
- * @param {number} height - current player Y position
+ * @param {number} height - player altitude above the planet surface
  */
 export function updateState(speed, dt, height) {
     state.elapsedTime += dt;
+    state.height = height;
 
     if (speed > INTENSITY_THRESHOLD) {
         state.movementIntensity += dt * 2;
@@ -45,3 +54,67 @@ export function updateState(speed, dt, height) {
     const raw = state.movementIntensity - state.idleTimer;
     state.roomEnergy = Math.max(-1, Math.min(1, raw * 0.1));
 }
+
+/**
+ * Move to another game phase and notify listeners.
+ * @param {'playing' | 'ending' | 'ended'} phase
+ * @param {string | null} [goal] - win condition id (only meaningful for 'ending')
+ */
+export function setPhase(phase, goal = state.goal) {
+    if (state.phase === phase) return;
+    const prev = state.phase;
+    state.phase = phase;
+    state.goal = phase === 'playing' ? null : goal;
+    phaseChanges.emit(phase, prev);
+}
+
+/**
+ * @param {(phase: string, prev: string) => void} fn
+ * @returns {() => void} unsubscribe
+ */
+export function onPhaseChange(fn) {
+    return phaseChanges.on(fn);
+}
+
+/**
+ * Register a goal that ends the run when `test(state)` returns true.
+ * @param {string} id
+ * @param {(state: typeof state) => boolean} test
+ * @param {string} [message] - text shown on the end screen
+ * @returns {() => void} unregister function
+ */
+export function registerWinCondition(id, test, message) {
+    winConditions.set(id, { test, message });
+    return () => {
+        if (winConditions.get(id)?.test === test) winConditions.delete(id);
+    };
+}
+
+/** End-screen message of the goal that was reached (undefined = default text). */
+export function getGoalMessage() {
+    return winConditions.get(state.goal)?.message;
+}
+
+/**
+ * Called every frame while playing — switches to 'ending' on the first met goal.
+ * @returns {string | null} id of the reached goal
+ */
+export function checkWinConditions() {
+    if (state.phase !== 'playing') return null;
+    for (const [id, { test }] of winConditions) {
+        if (test(state)) {
+            setPhase('ending', id);
+            return id;
+        }
+    }
+    return null;
+}
+
+/** Reset the per-run metrics (restart / new theme). */
+export function resetRun() {
+    state.movementIntensity = 0;
+    state.idleTimer = 0;
+    state.maxHeightReached = 0;
+    state.roomEnergy = 0;
+    setPhase('playing');
+}
@@ -4,6 +4,7 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { DRACO_DECODER_PATH } from '../systems/assetManager.js';
 
 export class Antenna {
     /**
@@ -25,7 +26,7 @@ export class Antenna {
         this._rapierWorld = rapierWorld;
 
         const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
+        dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
 
         const loader = new GLTFLoader();
         loader.setDRACOLoader(dracoLoader);
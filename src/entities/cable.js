@@ -0,0 +1,87 @@
+// cable.js — Rope / cable deformed on the GPU (TSL vertex shader).
+// The geometry is a fixed straight tube built once; every frame only three uniforms change:
+//
+//   centre(t) = mix(start, end, t) + sag · sin(πt)      t ∈ [0, 1] along the cable
+//
+// `sag` is the mid-span displacement — a swinging skip rope spins it around the span,
+// a hanging wire points it down, a rope bridge adds sway on top.
+//
+//   const wire = new Cable(scene, { start, end, radius: 0.03, color: 0x222222 });
+//   wire.setSag(down.clone().multiplyScalar(0.4));
+
+import * as THREE from 'three';
+import { MeshToonNodeMaterial } from 'three/webgpu';
+import { Fn, positionLocal, normalLocal, uniform, mix, sin, cos, float } from 'three/tsl';
+
+export class Cable {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {object} opts
+     * @param {THREE.Vector3} opts.start
+     * @param {THREE.Vector3} opts.end
+     * @param {THREE.Vector3} [opts.sag]          — mid-span displacement (default none)
+     * @param {number} [opts.radius]
+     * @param {number} [opts.segments]            — along the cable
+     * @param {number} [opts.radialSegments]
+     * @param {THREE.ColorRepresentation} [opts.color]
+     */
+    constructor(scene, { start, end, sag = new THREE.Vector3(), radius = 0.05, segments = 24, radialSegments = 6, color = 0xffffff }) {
+        this._scene = scene;
+
+        this._start = uniform(start.clone());
+        this._end = uniform(end.clone());
+        this._sag = uniform(sag.clone());
+        this._ref = uniform(new THREE.Vector3());    // cross-section reference axis, ⊥ span
+        this._updateRef();
+
+        // Straight unit tube along +X: x = t, (y, z) = radial offset
+        const geometry = new THREE.TubeGeometry(
+            new THREE.LineCurve3(new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0)),
+            segments, radius, radialSegments, false
+        );
+
+        const material = new MeshToonNodeMaterial({ color });
+        material.positionNode = Fn(() => {
+            const t = positionLocal.x;
+            const arc = float(Math.PI).mul(t);
+            const center = mix(this._start, this._end, t).add(this._sag.mul(sin(arc)));
+
+            // Frame that follows the curve: tangent from the derivative, normal from the reference axis
+            const tangent = this._end.sub(this._start).add(this._sag.mul(cos(arc).mul(Math.PI))).normalize();
+            const n = this._ref.sub(tangent.mul(tangent.dot(this._ref))).normalize();
+            const b = tangent.cross(n);
+
+            normalLocal.assign(n.mul(normalLocal.y).add(b.mul(normalLocal.z)));
+            return center.add(n.mul(positionLocal.y)).add(b.mul(positionLocal.z));
+        })();
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.frustumCulled = false;   // vertices move far from the unit-tube bounds
+        scene.add(this.mesh);
+    }
+
+    /** Move both anchors (world space). */
+    setEnds(start, end) {
+        this._start.value.copy(start);
+        this._end.value.copy(end);
+        this._updateRef();
+    }
+
+    /** @param {THREE.Vector3} sag — mid-span displacement (world space) */
+    setSag(sag) {
+        this._sag.value.copy(sag);
+    }
+
+    dispose() {
+        this._scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+
+    // The tangent always keeps its span component, so any axis ⊥ span never lines up with it
+    _updateRef() {
+        const span = this._end.value.clone().sub(this._start.value).normalize();
+        const axis = Math.abs(span.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+        this._ref.value.crossVectors(span, axis).normalize();
+    }
+}
@@ -1,15 +1,19 @@
-// cassette.js — Decorative cassette model with animated gears and custom materials.
+// cassette.js — Cassette model with animated gears and custom materials, doubling as the
+// Hub's jukebox: walk up, ENTER plays / pauses the playlist, F skips (systems/musicPlayer.js).
 //
 // • "vitre"         → smoked transparent glass
 // • "Material.003"  → matte black body
-// • "1" to "5"      → rotate at different speeds (gears)
+// • "1" to "5"      → rotate at different speeds (gears) — idling slowly, spinning up while music plays
 // • "ecrou" / "ecrou1" → repositioned lower
 
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { assets, ASSETS } from '../systems/assetManager.js';
 import { MeshStandardNodeMaterial } from 'three/webgpu';
 import { positionLocal, uniform, float, smoothstep, vec3, mix, mx_noise_float } from 'three/tsl';
+import { planet } from '../environment/planetCore.js';
+import { triggers } from '../systems/triggerSystem.js';
+import { input } from '../systems/inputManager.js';
+import { music } from '../systems/musicPlayer.js';
 // ─────────────────────────────────────────────────────────────────────────────
 // Bruno Simon-style toon materials
 // ─────────────────────────────────────────────────────────────────────────────
@@ -92,6 +96,19 @@ const SEG_OFF_MAT = new THREE.MeshStandardMaterial({
     metalness:         0.0,
 });
 
+// Best count colour — the display alternates current / best while nobody is jumping
+const BEST_ON_HEX       = 0x33ccff;
+const BEST_EMISSIVE_HEX = 0x0088ff;
+const BEST_IDLE_S       = 3.0;   // seconds without a new count before the best shows up
+const BEST_SWAP_S       = 1.5;   // current ↔ best period
+
+// Jukebox
+const GEAR_PLAYING = 2.0;        // gear speed multiplier while music plays
+const GEAR_IDLE    = 0.5;        // …and while it's stopped / paused, so the machine never looks dead
+const GEAR_EASE    = 3.0;        // how fast the gears spin up / coast down
+const ZONE_RADIUS  = 2.5;
+const LABEL_HEIGHT = 2.4;        // title label above the cassette
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Constants
 const GEAR_SPEEDS = {
@@ -143,18 +160,79 @@ export class Cassette {
         this._blastPuffs  = [];   // [{ mesh, vel, life, maxLife }]
         this._smokeMat    = null;
         this._jumpCount   = 0;
+        this._best        = 0;
+        this._idleTimer   = 0;
+        this._showingBest = false;
+        this._gearSpeed   = GEAR_IDLE;
 
         // Snap to planet surface
-        const PC = new THREE.Vector3(0, -50, 0);
-        const PLANET_R = 50;
-        const surfDir = new THREE.Vector3().subVectors(position, PC).normalize();
-        this._pos = PC.clone().addScaledVector(surfDir, PLANET_R + this._elevation);
-        this._normal = surfDir.clone();
+        this._pos = planet.project(position, this._elevation);
+        this._normal = planet.upAt(position);
 
         this._qY = new THREE.Quaternion()
             .setFromUnitVectors(new THREE.Vector3(0, 1, 0), this._normal);
 
         this._load();
+
+        // ── Jukebox ───────────────────────────────────────────────────────
+        this._trigger = triggers.add({
+            position: planet.project(position),
+            radius: ZONE_RADIUS,
+            height: this._elevation + 2,
+            label: 'Play music',
+            onInteract: () => music.toggle(),
+        });
+        this._offNext = input.on('punch', () => {
+            if (!this._trigger.isInside || music.tracks.length === 0) return false;
+            music.next();
+            return true;
+        });
+        this._buildLabel();
+        this._offMusic = music.onChange((player) => this._onMusic(player));
+        this._onMusic(music);
+    }
+
+    // ── Jukebox label ─────────────────────────────────────────────────────
+
+    _buildLabel() {
+        this._labelCanvas = document.createElement('canvas');
+        this._labelCanvas.width = 512;
+        this._labelCanvas.height = 96;
+        this._labelTex = new THREE.CanvasTexture(this._labelCanvas);
+        this._labelTex.colorSpace = THREE.SRGBColorSpace;
+        this._label = new THREE.Sprite(new THREE.SpriteMaterial({ map: this._labelTex, depthWrite: false, transparent: true }));
+        this._label.scale.set(4, 0.75, 1);
+        this._label.position.copy(this._pos).addScaledVector(this._normal, LABEL_HEIGHT);
+        this._label.visible = false;
+        this._scene.add(this._label);
+    }
+
+    _onMusic(player) {
+        const playing = player.state === 'playing';
+        this._trigger.label = playing ? 'Pause music · F — next track' : 'Play music';
+
+        const track = player.current;
+        let text = null;
+        if (track && player.state !== 'stopped') text = `${playing ? '♪' : '❚❚'}  ${track.title}`;
+        else if (!track && player.tracks.length === 0 && player.loaded) text = 'No tracks in /audio';
+
+        this._label.visible = text !== null;
+        if (!text) return;
+
+        const ctx = this._labelCanvas.getContext('2d');
+        const { width: W, height: H } = this._labelCanvas;
+        ctx.clearRect(0, 0, W, H);
+        ctx.fillStyle = 'rgba(10, 10, 10, 0.8)';
+        ctx.beginPath();
+        ctx.roundRect(4, 4, W - 8, H - 8, 24);
+        ctx.fill();
+        ctx.font = "40px 'Fredoka One', 'Arial Rounded MT Bold', sans-serif";
+        ctx.fillStyle = playing ? '#ff8800' : '#aaaaaa';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const title = text.length > 24 ? text.slice(0, 23) + '…' : text;
+        ctx.fillText(title, W / 2, H / 2);
+        this._labelTex.needsUpdate = true;
     }
 
     /**
@@ -203,12 +281,7 @@ export class Cassette {
     }
 
     _load() {
-        const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-        const loader = new GLTFLoader();
-        loader.setDRACOLoader(dracoLoader);
-
-        loader.load('/models/cassette.glb', (gltf) => {
+        assets.loadGLTF(ASSETS.cassette).then((gltf) => {
             this._root = gltf.scene;
             this._root.position.copy(this._pos);
 
@@ -409,8 +482,21 @@ export class Cassette {
             this.triggerSmokeBurst();
         }
         this._jumpCount = clamped;
+        this._idleTimer = 0;
+        this._showingBest = false;
+        this._paintDigits(clamped, 0xff8800, 0xff6600);
+    }
+
+    /**
+     * Best count, shown in blue in alternation with the count once the rope is idle.
+     * @param {number} n
+     */
+    setBest(n) {
+        this._best = Math.max(0, Math.min(99, Math.floor(n)));
+    }
 
-        const digits  = [Math.floor(clamped / 10), clamped % 10]; // [digit_0=tens, digit_1=units]
+    _paintDigits(n, onHex, emissiveHex) {
+        const digits  = [Math.floor(n / 10), n % 10]; // [digit_0=tens, digit_1=units]
 
         for (let d = 0; d < 2; d++) {
             const active = DIGIT_SEGS[digits[d]] ?? new Set();
@@ -419,9 +505,9 @@ export class Cassette {
                 const mesh = this._segMeshes[key];
                 if (!mesh) continue;
                 const on = active.has(seg);
-                mesh.material.emissive.setHex(on ? 0xff6600 : 0x000000);
+                mesh.material.emissive.setHex(on ? emissiveHex : 0x000000);
                 mesh.material.emissiveIntensity = on ? 4.0 : 0.0;
-                mesh.material.color.setHex(on ? 0xff8800 : 0x1a0800);
+                mesh.material.color.setHex(on ? onHex : 0x1a0800);
             }
         }
     }
@@ -457,10 +543,12 @@ export class Cassette {
         if (!this._root) return;
         this._time += dt;
 
-        // Animate Gears with individual speeds
+        // Animate Gears with individual speeds — spin up with the music, back to idle when paused
+        const gearTarget = music.state === 'playing' ? GEAR_PLAYING : GEAR_IDLE;
+        this._gearSpeed += (gearTarget - this._gearSpeed) * Math.min(1, dt * GEAR_EASE);
         for (const gear of this._gears) {
             const speed = GEAR_SPEEDS[gear.name] || 1.0;
-            gear.rotation.y += speed * dt;
+            gear.rotation.y += speed * this._gearSpeed * dt;
         }
 
         // Boulons — décélération avec ressort
@@ -552,6 +640,18 @@ export class Cassette {
             }
         }
 
+        // Idle: alternate current count / best count
+        if (this._failTimer <= 0) {
+            this._idleTimer += dt;
+            const showBest = this._best > 0 && this._idleTimer > BEST_IDLE_S
+                && Math.floor((this._idleTimer - BEST_IDLE_S) / BEST_SWAP_S) % 2 === 0;
+            if (showBest !== this._showingBest) {
+                this._showingBest = showBest;
+                if (showBest) this._paintDigits(this._best, BEST_ON_HEX, BEST_EMISSIVE_HEX);
+                else this._paintDigits(this._jumpCount, 0xff8800, 0xff6600);
+            }
+        }
+
         // Success Glimmer (Nixie Tubes)
         if (this._successTimer > 0) {
             this._successTimer -= dt;
@@ -567,6 +667,13 @@ export class Cassette {
     }
 
     dispose() {
+        this._trigger.dispose();
+        this._offNext();
+        this._offMusic();
+        this._scene.remove(this._label);
+        this._label.material.dispose();
+        this._labelTex.dispose();
+
         for (const p of this._blastPuffs) {
             this._scene.remove(p.mesh);
             p.mesh.geometry.dispose();
@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { planet } from '../environment/planetCore.js';
+import { gravity } from '../systems/gravitySystem.js';
+import { audio } from '../systems/audioSystem.js';
 
 const BOMB_RADIUS = 0.4;
 const LIFETIME_S = 3.0; // 3 seconds before explosion
@@ -47,6 +50,9 @@ export class ChatBomb {
             .setDensity(5.0) // heavier than normal objects
             .setRestitution(0.2); // slight bounce
         this.collider = rapierWorld.createCollider(colDesc, this.rigidBody);
+
+        // Bomb gravity (-20 units/s^2)
+        gravity.addBody(this.rigidBody, { strength: 20 });
     }
 
     /**
@@ -58,15 +64,7 @@ export class ChatBomb {
 
         this._elapsed += dt;
 
-        // Apply spherical gravity
         const t = this.rigidBody.translation();
-        const planetCenter = new THREE.Vector3(0, -50, 0);
-        const pos3 = new THREE.Vector3(t.x, t.y, t.z);
-        const upNormal = new THREE.Vector3().subVectors(pos3, planetCenter).normalize();
-
-        // Bomb gravity (-20 units/s^2)
-        const gravityForce = upNormal.clone().multiplyScalar(-20 * dt);
-        this.rigidBody.applyImpulse({ x: gravityForce.x, y: gravityForce.y, z: gravityForce.z }, true);
 
         // Sync visual to physics
         const q = this.rigidBody.rotation();
@@ -94,6 +92,8 @@ export class ChatBomb {
         const center = this.rigidBody.translation();
         const centerVec = new THREE.Vector3(center.x, center.y, center.z);
 
+        audio.playAt('explosion', centerVec, { rate: 0.85 + Math.random() * 0.3 });
+
         // Simple explosion flash
         const flashGeo = new THREE.SphereGeometry(EXPLOSION_RADIUS, 16, 16);
         const flashMat = new THREE.MeshBasicMaterial({ color: 0xffaa00, transparent: true, opacity: 0.8 });
@@ -152,8 +152,7 @@ export class ChatBomb {
                 const forceMag = EXPLOSION_FORCE * (1 - (dist / EXPLOSION_RADIUS));
 
                 // Player needs a specific vector since they use setLinvel and have strong damping
-                const planetCenter = new THREE.Vector3(0, -50, 0);
-                const up = new THREE.Vector3().subVectors(pos, planetCenter).normalize();
+                const up = planet.upAt(pos);
 
                 // Add a guaranteed upward pop of at least 0.5 to lift off the ground
                 dir.addScaledVector(up, 0.5).normalize();
@@ -173,6 +172,7 @@ export class ChatBomb {
 
     dispose() {
         this._alive = false;
+        if (this.rigidBody) gravity.removeBody(this.rigidBody);
 
         // Defer actual cleanup to avoid crashing Rapier if we are inside a physics step
         setTimeout(() => {
@@ -1,14 +1,16 @@
 // chatCharacter.js — A small 3D "viewer" character (cylinder body + sphere head)
 // with a comic-book speech bubble above it. Automatically removes itself after LIFETIME_S.
+// Subscribers get a golden variant with a crown; raiders can drop in from the sky.
 
 import * as THREE from 'three';
+import { planet } from '../environment/planetCore.js';
 
 const LIFETIME_S = 30;
 const HEAD_RADIUS = 0.45;
 const BODY_HEIGHT = 1.1;
 const BODY_RADIUS = 0.32;
-const PLANET_RADIUS = 50;
-const PLANET_CENTER = new THREE.Vector3(0, -50, 0);
+const GOLD = 0xffc83d;
+const CROWN_POINTS = 5;
 
 // Vivid colors for different usernames (hash-based)
 const PALETTE = [
@@ -21,6 +23,24 @@ function colorForName(name) {
     return PALETTE[h % PALETTE.length];
 }
 
+/** Open band + spikes, local +Y up, base at the origin. */
+function makeCrown(material) {
+    const radius = HEAD_RADIUS * 0.7;
+    const band = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius * 0.9, 0.18, 12, 1, true), material);
+    band.position.y = 0.09;
+    const crown = new THREE.Group();
+    crown.add(band);
+    const spikeGeo = new THREE.ConeGeometry(0.07, 0.2, 6);
+    for (let i = 0; i < CROWN_POINTS; i++) {
+        const a = (i / CROWN_POINTS) * Math.PI * 2;
+        const spike = new THREE.Mesh(spikeGeo, material);
+        spike.position.set(Math.cos(a) * radius, 0.27, Math.sin(a) * radius);
+        crown.add(spike);
+    }
+    crown.traverse((o) => { o.castShadow = true; });
+    return crown;
+}
+
 function makeBubbleSprite(username, message, nameColorHex, emotes = [], onUpdate = null) {
     const W = 768, H = 384;
     const c = document.createElement('canvas');
@@ -177,11 +197,17 @@ export class ChatCharacter {
      * @param {string} message
      * @param {string} [twitchColor]  — hex color from Twitch IRC tag, e.g. '#FF0000'
      * @param {Array} [emotes]        — Twitch emotes array
+     * @param {object} [opts]
+     * @param {boolean} [opts.golden]    — gold body + crown (subscribers)
+     * @param {number} [opts.dropHeight] — start this high above the ground and fall in
+     * @param {number} [opts.lifetime]   — seconds before it fades away
      */
-    constructor(scene, position, normal, username, message, twitchColor = '', emotes = []) {
+    constructor(scene, position, normal, username, message, twitchColor = '', emotes = [],
+        { golden = false, dropHeight = 0, lifetime = LIFETIME_S } = {}) {
         this._scene = scene;
         this._alive = true;
         this._elapsed = 0;
+        this._lifetime = lifetime;
         this._meshes = [];
         this._username = username;
         this._emotes = emotes;
@@ -225,7 +251,9 @@ export class ChatCharacter {
 
         // ── Body ─────────────────────────────────────────────────────────
         const bodyGeo = new THREE.CylinderGeometry(BODY_RADIUS, BODY_RADIUS, BODY_HEIGHT, 8);
-        const bodyMat = new THREE.MeshStandardMaterial({ color: col, roughness: 0.8 });
+        const bodyMat = golden
+            ? new THREE.MeshStandardMaterial({ color: GOLD, metalness: 0.9, roughness: 0.25, emissive: GOLD, emissiveIntensity: 0.15 })
+            : new THREE.MeshStandardMaterial({ color: col, roughness: 0.8 });
         this._body = new THREE.Mesh(bodyGeo, bodyMat);
         const startPos = position.clone().addScaledVector(up, BODY_HEIGHT / 2 + 0.02);
         this._body.position.copy(startPos);
@@ -245,6 +273,10 @@ export class ChatCharacter {
         scene.add(this._head);
         this._meshes.push(this._head);
 
+        // ── Crown (golden only) ───────────────────────────────────────────
+        this._crown = golden ? makeCrown(bodyMat) : null;
+        if (this._crown) scene.add(this._crown);
+
         // ── Speech bubble (Sprite – always faces camera) ──────────────────
         let needsHackUpdate = false;
         const tex = makeBubbleSprite(username, message, resolvedHex, emotes, () => {
@@ -264,7 +296,11 @@ export class ChatCharacter {
         this._sprite.scale.setScalar(0.001);
         this._spawnPhase = true;
 
-        this._parseCommands(message);
+        // Falling in: the hop integrator brings it down
+        if (dropHeight > 0) {
+            this._yOffset = dropHeight;
+            this._hopVelocity = 0;
+        }
     }
 
     /** @param {number} dt */
@@ -301,8 +337,8 @@ export class ChatCharacter {
 
         // --- Logic: Moving towards target ---
         // Get current surface direction (ignoring hop)
-        const currentUp = new THREE.Vector3().subVectors(this._body.position, PLANET_CENTER).normalize();
-        const currentSurfacePos = PLANET_CENTER.clone().addScaledVector(currentUp, PLANET_RADIUS);
+        const currentUp = new THREE.Vector3().subVectors(this._body.position, planet.center).normalize();
+        const currentSurfacePos = planet.center.clone().addScaledVector(currentUp, planet.radius);
 
         // Distance to target on sphere surface (approximate by linear distance since it walks short distances)
         let dist = currentSurfacePos.distanceTo(this._targetPos);
@@ -312,7 +348,7 @@ export class ChatCharacter {
             const step = Math.min(this._moveSpeed * dt, dist);
             // Slerp along the sphere
             const startQuat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), currentUp);
-            const targetUp = new THREE.Vector3().subVectors(this._targetPos, PLANET_CENTER).normalize();
+            const targetUp = new THREE.Vector3().subVectors(this._targetPos, planet.center).normalize();
             const targetQuat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), targetUp);
 
             const stepFraction = step / dist;
@@ -320,7 +356,7 @@ export class ChatCharacter {
 
             // Apply new position from interpolated rotation
             const newUp = new THREE.Vector3(0, 1, 0).applyQuaternion(newQuat);
-            const newSurface = PLANET_CENTER.clone().addScaledVector(newUp, PLANET_RADIUS);
+            const newSurface = planet.center.clone().addScaledVector(newUp, planet.radius);
 
             const targetPos = newSurface.clone().addScaledVector(newUp, BODY_HEIGHT / 2 + 0.02 + this._yOffset);
 
@@ -347,12 +383,20 @@ export class ChatCharacter {
             const s = t < 1 ? 1 + 0.3 * Math.sin(t * Math.PI) * (1 - t) : 1;
             this._body.scale.setScalar(s);
             this._head.scale.setScalar(s);
+            this._crown?.scale.setScalar(s);
             this._sprite.scale.set(4.5 * s * this._volumeScale, 2.25 * s * this._volumeScale, 1);
             if (t >= 1) this._spawnPhase = false;
         }
 
+        // Crown sits on the head
+        if (this._crown) {
+            const crownUp = new THREE.Vector3().subVectors(this._body.position, planet.center).normalize();
+            this._crown.position.copy(this._head.position).addScaledVector(crownUp, HEAD_RADIUS * 0.75);
+            this._crown.quaternion.copy(this._body.quaternion);
+        }
+
         // Fade out during last 2 seconds
-        const remaining = LIFETIME_S - this._elapsed;
+        const remaining = this._lifetime - this._elapsed;
         if (remaining < 2) {
             const alpha = Math.max(0, remaining / 2);
             this._body.material.opacity = alpha;
@@ -368,7 +412,7 @@ export class ChatCharacter {
         // Simpler bob: just move sprite Y slightly
         this._sprite.position.y += Math.sin(this._elapsed * 1.8) * 0.0008;
 
-        if (this._elapsed >= LIFETIME_S) {
+        if (this._elapsed >= this._lifetime) {
             this._alive = false;
             this.dispose();
             return false;
@@ -392,6 +436,7 @@ export class ChatCharacter {
      */
     updateMessage(message, twitchColor = '', emotes = []) {
         this._emotes = emotes;
+        this._sprite.visible = true;
 
         const plainText = message.trim();
         const hasLetters = /[a-zA-Z]/.test(plainText);
@@ -434,19 +479,21 @@ export class ChatCharacter {
         this._head.material.opacity = 1;
         this._head.material.transparent = false;
         this._sprite.material.opacity = 1;
+    }
 
-        // Command parsing
-        this._parseCommands(message);
+    /** Hide the speech bubble (the message was deleted by a moderator); a new message shows it again. */
+    clearBubble() {
+        this._sprite.visible = false;
     }
 
-    _parseCommands(message) {
-        const msg = message.toLowerCase().trim();
-        if (msg.includes('!jump')) {
-            this._hopVelocity = 15; // Big jump!
-        }
-        if (msg.includes('!spin')) {
-            this._spinRemaining = 1.5; // Spin for 1.5 seconds
-        }
+    /** Big leap (`!jump`). */
+    jump() {
+        this._hopVelocity = 15;
+    }
+
+    /** Spin on the spot for 1.5 s (`!spin`). */
+    spin() {
+        this._spinRemaining = 1.5;
     }
 
     dispose() {
@@ -455,6 +502,11 @@ export class ChatCharacter {
             m.geometry?.dispose();
             m.material?.dispose();
         }
+        if (this._crown) {
+            this._scene.remove(this._crown);
+            this._crown.traverse((o) => o.geometry?.dispose());   // material is the body's
+            this._crown = null;
+        }
         this._scene.remove(this._sprite);
         this._sprite.material.map?.dispose();
         this._sprite.material.dispose();
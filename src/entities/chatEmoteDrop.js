@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { gravity } from '../systems/gravitySystem.js';
 
 const EMOTE_SIZE = 0.8;
 const EMOTE_THICKNESS = 0.1;
@@ -63,6 +64,10 @@ export class ChatEmoteDrop {
             .setFriction(0.8);
 
         this.collider = rapierWorld.createCollider(colDesc, this.rigidBody);
+
+        // Emote gravity (feels a bit floaty like cardboard)
+        // Needs a strong pull to overcome the high linear damping
+        gravity.addBody(this.rigidBody, { strength: 80 });
     }
 
     update(dt) {
@@ -70,24 +75,7 @@ export class ChatEmoteDrop {
 
         this._elapsed += dt;
 
-        // Apply spherical gravity
         const t = this.rigidBody.translation();
-        const planetCenter = new THREE.Vector3(0, -50, 0);
-        const pos3 = new THREE.Vector3(t.x, t.y, t.z);
-
-        let upNormal;
-        // Need to add safety check in case pos3 is exactly at center, which is unlikely but possible
-        if (pos3.distanceTo(planetCenter) < 0.001) {
-            upNormal = new THREE.Vector3(0, 1, 0);
-        } else {
-            upNormal = new THREE.Vector3().subVectors(pos3, planetCenter).normalize();
-        }
-
-        // Emote gravity (feels a bit floaty like cardboard)
-        // INCREASE gravity so it falls faster and add a directional push towards the center
-        // Needs a strong force to overcome the high linear damping
-        const gravityForce = upNormal.clone().multiplyScalar(-80 * dt);
-        this.rigidBody.applyImpulse({ x: gravityForce.x, y: gravityForce.y, z: gravityForce.z }, true);
 
         // Sync visual to physics
         const q = this.rigidBody.rotation();
@@ -114,6 +102,7 @@ export class ChatEmoteDrop {
 
     dispose() {
         this._alive = false;
+        if (this.rigidBody) gravity.removeBody(this.rigidBody);
 
         setTimeout(() => {
             if (this.mesh && this.mesh.parent) {
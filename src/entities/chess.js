@@ -1,46 +1,219 @@
+// chess.js — The chess.glb board and pieces.
+// Out of a game the pieces are physics toys the player can knock over. During a game
+// (see core/chessMode.js) they turn kinematic and hop from square to square.
+
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { assets, ASSETS } from '../systems/assetManager.js';
+import { planet } from '../environment/planetCore.js';
+import { gravity } from '../systems/gravitySystem.js';
+
+// Piece node names in chess.glb: whitePawn1, blackKnight2, whiteKing…
+const PIECE_NAME = /^(white|black)(Pawn|Rook|Knight|Bishop|Queen|King)/;
+const TYPE_LETTER = { Pawn: 'p', Rook: 'r', Knight: 'n', Bishop: 'b', Queen: 'q', King: 'k' };
+
+const HOP_S = 0.35;        // seconds for a piece to hop to its new square
+const HOP_HEIGHT = 0.8;
+
+/** Highlight colours for setHighlights(). */
+const HIGHLIGHT = {
+    lastMove: new THREE.Color(0xffe066),
+    target: new THREE.Color(0x44dd66),
+    capture: new THREE.Color(0xff8844),
+    selected: new THREE.Color(0x33ccff),
+    check: new THREE.Color(0xff2222),
+    cursor: new THREE.Color(0xffffff),
+};
+const MAX_HIGHLIGHTS = 64;
+
+/**
+ * @typedef {object} ChessPiece
+ * @property {THREE.Mesh} mesh
+ * @property {*} body           — Rapier rigid body
+ * @property {'w' | 'b'} color
+ * @property {string} type       — 'p' | 'n' | 'b' | 'r' | 'q' | 'k'
+ * @property {number} lift       — centre height above the board frame origin
+ * @property {number} liftOffset — extra height after a promotion (queen taller than pawn)
+ * @property {THREE.Quaternion} restQuat — upright orientation
+ */
 
 export class Chess {
     /**
      * @param {THREE.Scene} scene
      * @param {import('@dimforge/rapier3d-compat')} RAPIER
      * @param {import('@dimforge/rapier3d-compat').World} world
-     * @param {THREE.Vector3} position
+     * @param {THREE.Vector3} position — board centre on the planet surface
+     * @param {{ whiteToward?: THREE.Vector3 }} [options] — turn white's side to face this point
      */
-    constructor(scene, RAPIER, world, position = new THREE.Vector3(0, 0, 0)) {
+    constructor(scene, RAPIER, world, position = new THREE.Vector3(0, 0, 0), options = {}) {
         this.scene = scene;
         this.RAPIER = RAPIER;
         this.world = world;
         this.mesh = null;
+        /** @type {ChessPiece[]} */
         this.pieces = [];
         this.boardSquares = [];
         this._boardBodies = []; // tracked for dispose
-        this.blackQueen = null;
 
-        // Input state just for the queen
-        this._queenMoveCooldown = 0;
+        // Board frame (filled once the model is in): square (f, r) = origin + f·file + r·rank
+        this._origin = new THREE.Vector3();
+        this._fileAxis = new THREE.Vector3();
+        this._rankAxis = new THREE.Vector3();
+        this._up = new THREE.Vector3();
+        this._tileTop = 0;
+
+        // Game mode
+        this._inGame = false;
+        this._squares = new Array(64).fill(null);  // square → ChessPiece
+        this._spares = new Map();                   // 'q' → queen mesh to copy on promotion
+        this._highlights = null;
+
+        this._loadModel(position, options.whiteToward ?? null);
+    }
+
+    /** True once the model is loaded and the board frame is known. */
+    get ready() { return this.pieces.length > 0; }
+
+    /** Outward normal of the board. */
+    get up() { return this._up; }
+
+    /** Unit vector from white's side towards black's. */
+    get forward() { return this._rankAxis.clone().normalize(); }
+
+    /** World centre of the board, on the tile surface. */
+    get center() { return this.squarePosition(0, this._tileTop).lerp(this.squarePosition(63, this._tileTop), 0.5); }
+
+    /**
+     * World position of a square (0 = a1 … 63 = h8).
+     * @param {number} sq
+     * @param {number} [lift] — height above the board frame origin
+     */
+    squarePosition(sq, lift = this._tileTop, target = new THREE.Vector3()) {
+        return target.copy(this._origin)
+            .addScaledVector(this._fileAxis, sq & 7)
+            .addScaledVector(this._rankAxis, sq >> 3)
+            .addScaledVector(this._up, lift);
+    }
+
+    /** Square under a world point on the board, -1 if off the board. */
+    squareAt(point) {
+        const d = point.clone().sub(this._origin);
+        const f = Math.round(d.dot(this._fileAxis) / this._fileAxis.lengthSq());
+        const r = Math.round(d.dot(this._rankAxis) / this._rankAxis.lengthSq());
+        return (f < 0 || f > 7 || r < 0 || r > 7) ? -1 : r * 8 + f;
+    }
+
+    /** The board's top plane, for ray picking. */
+    get plane() {
+        return new THREE.Plane().setFromNormalAndCoplanarPoint(this._up, this.squarePosition(0));
+    }
+
+    // ── Game mode ─────────────────────────────────────────────────────────
+
+    /**
+     * Freeze the pieces (kinematic) and set them up for `board`.
+     * @param {(string | null)[]} board — 64 FEN letters, a1 first (ChessGame.board)
+     */
+    setupGame(board) {
+        if (!this.ready) return;
+        this._inGame = true;
+        this._squares.fill(null);
+
+        const pool = [...this.pieces];
+        for (const p of pool) this._restore(p);
+
+        for (let sq = 0; sq < 64; sq++) {
+            const letter = board[sq];
+            if (!letter) continue;
+            const color = letter === letter.toUpperCase() ? 'w' : 'b';
+            const type = letter.toLowerCase();
+            let i = pool.findIndex(p => p.color === color && p.type === type);
+            // Out of meshes of that type (e.g. a position with two queens) — dress up a pawn
+            if (i < 0) {
+                i = pool.findIndex(p => p.color === color && p.type === 'p');
+                if (i >= 0) this._promote(pool[i], type);
+            }
+            if (i < 0) continue;
+            const [piece] = pool.splice(i, 1);
+            this._squares[sq] = piece;
+            this._place(piece, sq);
+        }
+        for (const p of pool) this._capture(p);
+    }
+
+    /**
+     * Animate a move played on the ChessGame.
+     * @param {import('../systems/chessEngine.js').Move} move
+     */
+    applyMove(move) {
+        const piece = this._squares[move.from];
+        if (!piece) return;
+        const white = piece.color === 'w';
+
+        const capSq = move.special === 'ep' ? move.to + (white ? -8 : 8) : move.to;
+        if (this._squares[capSq]) this._capture(this._squares[capSq]);
+        this._squares[capSq] = null;
+
+        this._squares[move.from] = null;
+        this._squares[move.to] = piece;
+        this._hop(piece, move.to);
+
+        // Castling — the rook jumps over the king
+        if (piece.type === 'k' && Math.abs(move.to - move.from) === 2) {
+            const kingside = move.to > move.from;
+            const rookFrom = kingside ? move.from + 3 : move.from - 4;
+            const rookTo = kingside ? move.from + 1 : move.from - 1;
+            const rook = this._squares[rookFrom];
+            this._squares[rookFrom] = null;
+            this._squares[rookTo] = rook;
+            if (rook) this._hop(rook, rookTo);
+        }
+
+        if (move.promotion) this._promote(piece, move.promotion);
+    }
 
-        this._loadModel(position);
+    /** Back to physics toys — pieces stay where the game left them. */
+    endGame() {
+        if (!this._inGame) return;
+        this._inGame = false;
+        this.setHighlights([]);
+        for (const p of this.pieces) {
+            p.anim = null;
+            if (!p.mesh.visible) continue;
+            p.body.setBodyType(this.RAPIER.RigidBodyType.Dynamic, true);
+        }
     }
 
-    _loadModel(position) {
-        const loader = new GLTFLoader();
+    /**
+     * Colour squares on the board.
+     * @param {{ square: number, kind: keyof HIGHLIGHT }[]} list
+     */
+    setHighlights(list) {
+        if (!this._highlights) return;
+        const dummy = new THREE.Object3D();
+        const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), this._up);
+        const count = Math.min(list.length, MAX_HIGHLIGHTS);
+        for (let i = 0; i < count; i++) {
+            const { square, kind } = list[i];
+            // Later entries draw slightly higher so the cursor sits on top of a target
+            this.squarePosition(square, this._tileTop + 0.02 + i * 0.001, dummy.position);
+            dummy.quaternion.copy(quat);
+            dummy.scale.setScalar(kind === 'cursor' ? 1 : 0.9);
+            dummy.updateMatrix();
+            this._highlights.setMatrixAt(i, dummy.matrix);
+            this._highlights.setColorAt(i, HIGHLIGHT[kind]);
+        }
+        this._highlights.count = count;
+        this._highlights.instanceMatrix.needsUpdate = true;
+        if (this._highlights.instanceColor) this._highlights.instanceColor.needsUpdate = true;
+    }
 
-        // Setup Draco Decoder
-        const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/'); // Use standard CDN path
-        loader.setDRACOLoader(dracoLoader);
+    // ── Loading ───────────────────────────────────────────────────────────
 
-        loader.load('/models/chess.glb', (gltf) => {
-            console.log('[Model loaded] chess.glb');
+    _loadModel(position, whiteToward) {
+        assets.loadGLTF(ASSETS.chess).then((gltf) => {
             this.mesh = gltf.scene;
-            this.mesh.position.copy(position);
             this.mesh.scale.set(60, 60, 60);
-
-            // Force compute world matrices immediately for calculation
-            this.mesh.updateMatrixWorld(true);
+            this._placeBoard(position, whiteToward);
 
             const piecesToProcess = [];
             const boardParts = [];
@@ -50,21 +223,8 @@ export class Chess {
                 if (child.isMesh) {
                     child.castShadow = true;
                     child.receiveShadow = true;
-
-                    // Group by semantic names
-                    const isPiece = /pawn|rook|knight|bishop|queen|king/i.test(child.name) || /piece/i.test(child.material?.name);
-
-                    if (isPiece) {
-                        piecesToProcess.push(child);
-
-                        // Identifying the black queen specifically
-                        if (child.name.toLowerCase().includes('queen') && child.material?.name.toLowerCase().includes('black')) {
-                            // Save a reference to process it later
-                            child.userData.isBlackQueen = true;
-                        }
-                    } else {
-                        boardParts.push(child);
-                    }
+                    if (PIECE_NAME.test(child.name)) piecesToProcess.push(child);
+                    else boardParts.push(child);
                 }
             });
 
@@ -88,25 +248,30 @@ export class Chess {
                 this.scene.attach(piece);
 
                 // Generate dynamic physics
-                let rbDesc = this.RAPIER.RigidBodyDesc.dynamic()
+                const rbDesc = this.RAPIER.RigidBodyDesc.dynamic()
                     .setTranslation(center.x, center.y, center.z);
-
-                if (piece.userData.isBlackQueen) {
-                    rbDesc = rbDesc.lockRotations(); // Keep only the Queen upright
-                }
-
                 const body = this.world.createRigidBody(rbDesc);
 
                 // Create cuboid collider
                 const colliderDesc = this.RAPIER.ColliderDesc.cuboid(size.x / 2, size.y / 2, size.z / 2);
                 colliderDesc.setMass(1.0);
                 this.world.createCollider(colliderDesc, body);
-
-                this.pieces.push({ mesh: piece, body: body });
-
-                if (piece.userData.isBlackQueen) {
-                    this.blackQueen = { mesh: piece, body: body };
-                }
+                gravity.addBody(body, { strength: 20 });
+
+                const [, color, type] = PIECE_NAME.exec(piece.name);
+                this.pieces.push({
+                    mesh: piece,
+                    body,
+                    color: color === 'white' ? 'w' : 'b',
+                    type: TYPE_LETTER[type],
+                    center,
+                    lift: 0,
+                    liftOffset: 0,
+                    restQuat: piece.quaternion.clone(),
+                    restScale: piece.scale.clone(),
+                    restGeometry: piece.geometry,
+                    anim: null,
+                });
             });
 
             // 2. Process board as fixed objects
@@ -136,110 +301,175 @@ export class Chess {
                 this.world.createCollider(colliderDesc, body);
             });
 
-        }, undefined, (err) => {
+            this._buildFrame(boardParts);
+            this._buildHighlights();
+        }).catch((err) => {
             console.error('Failed to load chess model:', err);
         });
     }
 
-    update(dt = 1 / 60) {
-        const PLANET_CENTER = new THREE.Vector3(0, -50, 0);
-        const GRAVITY = 20;
+    /** Stand the board on the surface, centred on `position`, white facing `whiteToward`. */
+    _placeBoard(position, whiteToward) {
+        const up = planet.upAt(position);
+        this.mesh.position.copy(position);
+        this.mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), up);
+        this.mesh.updateMatrixWorld(true);
+
+        const worldPos = name => new THREE.Box3().setFromObject(this.mesh.getObjectByName(name)).getCenter(new THREE.Vector3());
+
+        // Spin around the normal so white's side faces `whiteToward`
+        if (whiteToward) {
+            const tangent = v => v.addScaledVector(up, -v.dot(up)).normalize();
+            const current = tangent(worldPos('blackRook1').sub(worldPos('whiteRook1')));
+            const wanted = tangent(position.clone().sub(whiteToward));
+            const angle = Math.atan2(current.clone().cross(wanted).dot(up), current.dot(wanted));
+            this.mesh.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(up, angle));
+            this.mesh.updateMatrixWorld(true);
+        }
 
-        // Synchronize all dynamic pieces and apply spherical gravity
-        for (const p of this.pieces) {
-            const t = p.body.translation();
-            const r = p.body.rotation();
+        // Centre the board (a1–h8 midpoint) on `position`
+        const mid = worldPos('whiteRook1').lerp(worldPos('blackRook2'), 0.5);
+        const shift = position.clone().sub(mid);
+        shift.addScaledVector(up, -shift.dot(up));
+        this.mesh.position.add(shift);
+        this.mesh.updateMatrixWorld(true);
+    }
 
-            // Surface normal
-            const pos3 = new THREE.Vector3(t.x, t.y, t.z);
-            const upNormal = new THREE.Vector3().subVectors(pos3, PLANET_CENTER).normalize();
+    /** Work out the square grid from the corner rooks' starting squares. */
+    _buildFrame(boardParts) {
+        const find = name => this.pieces.find(p => p.mesh.name.startsWith(name)).center;
+        const a1 = find('whiteRook1');
+        const h1 = find('whiteRook2');
+        const a8 = find('blackRook1');
+
+        this._origin.copy(a1);
+        this._fileAxis.subVectors(h1, a1).divideScalar(7);
+        this._rankAxis.subVectors(a8, a1).divideScalar(7);
+        this._up.crossVectors(this._fileAxis, this._rankAxis).normalize();
+        if (this._up.dot(planet.upAt(a1)) < 0) this._up.negate();
+
+        for (const p of this.pieces) p.lift = p.center.clone().sub(this._origin).dot(this._up);
+
+        // Top of the tiles, measured along the board normal
+        const corner = new THREE.Vector3();
+        this._tileTop = -Infinity;
+        for (const part of boardParts) {
+            part.geometry.computeBoundingBox();
+            const { min, max } = part.geometry.boundingBox;
+            for (let i = 0; i < 8; i++) {
+                corner.set(i & 1 ? max.x : min.x, i & 2 ? max.y : min.y, i & 4 ? max.z : min.z)
+                    .applyMatrix4(part.matrixWorld);
+                this._tileTop = Math.max(this._tileTop, corner.sub(this._origin).dot(this._up));
+            }
+        }
 
-            // Apply gravity toward planet center
-            const gImp = upNormal.clone().multiplyScalar(-GRAVITY * dt);
-            p.body.applyImpulse({ x: gImp.x, y: gImp.y, z: gImp.z }, true);
+        // Meshes a promoted pawn can borrow
+        for (const type of ['q', 'r', 'b', 'n']) {
+            const src = this.pieces.find(p => p.type === type);
+            if (src) this._spares.set(type, src);
+        }
+    }
 
-            // Sync mesh position
-            p.mesh.position.set(t.x, t.y, t.z);
+    _buildHighlights() {
+        const size = this._fileAxis.length();
+        this._highlights = new THREE.InstancedMesh(
+            new THREE.PlaneGeometry(size, size),
+            new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.55, depthWrite: false, side: THREE.DoubleSide }),
+            MAX_HIGHLIGHTS
+        );
+        this._highlights.setColorAt(0, HIGHLIGHT.cursor);
+        this._highlights.count = 0;
+        this._highlights.frustumCulled = false;
+        this.scene.add(this._highlights);
+    }
 
-            // If body is not rotation-locked, use physics rotation directly
-            // Otherwise, align mesh upright with surface normal
-            if (p === this.blackQueen) {
-                const uprightQuat = new THREE.Quaternion().setFromUnitVectors(
-                    new THREE.Vector3(0, 1, 0), upNormal
-                );
-                p.mesh.quaternion.copy(uprightQuat);
-            } else {
-                p.mesh.quaternion.set(r.x, r.y, r.z, r.w);
-            }
-        }
+    // ── Piece helpers ─────────────────────────────────────────────────────
+
+    /** Undo captures / promotions from a previous game. */
+    _restore(p) {
+        p.anim = null;
+        p.mesh.visible = true;
+        p.mesh.geometry = p.restGeometry;
+        p.mesh.scale.copy(p.restScale);
+        p.liftOffset = 0;
+        p.body.setEnabled(true);
+        p.body.setBodyType(this.RAPIER.RigidBodyType.KinematicPositionBased, true);
     }
 
-    getBlackQueen() {
-        return this.blackQueen;
+    _place(p, sq) {
+        p.anim = null;
+        this.squarePosition(sq, p.lift + p.liftOffset, p.mesh.position);
+        p.mesh.quaternion.copy(p.restQuat);
+        this._syncBody(p);
     }
 
-    /**
-     * @param {number} dt 
-     * @param {Object} KEYS 
-     */
-    moveQueen(dt, KEYS) {
-        if (!this.blackQueen) return;
+    _hop(p, sq) {
+        p.anim = {
+            from: p.mesh.position.clone(),
+            to: this.squarePosition(sq, p.lift + p.liftOffset),
+            t: 0,
+        };
+    }
 
-        if (this._queenMoveCooldown > 0) {
-            this._queenMoveCooldown -= dt;
-        }
+    _capture(p) {
+        p.anim = null;
+        p.mesh.visible = false;
+        p.body.setEnabled(false);
+    }
 
-        let dx = 0, dz = 0;
-        if (KEYS.ArrowUp) dz -= 1;
-        if (KEYS.ArrowDown) dz += 1;
-        if (KEYS.ArrowLeft) dx -= 1;
-        if (KEYS.ArrowRight) dx += 1;
-
-        if (dx === 0 && dz === 0) return;
-        if (this._queenMoveCooldown > 0) return;
-
-        // Grid-based hopping
-        const currentPos = this.blackQueen.body.translation();
-        const posVec = new THREE.Vector3(currentPos.x, currentPos.y, currentPos.z);
-        const dir = new THREE.Vector3(dx, 0, dz).normalize();
-
-        let bestSquare = null;
-        let bestDist = Infinity;
-
-        // Find the closest square roughly in the input direction
-        for (const sq of this.boardSquares) {
-            const toSq = new THREE.Vector3().subVectors(sq, posVec);
-            toSq.y = 0; // Evaluate only 2D plane
-            const dist = toSq.length();
-
-            // A typical chess square width here is around 7-8 units (assuming scale 60 and 8x8 on a ~60 unit board)
-            if (dist > 1.0 && dist < 25.0) {
-                toSq.normalize();
-                const dot = toSq.dot(dir);
-                if (dot > 0.8) { // Strict angle requirement to enforce grid lines
-                    if (dist < bestDist) {
-                        bestDist = dist;
-                        bestSquare = sq;
-                    }
-                }
+    /** Swap a pawn's mesh for another piece type's. */
+    _promote(p, type) {
+        const src = this._spares.get(type);
+        if (!src) return;
+        p.mesh.geometry = src.restGeometry;
+        p.mesh.scale.copy(src.restScale);
+        p.liftOffset = src.lift - p.lift;
+        if (p.anim) p.anim.to.addScaledVector(this._up, p.liftOffset);
+        else p.mesh.position.addScaledVector(this._up, p.liftOffset);
+        this._syncBody(p);
+    }
+
+    _syncBody(p) {
+        const { x, y, z } = p.mesh.position;
+        const q = p.mesh.quaternion;
+        p.body.setTranslation({ x, y, z }, true);
+        p.body.setRotation({ x: q.x, y: q.y, z: q.z, w: q.w }, true);
+    }
+
+    // ── Update ────────────────────────────────────────────────────────────
+
+    update(dt = 1 / 60) {
+        for (const p of this.pieces) {
+            // Game mode: the mesh leads, the kinematic body follows
+            if (this._inGame) {
+                if (!p.anim) continue;
+                p.anim.t = Math.min(p.anim.t + dt / HOP_S, 1);
+                const t = p.anim.t;
+                p.mesh.position.lerpVectors(p.anim.from, p.anim.to, t)
+                    .addScaledVector(this._up, Math.sin(Math.PI * t) * HOP_HEIGHT);
+                if (t >= 1) p.anim = null;
+                this._syncBody(p);
+                continue;
             }
-        }
 
-        if (bestSquare) {
-            // Teleport slightly above the specific square to complete the "hop"
-            this.blackQueen.body.setTranslation({ x: bestSquare.x, y: posVec.y + 0.5, z: bestSquare.z }, true);
-            this._queenMoveCooldown = 0.25; // 250ms cooldown between hops
+            // Physics toys (gravity comes from the central field)
+            if (!p.mesh.visible) continue;
+            const t = p.body.translation();
+            const r = p.body.rotation();
+            p.mesh.position.set(t.x, t.y, t.z);
+            p.mesh.quaternion.set(r.x, r.y, r.z, r.w);
         }
     }
 
     /** Remove everything this Chess instance added to the scene and Rapier world. */
     dispose() {
         // Pieces were scene.attach()'d directly — remove each from scene
-        for (const { mesh, body } of this.pieces) {
+        for (const { mesh, body, restGeometry } of this.pieces) {
             this.scene.remove(mesh);
-            mesh.geometry?.dispose();
+            restGeometry?.dispose();
             if (Array.isArray(mesh.material)) mesh.material.forEach(m => m.dispose());
             else mesh.material?.dispose();
+            gravity.removeBody(body);
             try { this.world.removeRigidBody(body); } catch (_) { }
         }
         // Board Rapier bodies (fixed)
@@ -255,9 +485,14 @@ export class Chess {
                 else c.material?.dispose();
             });
         }
+        if (this._highlights) {
+            this.scene.remove(this._highlights);
+            this._highlights.geometry.dispose();
+            this._highlights.material.dispose();
+            this._highlights = null;
+        }
         this.pieces = [];
         this._boardBodies = [];
         this.mesh = null;
-        this.blackQueen = null;
     }
 }
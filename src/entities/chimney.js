@@ -1,8 +1,9 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { assets, ASSETS } from '../systems/assetManager.js';
 import { MeshStandardNodeMaterial, MeshBasicNodeMaterial } from 'three/webgpu';
 import { color, float, uniform, normalLocal, positionLocal } from 'three/tsl';
+import { planet } from '../environment/planetCore.js';
+import { audio } from '../systems/audioSystem.js';
 
 export class Chimney {
     /**
@@ -31,24 +32,16 @@ export class Chimney {
         this._glowLight = null;
         this._setupSmoke(scene, position);
 
-        const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
+        // Fire crackling at the smoke exit
+        this._crackle = audio.loop('fire', this._spawnPos, { volume: 0.8 });
 
-        const loader = new GLTFLoader();
-        loader.setDRACOLoader(dracoLoader);
-
-        loader.load(
-            '/models/chemine_blend.glb',
+        assets.loadGLTF(ASSETS.chimney).then(
             (gltf) => {
-                console.log('[Model loaded] chemine_blend.glb', gltf.scene);
                 this._root = gltf.scene;
                 this._root.scale.setScalar(scale);
 
                 // Align chimney to the spherical planet surface
-                const PLANET_CENTER = new THREE.Vector3(0, -50, 0); // Assuming standard HubWorld planet
-                const surfaceNormal = new THREE.Vector3()
-                    .subVectors(position, PLANET_CENTER)
-                    .normalize();
+                const surfaceNormal = planet.upAt(position);
 
                 // Align Y-up of the chimney to match the surface normal
                 const alignQuat = new THREE.Quaternion()
@@ -133,7 +126,6 @@ export class Chimney {
                     this._outlineMeshes.push(om);
                 }
             },
-            undefined,
             (err) => console.error('[Model ERROR] chemine_blend.glb', err)
         );
     }
@@ -146,8 +138,7 @@ export class Chimney {
         this._puffSpeed = new Float32Array(this._PUFF_COUNT);
         this._puffOffset = new Float32Array(this._PUFF_COUNT);
 
-        const PLANET_CENTER = new THREE.Vector3(0, -50, 0);
-        this._surfaceNormal = new THREE.Vector3().subVectors(basePosition, PLANET_CENTER).normalize();
+        this._surfaceNormal = planet.upAt(basePosition);
 
         // Tangent vectors for lateral drift
         const upRef = Math.abs(this._surfaceNormal.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
@@ -316,6 +307,9 @@ export class Chimney {
     }
 
     dispose() {
+        audio.remove(this._crackle);
+        this._crackle = null;
+
         if (this._rigidBody && this._rapierWorld) {
             this._rapierWorld.removeRigidBody(this._rigidBody);
             this._rigidBody = null;
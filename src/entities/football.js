@@ -1,36 +1,56 @@
-// football.js — Soccer ball (dynamic physics) + goal post (fixed, on sphere surface)
-// Includes goal detection, confetti celebration, and GOAL!! banner trigger
+// football.js — Soccer ball (dynamic physics) + two facing goal posts (fixed, on sphere surface)
+// Includes goal detection, confetti celebration, and GOAL!! banner trigger.
+// Free play is just for fun; core/footballMatch.js turns the pitch into a timed match
+// (and keeps the goal stats).
 
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { assets, ASSETS } from '../systems/assetManager.js';
+import { planet } from '../environment/planetCore.js';
+import { gravity } from '../systems/gravitySystem.js';
+import { achievements } from '../systems/achievementSystem.js';
+import { audio } from '../systems/audioSystem.js';
 
-const PLANET_RADIUS = 50;
-const PLANET_CENTER = new THREE.Vector3(0, -PLANET_RADIUS, 0);
-const GRAVITY = 20;
 
-// Goal is near the brick wall spawn (wallStartPos ≈ (-6, 0, 8))
-// Direction from planet center (0,-50,0) to (- 6,0,8) = (-6, 50, 8)
-const GOAL_WORLD_DIR = new THREE.Vector3(-6, 100, 8).normalize();
-const GOAL_SURFACE_POS = PLANET_CENTER.clone().addScaledVector(GOAL_WORLD_DIR, PLANET_RADIUS);
-const GOAL_TRIGGER_RADIUS = 3.5;
+// Pitch runs north–south just west of spawn: goals 0 (south) and 1 (north) face each other
+const PITCH_CENTER = [-6, 0];    // cap (x, z)
+const GOAL_DISTANCE = 8;         // centre spot → goal line
+const GOAL_SIZE = 9;             // largest model dimension, world units
+
+// Goal mouth around the model origin (model scaled to GOAL_SIZE), for the ball's centre
+const MOUTH_HALF_WIDTH = 3.4;
+const MOUTH_HEIGHT = 2.8;
+const LINE_OFFSET = 0.5;         // fully over the line: the posts stand ~1.1 in front of the origin
+const NET_DEPTH = 1.6;
+
+// Kick / bounce sound: any sudden change of ball velocity (player punch, keeper clearance, post…)
+const KICK_DV = 4;               // units/s between two frames
+const KICK_DV_LOUD = 16;         // full volume at this change
+const KICK_COOLDOWN_S = 0.1;
 
 export class Football {
     /**
      * @param {THREE.Scene} scene
      * @param {import('@dimforge/rapier3d-compat')} RAPIER
      * @param {import('@dimforge/rapier3d-compat').World} world
+     * @param {{ onGoal?: (goalIndex: number) => void }} [options] — called for each goal scored
      */
-    constructor(scene, RAPIER, world) {
+    constructor(scene, RAPIER, world, { onGoal } = {}) {
         this.scene = scene;
         this.RAPIER = RAPIER;
         this.world = world;
         this.ballMesh = null;
         this.ballBody = null;
-        this.goalMesh = null;  // stored for dispose
-        this.goalBody = null;  // stored for dispose
-        this.goalScored = false;
+        this._onGoal = onGoal ?? null;
         this._goalCooldown = 0;
+        this._lastVel = new THREE.Vector3();
+        this._kickCooldown = 0;
+
+        // Resolved against the active planet at construction
+        this.center = planet.capPoint(...PITCH_CENTER);
+        this.goals = [
+            this._goalFrame(planet.capPoint(PITCH_CENTER[0], PITCH_CENTER[1] + GOAL_DISTANCE)),
+            this._goalFrame(planet.capPoint(PITCH_CENTER[0], PITCH_CENTER[1] - GOAL_DISTANCE)),
+        ];
 
         // ── Confetti particle system ──────────────────────────────────────
         this._confetti = null;
@@ -39,99 +59,17 @@ export class Football {
         this._confettiVelocities = [];
         this._setupConfetti(scene);
 
-        const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-        const loader = new GLTFLoader();
-        loader.setDRACOLoader(dracoLoader);
-
-        // ── Goal post: fixed, placed on sphere surface near brick wall ────
-        const goalNormal = GOAL_WORLD_DIR.clone();
-        // Align Y axis to surface normal, then rotate 180° around it to flip direction
-        const uprightQuat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), goalNormal);
-        const flipQuat = new THREE.Quaternion().setFromAxisAngle(goalNormal, Math.PI);
-        const goalQuat = flipQuat.multiply(uprightQuat);
-
-        loader.load('/models/3d_model_of_soccer__football_goal_post.glb', (gltf) => {
-            console.log('[Model loaded] football_goal_post.glb');
-            const goal = gltf.scene;
-
-            // Scale to reasonable world size
-            const box = new THREE.Box3().setFromObject(goal);
-            const size = box.getSize(new THREE.Vector3());
-            const targetSize = 9; // 6 × 1.3
-            const scale = targetSize / Math.max(size.x, size.y, size.z);
-            goal.scale.setScalar(scale);
-
-            goal.position.copy(GOAL_SURFACE_POS);
-            goal.quaternion.copy(goalQuat);
-
-            goal.traverse(node => {
-                if (node.isMesh) {
-                    node.castShadow = true;
-                    node.receiveShadow = true;
-                }
-            });
-
-            this.goalMesh = goal; // store for dispose
-            scene.add(goal);
-
-            // Fixed physics collider so the ball can bounce off the goal correctly
-            goal.updateMatrixWorld(true);
-
-            // We use a fixed body at the center to parent our colliders
-            const worldBox = new THREE.Box3().setFromObject(goal);
-            const worldCenter = worldBox.getCenter(new THREE.Vector3());
-
-            const rbDesc = this.RAPIER.RigidBodyDesc.fixed()
-                .setTranslation(worldCenter.x, worldCenter.y, worldCenter.z);
-            this.goalBody = this.world.createRigidBody(rbDesc);
-
-            // Create precise trimesh colliders for every mesh in the goal
-            goal.traverse(node => {
-                if (node.isMesh && node.geometry) {
-                    node.updateMatrixWorld(true);
-
-                    const geom = node.geometry;
-                    if (geom.attributes.position) {
-                        const vArray = geom.attributes.position.array;
-                        const vertices = new Float32Array(vArray.length);
-
-                        // Convert local vertices to world coordinates manually
-                        const vec = new THREE.Vector3();
-                        for (let i = 0; i < vArray.length; i += 3) {
-                            vec.set(vArray[i], vArray[i + 1], vArray[i + 2]);
-                            vec.applyMatrix4(node.matrixWorld);
-                            // Important: Shift vertices so they are relative to the RigidBody's translation
-                            vertices[i] = vec.x - worldCenter.x;
-                            vertices[i + 1] = vec.y - worldCenter.y;
-                            vertices[i + 2] = vec.z - worldCenter.z;
-                        }
-
-                        let indices;
-                        if (geom.index) {
-                            indices = new Uint32Array(geom.index.array);
-                        } else {
-                            indices = new Uint32Array(vertices.length / 3);
-                            for (let i = 0; i < indices.length; i++) indices[i] = i;
-                        }
-
-                        const colliderDesc = this.RAPIER.ColliderDesc.trimesh(vertices, indices)
-                            .setFriction(0.3)
-                            .setRestitution(0.4);
-
-                        this.world.createCollider(colliderDesc, this.goalBody);
-                    }
-                }
-            });
-        }, undefined, (err) => console.error('Failed to load goal:', err));
+        // ── Goal posts: fixed, placed on sphere surface, mouths facing the centre spot ──
+        for (const frame of this.goals) {
+            assets.loadGLTF(ASSETS.goalPost)
+                .then((gltf) => this._buildGoal(gltf.scene, frame))
+                .catch((err) => console.error('Failed to load goal:', err));
+        }
 
         // ── Soccer ball: dynamic, with spherical gravity ──────────────────
-        const ballSpawnPos = PLANET_CENTER.clone().addScaledVector(
-            new THREE.Vector3(0, 1, 0), PLANET_RADIUS + 1.5
-        );
+        const ballSpawnPos = this._kickoffPoint();
 
-        loader.load('/models/soccer_ball__football.glb', (gltf) => {
-            console.log('[Model loaded] soccer_ball.glb');
+        assets.loadGLTF(ASSETS.football).then((gltf) => {
             this.ballMesh = gltf.scene;
 
             const box = new THREE.Box3().setFromObject(this.ballMesh);
@@ -148,7 +86,7 @@ export class Football {
             });
 
             scene.add(this.ballMesh);
-        }, undefined, (err) => console.error('Failed to load soccer ball:', err));
+        }).catch((err) => console.error('Failed to load soccer ball:', err));
 
         // Rapier ball physics
         const BALL_RADIUS = 0.6;
@@ -161,12 +99,117 @@ export class Football {
             RAPIER.ColliderDesc.ball(BALL_RADIUS).setRestitution(0.65).setFriction(0.9),
             this.ballBody
         );
+        gravity.addBody(this.ballBody, { strength: 20 });
 
         // UI banner ref
         this._banner = document.getElementById('goal-banner');
         this._bannerTimeout = null;
     }
 
+    /** World position of the ball (null once disposed). */
+    get ballPosition() {
+        if (!this.ballBody) return null;
+        const t = this.ballBody.translation();
+        return new THREE.Vector3(t.x, t.y, t.z);
+    }
+
+    /** Put the ball back on the centre spot, dead still. */
+    kickoff() {
+        if (!this.ballBody) return;
+        const p = this._kickoffPoint();
+        this.ballBody.setTranslation({ x: p.x, y: p.y, z: p.z }, true);
+        this.ballBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+        this.ballBody.setAngvel({ x: 0, y: 0, z: 0 }, true);
+        this._lastVel.set(0, 0, 0);
+        this._goalCooldown = 0;   // the ball is out of the net — the next goal counts at once
+    }
+
+    _kickoffPoint() {
+        return this.center.clone().addScaledVector(planet.upAt(this.center), 1.5);
+    }
+
+    /**
+     * Goal-local axes: `mouth` points out of the goal towards the centre spot,
+     * `side` runs along the goal line, `up` is the surface normal.
+     */
+    _goalFrame(position) {
+        const up = planet.upAt(position);
+        const mouth = this.center.clone().sub(position).projectOnPlane(up).normalize();
+        const side = new THREE.Vector3().crossVectors(up, mouth);
+        return { position, up, mouth, side, mesh: null, body: null };
+    }
+
+    /** Place a goal model (its mouth opens along +Z) and give it trimesh colliders. */
+    _buildGoal(goal, frame) {
+        // Scale to reasonable world size
+        const box = new THREE.Box3().setFromObject(goal);
+        const size = box.getSize(new THREE.Vector3());
+        const scale = GOAL_SIZE / Math.max(size.x, size.y, size.z);
+        goal.scale.setScalar(scale);
+
+        goal.position.copy(frame.position);
+        goal.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(frame.side, frame.up, frame.mouth));
+
+        goal.traverse(node => {
+            if (node.isMesh) {
+                node.castShadow = true;
+                node.receiveShadow = true;
+            }
+        });
+
+        frame.mesh = goal; // store for dispose
+        this.scene.add(goal);
+
+        // Fixed physics collider so the ball can bounce off the goal correctly
+        goal.updateMatrixWorld(true);
+
+        // We use a fixed body at the center to parent our colliders
+        const worldBox = new THREE.Box3().setFromObject(goal);
+        const worldCenter = worldBox.getCenter(new THREE.Vector3());
+
+        const rbDesc = this.RAPIER.RigidBodyDesc.fixed()
+            .setTranslation(worldCenter.x, worldCenter.y, worldCenter.z);
+        frame.body = this.world.createRigidBody(rbDesc);
+
+        // Create precise trimesh colliders for every mesh in the goal
+        goal.traverse(node => {
+            if (node.isMesh && node.geometry) {
+                node.updateMatrixWorld(true);
+
+                const geom = node.geometry;
+                if (geom.attributes.position) {
+                    const vArray = geom.attributes.position.array;
+                    const vertices = new Float32Array(vArray.length);
+
+                    // Convert local vertices to world coordinates manually
+                    const vec = new THREE.Vector3();
+                    for (let i = 0; i < vArray.length; i += 3) {
+                        vec.set(vArray[i], vArray[i + 1], vArray[i + 2]);
+                        vec.applyMatrix4(node.matrixWorld);
+                        // Important: Shift vertices so they are relative to the RigidBody's translation
+                        vertices[i] = vec.x - worldCenter.x;
+                        vertices[i + 1] = vec.y - worldCenter.y;
+                        vertices[i + 2] = vec.z - worldCenter.z;
+                    }
+
+                    let indices;
+                    if (geom.index) {
+                        indices = new Uint32Array(geom.index.array);
+                    } else {
+                        indices = new Uint32Array(vertices.length / 3);
+                        for (let i = 0; i < indices.length; i++) indices[i] = i;
+                    }
+
+                    const colliderDesc = this.RAPIER.ColliderDesc.trimesh(vertices, indices)
+                        .setFriction(0.3)
+                        .setRestitution(0.4);
+
+                    this.world.createCollider(colliderDesc, frame.body);
+                }
+            }
+        });
+    }
+
     _setupConfetti(scene) {
         this.CONFETTI_COUNT = 150;
         const geo = new THREE.BoxGeometry(0.25, 0.5, 0.05); // Flat confetti shape
@@ -207,9 +250,21 @@ export class Football {
         scene.add(this._confettiMesh);
     }
 
-    _triggerGoal() {
+    /** Is `pos` behind the goal line, inside the net? */
+    _inGoal(pos, { position, up, mouth, side }) {
+        const local = pos.clone().sub(position);
+        const depth = -local.dot(mouth);
+        return depth > -LINE_OFFSET && depth < NET_DEPTH
+            && Math.abs(local.dot(side)) < MOUTH_HALF_WIDTH
+            && local.dot(up) < MOUTH_HEIGHT;
+    }
+
+    _triggerGoal(index) {
         if (this._goalCooldown > 0) return;
         this._goalCooldown = 5.0; // 5s cooldown before next goal
+        achievements.unlock('first-goal');
+        this._onGoal?.(index);
+        const goalPos = this.goals[index].position;
 
         // Show GOAL!! banner
         if (this._banner) {
@@ -226,12 +281,12 @@ export class Football {
 
         // Burst confetti from goal position
         const COUNT = this.CONFETTI_COUNT;
-        const surfaceNormal = new THREE.Vector3().subVectors(GOAL_SURFACE_POS, PLANET_CENTER).normalize();
+        const surfaceNormal = new THREE.Vector3().subVectors(goalPos, planet.center).normalize();
         for (let i = 0; i < COUNT; i++) {
             // Random start position near goal
-            this._cPos[i * 3] = GOAL_SURFACE_POS.x + (Math.random() - 0.5) * 2;
-            this._cPos[i * 3 + 1] = GOAL_SURFACE_POS.y + (Math.random() - 0.5) * 2;
-            this._cPos[i * 3 + 2] = GOAL_SURFACE_POS.z + (Math.random() - 0.5) * 2;
+            this._cPos[i * 3] = goalPos.x + (Math.random() - 0.5) * 2;
+            this._cPos[i * 3 + 1] = goalPos.y + (Math.random() - 0.5) * 2;
+            this._cPos[i * 3 + 2] = goalPos.z + (Math.random() - 0.5) * 2;
 
             // Random burst velocity (mostly outward along normal + random XYZ)
             const speed = 4 + Math.random() * 8;
@@ -248,12 +303,9 @@ export class Football {
     update(dt) {
         if (!this.ballBody) return;
 
-        // Spherical gravity for ball
         const t = this.ballBody.translation();
         const pos3 = new THREE.Vector3(t.x, t.y, t.z);
-        const upNormal = new THREE.Vector3().subVectors(pos3, PLANET_CENTER).normalize();
-        const gImp = upNormal.clone().multiplyScalar(-GRAVITY * dt);
-        this.ballBody.applyImpulse({ x: gImp.x, y: gImp.y, z: gImp.z }, true);
+        const upNormal = planet.upAt(pos3);
 
         // Sync ball mesh
         if (this.ballMesh) {
@@ -262,11 +314,21 @@ export class Football {
             this.ballMesh.quaternion.set(rot.x, rot.y, rot.z, rot.w);
         }
 
+        // Kick sound
+        const v = this.ballBody.linvel();
+        const dv = this._lastVel.distanceTo(v);
+        this._lastVel.set(v.x, v.y, v.z);
+        this._kickCooldown = Math.max(0, this._kickCooldown - dt);
+        if (dv > KICK_DV && this._kickCooldown === 0) {
+            this._kickCooldown = KICK_COOLDOWN_S;
+            audio.playAt('kick', pos3, { volume: Math.min(1, dv / KICK_DV_LOUD), rate: 0.9 + Math.random() * 0.2 });
+        }
+
         // Goal detection: is ball near the goal trigger zone?
         this._goalCooldown = Math.max(0, this._goalCooldown - dt);
-        const distToGoal = pos3.distanceTo(GOAL_SURFACE_POS);
-        if (distToGoal < GOAL_TRIGGER_RADIUS && this._goalCooldown === 0) {
-            this._triggerGoal();
+        if (this._goalCooldown === 0) {
+            const index = this.goals.findIndex(g => this._inGoal(pos3, g));
+            if (index >= 0) this._triggerGoal(index);
         }
 
         // Confetti update (InstancedMesh)
@@ -332,12 +394,19 @@ export class Football {
                 else c.material?.dispose();
             });
         };
-        removeFromScene(this.goalMesh);
+        for (const goal of this.goals) {
+            removeFromScene(goal.mesh);
+            if (goal.body) { try { this.world.removeRigidBody(goal.body); } catch (_) { } }
+            goal.mesh = goal.body = null;
+        }
         removeFromScene(this.ballMesh);
         removeFromScene(this._confettiMesh);
-        if (this.goalBody) { try { this.world.removeRigidBody(this.goalBody); } catch (_) { } }
-        if (this.ballBody) { try { this.world.removeRigidBody(this.ballBody); } catch (_) { } }
-        this.goalMesh = this.ballMesh = this._confettiMesh = null;
-        this.goalBody = this.ballBody = null;
+        if (this.ballBody) {
+            gravity.removeBody(this.ballBody);
+            try { this.world.removeRigidBody(this.ballBody); } catch (_) { }
+        }
+        clearTimeout(this._bannerTimeout);
+        this.ballMesh = this._confettiMesh = null;
+        this.ballBody = null;
     }
 }
@@ -0,0 +1,135 @@
+// goalkeeper.js — Simple AI keeper for football matches.
+// Slides along its goal line shadowing the ball, blocks shots with a kinematic capsule
+// and boots the ball back towards the other goal when it gets close enough.
+
+import * as THREE from 'three';
+
+const HALF_HEIGHT = 0.55;    // capsule: cylinder half-height…
+const RADIUS = 0.45;         // …and radius
+const LINE_OUT = 1.8;        // stands this far in front of the goal origin (on the line)
+const RANGE = 2.8;           // max sideways travel from the goal centre
+const SPEED = 4.5;           // sideways speed, units/s — beatable by a well-placed shot
+const KICK_RANGE = 1.6;      // ball centre within this distance → clear it
+const KICK_SPEED = 14;       // ball speed given by a clearance
+const KICK_COOLDOWN_S = 1.0;
+const KICK_SPREAD = 0.35;    // radians of random aim error
+
+export class Goalkeeper {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {*} RAPIER
+     * @param {*} world
+     * @param {{ position: THREE.Vector3, up: THREE.Vector3, mouth: THREE.Vector3, side: THREE.Vector3 }} goal
+     *        — frame of the goal to defend (see Football.goals)
+     * @param {THREE.Vector3} clearTo — where clearances are aimed (the opposing goal)
+     */
+    constructor(scene, RAPIER, world, goal, clearTo) {
+        this.scene = scene;
+        this.world = world;
+        this._goal = goal;
+        this._clearTo = clearTo.clone();
+        this._lateral = 0;
+        this._kickCooldown = 0;
+
+        // ── Mesh: shirt, head, two gloves ─────────────────────────────────
+        this.mesh = new THREE.Group();
+        const shirt = new THREE.Mesh(
+            new THREE.CapsuleGeometry(RADIUS, HALF_HEIGHT * 2, 4, 12),
+            new THREE.MeshStandardMaterial({ color: 0x69db7c, roughness: 0.8 })
+        );
+        const head = new THREE.Mesh(
+            new THREE.SphereGeometry(0.32, 16, 12),
+            new THREE.MeshStandardMaterial({ color: 0xffe0b2, roughness: 0.7 })
+        );
+        head.position.y = HALF_HEIGHT + RADIUS + 0.22;
+        const gloveGeo = new THREE.SphereGeometry(0.18, 12, 8);
+        const gloveMat = new THREE.MeshStandardMaterial({ color: 0xffa94d, roughness: 0.6 });
+        for (const x of [-0.62, 0.62]) {
+            const glove = new THREE.Mesh(gloveGeo, gloveMat);
+            glove.position.set(x, 0.35, 0.1);
+            this.mesh.add(glove);
+        }
+        this.mesh.add(shirt, head);
+        this.mesh.traverse(c => { if (c.isMesh) c.castShadow = true; });
+        // Face the pitch: local +Z along the goal mouth
+        this.mesh.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(goal.side, goal.up, goal.mouth));
+        scene.add(this.mesh);
+
+        // ── Physics: kinematic capsule, moved every frame ─────────────────
+        const p = this._positionAt(0);
+        const q = this.mesh.quaternion;
+        this.body = world.createRigidBody(
+            RAPIER.RigidBodyDesc.kinematicPositionBased()
+                .setTranslation(p.x, p.y, p.z)
+                .setRotation({ x: q.x, y: q.y, z: q.z, w: q.w })
+        );
+        world.createCollider(RAPIER.ColliderDesc.capsule(HALF_HEIGHT, RADIUS).setRestitution(0.5), this.body);
+        this.mesh.position.copy(p);
+    }
+
+    /** Back to the middle of the goal (after a goal / at kickoff). */
+    reset() {
+        this._lateral = 0;
+        this._kickCooldown = 0;
+        const p = this._positionAt(0);
+        this.body.setTranslation({ x: p.x, y: p.y, z: p.z }, true);
+        this.mesh.position.copy(p);
+    }
+
+    /**
+     * Call every frame.
+     * @param {number} dt
+     * @param {*} ballBody — the ball's Rapier body
+     */
+    update(dt, ballBody) {
+        const t = ballBody.translation();
+        const ball = new THREE.Vector3(t.x, t.y, t.z);
+        const { position, side } = this._goal;
+
+        // Shadow the ball sideways, clamped to the goal mouth
+        const target = THREE.MathUtils.clamp(ball.clone().sub(position).dot(side), -RANGE, RANGE);
+        const step = SPEED * dt;
+        this._lateral += THREE.MathUtils.clamp(target - this._lateral, -step, step);
+
+        const p = this._positionAt(this._lateral);
+        this.body.setNextKinematicTranslation({ x: p.x, y: p.y, z: p.z });
+        this.mesh.position.copy(p);
+
+        // Clear the ball upfield
+        this._kickCooldown = Math.max(0, this._kickCooldown - dt);
+        if (this._kickCooldown === 0 && ball.distanceTo(p) < KICK_RANGE) {
+            this._kickCooldown = KICK_COOLDOWN_S;
+            this._kick(ballBody, ball);
+        }
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.traverse(c => {
+            c.geometry?.dispose();
+            c.material?.dispose();
+        });
+        try { this.world.removeRigidBody(this.body); } catch (_) { }
+        this.body = null;
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _positionAt(lateral) {
+        const { position, up, mouth, side } = this._goal;
+        return position.clone()
+            .addScaledVector(mouth, LINE_OUT)
+            .addScaledVector(side, lateral)
+            .addScaledVector(up, HALF_HEIGHT + RADIUS);
+    }
+
+    _kick(ballBody, ball) {
+        const up = this._goal.up;
+        const dir = this._clearTo.clone().sub(ball).projectOnPlane(up).normalize()
+            .applyAxisAngle(up, (Math.random() * 2 - 1) * KICK_SPREAD);
+        const impulse = dir.multiplyScalar(KICK_SPEED).addScaledVector(up, KICK_SPEED * 0.35)
+            .multiplyScalar(ballBody.mass());
+        ballBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+        ballBody.applyImpulse({ x: impulse.x, y: impulse.y, z: impulse.z }, true);
+    }
+}
@@ -1,8 +1,13 @@
 // highStriker.js — Fête foraine: zone d'activation + jauge oscillante + frappe
+// + panneau de classement (top 10 local) et mode « défi du chat » : les viewers tapent
+// !strike pour faire la queue, le streamer frappe pour eux et le score leur est crédité.
 import * as THREE from 'three';
-
-const PC = new THREE.Vector3(0, -50, 0);
-const PR = 50;
+import { planet } from '../environment/planetCore.js';
+import { triggers } from '../systems/triggerSystem.js';
+import { input } from '../systems/inputManager.js';
+import { save } from '../systems/saveSystem.js';
+import { achievements } from '../systems/achievementSystem.js';
+import { audio } from '../systems/audioSystem.js';
 
 const TOWER_H  = 8.0;
 const TOWER_R  = 0.09;
@@ -12,6 +17,17 @@ const ZONE_R   = 3.2;   // rayon de la zone d'activation
 const GRAVITY  = 26;
 const BASE_ω   = Math.PI * 1.4;
 
+// Difficultés : vitesse de la jauge (× BASE_ω) et bonus de force en échange
+const DIFFICULTIES = [
+    { key: 'facile',    label: 'Facile',    speed: 0.7, bonus: 0.8  },
+    { key: 'normal',    label: 'Normal',    speed: 1.0, bonus: 1.0  },
+    { key: 'difficile', label: 'Difficile', speed: 1.5, bonus: 1.25 },
+];
+const MAX_FORCE   = 1000;   // force d'une frappe parfaite en Normal
+const BOARD_SIZE  = 10;
+const MAX_QUEUE   = 20;
+const PLAYER_NAME = 'Vous';
+
 // Seuils de couleur pour les repères visuels de la jauge
 const LEVELS = [
     { min: 0.00, color: '#888888' },
@@ -35,8 +51,8 @@ export class HighStriker {
         this._RAPIER = RAPIER;
         this._world  = world;
 
-        this._normal     = position.clone().sub(PC).normalize();
-        this._surfacePos = PC.clone().add(this._normal.clone().multiplyScalar(PR));
+        this._normal     = planet.upAt(position);
+        this._surfacePos = planet.project(position);
         this._baseQuat   = new THREE.Quaternion()
             .setFromUnitVectors(new THREE.Vector3(0, 1, 0), this._normal);
 
@@ -46,30 +62,46 @@ export class HighStriker {
         this._gaugeVal    = 0;
         this._puckY       = 0.3;
         this._puckVel     = 0;
+        this._bellRung    = false;
         this._resultTimer = 0;
         this._coolTimer   = 0;
         this._hammerSwing = undefined;
         this._resultLevel = null;
+        this._force       = 0;
+        this._creditedTo  = null;   // viewer pour qui la frappe en cours compte
+        this._queue       = [];     // viewers en attente (!strike)
+        this._offStrike   = null;
+
+        const savedDiff  = save.data.settings.highStrikerDifficulty;
+        this._difficulty = DIFFICULTIES.find(d => d.key === savedDiff) ?? DIFFICULTIES[1];
+
+        // Zone d'activation : Entrée lance la jauge (prompt géré par TriggerSystem)
+        this._trigger = triggers.add({
+            position: this._surfacePos,
+            radius: ZONE_R + 0.5,
+            label: 'High Striker',
+            onInteract: () => this._startGauge(),
+        });
+        this._trigger.interactable = false;
 
-        // Suivi touche Entrée (pattern SpawnerZone)
-        this._enterDown     = false;
-        this._enterConsumed = false;
-        this._onEnterDown = (e) => { if (e.code === 'Enter') this._enterDown = true; };
-        this._onEnterUp   = (e) => { if (e.code === 'Enter') { this._enterDown = false; this._enterConsumed = false; } };
-        window.addEventListener('keydown', this._onEnterDown);
-        window.addEventListener('keyup',   this._onEnterUp);
-
-        // Capture Space uniquement pendant la phase ready
-        this._onSpaceDown = (e) => {
-            if (e.code === 'Space' && this._state === 'ready') {
-                e.stopImmediatePropagation();
-                this._strike();
-            }
-        };
-        window.addEventListener('keydown', this._onSpaceDown, true);
+        // Capture le saut uniquement pendant la phase ready (consommé → pas de saut)
+        this._offJump = input.on('jump', () => {
+            if (this._state !== 'ready') return false;
+            this._strike();
+            return true;
+        });
+
+        // F dans la zone : change la difficulté
+        this._offPunch = input.on('punch', () => {
+            if (this._state !== 'inZone') return false;
+            this._cycleDifficulty();
+            return true;
+        });
 
         this._buildMesh();
+        this._buildSign();
         this._buildUI();
+        this._updateLabel();
         this._buildPhysics();
         this._setupConfetti();
     }
@@ -171,27 +203,96 @@ export class HighStriker {
         this._scene.add(this._group);
     }
 
+    // ── Panneau de classement ───────────────────────────────────────────────
+
+    _buildSign() {
+        const W = 512, H = 640;
+        this._signCanvas = document.createElement('canvas');
+        this._signCanvas.width  = W;
+        this._signCanvas.height = H;
+        this._signTex = new THREE.CanvasTexture(this._signCanvas);
+        this._signTex.colorSpace = THREE.SRGBColorSpace;
+
+        const sign = new THREE.Group();
+        const darkMat = new THREE.MeshToonMaterial({ color: 0x2e1205 });
+        const faceMat = new THREE.MeshBasicMaterial({ map: this._signTex });
+
+        // Deux faces dos à dos : lisible des deux côtés
+        const faceGeo = new THREE.PlaneGeometry(2.0, 2.5);
+        const front = new THREE.Mesh(faceGeo, faceMat);
+        front.position.z = 0.06;
+        const back = new THREE.Mesh(faceGeo, faceMat);
+        back.position.z = -0.06;
+        back.rotation.y = Math.PI;
+
+        const frame = new THREE.Mesh(new THREE.BoxGeometry(2.15, 2.65, 0.1), darkMat);
+        frame.castShadow = true;
+        for (const x of [-0.85, 0.85]) {
+            const post = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 2.0, 6), darkMat);
+            post.position.set(x, -2.1, 0);
+            sign.add(post);
+        }
+        sign.add(frame, front, back);
+        sign.position.set(2.4, 3.1, 0);
+        this._group.add(sign);
+
+        this._drawSign();
+    }
+
+    _drawSign() {
+        const ctx = this._signCanvas.getContext('2d');
+        const W = this._signCanvas.width, H = this._signCanvas.height;
+        const font = (px) => `${px}px 'Fredoka One', 'Arial Rounded MT Bold', sans-serif`;
+
+        ctx.fillStyle = '#3a1a0a';
+        ctx.fillRect(0, 0, W, H);
+        ctx.strokeStyle = '#ffcc00';
+        ctx.lineWidth = 10;
+        ctx.strokeRect(12, 12, W - 24, H - 24);
+
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffcc00';
+        ctx.font = font(46);
+        ctx.fillText('CLASSEMENT', W / 2, 58);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = font(24);
+        ctx.fillText(`Difficulté : ${this._difficulty.label}`, W / 2, 100);
+
+        const board = save.getLeaderboard('highStriker');
+        const tag = { facile: 'F', normal: 'N', difficile: 'D' };
+        for (let i = 0; i < BOARD_SIZE; i++) {
+            const y = 146 + i * 42;
+            const e = board[i];
+            ctx.fillStyle = i === 0 ? '#ffd700' : i < 3 ? '#ffe8a0' : '#ffffff';
+            ctx.font = font(28);
+            ctx.textAlign = 'left';
+            ctx.fillText(`${i + 1}.`, 36, y);
+            if (!e) continue;
+            const name = e.name.length > 14 ? e.name.slice(0, 13) + '…' : e.name;
+            ctx.fillText(name, 90, y);
+            ctx.textAlign = 'right';
+            ctx.fillText(`${e.score}`, W - 80, y);
+            ctx.fillStyle = 'rgba(255,255,255,0.55)';
+            ctx.font = font(20);
+            ctx.fillText(tag[e.difficulty] ?? '', W - 36, y);
+        }
+
+        // File d'attente du chat
+        ctx.textAlign = 'center';
+        ctx.font = font(24);
+        ctx.fillStyle = '#9fd8ff';
+        const [next, ...rest] = this._queue;
+        ctx.fillText(next
+            ? `Suivant : ${next}${rest.length ? ` (+${rest.length})` : ''}`
+            : 'Chat : !strike pour jouer', W / 2, H - 44);
+
+        this._signTex.needsUpdate = true;
+    }
+
     // ── UI ──────────────────────────────────────────────────────────────────
 
     _buildUI() {
-        // Hint "ENTRÉE pour jouer"
-        this._hintEl = document.createElement('div');
-        this._hintEl.style.cssText = `
-            position: fixed;
-            bottom: 30px;
-            left: 50%;
-            transform: translateX(-50%);
-            display: none;
-            font-family: 'Fredoka One', monospace;
-            font-size: 20px;
-            color: white;
-            text-shadow: 2px 2px 5px rgba(0,0,0,0.85);
-            pointer-events: none;
-            z-index: 9997;
-        `;
-        this._hintEl.innerHTML = '🔔 <strong>ENTRÉE</strong> pour jouer';
-        document.body.appendChild(this._hintEl);
-
         // Jauge verticale (visible seulement en état ready)
         this._gaugeEl = document.createElement('div');
         this._gaugeEl.style.cssText = `
@@ -241,12 +342,16 @@ export class HighStriker {
                             text-shadow:2px 2px 4px rgba(0,0,0,0.9);
                             text-align:center">
                     <strong>ESPACE</strong><br>pour frapper
+                    <div id="hs-diff" style="font-size:13px;opacity:0.8"></div>
+                    <div id="hs-for" style="font-size:13px;color:#9fd8ff"></div>
                 </div>
             </div>
         `;
 
         document.body.appendChild(this._gaugeEl);
         this._fillEl = this._gaugeEl.querySelector('#hs-fill');
+        this._diffEl = this._gaugeEl.querySelector('#hs-diff');
+        this._forEl  = this._gaugeEl.querySelector('#hs-for');
     }
 
     // ── Physics ─────────────────────────────────────────────────────────────
@@ -265,12 +370,51 @@ export class HighStriker {
         this._rb = rb;
     }
 
+    // ── Chat challenge + difficulté ─────────────────────────────────────────
+
+    /**
+     * Branche le chat Twitch : `!strike` met le viewer dans la file d'attente.
+     * @param {import('../systems/chatSystem.js').ChatSystem | null} chat
+     */
+    setChat(chat) {
+        this._offStrike?.();
+        this._offStrike = chat ? chat.commands.register({
+            name: 'strike', description: 'Queue up for the High Striker',
+            handler: ({ user }) => {
+                this._enqueue(user.name);
+                return true;
+            },
+        }) : null;
+    }
+
+    _enqueue(username) {
+        if (this._queue.includes(username) || this._queue.length >= MAX_QUEUE) return;
+        this._queue.push(username);
+        this._drawSign();
+    }
+
+    _cycleDifficulty() {
+        const i = DIFFICULTIES.indexOf(this._difficulty);
+        this._difficulty = DIFFICULTIES[(i + 1) % DIFFICULTIES.length];
+        save.data.settings.highStrikerDifficulty = this._difficulty.key;
+        save.commit();
+        this._updateLabel();
+        this._drawSign();
+    }
+
+    _updateLabel() {
+        this._trigger.label = `High Striker · ${this._difficulty.label} (F : difficulté)`;
+    }
+
     // ── Game logic ───────────────────────────────────────────────────────────
 
     _strike() {
         this._state   = 'striking';
         this._puckVel = this._gaugeVal * 26;
+        this._bellRung = false;
         this._resultLevel = [...LEVELS].reverse().find(l => this._gaugeVal >= l.min) || LEVELS[0];
+        this._force       = Math.round(this._gaugeVal * MAX_FORCE * this._difficulty.bonus);
+        this._creditedTo  = this._queue.shift() ?? null;
         this._hammerSwing = 0;
         this._gaugeEl.style.display = 'none';
 
@@ -295,8 +439,27 @@ export class HighStriker {
             `;
             document.body.appendChild(this._resultEl);
         }
+        // Classement (viewer crédité ou joueur) + record personnel conservés dans la sauvegarde
+        const pct  = Math.round(this._gaugeVal * 100);
+        const name = this._creditedTo ?? PLAYER_NAME;
+        const rank = save.addToLeaderboard('highStriker',
+            { name, score: this._force, difficulty: this._difficulty.key }, BOARD_SIZE);
+        let line;
+        if (this._creditedTo) {
+            line = `pour ${this._creditedTo}`;
+        } else {
+            save.recordBest('highStriker', 'bestForce', this._force);
+            const isBest = save.recordBest('highStriker', 'bestPercent', pct);
+            line = isBest ? '★ NOUVEAU RECORD ★' : `record : ${save.getRecord('highStriker', 'bestPercent')}%`;
+        }
+        // Nœuds texte uniquement : le pseudo vient du chat et ne doit jamais être lu comme du HTML
+        const details = document.createElement('div');
+        details.style.cssText = 'font-size:22px;color:#fff';
+        details.append(`force ${this._force}${rank >= 0 ? ` · n°${rank + 1} au classement` : ''}`,
+            document.createElement('br'), line);
         this._resultEl.style.color   = this._resultLevel.color;
-        this._resultEl.textContent   = Math.round(this._gaugeVal * 100) + '%';
+        this._resultEl.replaceChildren(`${pct}%`, details);
+        this._drawSign();
         this._resultEl.style.display = 'block';
         requestAnimationFrame(() => {
             this._resultEl.style.transform = 'translate(-50%, -50%) scale(1)';
@@ -402,34 +565,29 @@ export class HighStriker {
 
     // ── Update ───────────────────────────────────────────────────────────────
 
+    _startGauge() {
+        if (this._state !== 'inZone') return;
+        this._state      = 'ready';
+        this._gaugeTime  = 0;
+        this._puckY      = 0.3;
+        this._trigger.interactable = false;
+        this._diffEl.textContent = this._difficulty.label;
+        this._forEl.textContent  = this._queue.length ? `pour ${this._queue[0]}` : '';
+        this._gaugeEl.style.display = 'flex';
+    }
+
     update(dt, player) {
         if (!player) return;
 
-        const pPos = new THREE.Vector3().copy(player.rigidBody.translation());
-        const near = pPos.distanceTo(this._surfacePos) < ZONE_R + 0.5;
+        const near = this._trigger.isInside;
 
         // ── Transitions ──────────────────────────────────────────────────────
 
-        if (this._state === 'idle' && near) {
-            this._state = 'inZone';
-            this._hintEl.style.display = 'block';
-        }
+        if (this._state === 'idle' && near) this._state = 'inZone';
 
-        if (this._state === 'inZone') {
-            if (!near) {
-                // Quitte la zone
-                this._state = 'idle';
-                this._hintEl.style.display = 'none';
-                this._enterConsumed = false;
-            } else if (this._enterDown && !this._enterConsumed) {
-                // Lance le jeu
-                this._enterConsumed = true;
-                this._state      = 'ready';
-                this._gaugeTime  = 0;
-                this._puckY      = 0.3;
-                this._hintEl.style.display  = 'none';
-                this._gaugeEl.style.display = 'flex';
-            }
+        if (this._state === 'inZone' && !near) {
+            // Quitte la zone
+            this._state = 'idle';
         }
 
         if (this._state === 'ready' && !near) {
@@ -452,7 +610,7 @@ export class HighStriker {
         // ── Jauge oscillante ──────────────────────────────────────────────────
         if (this._state === 'ready') {
             this._gaugeTime += dt;
-            const ω = BASE_ω * (1 + this._gaugeTime * 0.05);
+            const ω = BASE_ω * this._difficulty.speed * (1 + this._gaugeTime * 0.05);
             this._gaugeVal = Math.abs(Math.sin(this._gaugeTime * ω));
             this._fillEl.style.height = (this._gaugeVal * 100).toFixed(1) + '%';
         }
@@ -463,7 +621,12 @@ export class HighStriker {
             this._puckY   += this._puckVel * dt;
 
             if (this._puckY >= TOWER_H - 0.4) {
+                if (!this._bellRung) {
+                    this._bellRung = true;
+                    audio.playAt('bell', this._surfacePos.clone().addScaledVector(this._normal, TOWER_H));
+                }
                 this._puckY = TOWER_H - 0.4;
+                achievements.unlock('ring-the-bell');
                 this._bellMat.emissiveIntensity = Math.max(
                     this._bellMat.emissiveIntensity, 2.8);
             }
@@ -493,10 +656,11 @@ export class HighStriker {
             if (this._coolTimer <= 0) {
                 this._puckY = 0.3;
                 this._state = near ? 'inZone' : 'idle';
-                if (near) this._hintEl.style.display = 'block';
             }
         }
 
+        this._trigger.interactable = this._state === 'inZone';
+
         // ── Visuals ───────────────────────────────────────────────────────────
         this._puckMesh.position.y = this._puckY;
         this._updateConfetti(dt);
@@ -513,9 +677,11 @@ export class HighStriker {
     // ── Dispose ──────────────────────────────────────────────────────────────
 
     dispose() {
-        window.removeEventListener('keydown', this._onEnterDown);
-        window.removeEventListener('keyup',   this._onEnterUp);
-        window.removeEventListener('keydown', this._onSpaceDown, true);
+        this._trigger.dispose();
+        this._offJump();
+        this._offPunch();
+        this._offStrike?.();
+        this._signTex.dispose();
         this._scene.remove(this._group);
         this._group.traverse(obj => {
             if (!obj.isMesh) return;
@@ -523,7 +689,6 @@ export class HighStriker {
             const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
             mats.forEach(m => m.dispose());
         });
-        this._hintEl?.remove();
         this._gaugeEl?.remove();
         this._resultEl?.remove();
         if (this._confettiMesh) {
@@ -1,7 +1,19 @@
-// jumpRope.js — Decorative skip rope with animated rope geometry.
+// jumpRope.js — Skip rope, animated on the GPU (see cable.js).
+// The rope speeds up with the streak; from DOUBLE_DUTCH_AT jumps a second, counter-rotating
+// rope joins in (double-dutch). Each jump is graded by how late the player took off before
+// the rope reached the danger zone — later = riskier = more points, and perfects chain a combo.
 import * as THREE from 'three';
+import { planet } from '../environment/planetCore.js';
+import { triggers } from '../systems/triggerSystem.js';
+import { Cable } from './cable.js';
 
 const ROPE_SPEED_BASE  = 0.85;  // revolutions/second
+const SPEED_RAMP       = 0.03;  // +3 % per jump in the streak…
+const SPEED_MAX        = 1.8;   // …up to this multiple of the base speed
+const DOUBLE_DUTCH_AT  = 10;    // streak that brings in the second rope
+const PERFECT_S        = 0.15;  // takeoff this close before the rope arrives → perfect
+const GREAT_S          = 0.3;   // … → great
+const MAX_COMBO        = 4;     // perfect-combo bonus cap
 const ROPE_HALF_SPAN = 2.5;    // centre → post distance
 const POST_HEIGHT    = 2.0;    // rope attachment height
 const ARC_RADIUS     = 2.0;    // rope arc amplitude
@@ -11,18 +23,21 @@ const TUBE_SEGS      = 24;
 const TUBE_R         = 0.055;
 
 export class JumpRope {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Vector3} position
+     * @param {object} [options]
+     * @param {(jump: { streak: number, grade: 'perfect' | 'great' | 'ok', combo: number, points: number }) => void} [options.onJumpSuccess]
+     * @param {(streak: number) => void} [options.onJumpFail] — streak that was lost
+     */
     constructor(scene, position, options = {}) {
         this._scene = scene;
         this._onJumpSuccess = options.onJumpSuccess || null;
         this._onJumpFail    = options.onJumpFail    || null;
-        this._wasInDanger = false;
 
         // Planet alignment
-        const PC     = new THREE.Vector3(0, -50, 0);
-        const PLANET_R = 50;
-        const surfDir  = new THREE.Vector3().subVectors(position, PC).normalize();
-        this._pos = PC.clone().addScaledVector(surfDir, PLANET_R);
-        this._normal = surfDir.clone();
+        this._pos = planet.project(position);
+        this._normal = planet.upAt(position);
 
         const ref = Math.abs(this._normal.y) < 0.9
             ? new THREE.Vector3(0, 1, 0)
@@ -36,12 +51,35 @@ export class JumpRope {
         // State
         this._angle = 0;
         this._ropeSpeed = ROPE_SPEED_BASE;
+        this._streak = 0;
+        this._combo = 0;
+        this._time = 0;
+        this._takeoffAt = -Infinity;   // when the player last left the ground
+        this._wasOnGround = true;
 
         this._meshes = [];
+        this._sag = new THREE.Vector3();
         this._buildPosts();
-        this._buildRope();
+        // Main rope + the double-dutch one: same spin, mirrored direction, half a turn apart
+        this._ropes = [
+            this._buildRope(0xdd2200, 1, 0),
+            this._buildRope(0x2255dd, -1, Math.PI),
+        ];
+        this._ropes[1].cable.mesh.visible = false;
+
+        // Jump zone — tall enough to keep a jumping player inside
+        this._zone = triggers.add({
+            position: this._pos,
+            radius: ZONE_RADIUS,
+            height: POST_HEIGHT + ARC_RADIUS,
+            // Walking off the pad ends the streak like a missed jump
+            onExit: () => { if (this._streak > 0) this._fail(); },
+        });
     }
 
+    get streak() { return this._streak; }
+    get isDoubleDutch() { return this._ropes[1].active; }
+
     _buildPosts() {
         const postMat = new THREE.MeshToonMaterial({ color: 0x774422 });
         const knobMat = new THREE.MeshToonMaterial({ color: 0x553311 });
@@ -67,85 +105,100 @@ export class JumpRope {
         }
     }
 
-    _buildRope() {
-        const ropeMat = new THREE.MeshToonMaterial({ color: 0xdd2200 });
-        const curve   = new THREE.CatmullRomCurve3(this._ropePoints(0));
-        this._ropeMesh = new THREE.Mesh(
-            new THREE.TubeGeometry(curve, TUBE_SEGS, TUBE_R, 6, false),
-            ropeMat
-        );
-        this._scene.add(this._ropeMesh);
+    _buildRope(color, dir, phase) {
+        const cable = new Cable(this._scene, {
+            start: this._pos.clone().addScaledVector(this._tA, -ROPE_HALF_SPAN).addScaledVector(this._normal, POST_HEIGHT),
+            end: this._pos.clone().addScaledVector(this._tA, ROPE_HALF_SPAN).addScaledVector(this._normal, POST_HEIGHT),
+            sag: this._ropeSag(phase),
+            radius: TUBE_R,
+            segments: TUBE_SEGS,
+            color,
+        });
+        return { cable, dir, phase, active: dir === 1, wasInDanger: false };
     }
 
-    _ropePoints(angle) {
-        const N = 14;
-        const pts = [];
-        for (let i = 0; i < N; i++) {
-            const t    = i / (N - 1);
-            const sinT = Math.sin(Math.PI * t);
-            const x    = -ROPE_HALF_SPAN + t * ROPE_HALF_SPAN * 2;
-            const y    = POST_HEIGHT - sinT * ARC_RADIUS * Math.cos(angle);
-            const z    = sinT * ARC_RADIUS * Math.sin(angle);
-            pts.push(
-                this._pos.clone()
-                    .addScaledVector(this._tA, x)
-                    .addScaledVector(this._normal, y)
-                    .addScaledVector(this._tB, z)
-            );
-        }
-        return pts;
+    /** Mid-span offset of a rope at `angle` — 0 = hanging straight down. */
+    _ropeSag(angle, target = new THREE.Vector3()) {
+        return target.copy(this._normal).multiplyScalar(-ARC_RADIUS * Math.cos(angle))
+            .addScaledVector(this._tB, ARC_RADIUS * Math.sin(angle));
     }
 
     update(dt, player) {
         // Advance rope
+        this._time += dt;
         this._angle = (this._angle + this._ropeSpeed * Math.PI * 2 * dt) % (Math.PI * 2);
 
-        // Rebuild rope tube geometry
-        const oldGeo = this._ropeMesh.geometry;
-        this._ropeMesh.geometry = new THREE.TubeGeometry(
-            new THREE.CatmullRomCurve3(this._ropePoints(this._angle)),
-            TUBE_SEGS, TUBE_R, 6, false
-        );
-        oldGeo.dispose();
-
-        // ── Player detection ───────────────────────────────────────────────
-        if (!player) return;
-        const t    = player.rigidBody.translation();
-        const pPos = new THREE.Vector3(t.x, t.y, t.z);
-        const diff  = new THREE.Vector3().subVectors(pPos, this._pos);
-        const heightAbove = diff.dot(this._normal);
-        const lateral = diff.clone()
-            .sub(this._normal.clone().multiplyScalar(heightAbove))
-            .length();
-
-        const isInZone = lateral < ZONE_RADIUS;
-
-        // Rope bottom height above surface
-        const ropeBottomH = POST_HEIGHT - ARC_RADIUS * Math.cos(this._angle);
-        const inDanger    = ropeBottomH < DANGER_H;
-
-        if (isInZone && inDanger && !this._wasInDanger) {
-            const jumped = !player._onGround;
-            if (jumped) {
-                this._onJumpSuccess?.();
-            } else {
-                this._onJumpFail?.();
+        // Track takeoff for timing grades
+        if (player) {
+            if (this._wasOnGround && !player._onGround) this._takeoffAt = this._time;
+            this._wasOnGround = player._onGround;
+        }
+
+        for (const rope of this._ropes) {
+            if (!rope.active) continue;
+            const angle = rope.dir * this._angle + rope.phase;
+
+            rope.cable.setSag(this._ropeSag(angle, this._sag));
+
+            // ── Player detection ───────────────────────────────────────────
+            // Rope bottom height above surface
+            const ropeBottomH = POST_HEIGHT - ARC_RADIUS * Math.cos(angle);
+            const inDanger    = ropeBottomH < DANGER_H;
+
+            if (player && this._zone.isInside && inDanger && !rope.wasInDanger) {
+                if (!player._onGround) this._success();
+                else this._fail();
             }
+            rope.wasInDanger = inDanger;
         }
+    }
+
+    // ── Streak ────────────────────────────────────────────────────────────
+
+    _success() {
+        this._streak++;
+        const lead = this._time - this._takeoffAt;
+        const grade = lead < PERFECT_S ? 'perfect' : lead < GREAT_S ? 'great' : 'ok';
+        this._combo = grade === 'perfect' ? Math.min(this._combo + 1, MAX_COMBO) : 0;
+        const points = 1 + (grade === 'perfect' ? this._combo : grade === 'great' ? 1 : 0);
+
+        this._ropeSpeed = ROPE_SPEED_BASE * Math.min(SPEED_MAX, 1 + SPEED_RAMP * this._streak);
+        // The main rope is at the bottom right now, so the second one joins at the top
+        if (this._streak === DOUBLE_DUTCH_AT) this._setDoubleDutch(true);
+
+        this._onJumpSuccess?.({ streak: this._streak, grade, combo: this._combo, points });
+    }
+
+    _fail() {
+        const lost = this._streak;
+        this._endStreak();
+        this._onJumpFail?.(lost);
+    }
+
+    /** Back to one slow rope. */
+    _endStreak() {
+        this._streak = 0;
+        this._combo = 0;
+        this._ropeSpeed = ROPE_SPEED_BASE;
+        this._setDoubleDutch(false);
+    }
 
-        this._wasInDanger = inDanger;
+    _setDoubleDutch(on) {
+        const rope = this._ropes[1];
+        rope.active = on;
+        rope.cable.mesh.visible = on;
+        rope.wasInDanger = false;
     }
 
     dispose() {
+        this._zone.dispose();
         for (const m of this._meshes) {
             this._scene.remove(m);
             m.geometry?.dispose();
             if (Array.isArray(m.material)) m.material.forEach(x => x.dispose());
             else m.material?.dispose();
         }
-        this._scene.remove(this._ropeMesh);
-        this._ropeMesh.geometry?.dispose();
-        this._ropeMesh.material?.dispose();
+        for (const { cable } of this._ropes) cable.dispose();
     }
 }
 
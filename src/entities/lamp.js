@@ -1,8 +1,14 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { assets, ASSETS } from '../systems/assetManager.js';
 import { MeshBasicNodeMaterial } from 'three/webgpu';
 import { uniform, normalLocal, positionLocal } from 'three/tsl';
+import { planet } from '../environment/planetCore.js';
+import { audio } from '../systems/audioSystem.js';
+import { audioReactive } from '../systems/audioReactive.js';
+
+const HUM_VOLUME = 0.35;   // electric hum of a lit lamp, full night
+const LAMP_HEIGHT = 4;     // pole height at scale 1 — the hum comes from the bulb
+const BEAT_FLICKER = 0.8;  // extra emissive on a beat of the music
 
 export class Lamp {
     /**
@@ -16,7 +22,8 @@ export class Lamp {
         this._maxInstances = maxInstances;
         this._RAPIER = RAPIER;
         this._world = world;
-        this._instances = []; // Array of { matrix, pos, rigidBody }
+        this._instances = []; // Array of { matrix, pos, rigidBody, hum }
+        this._night = 0;      // 0 = day, 1 = night (last setTimeOfDay)
 
         this._modelLoaded = false;
         this._instancedMeshes = []; // Array of { instancedMesh, originalMesh }
@@ -28,14 +35,7 @@ export class Lamp {
         this._outlineEnabled = true;
         this._nightEmissiveIntensity = 50.0; // max emissive in full night
 
-        const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-
-        const loader = new GLTFLoader();
-        loader.setDRACOLoader(dracoLoader);
-
-        loader.load(
-            '/models/lampadaire.glb',
+        assets.loadGLTF(ASSETS.lamp).then(
             (gltf) => {
                 console.log('[Lamp] Model loaded for emissive-only instancing');
 
@@ -94,8 +94,7 @@ export class Lamp {
         if (!this._modelLoaded) return;
         if (this._instances.length >= this._maxInstances) return;
 
-        const PLANET_CENTER = new THREE.Vector3(0, -50, 0);
-        const surfaceNormal = new THREE.Vector3().subVectors(position, PLANET_CENTER).normalize();
+        const surfaceNormal = planet.upAt(position);
 
         // Matrix setup
         const dummy = new THREE.Object3D();
@@ -120,9 +119,13 @@ export class Lamp {
             this._world.createCollider(colDesc, rigidBody);
         }
 
+        // Hum — only audible while the bulb is lit
+        const bulb = position.clone().addScaledVector(surfaceNormal, LAMP_HEIGHT * scale);
+        const hum = audio.loop('hum', bulb, { volume: this._night * HUM_VOLUME, refDistance: 3 });
+
         // Track instance
         const index = this._instances.length;
-        this._instances.push({ matrix: dummy.matrix.clone(), pos: position.clone(), scale, rigidBody });
+        this._instances.push({ matrix: dummy.matrix.clone(), pos: position.clone(), scale, rigidBody, hum });
 
         // Update InstancedMeshes
         for (const { instancedMesh } of this._instancedMeshes) {
@@ -151,10 +154,7 @@ export class Lamp {
             const rz = (Math.random() - 0.5) * 2 * range;
 
             const p = new THREE.Vector3(rx, 2, rz);
-            const PLANET_CENTER = new THREE.Vector3(0, -50, 0);
-            const PLANET_RADIUS = 50;
-            const dir = new THREE.Vector3().subVectors(p, PLANET_CENTER).normalize();
-            const surfacePos = PLANET_CENTER.clone().add(dir.multiplyScalar(PLANET_RADIUS + 0.1));
+            const surfacePos = planet.project(p, 0.1);
 
             this.addInstance(surfacePos, 1.2 + Math.random() * 0.6);
         }
@@ -165,6 +165,7 @@ export class Lamp {
             if (inst.rigidBody && this._world) {
                 this._world.removeRigidBody(inst.rigidBody);
             }
+            audio.remove(inst.hum);
         }
         this._instances = [];
         for (const { instancedMesh } of this._instancedMeshes) {
@@ -191,15 +192,20 @@ export class Lamp {
     }
 
     /**
-     * Drive lamp emission from the scene day/night cycle.
+     * Drive lamp emission from the scene day/night cycle (flickers on music beats).
      * t = 1.0 → full day  (no emission)
      * t = 0.0 → full night (full emission)
      */
     setTimeOfDay(t) {
         const night = 1 - t; // 0 = day, 1 = night
+        if (night !== this._night) {
+            for (const inst of this._instances) inst.hum?.setVolume(night * HUM_VOLUME);
+        }
+        this._night = night;
+        const flicker = 1 + audioReactive.uniforms.beat.value * BEAT_FLICKER;
         for (const { instancedMesh } of this._instancedMeshes) {
             if (instancedMesh.name === 'Plane_2' && instancedMesh.material) {
-                instancedMesh.material.emissiveIntensity = night * this._nightEmissiveIntensity;
+                instancedMesh.material.emissiveIntensity = night * this._nightEmissiveIntensity * flicker;
                 instancedMesh.material.opacity = night;
             }
         }
@@ -1,18 +1,13 @@
 // player.js — Player mesh, top-down controller, Rapier physics
 
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { assets, ASSETS } from '../systems/assetManager.js';
+import { gravity } from '../systems/gravitySystem.js';
+import { input } from '../systems/inputManager.js';
+import { achievements } from '../systems/achievementSystem.js';
 
 const SPEED = 7;          // units/s
 const JUMP_FORCE = 6;     // increased for higher gravity
-const KEYS = {
-    ArrowUp: false, ArrowDown: false, ArrowLeft: false, ArrowRight: false,
-    Space: false, KeyE: false, Enter: false, KeyF: false
-};
-
-window.addEventListener('keydown', e => { if (e.code in KEYS) { KEYS[e.code] = true; } });
-window.addEventListener('keyup', e => { if (e.code in KEYS) { KEYS[e.code] = false; } });
 
 export class Player {
     /**
@@ -24,23 +19,16 @@ export class Player {
         this.RAPIER = RAPIER;
         this.world = world;
         this.scene = scene;
-        this.gravityMultiplier = 1.0;
         this.mesh = new THREE.Group();
         scene.add(this.mesh);
 
-        // --- Loader setup ---
-        const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-
-        const loader = new GLTFLoader();
-        loader.setDRACOLoader(dracoLoader);
-
         this.mixer = null;
         this.animations = {};
         this.currentAction = null;
+        this._model = null;
+        this._skinColor = null;
 
-        loader.load('/models/yannis.glb', (gltf) => {
-            console.log('[Model loaded] yannis.glb');
+        assets.loadGLTF(ASSETS.yannis).then((gltf) => {
             const model = gltf.scene;
             model.scale.set(0.2, 0.2, 0.2);
             model.position.y = -0.4; // Align with ball bottom
@@ -54,6 +42,8 @@ export class Player {
             });
 
             this.mesh.add(model);
+            this._model = model;
+            this._applySkin();
 
             // Mixer & Animations
             this.mixer = new THREE.AnimationMixer(model);
@@ -82,7 +72,10 @@ export class Player {
 
         // Ball collider (radius = 0.4)
         const colDesc = RAPIER.ColliderDesc.ball(0.4).setRestitution(0);
-        world.createCollider(colDesc, this.rigidBody);
+        this.collider = world.createCollider(colDesc, this.rigidBody);
+
+        // Spherical gravity (-20 units/s²) — applied by the central gravity field
+        gravity.addBody(this.rigidBody, { strength: 20 });
 
         this._currentForward = new THREE.Vector3(0, 0, 1);
 
@@ -100,6 +93,8 @@ export class Player {
 
         // Prevent jump while Space is held continuously
         this._spaceReady = true;  // true means Space has been released since last jump
+        this._echoRequested = false;
+        input.on('echo', () => { this._echoRequested = true; });
         this._punchCooldown = 0;
         this._punchAnimation = 0;
 
@@ -118,6 +113,8 @@ export class Player {
                 // Recover from ragdoll
                 this.rigidBody.lockRotations(true, true);
                 this.rigidBody.setAngvel({ x: 0, y: 0, z: 0 }, true);
+                // Ragdoll only comes from chat bomb blasts — getting back up counts as surviving one
+                achievements.unlock('bomb-survivor');
             }
         }
 
@@ -126,13 +123,9 @@ export class Player {
         const pos = this.rigidBody.translation();
         const vel = this.rigidBody.linvel();
 
-        const planetCenter = new THREE.Vector3(0, -50, 0); // Must match ROOM PLANET_CENTER
         const pos3 = new THREE.Vector3(pos.x, pos.y, pos.z);
-        const upNormal = new THREE.Vector3().subVectors(pos3, planetCenter).normalize();
-
-        // Apply spherical gravity (-20 units/s^2), scaled by multiplier
-        const gravityForce = upNormal.clone().multiplyScalar(-20 * this.gravityMultiplier * dt);
-        this.rigidBody.applyImpulse({ x: gravityForce.x, y: gravityForce.y, z: gravityForce.z }, true);
+        // "Up" follows the gravity field (planet normal, or flipped inside a flip volume)
+        const upNormal = gravity.upAt(pos3);
 
         // Robust grounded check using short raycast towards planet center
         const rayOriginPos = pos3.clone().sub(upNormal.clone().multiplyScalar(0.35)); // Start just inside the ball
@@ -167,16 +160,14 @@ export class Player {
         }
 
         // Build move direction in local tangent plane
+        // Analog: a half-tilted stick walks at half speed
         let dx = 0, dz = 0;
         if (!this.isFrozen && this.ragdollTime <= 0) {
-            if (KEYS.ArrowUp) dz -= 1;
-            if (KEYS.ArrowDown) dz += 1;
-            if (KEYS.ArrowLeft) dx -= 1;
-            if (KEYS.ArrowRight) dx += 1;
+            const move = input.move;
+            dx = move.x;
+            dz = move.y;
         }
-
-        let len = Math.sqrt(dx * dx + dz * dz);
-        if (len > 0) { dx /= len; dz /= len; }
+        const len = Math.sqrt(dx * dx + dz * dz);
 
         // Camera-relative movement axes projected onto the surface tangent plane
         // This makes controls consistent regardless of where you are on the sphere
@@ -200,7 +191,7 @@ export class Player {
             .addScaledVector(camRightTangent, dx)    // ArrowRight (dx=1) → screen right
             .addScaledVector(camForwardTangent, -dz); // ArrowUp (dz=-1) → -(-1)=+1 → into screen
 
-        if (moveDir.lengthSq() > 0) moveDir.normalize();
+        if (moveDir.lengthSq() > 0) moveDir.normalize().multiplyScalar(len);
 
         const targetVel = moveDir.clone().multiplyScalar(SPEED);
         const currentTangentVel = vel3.clone().sub(upNormal.clone().multiplyScalar(vel3.dot(upNormal)));
@@ -213,18 +204,18 @@ export class Player {
         // Wall jump is temporarily disabled for spherical world refactor
 
         // Track if Space was released since last jump
-        if (!KEYS.Space) this._spaceReady = true;
+        if (!input.isDown('jump')) this._spaceReady = true;
 
         // Regular jump
-        if (!this.isFrozen && this.ragdollTime <= 0 && KEYS.Space && this._spaceReady && this._onGround && this._jumpCooldown === 0) {
+        if (!this.isFrozen && this.ragdollTime <= 0 && input.isDown('jump') && this._spaceReady && this._onGround && this._jumpCooldown === 0) {
             const jumpImp = upNormal.clone().multiplyScalar(JUMP_FORCE);
             this.rigidBody.applyImpulse({ x: jumpImp.x, y: jumpImp.y, z: jumpImp.z }, true);
             this._jumpCooldown = 0.35;
             this._spaceReady = false;
         }
 
-        // Handle Punch (KeyF)
-        if (!this.isFrozen && this.ragdollTime <= 0 && KEYS.KeyF && this._punchCooldown <= 0) {
+        // Handle Punch
+        if (!this.isFrozen && this.ragdollTime <= 0 && input.isDown('punch') && this._punchCooldown <= 0) {
             this._punchCooldown = 0.5; // Half second cooldown
             this._punchAnimation = 0.15; // Animation duration
 
@@ -322,10 +313,10 @@ export class Player {
 
         // Manual ghost spawn triggering
         this.wantsToSpawnGhost = false;
-        if (!this.isFrozen && this.ragdollTime <= 0 && KEYS.KeyE) {
+        if (!this.isFrozen && this.ragdollTime <= 0 && this._echoRequested) {
             this.wantsToSpawnGhost = true;
-            KEYS.KeyE = false; // "Consume" the keypress so it only triggers once per press
         }
+        this._echoRequested = false; // "Consume" the press so it only triggers once
 
         // Sync mesh position
         const newPos = this.rigidBody.translation();
@@ -378,6 +369,28 @@ export class Player {
         this.prevPosition.set(newPos.x, newPos.y, newPos.z);
     }
 
+    /**
+     * Tint the character model (cosmetic skins). null restores the original colors.
+     * @param {number | null} color - hex
+     */
+    setSkin(color) {
+        this._skinColor = color;
+        this._applySkin();
+    }
+
+    _applySkin() {
+        const tint = this._skinColor !== null ? new THREE.Color(this._skinColor) : null;
+        const seen = new Set();  // materials can be shared between meshes
+        this._model?.traverse(node => {
+            const mat = node.isMesh ? node.material : null;
+            if (!mat?.color || seen.has(mat)) return;
+            seen.add(mat);
+            mat.userData.baseColor ??= mat.color.clone();
+            mat.color.copy(mat.userData.baseColor);
+            if (tint) mat.color.multiply(tint);
+        });
+    }
+
     /**
      * @param {THREE.Vector3} impulse - The force vector to apply
      */
@@ -0,0 +1,90 @@
+// playerTrail.js — Cosmetic trail of glowing beads behind the player.
+// InstancedMesh of small spheres (THREE.Points is unreliable on WebGPU, see ParticleSystem).
+
+import * as THREE from 'three';
+
+const COUNT = 40;              // beads in the trail
+const SAMPLE_INTERVAL = 0.04;  // seconds between samples
+const MIN_STEP = 0.05;         // don't sample while standing still
+const BEAD_SIZE = 0.12;
+
+export class PlayerTrail {
+    /** @param {THREE.Scene} scene */
+    constructor(scene) {
+        this._scene = scene;
+        this._positions = Array.from({ length: COUNT }, () => new THREE.Vector3());
+        this._ages = new Float32Array(COUNT).fill(Infinity);
+        this._head = 0;
+        this._timer = 0;
+        this._last = null;
+        this._colors = null;
+
+        const geo = new THREE.SphereGeometry(BEAD_SIZE, 8, 6);
+        const mat = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            emissive: 0xffffff,
+            emissiveIntensity: 0.6,
+            transparent: true,
+            opacity: 0.85,
+            depthWrite: false,
+        });
+        this._mesh = new THREE.InstancedMesh(geo, mat, COUNT);
+        this._mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this._mesh.frustumCulled = false;
+        this._mesh.visible = false;
+        this._dummy = new THREE.Object3D();
+        scene.add(this._mesh);
+    }
+
+    /**
+     * @param {number[] | null} colors - hex colors cycled along the trail (null hides it)
+     */
+    setColors(colors) {
+        this._colors = colors;
+        this._mesh.visible = !!colors;
+        this._ages.fill(Infinity);
+        this._last = null;
+        if (!colors) return;
+
+        const c = new THREE.Color();
+        for (let i = 0; i < COUNT; i++) {
+            this._mesh.setColorAt(i, c.set(colors[i % colors.length]));
+        }
+        this._mesh.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * @param {number} dt
+     * @param {THREE.Vector3} position - player position
+     */
+    update(dt, position) {
+        if (!this._colors) return;
+
+        for (let i = 0; i < COUNT; i++) this._ages[i] += dt;
+
+        this._timer += dt;
+        if (this._timer >= SAMPLE_INTERVAL && (!this._last || this._last.distanceTo(position) > MIN_STEP)) {
+            this._timer = 0;
+            this._positions[this._head].copy(position);
+            this._ages[this._head] = 0;
+            this._head = (this._head + 1) % COUNT;
+            this._last = (this._last ?? new THREE.Vector3()).copy(position);
+        }
+
+        const lifetime = COUNT * SAMPLE_INTERVAL;
+        for (let i = 0; i < COUNT; i++) {
+            const s = Math.max(0, 1 - this._ages[i] / lifetime);
+            this._dummy.position.copy(this._positions[i]);
+            this._dummy.scale.setScalar(s);
+            this._dummy.updateMatrix();
+            this._mesh.setMatrixAt(i, this._dummy.matrix);
+        }
+        this._mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    dispose() {
+        this._scene.remove(this._mesh);
+        this._mesh.geometry.dispose();
+        this._mesh.material.dispose();
+    }
+}
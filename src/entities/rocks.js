@@ -13,9 +13,7 @@
 // is ready. No impact on game startup time.
 
 import * as THREE from 'three';
-
-const PLANET_CENTER = new THREE.Vector3(0, -50, 0);
-const PLANET_RADIUS = 50;
+import { planet } from '../environment/planetCore.js';
 
 // UV mapping matching grass.js:
 //   U = x / grassSize + 0.5   (grassSize = 60)
@@ -140,11 +138,11 @@ export class Rocks {
 
                 // Project onto sphere surface
                 const r2 = x * x + z * z;
-                const y  = Math.sqrt(Math.max(0, PLANET_RADIUS * PLANET_RADIUS - r2))
-                           + PLANET_CENTER.y;
+                const y  = Math.sqrt(Math.max(0, planet.radius * planet.radius - r2))
+                           + planet.center.y;
 
                 const worldPos = new THREE.Vector3(x, y, z);
-                const norm     = worldPos.clone().sub(PLANET_CENTER).normalize();
+                const norm     = worldPos.clone().sub(planet.center).normalize();
 
                 // 1. Align Y-up → surface normal
                 const alignQuat = new THREE.Quaternion().setFromUnitVectors(up, norm);
@@ -214,9 +212,9 @@ export class Rocks {
                 const z     = Math.sin(angle) * ring;
                 if (tooClose(x, z)) continue;
                 const r2 = x * x + z * z;
-                const y  = Math.sqrt(Math.max(0, PLANET_RADIUS * PLANET_RADIUS - r2)) + PLANET_CENTER.y;
+                const y  = Math.sqrt(Math.max(0, planet.radius * planet.radius - r2)) + planet.center.y;
                 const worldPos = new THREE.Vector3(x, y, z);
-                const norm     = worldPos.clone().sub(PLANET_CENTER).normalize();
+                const norm     = worldPos.clone().sub(planet.center).normalize();
                 const alignQuat = new THREE.Quaternion().setFromUnitVectors(up, norm);
                 const spinQuat  = new THREE.Quaternion().setFromAxisAngle(norm, rnd(s + 2) * Math.PI * 2);
                 const tiltAxis  = new THREE.Vector3(rnd(s+3)-0.5, rnd(s+4)-0.5, rnd(s+5)-0.5).normalize();
@@ -3,6 +3,8 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { DRACO_DECODER_PATH } from '../systems/assetManager.js';
+import { planet } from '../environment/planetCore.js';
 import { MeshStandardNodeMaterial } from 'three/webgpu';
 import { color, time, sin, mix, float } from 'three/tsl';
 
@@ -37,7 +39,7 @@ export class StartPlane {
         this._labelOpacity = 0;
 
         const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
+        dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
 
         const loader = new GLTFLoader();
         loader.setDRACOLoader(dracoLoader);
@@ -48,10 +50,7 @@ export class StartPlane {
                 this._root = gltf.scene;
                 this._root.scale.setScalar(scale);
                 // Align plane to the spherical planet surface
-                const PLANET_CENTER = new THREE.Vector3(0, -50, 0); // Assuming standard HubWorld planet
-                const surfaceNormal = new THREE.Vector3()
-                    .subVectors(position, PLANET_CENTER)
-                    .normalize();
+                const surfaceNormal = planet.upAt(position);
 
                 // Align Y-up of the plane to match the surface normal
                 const alignQuat = new THREE.Quaternion()
@@ -1,5 +1,6 @@
 // trampoline.js — Bouncy trampoline with animated spring mesh deformation
 import * as THREE from 'three';
+import { planet } from '../environment/planetCore.js';
 
 const BOUNCE_FORCE      = 5;    // base upward impulse
 const SPRING_K          = 10;   // mesh spring stiffness (lower = softer, more travel)
@@ -21,9 +22,7 @@ export class Trampoline {
         this._RAPIER = RAPIER;
         this._world  = world;
 
-        // Planet centre (must match player.js)
-        const PC = new THREE.Vector3(0, -50, 0);
-        this._normal = new THREE.Vector3().subVectors(this._pos, PC).normalize();
+        this._normal = planet.upAt(this._pos);
 
         // _qZ: aligns local +Z with planet normal (PlaneGeometry, TorusGeometry)
         this._qZ = new THREE.Quaternion()
@@ -0,0 +1,119 @@
+// voteBillboard.js — Floating scoreboard (camera-facing sprite) showing the chat's live move vote.
+// The canvas is only redrawn when the text actually changes, not every frame.
+
+import * as THREE from 'three';
+
+const W = 768, H = 512;
+const ROWS = 5;           // top moves listed
+const WORLD_WIDTH = 6;    // sprite width in world units
+
+export class VoteBillboard {
+    /** @param {THREE.Scene} scene */
+    constructor(scene) {
+        this.scene = scene;
+
+        this._canvas = document.createElement('canvas');
+        this._canvas.width = W;
+        this._canvas.height = H;
+        this._ctx = this._canvas.getContext('2d');
+        this._texture = new THREE.CanvasTexture(this._canvas);
+        this._texture.colorSpace = THREE.SRGBColorSpace;
+
+        this._material = new THREE.SpriteMaterial({ map: this._texture, depthWrite: false, transparent: true });
+        this.sprite = new THREE.Sprite(this._material);
+        this.sprite.scale.set(WORLD_WIDTH, WORLD_WIDTH * H / W, 1);
+        this.sprite.visible = false;
+        scene.add(this.sprite);
+
+        this._drawn = '';
+    }
+
+    /** @param {THREE.Vector3} position */
+    show(position) {
+        this.sprite.position.copy(position);
+        this.sprite.visible = true;
+    }
+
+    hide() {
+        this.sprite.visible = false;
+    }
+
+    /**
+     * @param {object} state
+     * @param {string} state.title
+     * @param {Array<{ san: string, count: number }>} [state.tally]
+     * @param {number} [state.remaining] — seconds left, omitted when no vote is running
+     */
+    set({ title, tally = [], remaining }) {
+        const seconds = remaining === undefined ? '' : Math.ceil(remaining);
+        const key = `${title}|${seconds}|${tally.map(t => `${t.san}:${t.count}`).join(',')}`;
+        if (key === this._drawn) return;
+        this._drawn = key;
+        this._draw(title, tally, seconds);
+    }
+
+    dispose() {
+        this.scene.remove(this.sprite);
+        this._texture.dispose();
+        this._material.dispose();
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _draw(title, tally, seconds) {
+        const ctx = this._ctx;
+        ctx.clearRect(0, 0, W, H);
+
+        // Panel
+        ctx.fillStyle = 'rgba(20, 12, 48, 0.88)';
+        ctx.strokeStyle = 'rgba(255, 224, 102, 0.8)';
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.roundRect(6, 6, W - 12, H - 12, 36);
+        ctx.fill();
+        ctx.stroke();
+
+        // Header: title + countdown
+        ctx.textBaseline = 'middle';
+        ctx.font = "52px 'Fredoka One', 'Arial Rounded MT Bold', sans-serif";
+        ctx.fillStyle = '#ffe066';
+        ctx.textAlign = 'left';
+        ctx.fillText(title, 40, 62);
+        if (seconds !== '') {
+            ctx.textAlign = 'right';
+            ctx.fillStyle = seconds <= 5 ? '#ff6b6b' : '#ffffff';
+            ctx.fillText(`${seconds}s`, W - 40, 62);
+        }
+
+        const total = tally.reduce((n, t) => n + t.count, 0);
+        if (tally.length === 0) {
+            if (seconds !== '') {
+                ctx.textAlign = 'center';
+                ctx.font = "40px 'Fredoka One', 'Arial Rounded MT Bold', sans-serif";
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                ctx.fillText('Type !move e7e5 in chat', W / 2, H / 2 + 30);
+            }
+            this._texture.needsUpdate = true;
+            return;
+        }
+
+        // One bar per move, widest = most votes
+        const top = 120, rowH = 72, barX = 200, barW = W - barX - 130;
+        tally.slice(0, ROWS).forEach(({ san, count }, i) => {
+            const y = top + i * rowH + rowH / 2;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+            ctx.fillRect(barX, y - 22, barW, 44);
+            ctx.fillStyle = i === 0 ? '#69db7c' : '#4dabf7';
+            ctx.fillRect(barX, y - 22, barW * count / total, 44);
+
+            ctx.font = "44px 'Fredoka One', 'Arial Rounded MT Bold', sans-serif";
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'left';
+            ctx.fillText(san, 40, y);
+            ctx.textAlign = 'right';
+            ctx.fillText(String(count), W - 40, y);
+        });
+
+        this._texture.needsUpdate = true;
+    }
+}
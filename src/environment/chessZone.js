@@ -1,14 +1,18 @@
 import * as THREE from 'three';
+import { triggers } from '../systems/triggerSystem.js';
+import { planet } from './planetCore.js';
 
 export class ChessZone {
     /**
      * @param {THREE.Scene} scene
      * @param {THREE.Vector3} position
+     * @param {{ onInteract?: () => void }} [options]
      */
-    constructor(scene, position) {
+    constructor(scene, position, options = {}) {
         this.scene = scene;
         this.radius = 2.5;
-        this.center = position;
+        this.center = planet.project(position);
+        const normal = planet.upAt(this.center);
 
         // Visuals: Glowing circle on the ground
         const ringGeo = new THREE.RingGeometry(this.radius - 0.2, this.radius, 32);
@@ -23,36 +27,40 @@ export class ChessZone {
         });
 
         this.ringMesh = new THREE.Mesh(ringGeo, this.ringMat);
-        this.ringMesh.rotation.x = -Math.PI / 2;
-        this.ringMesh.position.set(this.center.x, 0.1, this.center.z);
+        // RingGeometry lies in XY — turn its +Z face to the surface normal
+        this.ringMesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+        this.ringMesh.position.copy(this.center).addScaledVector(normal, 0.1);
         this.scene.add(this.ringMesh);
 
         // Interaction state
         this.isPlayerInside = false;
 
-        // Let main handle the actual key tracking for possession to avoid double-bindings
-        this.isPossessing = false;
+        this._trigger = triggers.add({
+            position: this.center,
+            radius: this.radius,
+            height: 4,
+            label: 'Play chess',
+            onEnter: () => this._setInside(true),
+            onExit: () => this._setInside(false),
+            onInteract: options.onInteract,
+        });
     }
 
-    /**
-     * @param {THREE.Vector3} playerPos 
-     * @returns {boolean} Whether the player is inside the zone
-     */
-    update(playerPos) {
-        const dx = playerPos.x - this.center.x;
-        const dz = playerPos.z - this.center.z;
-        const distance = Math.sqrt(dx * dx + dz * dz);
-
-        this.isPlayerInside = distance <= this.radius;
-
-        if (this.isPlayerInside) {
+    _setInside(inside) {
+        this.isPlayerInside = inside;
+        if (inside) {
             this.ringMat.color.setHex(0xffff00); // Bright yellow when inside
             this.ringMat.emissive.setHex(0x555500);
         } else {
             this.ringMat.color.setHex(0xffcc00); // Gold
             this.ringMat.emissive.setHex(0x000000);
         }
+    }
 
-        return this.isPlayerInside;
+    dispose() {
+        this._trigger.dispose();
+        this.scene.remove(this.ringMesh);
+        this.ringMesh.geometry.dispose();
+        this.ringMat.dispose();
     }
 }
@@ -1,6 +1,7 @@
 // cloudLayer.js — Cartoon cloud layer using built-in TSL noise nodes.
 // Uses mx_noise_float (3D Perlin FBM) for organic cloud shapes.
 // Clouds sit on a displaced sphere above the planet surface.
+// Bass in the music sends ripples across the layer (audioReactive).
 
 import * as THREE from 'three';
 import { MeshBasicNodeMaterial } from 'three/webgpu';
@@ -9,7 +10,8 @@ import {
     uniform, positionLocal, normalLocal,
     vec3, float, mix, smoothstep, clamp
 } from 'three/tsl';
-import { PLANET_CENTER, PLANET_RADIUS } from './planetCore.js';
+import { planet } from './planetCore.js';
+import { audioReactive } from '../systems/audioReactive.js';
 
 export class CloudLayer {
     constructor(scene) {
@@ -23,6 +25,12 @@ export class CloudLayer {
         this._uOpacity    = uniform(0.93);  // Max cloud opacity
         this._uVolume     = uniform(1.8);   // Radial bumps amplitude (cartoon puffiness)
         this._uTime       = uniform(0.0);
+        this._uRipple     = uniform(1.5);   // Ripple height at full bass (units)
+
+        // Drift clock — advanced at speedScale so speed changes never make clouds jump
+        this.speedScale = 1;
+        this._driftTime = 0;
+        this._lastTime = null;
 
         this._buildMesh();
     }
@@ -80,17 +88,21 @@ export class CloudLayer {
         });
         mat.colorNode    = cloudColor;
         mat.opacityNode  = cloudMask.mul(this._uOpacity);
+        // ── Audio ripple: rings travelling out from the pole, scaled by bass ─
+        const ripple = mix(float(0), dir.y.mul(40.0).sub(this._uTime.mul(8.0)).sin(), audioReactive.uniforms.bass)
+            .mul(this._uRipple);
+
         // Base height + random per-vertex bump along the normal
         mat.positionNode = normalLocal.mul(
-            float(PLANET_RADIUS).add(this._uHeight).add(volumeDisp)
+            float(planet.radius).add(this._uHeight).add(volumeDisp).add(ripple)
         );
 
         // ── Mesh ───────────────────────────────────────────────────────────
-        // Geometry at PLANET_RADIUS → correct CPU bounding sphere for the renderer
-        const geo = new THREE.SphereGeometry(PLANET_RADIUS, 128, 96);
+        // Geometry at the planet radius → correct CPU bounding sphere for the renderer
+        const geo = new THREE.SphereGeometry(planet.radius, 128, 96);
 
         this._mesh = new THREE.Mesh(geo, mat);
-        this._mesh.position.copy(PLANET_CENTER);
+        this._mesh.position.copy(planet.center);
         this._mesh.renderOrder   = 2;
         this._mesh.frustumCulled = false;
         this._scene.add(this._mesh);
@@ -98,7 +110,9 @@ export class CloudLayer {
 
     /** Drive the animation — pass game clock elapsed time. */
     update(elapsedTime) {
-        this._uTime.value = elapsedTime;
+        if (this._lastTime !== null) this._driftTime += (elapsedTime - this._lastTime) * this.speedScale;
+        this._lastTime = elapsedTime;
+        this._uTime.value = this._driftTime;
     }
 
     dispose() {
@@ -1,7 +1,6 @@
 import * as THREE from 'three';
-
-const PLANET_CENTER = new THREE.Vector3(0, -50, 0);
-const GRAVITY = 20;
+import { planet } from './planetCore.js';
+import { gravity } from '../systems/gravitySystem.js';
 
 export class CubeWall {
     /**
@@ -45,8 +44,8 @@ export class CubeWall {
 
                 // Physics body — spawn on sphere surface
                 // Convert flat startPos to a surface-aligned position
-                const spawnDir = new THREE.Vector3(posX, posY, posZ).sub(PLANET_CENTER).normalize();
-                const surfacePos = PLANET_CENTER.clone().add(spawnDir.multiplyScalar(50 + 0.5 + r * cubeSize));
+                const spawnDir = new THREE.Vector3(posX, posY, posZ).sub(planet.center).normalize();
+                const surfacePos = planet.center.clone().add(spawnDir.multiplyScalar(planet.radius + 0.5 + r * cubeSize));
                 const rbDesc = this.RAPIER.RigidBodyDesc.dynamic().setTranslation(surfacePos.x, surfacePos.y, surfacePos.z);
                 const rigidBody = this.world.createRigidBody(rbDesc);
 
@@ -58,9 +57,10 @@ export class CubeWall {
                     .setFriction(0.6); // Higher friction keeps the wall from sliding apart on its own
 
                 this.world.createCollider(colDesc, rigidBody);
+                gravity.addBody(rigidBody, { strength: 20 });
 
                 // Align mesh visually to surface at spawn
-                const spawnDir2 = new THREE.Vector3(posX, posY, posZ).sub(PLANET_CENTER).normalize();
+                const spawnDir2 = new THREE.Vector3(posX, posY, posZ).sub(planet.center).normalize();
                 const spawnQuat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), spawnDir2);
                 mesh.quaternion.copy(spawnQuat);
 
@@ -70,18 +70,12 @@ export class CubeWall {
     }
 
     update(dt = 1 / 60) {
-        // Sync visual meshes with physics bodies + apply spherical gravity
+        // Sync visual meshes with physics bodies (gravity comes from the central field)
         for (const cube of this.cubes) {
             const pos = cube.rigidBody.translation();
             const rot = cube.rigidBody.rotation();
             cube.mesh.position.set(pos.x, pos.y, pos.z);
             cube.mesh.quaternion.set(rot.x, rot.y, rot.z, rot.w);
-
-            // Spherical gravity toward planet center
-            const pos3 = new THREE.Vector3(pos.x, pos.y, pos.z);
-            const upNormal = new THREE.Vector3().subVectors(pos3, PLANET_CENTER).normalize();
-            const gImp = upNormal.clone().multiplyScalar(-GRAVITY * dt);
-            cube.rigidBody.applyImpulse({ x: gImp.x, y: gImp.y, z: gImp.z }, true);
         }
     }
 
@@ -91,6 +85,7 @@ export class CubeWall {
             mesh.geometry.dispose();
             if (Array.isArray(mesh.material)) mesh.material.forEach(m => m.dispose());
             else mesh.material?.dispose();
+            gravity.removeBody(rigidBody);
             try { this.world.removeRigidBody(rigidBody); } catch (_) { }
         }
         this.cubes = [];
@@ -6,6 +6,8 @@ import {
     cameraPosition, vec4, atan, vec3, vec2, modelWorldMatrix, Fn, attribute, uniform,
     texture
 } from 'three/tsl';
+import { planet } from './planetCore.js';
+import { assets, ASSETS } from '../systems/assetManager.js';
 
 export class Grass {
     constructor(scene) {
@@ -71,6 +73,7 @@ export class Grass {
         this.bladeHeightRandomness = uniform(0.6);
         this.sizeUniform = uniform(this.size);
         this.timeNode = uniform(0.0);
+        this.windStrength = uniform(0.0);   // 0 = still; driven by room energy
 
         const isMobile = ('ontouchstart' in window) || navigator.maxTouchPoints > 0;
         this.TRAIL_SIZE = isMobile ? 40 : 80;
@@ -115,7 +118,7 @@ export class Grass {
         const colorTip = color(0x339933);
         const bladeColor = mix(colorBase, colorTip, tipness);
 
-        const splatmapTexture = new THREE.TextureLoader().load('/textures/Terrain_splatmap.png');
+        const splatmapTexture = assets.texture(ASSETS.terrainSplatmap);
 
         // We use MeshStandardNodeMaterial since MeshDefaultMaterial is from the user's specific project structure
         this.material = new MeshStandardNodeMaterial({
@@ -132,16 +135,16 @@ export class Grass {
             const pz = position.y;
 
             // --- Project base onto sphere surface ---
-            // Planet: center=(0,-50,0), radius=50
-            const PLANET_RADIUS = float(50.0);
-            const PLANET_CENTER_Y = float(-50.0);
-            const rSq = PLANET_RADIUS.mul(PLANET_RADIUS);          // 2500
+            // Active planet (centred on the Y axis) — the grass lives and dies with its theme
+            const PLANET_RADIUS = float(planet.radius);
+            const PLANET_CENTER_Y = float(planet.center.y);
+            const rSq = PLANET_RADIUS.mul(PLANET_RADIUS);
             const distSq = px.mul(px).add(pz.mul(pz));               // x²+z²
             const sphereY = PLANET_CENTER_Y.add(rSq.sub(distSq).max(float(0.0)).sqrt());
             const basePos = vec3(px, sphereY, pz);                    // blade root on sphere
 
             // --- Surface normal (radially outward) ---
-            const planetCenter = vec3(0.0, -50.0, 0.0);
+            const planetCenter = vec3(planet.center.x, planet.center.y, planet.center.z);
             const surfaceNormal = basePos.sub(planetCenter).normalize();
 
             bladePosition.assign(position); // XZ for trail detection UV
@@ -180,12 +183,12 @@ export class Grass {
 
             const vertexPosition = vertexWithShape;
 
-            // // Procedural Wind Effect (breezy sine waves) — DISABLED
-            // const windStrength = tipness.mul(height).mul(0.3);
-            // const windNoiseX = sin(bladePosition.x.mul(0.5).add(this.timeNode));
-            // const windNoiseY = sin(bladePosition.y.mul(0.5).add(this.timeNode.mul(1.2)));
-            // wind.assign(vec2(windNoiseX, windNoiseY).mul(windStrength));
-            // vertexPosition.addAssign(vec3(wind.x, 0, wind.y));
+            // Procedural Wind Effect (breezy sine waves) — scaled by windStrength
+            const windStrength = tipness.mul(height).mul(0.3).mul(this.windStrength);
+            const windNoiseX = sin(bladePosition.x.mul(0.5).add(this.timeNode));
+            const windNoiseY = sin(bladePosition.y.mul(0.5).add(this.timeNode.mul(1.2)));
+            wind.assign(vec2(windNoiseX, windNoiseY).mul(windStrength));
+            vertexPosition.addAssign(vec3(wind.x, 0, wind.y));
 
             // Trail Displacement: iterate recent footsteps, take the strongest one
             // Using max per entry avoids additive accumulation blowing up
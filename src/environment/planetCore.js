@@ -4,6 +4,7 @@
 // Terrain: FBM noise vertex displacement (radial) fades to ZERO near the planet pole
 // so the gameplay area (top cap) stays smooth and works with grass/physics.
 // Color: 3-zone system — grass / dirt / rock — driven by the same noise.
+// Emissive (lava only) breathes with the music's bass through audioReactive.
 
 import * as THREE from 'three';
 import { MeshStandardNodeMaterial } from 'three/webgpu';
@@ -12,9 +13,39 @@ import {
     color, uniform, mix, sin, normalize, dot, clamp,
     vec3, smoothstep, positionWorld, positionLocal, float
 } from 'three/tsl';
+import { audioReactive } from '../systems/audioReactive.js';
+
+/** Planet used when a theme doesn't declare its own (see BaseTheme.planetConfig). */
+export const DEFAULT_PLANET = Object.freeze({ center: Object.freeze([0, -50, 0]), radius: 50 });
+
+/**
+ * Live description of the ACTIVE planet — PlanetCore.setPlanet() mutates it on theme switch.
+ * Always read it at use time; never copy center/radius into module constants.
+ */
+export const planet = {
+    center: new THREE.Vector3().fromArray(DEFAULT_PLANET.center),
+    radius: DEFAULT_PLANET.radius,
+
+    /** Outward surface normal below `pos`. */
+    upAt(pos, target = new THREE.Vector3()) {
+        return target.subVectors(pos, this.center).normalize();
+    },
+
+    /** `pos` projected onto the surface, raised by `lift` along the normal. */
+    project(pos, lift = 0, target = new THREE.Vector3()) {
+        this.upAt(pos, target);
+        return target.multiplyScalar(this.radius + lift).add(this.center);
+    },
 
-export const PLANET_CENTER = new THREE.Vector3(0, -50, 0);
-export const PLANET_RADIUS = 50;
+    /**
+     * Surface point for cap coordinates (x, z) measured from the north pole —
+     * the `new Vector3(x, R, z).normalize()` placement every theme uses.
+     */
+    capPoint(x, z, lift = 0, target = new THREE.Vector3()) {
+        target.set(x, this.radius, z).normalize();
+        return target.multiplyScalar(this.radius + lift).add(this.center);
+    },
+};
 
 // Three colors per theme: grass · dirt · rock
 const PALETTES = {
@@ -32,10 +63,12 @@ export class PlanetCore {
      */
     constructor(scene, RAPIER, rapierWorld) {
         this._scene = scene;
+        this._RAPIER = RAPIER;
         this._rapierWorld = rapierWorld;
 
-        const PC = PLANET_CENTER;
-        const PR = PLANET_RADIUS;
+        const PC = planet.center;
+        const PR = planet.radius;
+        this._uCenter = uniform(PC.clone());
 
         // ── Color uniforms (lerped on theme switch) ────────────────────────
         this._uC1 = uniform(new THREE.Color(PALETTES.hub.c1)); // grass
@@ -106,7 +139,7 @@ export class PlanetCore {
         // ── Cel-shading: 3 toon bands ──────────────────────────────────────
         // toSurf uses positionWorld (post-displacement) → correct NdotL on bumps
         const sunDir = normalize(vec3(0.4, 1.0, 0.5));
-        const toSurf = normalize(positionWorld.sub(vec3(PC.x, PC.y, PC.z)));
+        const toSurf = normalize(positionWorld.sub(this._uCenter));
         const NdotL  = clamp(dot(toSurf, sunDir), 0.0, 1.0);
         const toon   = clamp(
             smoothstep(0.0,  0.05, NdotL).mul(0.45)
@@ -122,7 +155,8 @@ export class PlanetCore {
         this._mat = new MeshStandardNodeMaterial({ roughness: 1.0, metalness: 0.0 });
         this._mat.positionNode  = displacedPos;
         this._mat.colorNode     = finalCol;
-        this._mat.emissiveNode  = this._uC2.mul(this._uEmissive);
+        // Only palettes with an emissive (lava) glow, so only they breathe with the bass
+        this._mat.emissiveNode  = this._uC2.mul(this._uEmissive).mul(audioReactive.uniforms.bass.mul(1.5).add(1));
 
         this._mesh = new THREE.Mesh(new THREE.SphereGeometry(PR, 128, 96), this._mat);
         this._mesh.position.copy(PC);
@@ -134,10 +168,27 @@ export class PlanetCore {
             RAPIER.RigidBodyDesc.fixed().setTranslation(PC.x, PC.y, PC.z)
         );
         this._body = body;
-        rapierWorld.createCollider(
-            RAPIER.ColliderDesc.ball(PR).setFriction(0.7).setRestitution(0.05),
-            body
-        );
+        this._createCollider(PR);
+    }
+
+    /**
+     * Move / resize the planet (sphere, collider and the shared `planet` descriptor).
+     * @param {{ center: number[], radius: number }} config
+     */
+    setPlanet({ center, radius }) {
+        planet.center.fromArray(center);
+        const PC = planet.center;
+        this._uCenter.value.copy(PC);
+        this._mesh.position.copy(PC);
+        this._body.setTranslation({ x: PC.x, y: PC.y, z: PC.z }, true);
+
+        if (radius !== planet.radius) {
+            planet.radius = radius;
+            this._mesh.geometry.dispose();
+            this._mesh.geometry = new THREE.SphereGeometry(radius, 128, 96);
+            this._rapierWorld.removeCollider(this._collider, false);
+            this._createCollider(radius);
+        }
     }
 
     /** Switch planet colours to match a theme key. Lerp happens in update(). */
@@ -158,6 +209,13 @@ export class PlanetCore {
         this._uEmissive.value += (this._tEmissive - this._uEmissive.value) * speed;
     }
 
+    _createCollider(radius) {
+        this._collider = this._rapierWorld.createCollider(
+            this._RAPIER.ColliderDesc.ball(radius).setFriction(0.7).setRestitution(0.05),
+            this._body
+        );
+    }
+
     /** Full cleanup (call only at total game shutdown). */
     dispose() {
         this._scene.remove(this._mesh);
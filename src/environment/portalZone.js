@@ -2,6 +2,11 @@
 // Place it anywhere on a sphere; it aligns itself on the surface normal.
 
 import * as THREE from 'three';
+import { triggers } from '../systems/triggerSystem.js';
+import { audio } from '../systems/audioSystem.js';
+
+const HUM_VOLUME = 0.4;        // idle ring shimmer…
+const HUM_VOLUME_IN = 0.9;     // …louder while standing in it
 
 export class PortalZone {
     /**
@@ -18,7 +23,6 @@ export class PortalZone {
         this.radius = 2.2;
         this.onTravel = onTravel;
         this.isPlayerIn = false;
-        this._consumed = false;
 
         const normal = new THREE.Vector3().subVectors(surfacePoint, planetCenter).normalize();
 
@@ -65,44 +69,27 @@ export class PortalZone {
         this._label.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
         scene.add(this._label);
 
-        // ── Hint text below label ─────────────────────────────────────────
-        this._hint = this._makeHint('[ ENTER ]', ringColor, surfacePoint, normal, 1.5);
-
-        // ── Input ─────────────────────────────────────────────────────────
-        this._keyDown = (e) => { if (e.code === 'Enter' && this.isPlayerIn && !this._consumed) { this._consumed = true; this.onTravel(); } };
-        this._keyUp = (e) => { if (e.code === 'Enter') this._consumed = false; };
-        window.addEventListener('keydown', this._keyDown);
-        window.addEventListener('keyup', this._keyUp);
-    }
+        // ── Sound ─────────────────────────────────────────────────────────
+        this._hum = audio.loop('portal', surfacePoint, { volume: HUM_VOLUME, refDistance: 4 });
 
-    _makeHint(text, ringColor, surfacePoint, normal, heightAbove) {
-        const canvas = document.createElement('canvas');
-        canvas.width = 256; canvas.height = 64;
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, 256, 64);
-        ctx.font = '28px monospace';
-        ctx.textAlign = 'center';
-        ctx.fillStyle = `#${ringColor.toString(16).padStart(6, '0')}`;
-        ctx.fillText(text, 128, 44);
-        const tex = new THREE.CanvasTexture(canvas);
-        const geo = new THREE.PlaneGeometry(2, 0.5);
-        const mat = new THREE.MeshBasicMaterial({ map: tex, transparent: true, depthWrite: false });
-        const mesh = new THREE.Mesh(geo, mat);
-        mesh.position.copy(surfacePoint).addScaledVector(normal, heightAbove);
-        mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
-        this.scene.add(mesh);
-        return mesh;
+        // ── Trigger ───────────────────────────────────────────────────────
+        this._trigger = triggers.add({
+            position: this.center,
+            radius: this.radius,
+            height: 3,
+            label,
+            onEnter: () => { this.isPlayerIn = true; this._hum?.setVolume(HUM_VOLUME_IN); },
+            onExit: () => { this.isPlayerIn = false; this._hum?.setVolume(HUM_VOLUME); },
+            onInteract: () => {
+                audio.playAt('warp', this.center);
+                this.onTravel();
+            },
+        });
     }
 
     /** Call each frame with the player's world position and current time. */
     update(playerPos, time) {
-        const dist = playerPos.distanceTo(this.center);
-        const inside = dist < this.radius;
-
-        if (inside !== this.isPlayerIn) {
-            this.isPlayerIn = inside;
-            if (!inside) this._consumed = false;
-        }
+        const inside = this.isPlayerIn;
 
         // Glow pulse when active
         const pulse = inside
@@ -113,13 +100,13 @@ export class PortalZone {
 
         // Pulse the label opacity
         this._label.material.opacity = inside ? 1 : 0.6 + Math.sin(time * 2) * 0.15;
-        this._hint.material.opacity = inside ? 1 : 0.3;
     }
 
     dispose() {
-        window.removeEventListener('keydown', this._keyDown);
-        window.removeEventListener('keyup', this._keyUp);
-        for (const obj of [this._ringMesh, this._label, this._hint]) {
+        this._trigger.dispose();
+        audio.remove(this._hum);
+        this._hum = null;
+        for (const obj of [this._ringMesh, this._label]) {
             this.scene.remove(obj);
             obj.geometry?.dispose();
             obj.material?.dispose();
@@ -4,6 +4,7 @@ import * as THREE from 'three';
 
 import { MeshStandardNodeMaterial } from 'three/webgpu';
 import { color, mix, texture, vec2, positionWorld, float, smoothstep } from 'three/tsl';
+import { planet } from './planetCore.js';
 
 const BASE_HALF = 20;
 
@@ -44,22 +45,22 @@ export class Room {
             metalness: 0,
         });
 
-        this.PLANET_RADIUS = 50;
-        this.PLANET_CENTER = new THREE.Vector3(0, -this.PLANET_RADIUS, 0);
+        const PC = planet.center;
+        const PR = planet.radius;
 
         // Planet Mesh
         this.floorMesh = new THREE.Mesh(
-            new THREE.SphereGeometry(this.PLANET_RADIUS, 128, 128),
+            new THREE.SphereGeometry(PR, 128, 128),
             floorMat
         );
-        this.floorMesh.position.copy(this.PLANET_CENTER);
+        this.floorMesh.position.copy(PC);
         this.floorMesh.receiveShadow = true;
         scene.add(this.floorMesh);
 
         // Planet Physics
-        const floorDesc = RAPIER.RigidBodyDesc.fixed().setTranslation(this.PLANET_CENTER.x, this.PLANET_CENTER.y, this.PLANET_CENTER.z);
+        const floorDesc = RAPIER.RigidBodyDesc.fixed().setTranslation(PC.x, PC.y, PC.z);
         const floorBody = world.createRigidBody(floorDesc);
-        world.createCollider(RAPIER.ColliderDesc.ball(this.PLANET_RADIUS), floorBody);
+        world.createCollider(RAPIER.ColliderDesc.ball(PR), floorBody);
 
         this._addWallJumpCorridor(scene);
     }
@@ -9,13 +9,15 @@
 //     – Tilt toward player on approach
 //   • Segmented ground ring (16 arcs) with animated opacity
 //   • Proximity (< 8 u): cards illuminate, hologram spins faster
+//   • Hologram pulses with the music's bass (audioReactive)
 //   • Very close (< 2.5 u from a card): window.open() — fires once per session
 
 import * as THREE from 'three';
 import { MeshStandardNodeMaterial } from 'three/webgpu';
 import { color, uniform, float, sin, mix, smoothstep } from 'three/tsl';
-
-const PC = new THREE.Vector3(0, -50, 0); // planet center
+import { planet } from './planetCore.js';
+import { triggers } from '../systems/triggerSystem.js';
+import { audioReactive } from '../systems/audioReactive.js';
 
 // ── Social entries — fill in your handles ──────────────────────────────────
 const SOCIALS = [
@@ -147,7 +149,7 @@ export class SocialPad {
         this._arcMats  = [];
 
         // Surface basis
-        const norm  = position.clone().sub(PC).normalize();
+        const norm  = planet.upAt(position);
         this._norm  = norm;
         const ref   = Math.abs(norm.y) < 0.9
             ? new THREE.Vector3(0, 1, 0)
@@ -202,9 +204,10 @@ export class SocialPad {
             depthWrite:  false,
         });
         this._holoGlowU = uniform(0.15);
+        const holoPulse = this._holoGlowU.add(audioReactive.uniforms.bass.mul(0.9));
         holoMat.colorNode    = color(0x88aaff);
-        holoMat.emissiveNode = color(0x88aaff).mul(this._holoGlowU);
-        holoMat.opacityNode  = this._holoGlowU.mul(float(1.8)).clamp(float(0), float(1));
+        holoMat.emissiveNode = color(0x88aaff).mul(holoPulse);
+        holoMat.opacityNode  = holoPulse.mul(float(1.8)).clamp(float(0), float(1));
 
         this._holo = new THREE.Mesh(holoGeo, holoMat);
         this._holo.position.copy(pos).addScaledVector(norm, 2.2);
@@ -287,6 +290,19 @@ export class SocialPad {
                 _opened:   false,
             });
         }
+
+        // ── Triggers ──────────────────────────────────────────────────────
+        this._near = triggers.add({ position: this._pos, radius: 8.0 });
+        this._cardTriggers = this._cards.map(card => triggers.add({
+            position: card.basePos,
+            radius: 2.5,
+            onEnter: () => {
+                // Link trigger — fires once per session
+                if (card._opened) return;
+                card._opened = true;
+                window.open(card.social.url, '_blank');
+            },
+        }));
     }
 
     update(dt, playerPos) {
@@ -295,8 +311,7 @@ export class SocialPad {
         const t = this._time;
 
         // ── Proximity ────────────────────────────────────────────────────
-        const dist   = playerPos.distanceTo(this._pos);
-        const target = dist < 8.0 ? 1.0 : 0.0;
+        const target = this._near.isInside ? 1.0 : 0.0;
         this._active += (target - this._active) * Math.min(1, dt * 3.5);
 
         // ── Ground ring pulse ─────────────────────────────────────────────
@@ -353,19 +368,12 @@ export class SocialPad {
             const glowWave = 0.25 + 0.12 * Math.sin(t * 2.8 + card.bobPhase);
             const glowTarget = this._active * glowWave;
             card.emU.value += (glowTarget - card.emU.value) * Math.min(1, dt * 5);
-
-            // Link trigger — only when very close to a specific card
-            if (!card._opened) {
-                const cardDist = playerPos.distanceTo(card.mesh.position);
-                if (cardDist < 2.5) {
-                    card._opened = true;
-                    window.open(card.social.url, '_blank');
-                }
-            }
         }
     }
 
     dispose() {
+        this._near.dispose();
+        for (const trigger of this._cardTriggers) trigger.dispose();
         for (const m of this._meshes) {
             this._scene.remove(m);
             m.geometry?.dispose();
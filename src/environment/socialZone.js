@@ -7,15 +7,14 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { DRACO_DECODER_PATH } from '../systems/assetManager.js';
+import { planet } from './planetCore.js';
 import { MeshStandardNodeMaterial } from 'three/webgpu';
 import {
     color, uniform, sin, cos, time, mix, float, vec3,
     positionWorld, positionLocal, normalWorld, abs, pow, smoothstep
 } from 'three/tsl';
 
-const PLANET_CENTER = new THREE.Vector3(0, -50, 0);
-const PLANET_RADIUS = 50;
-
 // ── Small helper: build a ring with label geometry ─────────────────────────
 function makeRingMesh(inner, outer, segments, mat) {
     const geo = new THREE.RingGeometry(inner, outer, segments);
@@ -46,9 +45,7 @@ export class SocialZone {
         this._time = 0;
 
         // Surface normal at this position
-        const surfaceNormal = new THREE.Vector3()
-            .subVectors(position, PLANET_CENTER)
-            .normalize();
+        const surfaceNormal = planet.upAt(position);
         this._surfaceNormal = surfaceNormal.clone();
 
         // Quaternion aligning Z+ to surface normal (RingGeometry faces +Z)
@@ -100,7 +97,7 @@ export class SocialZone {
         this._scene.add(this._beamAnchor);
 
         const dracoLoader = new DRACOLoader();
-        dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
+        dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
         const loader = new GLTFLoader();
         loader.setDRACOLoader(dracoLoader);
 
@@ -340,9 +337,7 @@ export class SocialZone {
 
                 // 1. Planet Gravity
                 const pos = body.translation();
-                const gravityDir = new THREE.Vector3(pos.x, pos.y, pos.z)
-                    .sub(PLANET_CENTER)
-                    .normalize()
+                const gravityDir = planet.upAt(pos)
                     .multiplyScalar(-9.8 * body.mass());
                 body.applyImpulse(gravityDir.multiplyScalar(dt), true);
 
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { triggers } from '../systems/triggerSystem.js';
 
 export class SpawnerZone {
     /**
@@ -35,22 +36,28 @@ export class SpawnerZone {
 
         // Interaction state
         this.isPlayerInside = false;
-        this.pressedEnter = false;
         this.cubes = [];
 
-        // Simple local input listener for Enter
-        window.addEventListener('keydown', (e) => {
-            if (e.code === 'Enter') {
-                this.pressedEnter = true;
-            }
-        });
-        window.addEventListener('keyup', (e) => {
-            if (e.code === 'Enter') {
-                this.pressedEnter = false;
-            }
+        this._trigger = triggers.add({
+            position: this.center,
+            radius: this.radius,
+            height: 4,
+            label: 'Spawn cubes',
+            onEnter: () => this._setInside(true),
+            onExit: () => this._setInside(false),
+            onInteract: () => this._spawnCubes(),
         });
+    }
 
-        this._enterConsumed = false;
+    _setInside(inside) {
+        this.isPlayerInside = inside;
+        if (inside) {
+            this.ringMat.color.setHex(0xffff00); // Bright Yellow
+            this.ringMat.emissive = new THREE.Color(0x555500);
+        } else {
+            this.ringMat.color.setHex(0xffcc00); // Gold
+            this.ringMat.emissive = new THREE.Color(0x000000);
+        }
     }
 
     _spawnCubes() {
@@ -94,37 +101,7 @@ export class SpawnerZone {
         }
     }
 
-    /**
-     * @param {THREE.Vector3} playerPos 
-     */
-    update(playerPos) {
-        // Distance check (ignoring Y for a flat circle check)
-        const dx = playerPos.x - this.center.x;
-        const dz = playerPos.z - this.center.z;
-        const distance = Math.sqrt(dx * dx + dz * dz);
-
-        const wasInside = this.isPlayerInside;
-        this.isPlayerInside = distance <= this.radius;
-
-        // Visual feedback
-        if (this.isPlayerInside) {
-            this.ringMat.color.setHex(0xffff44); // Glow yellow
-            this.ringMat.color.setHex(0xffff00); // Bright Yellow
-            this.ringMat.emissive = new THREE.Color(0x555500);
-
-            // Handle spawn event
-            if (this.pressedEnter && !this._enterConsumed) {
-                this._spawnCubes();
-                this._enterConsumed = true; // Consume the press to avoid spamming
-            } else if (!this.pressedEnter) {
-                this._enterConsumed = false; // Reset when key is released
-            }
-        } else {
-            this.ringMat.color.setHex(0xffcc00); // Gold
-            this.ringMat.emissive = new THREE.Color(0x000000);
-            this._enterConsumed = false; // Also reset outside
-        }
-
+    update() {
         // Sync spawned cubes meshes with their rigidbodies
         for (const cube of this.cubes) {
             const pos = cube.rigidBody.translation();
@@ -133,4 +110,17 @@ export class SpawnerZone {
             cube.mesh.quaternion.set(rot.x, rot.y, rot.z, rot.w);
         }
     }
+
+    dispose() {
+        this._trigger.dispose();
+        this.scene.remove(this.ringMesh);
+        this.ringMesh.geometry.dispose();
+        this.ringMat.dispose();
+        for (const { mesh, rigidBody } of this.cubes) {
+            this.scene.remove(mesh);
+            mesh.material.dispose();
+            try { this.world.removeRigidBody(rigidBody); } catch (_) { }
+        }
+        this.cubes = [];
+    }
 }
@@ -1,7 +1,10 @@
 // themeManager.js — Orchestrates PlanetCore + theme switching with in/out scale animations.
 // Replaces worldManager.js. The planet sphere/collider never gets destroyed.
 
-import { PlanetCore, PLANET_CENTER } from './planetCore.js';
+import { PlanetCore, planet, DEFAULT_PLANET } from './planetCore.js';
+import { assets } from '../systems/assetManager.js';
+import { audio } from '../systems/audioSystem.js';
+import { Emitter } from '../systems/emitter.js';
 
 // Easing
 const easeInCubic = t => t * t * t;
@@ -35,18 +38,37 @@ export class ThemeManager {
         this._elapsed = 0;
         this._outMeshes = [];           // { mesh, origScale: THREE.Vector3 }
         this._inMeshes = [];
+
+        this._themeChanges = new Emitter();   // (ThemeClass, theme) => void
     }
 
     // ── Public API ────────────────────────────────────────────────────────
 
-    get planetCenter() { return PLANET_CENTER; }
+    get planetCenter() { return planet.center; }
+    get planetRadius() { return planet.radius; }
+
+    /** themeKey of the active theme (null before init()). */
+    get currentKey() { return this._current?.constructor.themeKey ?? null; }
+
+    /**
+     * Register a callback fired each time a theme has been loaded (init + every switch).
+     * @param {(ThemeClass: typeof import('./themes/BaseTheme.js').BaseTheme, theme: object) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    onThemeChange(fn) {
+        return this._themeChanges.on(fn);
+    }
 
-    /** Load the first theme without animation. */
+    /** Load the first theme without animation (once its assets are in). */
     async init(ThemeClass, ...extras) {
+        await assets.preload(ThemeClass.assets);
         this._current = new ThemeClass(...extras);
+        this._planet.setPlanet(ThemeClass.planetConfig ?? DEFAULT_PLANET);
         this._current.load(this.scene, this.RAPIER, this.rapierWorld, this.sceneSetup);
         this._planet.setTheme(ThemeClass.themeKey ?? 'hub');
+        audio.setAmbience(ThemeClass.ambience, 2);
         this._syncPlayer();
+        this._emitThemeChange(ThemeClass);
     }
 
     /**
@@ -57,19 +79,30 @@ export class ThemeManager {
         if (this._transitioning) return;
         this._transitioning = true;
 
+        // Energy reactions would fight the scale animation — pause them meanwhile
+        this.sceneSetup?.reactive.suspend();
+
+        // Fetch the next theme's assets while the current one animates out
+        const ready = assets.preload(ThemeClass.assets);
+
+        // The ambience crossfades across the whole out → in animation
+        audio.setAmbience(ThemeClass.ambience, (OUT_MS + IN_MS) / 1000);
+
         // ── 1. Out animation ───────────────────────────────────────────────
         this._outMeshes = (this._current?._meshes ?? []).map(m => ({
             mesh: m, origScale: m.scale.clone(),
         }));
         this._phase = 'out';
         this._elapsed = 0;
-        await this._wait(OUT_MS + 50); // let update() run the animation
+        await Promise.all([this._wait(OUT_MS + 50), ready]); // let update() run the animation
 
         // ── 2. Swap themes ─────────────────────────────────────────────────
         this._current?.dispose();
         this._current = null;
 
+        // Resize the planet before load() so the theme places props on the new surface
         const next = new ThemeClass(...extras);
+        this._planet.setPlanet(ThemeClass.planetConfig ?? DEFAULT_PLANET);
         next.load(this.scene, this.RAPIER, this.rapierWorld, this.sceneSetup);
 
         // Capture new theme meshes and zero their scale for the in-animation
@@ -81,6 +114,7 @@ export class ThemeManager {
         this._current = next;
         this._planet.setTheme(ThemeClass.themeKey ?? 'hub');
         this._syncPlayer();
+        this._emitThemeChange(ThemeClass);
 
         // ── 3. In animation ────────────────────────────────────────────────
         this._phase = 'in';
@@ -94,6 +128,15 @@ export class ThemeManager {
         this._outMeshes = [];
         this._inMeshes = [];
         this._transitioning = false;
+        this.sceneSetup?.reactive.resume();
+    }
+
+    /**
+     * Drop the player just above the surface under `position` (e.g. a restored save).
+     * @param {THREE.Vector3} position
+     */
+    placePlayer(position) {
+        this._syncPlayer(planet.project(position, 1.5));
     }
 
     /** Call every frame from the game loop. */
@@ -126,13 +169,16 @@ export class ThemeManager {
 
     // ── Internal ──────────────────────────────────────────────────────────
 
-    _syncPlayer() {
-        if (!this._current?.spawnPoint) return;
-        const sp = this._current.spawnPoint;
+    _syncPlayer(sp = this._current?.spawnPoint) {
+        if (!sp) return;
         this.player.rigidBody.setTranslation({ x: sp.x, y: sp.y, z: sp.z }, true);
         this.player.rigidBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
         this.player.rigidBody.setAngvel({ x: 0, y: 0, z: 0 }, true);
     }
 
+    _emitThemeChange(ThemeClass) {
+        this._themeChanges.emit(ThemeClass, this._current);
+    }
+
     _wait(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
 }
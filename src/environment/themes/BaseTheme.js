@@ -3,11 +3,15 @@
 // Tracks every Three.js mesh and Rapier body so dispose() can clean them all up.
 
 import * as THREE from 'three';
+import { registerWinCondition, CLIMB_THRESHOLD } from '../../core/stateManager.js';
+import { planet, DEFAULT_PLANET } from '../planetCore.js';
 
 export class BaseTheme {
     constructor() {
         this._meshes = [];  // THREE.Object3D added to scene
         this._bodies = [];  // Rapier RigidBody
+        this._winConditions = [];  // unregister functions
+        this._energySubs = [];  // ReactiveWorld unsubscribe functions
         this.scene = null;
         this.rapierWorld = null;
         this.RAPIER = null;
@@ -21,11 +25,44 @@ export class BaseTheme {
         this.RAPIER = RAPIER;
         this.rapierWorld = rapierWorld;
         this.sceneSetup = sceneSetup;
+
+        // Echo-platforming themes end when the player climbs high enough
+        if (this.constructor.echoMode === 'replay') {
+            this._addWinCondition('climb', s => s.height >= CLIMB_THRESHOLD);
+        }
     }
 
     /** Key used by PlanetCore.setTheme(). Override in each subclass. */
     static get themeKey() { return 'hub'; }
 
+    /**
+     * Planet this theme lives on — ThemeManager applies it before load().
+     * Override for a tiny asteroid or a huge flat-ish world.
+     * @returns {{ center: number[], radius: number }}
+     */
+    static get planetConfig() { return DEFAULT_PLANET; }
+
+    /** Where the player lands when the theme loads. */
+    get spawnPoint() { return planet.capPoint(0, 0, 1.5); }
+
+    get planetCenter() { return planet.center; }
+    get planetRadius() { return planet.radius; }
+
+    /** Ambience bed (soundBank `ambience:<key>`) — ThemeManager crossfades it on switch. */
+    static get ambience() { return this.themeKey; }
+
+    /** EchoSystem mode: 'free' (manual echoes only) or 'replay' (ghost platforming). */
+    static get echoMode() { return 'free'; }
+
+    /**
+     * Files (ASSETS entries) the theme needs — preloaded before load() so props don't pop in.
+     * @returns {string[]}
+     */
+    static get assets() { return []; }
+
+    /** Called after load() with the live ChatSystem, so props can react to chat (optional override). */
+    attachChat(_chat) { }
+
     /** Called every frame by ThemeManager (optional override). */
     update(_dt, _playerPos, _time, _chatPositions, _player) { }
 
@@ -42,6 +79,40 @@ export class BaseTheme {
         return body;
     }
 
+    /** Register a theme goal — removed automatically on dispose(). */
+    _addWinCondition(id, test, message) {
+        this._winConditions.push(registerWinCondition(id, test, message));
+    }
+
+    /**
+     * React to room energy — unsubscribed automatically on dispose().
+     * No-op when the theme was loaded without a SceneSetup.
+     * @param {(energy: number, dt: number) => void} fn
+     */
+    _onEnergy(fn) {
+        const reactive = this.sceneSetup?.reactive;
+        if (reactive) this._energySubs.push(reactive.subscribe(fn));
+    }
+
+    /**
+     * Make a surface prop breathe with room energy: it swells when the player is
+     * active and sinks into the ground (collider included) when they idle.
+     * @param {THREE.Object3D} mesh - oriented so its local +Y is the surface normal
+     * @param {object} [body] - fixed Rapier body that should follow the mesh
+     * @param {{ grow?: number, sink?: number }} [opts] - max scale gain / sink depth (units)
+     */
+    _addReactiveProp(mesh, body = null, { grow = 0.15, sink = 1.0 } = {}) {
+        const basePos = mesh.position.clone();
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(mesh.quaternion);
+        const pos = new THREE.Vector3();
+        this._onEnergy((e) => {
+            mesh.scale.setScalar(1 + grow * Math.max(0, e));
+            pos.copy(basePos).addScaledVector(up, sink * Math.min(0, e));
+            mesh.position.copy(pos);
+            body?.setTranslation({ x: pos.x, y: pos.y, z: pos.z }, false);
+        });
+    }
+
     _addFixedBody(x, y, z) {
         return this._trackBody(
             this.rapierWorld.createRigidBody(
@@ -69,7 +140,11 @@ export class BaseTheme {
         for (const body of this._bodies) {
             try { this.rapierWorld.removeRigidBody(body); } catch (_) { }
         }
+        for (const unregister of this._winConditions) unregister();
+        for (const unsubscribe of this._energySubs) unsubscribe();
         this._meshes = [];
         this._bodies = [];
+        this._winConditions = [];
+        this._energySubs = [];
     }
 }
@@ -2,13 +2,12 @@
 
 import * as THREE from 'three';
 import { BaseTheme } from './BaseTheme.js';
+import { planet } from '../planetCore.js';
 import { PortalZone } from '../portalZone.js';
 
-const PC = new THREE.Vector3(0, -50, 0);
-const PR = 50;
-
 export class DesertTheme extends BaseTheme {
     static get themeKey() { return 'desert'; }
+    static get echoMode() { return 'replay'; }
 
     constructor(onPortal) {
         super();
@@ -16,10 +15,8 @@ export class DesertTheme extends BaseTheme {
         this._portal = null;
     }
 
-    get spawnPoint() { return new THREE.Vector3(0, 1.5, 0); }
-
-    load(scene, RAPIER, rapierWorld) {
-        super.load(scene, RAPIER, rapierWorld);
+    load(scene, RAPIER, rapierWorld, sceneSetup = null) {
+        super.load(scene, RAPIER, rapierWorld, sceneSetup);
 
         // ── Rock pillars / ruins ──────────────────────────────────────────
         const rockMat = new THREE.MeshStandardMaterial({ color: 0x8b6c42, roughness: 0.9 });
@@ -31,9 +28,8 @@ export class DesertTheme extends BaseTheme {
             const pillarW = 0.8 + Math.random() * 0.8;
             const geo = new THREE.CylinderGeometry(pillarW * 0.5, pillarW, pillarH, 6);
 
-            const dir = new THREE.Vector3(x, 50, z).normalize();
-            const pos = PC.clone().addScaledVector(dir, PR + pillarH / 2);
-            const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
+            const pos = planet.capPoint(x, z, pillarH / 2);
+            const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), planet.upAt(pos));
 
             const mesh = new THREE.Mesh(geo, rockMat);
             mesh.position.copy(pos);
@@ -43,12 +39,12 @@ export class DesertTheme extends BaseTheme {
 
             const pb = this._addFixedBody(pos.x, pos.y, pos.z);
             rapierWorld.createCollider(RAPIER.ColliderDesc.cylinder(pillarH / 2, pillarW * 0.5), pb);
+            this._addReactiveProp(mesh, pb);
         }
 
         // ── Return portal ─────────────────────────────────────────────────
-        const portalDir = new THREE.Vector3(0, 50, 4).normalize();
-        const surfPt = PC.clone().addScaledVector(portalDir, PR + 0.05);
-        this._portal = new PortalZone(scene, PC, surfPt, '✦ Travel', 0xffaa44, () => this._onPortal('desert'));
+        const surfPt = planet.capPoint(0, 4, 0.05);
+        this._portal = new PortalZone(scene, planet.center, surfPt, '✦ Travel', 0xffaa44, () => this._onPortal('desert'));
     }
 
     update(dt, playerPos, time) {
@@ -6,8 +6,12 @@ import { BaseTheme } from './BaseTheme.js';
 import { Grass } from '../grass.js';
 import { CubeWall } from '../cubeWall.js';
 import { Football } from '../../entities/football.js';
+import { FootballMatch } from '../../core/footballMatch.js';
 
 import { ChessZone } from '../chessZone.js';
+import { Chess } from '../../entities/chess.js';
+import { ChessMode } from '../../core/chessMode.js';
+import { planet } from '../planetCore.js';
 import { SpawnerZone } from '../spawnerZone.js';
 import { FollowerSphere } from '../../entities/followerSphere.js';
 import { Chimney } from '../../entities/chimney.js';
@@ -19,10 +23,11 @@ import { CloudLayer } from '../cloudLayer.js';
 import { HighStriker } from '../../entities/highStriker.js';
 import { Rocks } from '../../entities/rocks.js';
 import { SocialPad } from '../socialPad.js';
+import { save } from '../../systems/saveSystem.js';
+import { achievements } from '../../systems/achievementSystem.js';
+import { ASSETS } from '../../systems/assetManager.js';
 
 
-const PC = new THREE.Vector3(0, -50, 0);
-const PR = 50;
 
 // ── Layout — Bruno Simon style ────────────────────────────────────────────────
 //
@@ -31,15 +36,16 @@ const PR = 50;
 //         Chimney (0, 2, -10)  ← landmark beacon behind spawn
 //
 //  WEST                                              EAST
+//  Chess board (-32.5, 0, 0)
 //  ChessZone (-24, 0, 0)       HighStriker (18, 1, 0)
 //  Lamp (-12, 0, 6)            Trampoline  (16, 1, 12)
 //
 //            ● SPAWN (0, 1.5, 0)
 //            FollowerSphere (-5, 4, -4)
+//  Football pitch (-6, 0, 0) — goals at z ±8, kickoff ring (0, 0, 4)
 //
 //            JumpRope  (8,  1, 16)
 //            Cassette  (13, 3, 22)  ← scoreboard above the rope
-//            Football  (0,  1, 8)
 //
 //                         SOUTH  (Z+)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -47,13 +53,24 @@ const PR = 50;
 export class HubTheme extends BaseTheme {
     static get themeKey() { return 'hub'; }
 
+    static get assets() {
+        return [
+            ASSETS.chess, ASSETS.chimney, ASSETS.lamp, ASSETS.cassette,
+            ASSETS.goalPost, ASSETS.football, ASSETS.terrainSplatmap,
+        ];
+    }
+
     constructor(onPortal) {
         super();
         this._onPortal = onPortal;
         this._grass = null;
         this._cubeWall = null;
         this._football = null;
+        this._footballMatch = null;
         this._chessZone = null;
+        this._chess = null;
+        this._chessMode = null;
+        this._player = null;
         this._spawnerZone = null;
         this._follower = null;
         this._chimney = null;
@@ -67,8 +84,6 @@ export class HubTheme extends BaseTheme {
         this._social = null;
     }
 
-    get spawnPoint() { return new THREE.Vector3(0, 1.5, 0); }
-
     load(scene, RAPIER, rapierWorld, sceneSetup) {
         super.load(scene, RAPIER, rapierWorld, sceneSetup);
 
@@ -83,7 +98,13 @@ export class HubTheme extends BaseTheme {
         this._grass = new Grass(scene);
 
         // ── Zones ─────────────────────────────────────────────────────────
-        this._chessZone  = new ChessZone(scene, new THREE.Vector3(-24, 0.05, 0));
+        this._chess = new Chess(scene, RAPIER, rapierWorld, planet.capPoint(-32.5, 0), {
+            whiteToward: planet.capPoint(-24, 0),
+        });
+        this._chessMode = new ChessMode({ chess: this._chess, sceneSetup });
+        this._chessZone  = new ChessZone(scene, new THREE.Vector3(-24, 0.05, 0), {
+            onInteract: () => this._chessMode.start(this._player),
+        });
         this._spawnerZone = new SpawnerZone(scene, RAPIER, rapierWorld);
 
         // ── Follower — floats near spawn ──────────────────────────────────
@@ -111,8 +132,14 @@ export class HubTheme extends BaseTheme {
         // ── CubeWall — platforming zone, north ────────────────────────────
         this._cubeWall = new CubeWall(scene, RAPIER, rapierWorld, new THREE.Vector3(-8, 0, -15), 4, 4, 1.0);
 
-        // ── Football — free-play near spawn, south ────────────────────────
-        this._football = new Football(scene, RAPIER, rapierWorld);
+        // ── Football — pitch west of spawn, free play or timed match ──────
+        this._football = new Football(scene, RAPIER, rapierWorld, {
+            onGoal: (index) => this._footballMatch?.onGoal(index),
+        });
+        this._footballMatch = new FootballMatch({
+            football: this._football, scene, RAPIER, world: rapierWorld,
+            position: new THREE.Vector3(0, 0, 4),
+        });
 
         // ── Trampoline — east bounce zone ─────────────────────────────────
         this._trampoline = new Trampoline(
@@ -132,15 +159,21 @@ export class HubTheme extends BaseTheme {
         );
 
         // ── JumpRope + Cassette scoreboard — south activity zone ──────────
-        this._jumpCount = 0;
+        // Score = points (perfect-timing combos pay extra); the streak drives speed + double-dutch.
+        // The cassette's two digits show the streak — the score outgrows 99 within a few combos.
+        this._ropeScore = 0;
         this._jumpRope = new JumpRope(scene, new THREE.Vector3(8, 1, 16), {
-            onJumpSuccess: () => {
-                this._jumpCount++;
+            onJumpSuccess: ({ streak, grade, points }) => {
+                this._ropeScore += points;
+                save.recordBest('jumpRope', 'bestScore', this._ropeScore);
+                if (save.recordBest('jumpRope', 'bestStreak', streak)) this._cassette?.setBest(streak);
+                if (streak >= 20) achievements.unlock('rope-20');
                 this._cassette?.triggerSuccessGlimmer();
-                this._cassette?.setCount(this._jumpCount);
+                if (grade === 'perfect') this._cassette?.triggerSmokeBurst();
+                this._cassette?.setCount(streak);
             },
             onJumpFail: () => {
-                this._jumpCount = 0;
+                this._ropeScore = 0;
                 this._cassette?.triggerFailFlash();
             }
         });
@@ -156,6 +189,7 @@ export class HubTheme extends BaseTheme {
             CASSETTE_ELEVATION,
             CASSETTE_ROTATION
         );
+        this._cassette.setBest(save.getRecord('jumpRope', 'bestStreak') ?? 0);
         window.cassette = this._cassette;
 
         // ── Rocks — pebble props on the dirt zones ────────────────────────
@@ -167,10 +201,23 @@ export class HubTheme extends BaseTheme {
         // ── Cloud Layer ───────────────────────────────────────────────────
         this._cloudLayer = new CloudLayer(scene);
         if (sceneSetup) sceneSetup.clouds = this._cloudLayer;
+
+        // ── Room energy — wind picks up and clouds race when the player is active ──
+        this._onEnergy((e) => {
+            const active = Math.max(0, e);
+            if (this._grass) this._grass.windStrength.value = active;
+            if (this._cloudLayer) this._cloudLayer.speedScale = 1 + active * 3 - Math.max(0, -e) * 0.7;
+        });
+    }
+
+    attachChat(chat) {
+        this._chessMode?.setChat(chat);
+        this._striker?.setChat(chat);
     }
 
     update(dt, playerPos, time, chatPositions = [], player = null) {
         const TIMESTEP = 1 / 60;
+        this._player = player;
         this._cubeWall?.update(TIMESTEP);
         this._football?.update(TIMESTEP);
         if (playerPos) {
@@ -185,14 +232,16 @@ export class HubTheme extends BaseTheme {
             }
 
             this._grass?.update(time, playerPos, true, cubePositions);
-            this._chessZone?.update(playerPos);
-            this._spawnerZone?.update(playerPos);
+            this._spawnerZone?.update();
             this._follower?.update(time, playerPos, dt ?? 0.016);
             this._chimney?.update(dt ?? 0.016);
             this._trampoline?.update(dt ?? 0.016, player);
             this._cassette?.update(dt ?? 0.016);
             this._jumpRope?.update(dt ?? 0.016, player);
             this._striker?.update(dt ?? 0.016, player);
+            this._chess?.update(dt ?? 0.016);
+            this._chessMode?.update(dt ?? 0.016);
+            this._footballMatch?.update(dt ?? 0.016);
         }
         this._social?.update(dt ?? 0.016, playerPos);
         this._cloudLayer?.update(time ?? 0);
@@ -214,16 +263,11 @@ export class HubTheme extends BaseTheme {
             this._grass.mesh.geometry?.dispose();
             this._grass.mesh.material?.dispose();
         }
-        if (this._spawnerZone?.ringMesh) {
-            this.scene.remove(this._spawnerZone.ringMesh);
-            this._spawnerZone.ringMesh.geometry?.dispose();
-            this._spawnerZone.ringMesh.material?.dispose();
-        }
-        if (this._chessZone?.ringMesh) {
-            this.scene.remove(this._chessZone.ringMesh);
-            this._chessZone.ringMesh.geometry?.dispose();
-            this._chessZone.ringMesh.material?.dispose();
-        }
+        this._spawnerZone?.dispose();
+        this._chessZone?.dispose();
+        this._chessMode?.dispose();
+        this._chess?.dispose();
+        this._footballMatch?.dispose();
         this._football?.dispose();
         this._cubeWall?.dispose();
         if (this._follower?.mesh) {
@@ -1,14 +1,18 @@
-// IceTheme.js — Cyan/white crystal surface decorations (ice spikes + portal).
+// IceTheme.js — Cyan/white crystal surface decorations (ice spikes + portal) on a small moon.
 
 import * as THREE from 'three';
 import { BaseTheme } from './BaseTheme.js';
+import { planet } from '../planetCore.js';
 import { PortalZone } from '../portalZone.js';
 
-const PC = new THREE.Vector3(0, -50, 0);
-const PR = 50;
+const ICE_MOON = Object.freeze({ center: Object.freeze([0, -30, 0]), radius: 30 });
 
 export class IceTheme extends BaseTheme {
     static get themeKey() { return 'ice'; }
+    static get echoMode() { return 'replay'; }
+
+    /** A smaller moon than the default planet — same pole height, tighter curvature. */
+    static get planetConfig() { return ICE_MOON; }
 
     constructor(onPortal) {
         super();
@@ -16,10 +20,8 @@ export class IceTheme extends BaseTheme {
         this._portal = null;
     }
 
-    get spawnPoint() { return new THREE.Vector3(0, 1.5, 0); }
-
-    load(scene, RAPIER, rapierWorld) {
-        super.load(scene, RAPIER, rapierWorld);
+    load(scene, RAPIER, rapierWorld, sceneSetup = null) {
+        super.load(scene, RAPIER, rapierWorld, sceneSetup);
 
         // ── Ice crystal spikes ────────────────────────────────────────────
         const crystalMat = new THREE.MeshStandardMaterial({
@@ -33,9 +35,8 @@ export class IceTheme extends BaseTheme {
             const h = 2.5 + Math.random() * 3;
             const r = 0.2 + Math.random() * 0.3;
             const geo = new THREE.ConeGeometry(r, h, 5);
-            const dir = new THREE.Vector3(sx, 50, sz).normalize();
-            const pos = PC.clone().addScaledVector(dir, PR + h / 2);
-            const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
+            const pos = planet.capPoint(sx, sz, h / 2);
+            const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), planet.upAt(pos));
 
             const spike = new THREE.Mesh(geo, crystalMat);
             spike.position.copy(pos);
@@ -45,12 +46,12 @@ export class IceTheme extends BaseTheme {
 
             const sb = this._addFixedBody(pos.x, pos.y, pos.z);
             rapierWorld.createCollider(RAPIER.ColliderDesc.cone(h / 2, r), sb);
+            this._addReactiveProp(spike, sb);
         }
 
         // ── Return portal ─────────────────────────────────────────────────
-        const portalDir = new THREE.Vector3(0, 50, 4).normalize();
-        const surfPt = PC.clone().addScaledVector(portalDir, PR + 0.05);
-        this._portal = new PortalZone(scene, PC, surfPt, '✦ Travel', 0x88ddff, () => this._onPortal('ice'));
+        const surfPt = planet.capPoint(0, 4, 0.05);
+        this._portal = new PortalZone(scene, planet.center, surfPt, '✦ Travel', 0x88ddff, () => this._onPortal('ice'));
     }
 
     update(dt, playerPos, time) {
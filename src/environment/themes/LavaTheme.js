@@ -4,13 +4,12 @@ import * as THREE from 'three';
 import { MeshStandardNodeMaterial } from 'three/webgpu';
 import { color, mix, positionWorld, sin, uniform } from 'three/tsl';
 import { BaseTheme } from './BaseTheme.js';
+import { planet } from '../planetCore.js';
 import { PortalZone } from '../portalZone.js';
 
-const PC = new THREE.Vector3(0, -50, 0);
-const PR = 50;
-
 export class LavaTheme extends BaseTheme {
     static get themeKey() { return 'lava'; }
+    static get echoMode() { return 'replay'; }
 
     constructor(onPortal) {
         super();
@@ -19,10 +18,8 @@ export class LavaTheme extends BaseTheme {
         this._timeNode = null;
     }
 
-    get spawnPoint() { return new THREE.Vector3(0, 1.5, 0); }
-
-    load(scene, RAPIER, rapierWorld) {
-        super.load(scene, RAPIER, rapierWorld);
+    load(scene, RAPIER, rapierWorld, sceneSetup = null) {
+        super.load(scene, RAPIER, rapierWorld, sceneSetup);
 
         // ── Animated lava crack platform decorations ───────────────────────
         // (Animated lava material on small surface slabs — not the planet itself)
@@ -43,9 +40,8 @@ export class LavaTheme extends BaseTheme {
             [4, 3, 0.5, 3], [-3, 5, 0.5, 2.5], [6, -2, 0.4, 2], [-5, -4, 0.5, 2.8], [0, 4, 0.3, 2],
         ];
         for (const [sx, sz, thick, size] of platforms) {
-            const dir = new THREE.Vector3(sx, 50, sz).normalize();
-            const pos = PC.clone().addScaledVector(dir, PR + thick / 2);
-            const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
+            const pos = planet.capPoint(sx, sz, thick / 2);
+            const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), planet.upAt(pos));
 
             const geo = new THREE.BoxGeometry(size, thick, size);
             const pm = new THREE.Mesh(geo, lavaMat);
@@ -60,13 +56,13 @@ export class LavaTheme extends BaseTheme {
 
         // ── Point light (lava glow) ───────────────────────────────────────
         const glow = new THREE.PointLight(0xff3300, 3, 30);
-        glow.position.set(PC.x, PC.y + PR + 1, PC.z);
+        glow.position.copy(planet.capPoint(0, 0, 1));
         this._track(glow);
+        this._onEnergy((e) => { glow.intensity = 3 * (1 + 0.5 * e); });
 
         // ── Return portal ─────────────────────────────────────────────────
-        const portalDir = new THREE.Vector3(0, 50, 4).normalize();
-        const surfPt = PC.clone().addScaledVector(portalDir, PR + 0.05);
-        this._portal = new PortalZone(scene, PC, surfPt, '✦ Travel', 0xff4400, () => this._onPortal('lava'));
+        const surfPt = planet.capPoint(0, 4, 0.05);
+        this._portal = new PortalZone(scene, planet.center, surfPt, '✦ Travel', 0xff4400, () => this._onPortal('lava'));
     }
 
     update(dt, playerPos, time) {
@@ -2,6 +2,7 @@
 // Tracks every Three.js mesh and Rapier body added so dispose() can clean them all up.
 
 import * as THREE from 'three';
+import { planet } from '../planetCore.js';
 
 export class BaseWorld {
     constructor() {
@@ -25,11 +26,11 @@ export class BaseWorld {
         return new THREE.Vector3(0, this.planetRadius + 1.5, 0).add(this.planetCenter);
     }
 
-    /** Center of this world's planet (also the gravity attractor). */
-    get planetCenter() { return new THREE.Vector3(0, -50, 0); }
+    /** Center of this world's planet (also the gravity attractor) — the shared planetCore one. */
+    get planetCenter() { return planet.center; }
 
     /** Radius of this world's planet. */
-    get planetRadius() { return 50; }
+    get planetRadius() { return planet.radius; }
 
     /** Called every frame by WorldManager (optional override). */
     update(_dt) { }
@@ -13,8 +13,6 @@ export class DesertWorld extends BaseWorld {
         this._portal = null;
     }
 
-    get planetCenter() { return new THREE.Vector3(0, -50, 0); }
-    get planetRadius() { return 50; }
     get spawnPoint() { return new THREE.Vector3(0, 1.5, 0); }
 
     load(scene, RAPIER, rapierWorld) {
@@ -54,7 +52,7 @@ export class DesertWorld extends BaseWorld {
             const geo = new THREE.CylinderGeometry(pillarW * 0.5, pillarW, pillarH, 6);
 
             // Place on sphere surface
-            const dir = new THREE.Vector3(x, 50, z).normalize();
+            const dir = new THREE.Vector3(x, PR, z).normalize();
             const pos = PC.clone().addScaledVector(dir, PR + pillarH / 2);
             const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
 
@@ -72,7 +70,7 @@ export class DesertWorld extends BaseWorld {
         }
 
         // ── Return portal ─────────────────────────────────────────────────
-        const portalDir = new THREE.Vector3(0, 50, 4).normalize();
+        const portalDir = new THREE.Vector3(0, PR, 4).normalize();
         const surfPt = PC.clone().addScaledVector(portalDir, PR + 0.05);
         this._portal = new PortalZone(scene, PC, surfPt, '✦ Travel', 0xaaddff, () => this._onPortal('desert'));
     }
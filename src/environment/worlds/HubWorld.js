@@ -29,8 +29,6 @@ export class HubWorld extends BaseWorld {
         this._startPlane = null;
     }
 
-    get planetCenter() { return new THREE.Vector3(0, -50, 0); }
-    get planetRadius() { return 50; }
     get spawnPoint() { return new THREE.Vector3(0, 1.5, 0); }
 
     load(scene, RAPIER, rapierWorld) {
@@ -105,7 +103,7 @@ export class HubWorld extends BaseWorld {
         const antennaPos = new THREE.Vector3(-14, -2.9, -10);
         // Surface normal = direction from planet center to antenna position
         const antennaSurfaceNormal = new THREE.Vector3()
-            .subVectors(antennaPos, new THREE.Vector3(0, -50, 0))
+            .subVectors(antennaPos, PC)
             .normalize();
         const uprightQuat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), antennaSurfaceNormal);
         const spinQuat = new THREE.Quaternion().setFromAxisAngle(antennaSurfaceNormal, Math.PI / 6); // 30° around surface normal
@@ -128,7 +126,7 @@ export class HubWorld extends BaseWorld {
         this._startPlane = new StartPlane(scene, new THREE.Vector3(0, 0.5, 0), 1);
         console.log('[HubWorld] StartPlane created');
 
-        const portalDir = new THREE.Vector3(0, 50, 4).normalize();
+        const portalDir = new THREE.Vector3(0, PR, 4).normalize();
         const portalPt = PC.clone().addScaledVector(portalDir, PR + 0.05);
         const portal = new PortalZone(
             scene, PC, portalPt, '✦ Travel', 0xaaddff,
@@ -13,8 +13,6 @@ export class IceWorld extends BaseWorld {
         this._portal = null;
     }
 
-    get planetCenter() { return new THREE.Vector3(0, -50, 0); }
-    get planetRadius() { return 50; }
     get spawnPoint() { return new THREE.Vector3(0, 1.5, 0); }
 
     load(scene, RAPIER, rapierWorld) {
@@ -53,7 +51,7 @@ export class IceWorld extends BaseWorld {
             const h = 2.5 + Math.random() * 3;
             const r = 0.2 + Math.random() * 0.3;
             const geo = new THREE.ConeGeometry(r, h, 5);
-            const dir = new THREE.Vector3(sx, 50, sz).normalize();
+            const dir = new THREE.Vector3(sx, PR, sz).normalize();
             const pos = PC.clone().addScaledVector(dir, PR + h / 2);
             const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
 
@@ -68,7 +66,7 @@ export class IceWorld extends BaseWorld {
         }
 
         // ── Return portal ─────────────────────────────────────────────────
-        const portalDir = new THREE.Vector3(0, 50, 4).normalize();
+        const portalDir = new THREE.Vector3(0, PR, 4).normalize();
         const surfPt = PC.clone().addScaledVector(portalDir, PR + 0.05);
         this._portal = new PortalZone(scene, PC, surfPt, '✦ Travel', 0xaaddff, () => this._onPortal('ice'));
     }
@@ -14,8 +14,6 @@ export class LavaWorld extends BaseWorld {
         this._timeNode = null;
     }
 
-    get planetCenter() { return new THREE.Vector3(0, -50, 0); }
-    get planetRadius() { return 50; }
     get spawnPoint() { return new THREE.Vector3(0, 1.5, 0); }
 
     load(scene, RAPIER, rapierWorld) {
@@ -54,7 +52,7 @@ export class LavaWorld extends BaseWorld {
             [4, 3, 0.5, 3], [-3, 5, 0.5, 2.5], [6, -2, 0.4, 2], [-5, -4, 0.5, 2.8], [0, 4, 0.3, 2],
         ];
         for (const [sx, sz, thick, size] of platforms) {
-            const dir = new THREE.Vector3(sx, 50, sz).normalize();
+            const dir = new THREE.Vector3(sx, PR, sz).normalize();
             const pos = PC.clone().addScaledVector(dir, PR + thick / 2);
             const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir);
 
@@ -79,7 +77,7 @@ export class LavaWorld extends BaseWorld {
         this._track(glow);
 
         // ── Return portal ─────────────────────────────────────────────────
-        const portalDir = new THREE.Vector3(0, 50, 4).normalize();
+        const portalDir = new THREE.Vector3(0, PR, 4).normalize();
         const surfPt = PC.clone().addScaledVector(portalDir, PR + 0.05);
         this._portal = new PortalZone(scene, PC, surfPt, '✦ Travel', 0xaaddff, () => this._onPortal('lava'));
     }
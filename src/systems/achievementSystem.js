@@ -0,0 +1,107 @@
+// achievementSystem.js — Achievements and what they unlock (worlds, skins, trails).
+// Progress lives in save.data.achievements; gameplay code just calls
+// achievements.unlock('ring-the-bell') and the toast / menus react via onUnlock().
+
+import { save } from './saveSystem.js';
+import { Emitter } from './emitter.js';
+
+/** @typedef {{ id: string, icon: string, title: string, description: string }} Achievement */
+
+/** @type {Achievement[]} */
+export const ACHIEVEMENTS = [
+    { id: 'ring-the-bell', icon: '🔔', title: 'Ding Ding!', description: 'Ring the bell on the High Striker' },
+    { id: 'rope-20', icon: '🪢', title: 'Skip Master', description: 'Chain 20 rope jumps' },
+    { id: 'first-goal', icon: '⚽', title: 'Back of the Net', description: 'Score a goal' },
+    { id: 'explorer', icon: '🪐', title: 'Explorer', description: 'Visit every theme' },
+    { id: 'bomb-survivor', icon: '💣', title: 'Still Standing', description: 'Survive a chat bomb' },
+];
+
+/** World key → achievement required to travel there (missing = always open). */
+export const WORLD_REQUIREMENTS = {
+    desert: 'first-goal',
+    ice: 'rope-20',
+    lava: 'ring-the-bell',
+};
+
+/** Player skins: `color` tints the model (null = original look). */
+export const SKINS = [
+    { id: 'default', label: 'Classic', color: null, requires: null },
+    { id: 'gold', label: 'Gold', color: 0xffcc33, requires: 'ring-the-bell' },
+    { id: 'ember', label: 'Ember', color: 0xff6a3d, requires: 'bomb-survivor' },
+];
+
+/** Cosmetic trails: `colors` are cycled along the trail. */
+export const TRAILS = [
+    { id: 'none', label: 'None', colors: null, requires: null },
+    { id: 'stardust', label: 'Stardust', colors: [0xfff4b0, 0xffd24a], requires: 'explorer' },
+    { id: 'rainbow', label: 'Rainbow', colors: [0xff4d4d, 0xffb84d, 0xfff94d, 0x4dff88, 0x4dc3ff, 0xb84dff], requires: 'rope-20' },
+];
+
+const ALL_THEMES = ['hub', 'desert', 'ice', 'lava'];
+
+export class AchievementSystem {
+    constructor() {
+        this._unlocks = new Emitter();  // (achievement) => void
+    }
+
+    get _data() { return save.data.achievements; }
+
+    /** @param {string} id */
+    isUnlocked(id) {
+        return id in this._data.unlocked;
+    }
+
+    /**
+     * Unlock an achievement (no-op if already unlocked).
+     * @param {string} id
+     * @returns {boolean} true on first unlock
+     */
+    unlock(id) {
+        const achievement = ACHIEVEMENTS.find(a => a.id === id);
+        if (!achievement || this.isUnlocked(id)) return false;
+        this._data.unlocked[id] = Date.now();
+        save.commit();
+        this._unlocks.emit(achievement);
+        return true;
+    }
+
+    /**
+     * @param {(achievement: Achievement) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    onUnlock(fn) {
+        return this._unlocks.on(fn);
+    }
+
+    /** Record a theme visit — unlocks 'explorer' once every theme has been seen. */
+    markVisited(themeKey) {
+        const visited = this._data.visited;
+        if (!visited.includes(themeKey)) {
+            visited.push(themeKey);
+            save.commit();
+        }
+        if (ALL_THEMES.every(k => visited.includes(k))) this.unlock('explorer');
+    }
+
+    // ── Unlockables ───────────────────────────────────────────────────────
+
+    /** @param {string} worldKey */
+    isWorldUnlocked(worldKey) {
+        const req = WORLD_REQUIREMENTS[worldKey];
+        return !req || this.isUnlocked(req);
+    }
+
+    /** @returns {Achievement | null} the achievement gating a world, if still locked */
+    worldRequirement(worldKey) {
+        if (this.isWorldUnlocked(worldKey)) return null;
+        return ACHIEVEMENTS.find(a => a.id === WORLD_REQUIREMENTS[worldKey]) ?? null;
+    }
+
+    /** @param {{ requires: string | null }} item - entry of SKINS / TRAILS */
+    isItemUnlocked(item) {
+        return !item.requires || this.isUnlocked(item.requires);
+    }
+}
+
+/** The game's single achievement tracker. */
+export const achievements = new AchievementSystem();
@@ -0,0 +1,123 @@
+// assetManager.js — Shared loaders, cache and preloading for models and textures.
+// One LoadingManager, one GLTFLoader (with Draco) and one TextureLoader for the whole game.
+//
+//   await assets.preload(HubTheme.assets, (p) => bar.style.width = p * 100 + '%');
+//   assets.loadGLTF(ASSETS.chimney).then((gltf) => scene.add(gltf.scene));  // resolves at once when preloaded
+//
+// Each loadGLTF() call gets its own clone of the cached scene (geometries / materials are
+// shared), so several entities or a theme re-entry can use the same file safely.
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+
+// Local copy of three/examples/jsm/libs/draco/gltf — no CDN, so models load offline
+export const DRACO_DECODER_PATH = '/draco/';
+
+/** Manifest — every bundled file the game loads, by name. */
+export const ASSETS = Object.freeze({
+    // Models
+    yannis: '/models/yannis.glb',
+    chess: '/models/chess.glb',
+    cassette: '/models/cassette.glb',
+    chimney: '/models/chemine_blend.glb',
+    lamp: '/models/lampadaire.glb',
+    goalPost: '/models/3d_model_of_soccer__football_goal_post.glb',
+    football: '/models/soccer_ball__football.glb',
+
+    // Textures
+    terrainSplatmap: '/textures/Terrain_splatmap.png',
+});
+
+export class AssetManager {
+    constructor() {
+        this.manager = new THREE.LoadingManager();
+
+        const draco = new DRACOLoader(this.manager);
+        draco.setDecoderPath(DRACO_DECODER_PATH);
+        this._gltfLoader = new GLTFLoader(this.manager);
+        this._gltfLoader.setDRACOLoader(draco);
+        this._textureLoader = new THREE.TextureLoader(this.manager);
+
+        this._gltfs = new Map();     // url → Promise<GLTF>
+        this._textures = new Map();  // url → { texture, promise }
+    }
+
+    /**
+     * Load a GLTF (once) and resolve with a private copy of its scene.
+     * @param {string} url
+     * @returns {Promise<{ scene: THREE.Group, animations: THREE.AnimationClip[] }>}
+     */
+    loadGLTF(url) {
+        return this._loadGLTF(url).then(gltf => ({
+            ...gltf,
+            scene: cloneSkinned(gltf.scene),
+        }));
+    }
+
+    /**
+     * Texture from the cache — same contract as TextureLoader.load(): returned at once,
+     * image filled in when loaded (immediately if it was preloaded).
+     * @param {string} url
+     * @returns {THREE.Texture}
+     */
+    texture(url) {
+        return this._loadTexture(url).texture;
+    }
+
+    /**
+     * Load a list of files in parallel. Failures are logged, not thrown — a missing prop
+     * must not block the game from starting.
+     * @param {string[]} urls
+     * @param {(progress: number) => void} [onProgress] - 0 → 1 over this batch
+     * @returns {Promise<void>}
+     */
+    async preload(urls = [], onProgress) {
+        const pending = [...new Set(urls)];
+        if (pending.length === 0) { onProgress?.(1); return; }
+
+        let done = 0;
+        const step = () => onProgress?.(++done / pending.length);
+        onProgress?.(0);
+
+        await Promise.all(pending.map(url => {
+            const job = /\.(glb|gltf)$/i.test(url)
+                ? this._loadGLTF(url)
+                : this._loadTexture(url).promise;
+            return job.catch(err => console.error(`[Assets] failed to load ${url}:`, err)).finally(step);
+        }));
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _loadGLTF(url) {
+        let job = this._gltfs.get(url);
+        if (!job) {
+            job = this._gltfLoader.loadAsync(url).then(gltf => {
+                console.log(`[Model loaded] ${url.split('/').pop()}`);
+                return gltf;
+            });
+            // Let a failed load be retried later
+            job.catch(() => this._gltfs.delete(url));
+            this._gltfs.set(url, job);
+        }
+        return job;
+    }
+
+    _loadTexture(url) {
+        let entry = this._textures.get(url);
+        if (!entry) {
+            let resolve, reject;
+            const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+            promise.catch(() => { });  // texture() callers don't await — errors surface in preload()
+            const texture = this._textureLoader.load(url, resolve, undefined, reject);
+            entry = { texture, promise };
+            this._textures.set(url, entry);
+        }
+        return entry;
+    }
+}
+
+/** The game's single asset manager. */
+export const assets = new AssetManager();
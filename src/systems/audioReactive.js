@@ -0,0 +1,125 @@
+// audioReactive.js — Analyser-driven uniform bus for music-reactive visuals.
+// Every frame the spectrum of the current source is folded into a few 0…1 levels,
+// exposed both as TSL uniforms (bind them in any node material) and as plain numbers:
+//
+//   level   overall loudness
+//   bass    20–160 Hz      mid   160–2000 Hz      treble   2–8 kHz
+//   beat    jumps to 1 on a bass hit, decays in ~0.3 s
+//
+//   import { audioReactive } from '../systems/audioReactive.js';
+//   mat.emissiveNode = color(0xff00ff).mul(audioReactive.uniforms.bass);
+//
+// Sources: 'music' — whatever goes through the music bus (the cassette playlist or a local
+// file played with music.playFile()), or 'mic' — the microphone, analysed but never played back.
+
+import { uniform } from 'three/tsl';
+import { audio } from './audioSystem.js';
+
+const BANDS = { bass: [20, 160], mid: [160, 2000], treble: [2000, 8000] };
+const RELEASE = 2.5;          // level units/s a band falls at (rises instantly)
+const BEAT_RATIO = 1.35;      // bass must jump this far above its running average…
+const BEAT_MIN = 0.25;        // …and be at least this loud
+const BEAT_COOLDOWN_S = 0.25;
+const BEAT_DECAY = 8;         // beat envelope falls as e^(-BEAT_DECAY·t)
+
+class AudioReactive {
+    constructor() {
+        /** TSL uniforms, 0…1 — shared, read-only for materials. */
+        this.uniforms = {
+            level: uniform(0),
+            bass: uniform(0),
+            mid: uniform(0),
+            treble: uniform(0),
+            beat: uniform(0),
+        };
+        /** @type {'music' | 'mic'} */
+        this.source = 'music';
+
+        this._bins = null;
+        this._bassAverage = 0;
+        this._beatCooldown = 0;
+        this._mic = null;     // { stream, node, analyser }
+    }
+
+    /** Current levels as plain numbers (for CPU-side effects). */
+    get levels() {
+        const u = this.uniforms;
+        return { level: u.level.value, bass: u.bass.value, mid: u.mid.value, treble: u.treble.value, beat: u.beat.value };
+    }
+
+    /**
+     * Analyse the microphone instead of the music. Call from a user gesture.
+     * @returns {Promise<void>} rejects if the permission is refused
+     */
+    async useMicrophone() {
+        if (this._mic) { this.source = 'mic'; return; }
+        const ctx = audio.unlock();
+        if (!ctx) throw new Error('[AudioReactive] audio not initialised');
+
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const node = ctx.createMediaStreamSource(stream);
+        const analyser = ctx.createAnalyser();
+        analyser.fftSize = audio.analyser.fftSize;
+        analyser.smoothingTimeConstant = audio.analyser.smoothingTimeConstant;
+        node.connect(analyser);    // not connected onwards — no feedback through the speakers
+        this._mic = { stream, node, analyser };
+        this.source = 'mic';
+    }
+
+    /** Back to the music bus, releasing the microphone. */
+    useMusic() {
+        this.source = 'music';
+        if (!this._mic) return;
+        for (const track of this._mic.stream.getTracks()) track.stop();
+        this._mic.node.disconnect();
+        this._mic = null;
+    }
+
+    /** Call every frame. */
+    update(dt) {
+        const analyser = this.source === 'mic' ? this._mic?.analyser : audio.analyser;
+        const u = this.uniforms;
+        if (!analyser || audio.context?.state !== 'running') {
+            for (const key of Object.keys(u)) u[key].value = Math.max(0, u[key].value - RELEASE * dt);
+            return;
+        }
+
+        if (this._bins?.length !== analyser.frequencyBinCount) this._bins = new Uint8Array(analyser.frequencyBinCount);
+        analyser.getByteFrequencyData(this._bins);
+
+        const hzPerBin = audio.context.sampleRate / analyser.fftSize;
+        let total = 0;
+        for (const [name, [lo, hi]] of Object.entries(BANDS)) {
+            const value = this._band(lo, hi, hzPerBin);
+            total += value;
+            u[name].value = Math.max(value, u[name].value - RELEASE * dt);
+        }
+        const level = total / 3;
+        u.level.value = Math.max(level, u.level.value - RELEASE * dt);
+
+        // Beat: bass onset well above its recent average
+        const bass = u.bass.value;
+        this._beatCooldown = Math.max(0, this._beatCooldown - dt);
+        if (this._beatCooldown === 0 && bass > BEAT_MIN && bass > this._bassAverage * BEAT_RATIO) {
+            u.beat.value = 1;
+            this._beatCooldown = BEAT_COOLDOWN_S;
+        } else {
+            u.beat.value *= Math.exp(-BEAT_DECAY * dt);
+        }
+        this._bassAverage += (bass - this._bassAverage) * Math.min(1, dt * 1.5);
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    /** Mean magnitude (0…1) of the bins covering [lo, hi) Hz. */
+    _band(lo, hi, hzPerBin) {
+        const from = Math.max(1, Math.floor(lo / hzPerBin));
+        const to = Math.min(this._bins.length, Math.max(from + 1, Math.ceil(hi / hzPerBin)));
+        let sum = 0;
+        for (let i = from; i < to; i++) sum += this._bins[i];
+        return sum / ((to - from) * 255);
+    }
+}
+
+/** The game's single audio-reactive uniform bus. */
+export const audioReactive = new AudioReactive();
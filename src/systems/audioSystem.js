@@ -0,0 +1,238 @@
+// audioSystem.js — Shared Web Audio graph: spatial SFX, theme ambience and the music bus.
+//
+//   music ──── analyser ──┐
+//   ambience ── sfx ──────┼── master (AudioListener on the camera) ── destination
+//   positional sounds ─┘  │
+//
+// Music goes through an AnalyserNode so other systems can react to what's playing
+// (audioReactive.js turns it into shader uniforms).
+// Positional sounds are THREE.PositionalAudio anchored in the scene; sounds themselves
+// come from soundBank.js. Volumes and mute are saved in save.data.settings.audio.
+//
+//   const hum = audio.loop('hum', lampTop, { volume: 0.4 });   // …later audio.remove(hum)
+//   audio.playAt('kick', ballPosition);
+//   audio.setAmbience('desert', 1.0);                          // crossfade over 1 s
+//
+// Browsers only start audio after a user gesture: the first key / click / touch unlocks it.
+
+import * as THREE from 'three';
+import { getSound } from './soundBank.js';
+import { save } from './saveSystem.js';
+
+const DEFAULT_VOLUMES = { master: 1, music: 0.8, sfx: 0.8 };
+const VOICES = 8;             // one-shots playing at once; the oldest is cut off beyond that
+const REF_DISTANCE = 6;       // full volume inside this radius (the camera sits ~24 units back)
+const MAX_DISTANCE = 60;
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+
+class AudioSystem {
+    constructor() {
+        /** @type {AudioContext | null} */
+        this.context = null;
+        /** @type {THREE.AudioListener | null} */
+        this.listener = null;
+        this.master = null;     // GainNode — everything ends here (the listener's gain)
+        this.music = null;      // GainNode — music sources connect here
+        this.analyser = null;   // AnalyserNode on the music bus
+        this.sfx = null;        // GainNode — positional sounds + ambience
+
+        this._scene = null;
+        this._ambience = null;  // { key, source, gain }
+        this._voices = [];      // one-shot PositionalAudio pool
+        this._nextVoice = 0;
+        this._settings = null;
+    }
+
+    get ready() { return this.context !== null; }
+
+    /**
+     * Build the graph and hang the listener on the camera. Call once at startup.
+     * @param {THREE.Scene} scene — positional anchors live here
+     * @param {THREE.Camera} camera
+     */
+    init(scene, camera) {
+        if (this.context) return;
+        this._scene = scene;
+
+        this.listener = new THREE.AudioListener();
+        camera.add(this.listener);
+        const ctx = this.context = this.listener.context;
+
+        this.master = this.listener.gain;
+
+        this.analyser = ctx.createAnalyser();
+        this.analyser.fftSize = 1024;    // ~47 Hz bins — enough to isolate the bass
+        this.analyser.smoothingTimeConstant = 0.8;
+        this.analyser.connect(this.master);
+
+        this.music = ctx.createGain();
+        this.music.connect(this.analyser);
+
+        this.sfx = ctx.createGain();
+        this.sfx.connect(this.master);
+
+        this._settings = save.data.settings.audio = {
+            ...DEFAULT_VOLUMES, muted: false, ...save.data.settings.audio,
+        };
+        this._applyVolumes();
+
+        const unlock = () => {
+            this.unlock();
+            for (const type of UNLOCK_EVENTS) window.removeEventListener(type, unlock);
+        };
+        for (const type of UNLOCK_EVENTS) window.addEventListener(type, unlock);
+    }
+
+    /**
+     * Wake the context if the browser suspended it — call from a user gesture.
+     * @returns {AudioContext | null}
+     */
+    unlock() {
+        if (this.context?.state === 'suspended') this.context.resume();
+        return this.context;
+    }
+
+    // ── Volume ────────────────────────────────────────────────────────────
+
+    /** @returns {{ master: number, music: number, sfx: number }} */
+    get volumes() {
+        const { master, music, sfx } = this._settings ?? DEFAULT_VOLUMES;
+        return { master, music, sfx };
+    }
+
+    get muted() { return this._settings?.muted ?? false; }
+
+    /**
+     * @param {'master' | 'music' | 'sfx'} bus
+     * @param {number} value — 0…1
+     */
+    setVolume(bus, value) {
+        if (!this._settings || !(bus in DEFAULT_VOLUMES)) return;
+        this._settings[bus] = THREE.MathUtils.clamp(value, 0, 1);
+        this._applyVolumes();
+        save.commit();
+    }
+
+    setMuted(muted) {
+        if (!this._settings) return;
+        this._settings.muted = muted;
+        this._applyVolumes();
+        save.commit();
+    }
+
+    toggleMute() { this.setMuted(!this.muted); }
+
+    // ── Positional sounds ─────────────────────────────────────────────────
+
+    /**
+     * Start a looping sound at a fixed point in the world.
+     * @param {string} name — soundBank name
+     * @param {THREE.Vector3} position
+     * @param {{ volume?: number, refDistance?: number }} [opts]
+     * @returns {THREE.PositionalAudio | null} pass to remove() when done
+     */
+    loop(name, position, { volume = 1, refDistance = REF_DISTANCE } = {}) {
+        if (!this.context) return null;
+        const sound = this._positional(refDistance);
+        sound.setBuffer(getSound(this.context, name));
+        sound.setLoop(true);
+        sound.setVolume(volume);
+        sound.parent.position.copy(position);
+        sound.play();
+        return sound;
+    }
+
+    /** Stop a loop() sound and drop its anchor. */
+    remove(sound) {
+        if (!sound) return;
+        if (sound.isPlaying) sound.stop();
+        sound.gain.disconnect();
+        this._scene.remove(sound.parent);
+    }
+
+    /**
+     * Fire-and-forget sound at a world position.
+     * Skipped while the context is still locked, so nothing piles up before the first gesture.
+     * @param {string} name — soundBank name
+     * @param {THREE.Vector3} position
+     * @param {{ volume?: number, rate?: number }} [opts]
+     */
+    playAt(name, position, { volume = 1, rate = 1 } = {}) {
+        if (this.context?.state !== 'running') return;
+        if (this._voices.length < VOICES) this._voices.push(this._positional(REF_DISTANCE));
+        const sound = this._voices[this._nextVoice];
+        this._nextVoice = (this._nextVoice + 1) % VOICES;
+
+        if (sound.isPlaying) sound.stop();
+        sound.setBuffer(getSound(this.context, name));
+        sound.setVolume(volume);
+        sound.setPlaybackRate(rate);
+        sound.parent.position.copy(position);
+        sound.parent.updateMatrixWorld(true);   // panner position before the next render
+        sound.play();
+    }
+
+    // ── Ambience ──────────────────────────────────────────────────────────
+
+    /**
+     * Crossfade to another ambience bed (soundBank `ambience:<key>`); null fades to silence.
+     * @param {string | null} key
+     * @param {number} [fadeS]
+     */
+    setAmbience(key, fadeS = 1) {
+        if (!this.context || this._ambience?.key === key) return;
+        const now = this.context.currentTime;
+        const fade = Math.max(0.01, fadeS);
+
+        const old = this._ambience;
+        if (old) {
+            old.gain.gain.cancelScheduledValues(now);
+            old.gain.gain.setValueAtTime(old.gain.gain.value, now);
+            old.gain.gain.linearRampToValueAtTime(0, now + fade);
+            old.source.stop(now + fade);
+            old.source.onended = () => old.gain.disconnect();
+        }
+        this._ambience = null;
+        if (!key) return;
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(1, now + fade);
+        gain.connect(this.sfx);
+
+        const source = this.context.createBufferSource();
+        source.buffer = getSound(this.context, `ambience:${key}`);
+        source.loop = true;
+        source.connect(gain);
+        source.start(now);
+        this._ambience = { key, source, gain };
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    /** A PositionalAudio on its own anchor, routed into the SFX bus. */
+    _positional(refDistance) {
+        const sound = new THREE.PositionalAudio(this.listener);
+        sound.setRefDistance(refDistance);
+        sound.setMaxDistance(MAX_DISTANCE);
+        sound.setDistanceModel('linear');
+        sound.gain.disconnect();
+        sound.gain.connect(this.sfx);
+
+        const anchor = new THREE.Object3D();
+        anchor.add(sound);
+        this._scene.add(anchor);
+        return sound;
+    }
+
+    _applyVolumes() {
+        const { master, music, sfx, muted } = this._settings;
+        const now = this.context.currentTime;
+        this.master.gain.setTargetAtTime(muted ? 0 : master, now, 0.02);
+        this.music.gain.setTargetAtTime(music, now, 0.02);
+        this.sfx.gain.setTargetAtTime(sfx, now, 0.02);
+    }
+}
+
+/** The game's single audio graph. */
+export const audio = new AudioSystem();
@@ -0,0 +1,101 @@
+// chatBlocklist.js — Local blocklist keeping users and words out of the 3D world.
+// Bubbles are rendered on stream, so a matching message never spawns a character, runs a
+// command or shows up in an event — on top of whatever the platform's own moderation does.
+//
+//   users     logins, case-insensitive ('@' optional)
+//   patterns  a plain entry matches as a whole word, case-insensitive ('bad word' too);
+//             /…/flags is a regular expression
+//
+// Saved in save.data.settings.chatBlocklist; edited from ChatCommandsPanel.
+
+import { save } from './saveSystem.js';
+import { Emitter } from './emitter.js';
+
+export class ChatBlocklist {
+    constructor() {
+        const data = save.data.settings.chatBlocklist ??= {};
+        this._data = Object.assign(data, { users: data.users ?? [], patterns: data.patterns ?? [] });
+        this._users = new Set();
+        this._regexes = [];
+        this._changes = new Emitter();
+        this._compile();
+    }
+
+    /** @returns {string[]} */
+    get users() { return [...this._data.users]; }
+
+    /** @returns {string[]} */
+    get patterns() { return [...this._data.patterns]; }
+
+    /** @param {string[]} users */
+    setUsers(users) {
+        this._data.users = clean(users.map(u => u.trim().replace(/^@/, '').toLowerCase()));
+        this._changed();
+    }
+
+    /** @param {string[]} patterns */
+    setPatterns(patterns) {
+        this._data.patterns = clean(patterns);
+        this._changed();
+    }
+
+    /** @param {string} login */
+    isUserBlocked(login) {
+        return this._users.has(login.toLowerCase());
+    }
+
+    /** @param {string} text */
+    isTextBlocked(text) {
+        return this._regexes.some(re => re.test(text));
+    }
+
+    /**
+     * @param {import('./chatMessage.js').ChatMessage} message
+     * @returns {boolean} true if the message must stay out of the world
+     */
+    blocks(message) {
+        return this.isUserBlocked(message.user.login) || this.isUserBlocked(message.user.name)
+            || this.isTextBlocked(message.text);
+    }
+
+    /**
+     * Called after the lists change.
+     * @param {() => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    onChange(fn) {
+        return this._changes.on(fn);
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _changed() {
+        this._compile();
+        save.commit();
+        this._changes.emit();
+    }
+
+    _compile() {
+        this._users = new Set(this._data.users);
+        this._regexes = [];
+        for (const pattern of this._data.patterns) {
+            const literal = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+            try {
+                this._regexes.push(literal
+                    ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ''))   // stateless test()
+                    : new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(pattern)}(?![\\p{L}\\p{N}_])`, 'iu'));
+            } catch (err) {
+                console.warn(`[ChatBlocklist] bad pattern "${pattern}":`, err.message);
+            }
+        }
+    }
+}
+
+/** Trimmed, non-empty, without duplicates. */
+function clean(list) {
+    return [...new Set(list.map(s => s.trim()).filter(Boolean))];
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
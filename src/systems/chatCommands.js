@@ -0,0 +1,178 @@
+// chatCommands.js — Declarative registry for viewer `!commands`.
+//
+//   chat.commands.register({
+//       name: 'bomb', aliases: ['boom'], description: 'Drop a bomb',
+//       role: 'everyone', cooldown: { user: 10, global: 2 },
+//       handler: ({ args, user, message }) => { ...; return true; },   // true = consumed
+//   });
+//
+// A message `!name args` runs the first matching command (newest registration first) whose
+// role and cooldowns allow it. Consumed messages don't spawn a chat character.
+// The streamer can switch commands off at runtime (ChatCommandsPanel); the choice is saved
+// in save.data.settings.chatCommands.
+
+import { save } from './saveSystem.js';
+import { Emitter } from './emitter.js';
+
+const MAX_TRACKED_USERS = 500;   // per-user cooldown entries kept before expired ones are swept
+
+/** Roles from least to most trusted — each one includes the ones before it. */
+export const ROLES = Object.freeze(['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster']);
+
+/** Short labels for the overlay / !help. */
+export const ROLE_LABELS = Object.freeze({
+    everyone: 'Everyone', subscriber: 'Subs', vip: 'VIPs', moderator: 'Mods', broadcaster: 'Streamer',
+});
+
+/**
+ * @typedef {object} ChatCommandContext
+ * @property {string} name     — the name or alias that was typed
+ * @property {string} args     — everything after the command
+ * @property {string[]} argv   — args split on whitespace
+ * @property {import('./chatMessage.js').ChatMessage['user']} user
+ * @property {import('./chatMessage.js').ChatMessage} message
+ */
+
+/**
+ * @typedef {object} ChatCommandDef
+ * @property {string} name              — without the "!", case-insensitive
+ * @property {string[]} [aliases]
+ * @property {string} [args]            — usage hint, e.g. '<square>'
+ * @property {string} [description]
+ * @property {typeof ROLES[number]} [role]
+ * @property {{ user?: number, global?: number }} [cooldown] — seconds
+ * @property {(ctx: ChatCommandContext & Record<string, any>) => boolean | void} handler
+ */
+
+/**
+ * The role ladder rank of a message's author.
+ * @param {import('./chatMessage.js').ChatRoles} roles
+ */
+export function roleRank(roles) {
+    if (roles.broadcaster) return 4;
+    if (roles.moderator) return 3;
+    if (roles.vip) return 2;
+    if (roles.subscriber) return 1;
+    return 0;
+}
+
+export class ChatCommandRegistry {
+    constructor() {
+        /** @type {Array<Required<ChatCommandDef> & { lastUse: Map<string, number>, lastGlobal: number }>} */
+        this._commands = [];    // newest first
+        this._changes = new Emitter();
+        this._disabled = save.data.settings.chatCommands ??= {};   // name → false
+    }
+
+    /**
+     * @param {ChatCommandDef} def
+     * @returns {() => void} unregister
+     */
+    register(def) {
+        if (!ROLES.includes(def.role ?? 'everyone')) throw new Error(`[ChatCommands] unknown role "${def.role}"`);
+        const entry = {
+            name: def.name.toLowerCase(),
+            aliases: (def.aliases ?? []).map(a => a.toLowerCase()),
+            args: def.args ?? '',
+            description: def.description ?? '',
+            role: def.role ?? 'everyone',
+            cooldown: { user: 0, global: 0, ...def.cooldown },
+            handler: def.handler,
+            lastUse: new Map(),   // user login → ms
+            lastGlobal: -Infinity,
+        };
+        this._commands.unshift(entry);
+        this._emitChange();
+        return () => {
+            const i = this._commands.indexOf(entry);
+            if (i < 0) return;
+            this._commands.splice(i, 1);
+            this._emitChange();
+        };
+    }
+
+    /**
+     * Every registered command, one entry per name (the newest registration wins).
+     * @returns {Array<{ name: string, aliases: string[], args: string, description: string, role: string, cooldown: { user: number, global: number }, enabled: boolean }>}
+     */
+    list() {
+        const seen = new Set();
+        const out = [];
+        for (const c of this._commands) {
+            if (seen.has(c.name)) continue;
+            seen.add(c.name);
+            const { name, aliases, args, description, role, cooldown } = c;
+            out.push({ name, aliases, args, description, role, cooldown, enabled: this.isEnabled(name) });
+        }
+        return out.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Enabled commands the given roles may use.
+     * @param {import('./chatMessage.js').ChatRoles} roles
+     */
+    available(roles) {
+        const rank = roleRank(roles);
+        return this.list().filter(c => c.enabled && ROLES.indexOf(c.role) <= rank);
+    }
+
+    isEnabled(name) { return this._disabled[name.toLowerCase()] !== false; }
+
+    setEnabled(name, enabled) {
+        const key = name.toLowerCase();
+        if (enabled) delete this._disabled[key];
+        else this._disabled[key] = false;
+        save.commit();
+        this._emitChange();
+    }
+
+    /**
+     * Called when commands are registered, removed, enabled or disabled.
+     * @param {() => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    onChange(fn) {
+        return this._changes.on(fn);
+    }
+
+    /**
+     * Run the command in a message, if any.
+     * @param {import('./chatMessage.js').ChatMessage} message
+     * @param {object} [extra] — merged into the handler context
+     * @returns {boolean} true if a handler consumed the message
+     */
+    dispatch(message, extra = {}) {
+        const match = /^!(\S+)\s*(.*)$/s.exec(message.text.trim());
+        if (!match) return false;
+        const typed = match[1].toLowerCase();
+        const args = match[2];
+        const rank = roleRank(message.roles);
+        const now = performance.now();
+        const who = message.user.login || message.user.name;
+
+        for (const c of [...this._commands]) {
+            if (c.name !== typed && !c.aliases.includes(typed)) continue;
+            if (!this.isEnabled(c.name) || ROLES.indexOf(c.role) > rank) continue;
+            if (now - c.lastGlobal < c.cooldown.global * 1000) continue;
+            if (now - (c.lastUse.get(who) ?? -Infinity) < c.cooldown.user * 1000) continue;
+
+            c.lastGlobal = now;
+            if (c.cooldown.user > 0) {
+                c.lastUse.set(who, now);
+                if (c.lastUse.size > MAX_TRACKED_USERS) pruneCooldowns(c.lastUse, now - c.cooldown.user * 1000);
+            }
+            const ctx = { ...extra, name: typed, args, argv: args.split(/\s+/).filter(Boolean), user: message.user, message };
+            if (c.handler(ctx)) return true;
+        }
+        return false;
+    }
+
+    _emitChange() {
+        this._changes.emit();
+    }
+}
+
+/** Drop cooldown entries older than `before`. */
+function pruneCooldowns(lastUse, before) {
+    for (const [who, t] of lastUse) if (t < before) lastUse.delete(who);
+}
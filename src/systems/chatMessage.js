@@ -0,0 +1,166 @@
+// chatMessage.js — The normalised chat message every provider emits (see chatProviders.js).
+
+/**
+ * @typedef {object} ChatEmote
+ * @property {string} id
+ * @property {number} start — first character index in `text`
+ * @property {number} end   — last character index (inclusive)
+ * @property {string} [url] — image URL when it isn't a Twitch emote id
+ */
+
+/**
+ * @typedef {object} ChatRoles
+ * @property {boolean} broadcaster
+ * @property {boolean} moderator
+ * @property {boolean} vip
+ * @property {boolean} subscriber
+ */
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {string} provider — 'twitch' | 'kick' | 'youtube' | 'mock'
+ * @property {string} channel
+ * @property {string} id       — provider message id ('' when unknown)
+ * @property {{ id: string, login: string, name: string }} user — name is the display name
+ * @property {string} text
+ * @property {string} color    — '#rrggbb', '' = let the game pick one
+ * @property {Array<{ set: string, version: string }>} badges
+ * @property {ChatEmote[]} emotes
+ * @property {ChatRoles} roles
+ * @property {number} bits     — cheered with this message (0 = none)
+ * @property {ChatReply | null} reply — the message this one answers, if any
+ * @property {number} timestamp — ms since epoch
+ */
+
+/**
+ * @typedef {object} ChatReply
+ * @property {string} id        — parent message id
+ * @property {string} threadId  — id of the message that started the thread
+ * @property {{ id: string, login: string, name: string }} user — parent's author
+ * @property {string} text      — parent message body
+ */
+
+/**
+ * Something other than a plain chat line — Twitch USERNOTICEs and cheers.
+ * @typedef {object} ChatEvent
+ * @property {'sub' | 'resub' | 'subgift' | 'raid' | 'bits'} type
+ * @property {string} provider
+ * @property {string} channel
+ * @property {string} id
+ * @property {ChatMessage['user']} user — subscriber, gifter, raider or cheerer
+ * @property {string} text     — what the viewer wrote with it ('' if nothing)
+ * @property {number} amount   — sub/resub: months · subgift: subs gifted · raid: viewers · bits: bits
+ * @property {string} tier     — subs only: '1000' | '2000' | '3000' | 'Prime'
+ * @property {ChatMessage['user'] | null} recipient — a single gifted sub's recipient
+ * @property {ChatMessage | null} message — the chat message that carried it (bits)
+ * @property {number} timestamp — ms since epoch
+ */
+
+/** Every ChatEvent type. */
+export const CHAT_EVENT_TYPES = Object.freeze(['sub', 'resub', 'subgift', 'raid', 'bits']);
+
+/**
+ * A moderator action or a room setting change (Twitch CLEARCHAT / CLEARMSG / ROOMSTATE).
+ * @typedef {object} ChatModeration
+ * @property {'ban' | 'timeout' | 'delete' | 'clear' | 'roomstate'} type
+ *           — clear: the whole chat was wiped; delete: one message was removed
+ * @property {string} provider
+ * @property {string} channel
+ * @property {string} login     — target user (ban / timeout / delete), '' otherwise
+ * @property {string} messageId — deleted message (delete), '' otherwise
+ * @property {number} duration  — timeout length in seconds, 0 otherwise
+ * @property {Record<string, string>} state — changed room settings (roomstate),
+ *           e.g. { 'emote-only': '1', slow: '30' }
+ */
+
+/** Every ChatModeration type. */
+export const CHAT_MODERATION_TYPES = Object.freeze(['ban', 'timeout', 'delete', 'clear', 'roomstate']);
+
+/**
+ * Fill in a partial message (mock recordings, ws relays…) so consumers never null-check.
+ * @param {Partial<ChatMessage> & { user?: Partial<ChatMessage['user']> | string }} raw
+ * @param {string} provider
+ * @param {string} channel
+ * @returns {ChatMessage}
+ */
+export function normalizeMessage(raw, provider, channel) {
+    const badges = Array.isArray(raw.badges) ? raw.badges : [];
+    return {
+        provider,
+        channel,
+        id: raw.id ?? '',
+        user: toUser(raw.user),
+        text: String(raw.text ?? ''),
+        color: /^#[0-9a-f]{6}$/i.test(raw.color ?? '') ? raw.color : '',
+        badges,
+        emotes: Array.isArray(raw.emotes) ? raw.emotes : [],
+        roles: { ...rolesFromBadges(badges), ...raw.roles },
+        bits: Math.max(0, Number(raw.bits) || 0),
+        reply: raw.reply ?? null,
+        timestamp: raw.timestamp ?? Date.now(),
+    };
+}
+
+/**
+ * Fill in a partial event, like normalizeMessage().
+ * @param {Partial<ChatEvent> & { type: ChatEvent['type'], user?: Partial<ChatMessage['user']> | string }} raw
+ * @param {string} provider
+ * @param {string} channel
+ * @returns {ChatEvent}
+ */
+export function normalizeEvent(raw, provider, channel) {
+    return {
+        type: raw.type,
+        provider,
+        channel,
+        id: raw.id ?? '',
+        user: toUser(raw.user),
+        text: String(raw.text ?? ''),
+        amount: Math.max(1, Number(raw.amount) || 1),
+        tier: raw.tier ?? '',
+        recipient: raw.recipient ? toUser(raw.recipient) : null,
+        message: raw.message ?? null,
+        timestamp: raw.timestamp ?? Date.now(),
+    };
+}
+
+/**
+ * Fill in a partial moderation action, like normalizeMessage().
+ * @param {Partial<ChatModeration> & { type: ChatModeration['type'] }} raw
+ * @param {string} provider
+ * @param {string} channel
+ * @returns {ChatModeration}
+ */
+export function normalizeModeration(raw, provider, channel) {
+    return {
+        type: raw.type,
+        provider,
+        channel,
+        login: (raw.login ?? '').toLowerCase(),
+        messageId: raw.messageId ?? '',
+        duration: Math.max(0, Number(raw.duration) || 0),
+        state: raw.state ?? {},
+    };
+}
+
+/**
+ * Roles implied by Twitch-style badge sets.
+ * @param {Array<{ set: string }>} badges
+ * @returns {ChatRoles}
+ */
+export function rolesFromBadges(badges) {
+    const sets = new Set(badges.map(b => b.set));
+    return {
+        broadcaster: sets.has('broadcaster'),
+        moderator: sets.has('moderator') || sets.has('broadcaster'),
+        vip: sets.has('vip'),
+        subscriber: sets.has('subscriber') || sets.has('founder'),
+    };
+}
+
+/** A user object, a display name string or nothing → a complete user. */
+function toUser(raw) {
+    const user = typeof raw === 'string' ? { name: raw } : (raw ?? {});
+    const name = user.name || user.login || 'anon';
+    return { id: user.id ?? '', login: (user.login ?? name).toLowerCase(), name };
+}
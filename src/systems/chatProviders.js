@@ -0,0 +1,88 @@
+// chatProviders.js — Pluggable chat sources feeding ChatSystem with one message shape.
+//
+// A provider connects to one channel and calls `onMessage(message)` with a normalised
+// ChatMessage (chatMessage.js) for everything viewers say, and `onEvent(event)` with a
+// ChatEvent for subs, raids and cheers, and `onModeration(action)` with a ChatModeration
+// for bans, timeouts and deleted messages; it only has to implement dispose():
+//
+//   twitch:<channel>   anonymous Twitch IRC (twitchChat.js)
+//   kick:<channel>     Kick's public Pusher websocket (kickChat.js)
+//   youtube:<videoId>  YouTube live chat polling, needs VITE_YOUTUBE_API_KEY (youtubeChat.js)
+//   mock               offline bot chatter (mockChat.js)
+//   mock:<url>         replay a JSON recording, or relay a local ws:// server
+//
+// Which sources to open comes from the `?chat=` query parameter, else VITE_CHAT
+// (.env / .env.local), else DEFAULT_SOURCES:
+//
+//   ?chat=twitch:shroud,twitch:yaaaannis_dev     two Twitch channels
+//   ?chat=twitch:shroud,kick:xqc,youtube:jfKfPfyJRdk   one channel per platform
+//   ?chat=mock:/chat/replay.json                 offline replay
+//   ?chat=off                                    no chat at all
+//
+// A bare name (`?chat=shroud`) is a Twitch channel.
+
+import { TwitchChat } from './twitchChat.js';
+import { KickChat } from './kickChat.js';
+import { YoutubeChat } from './youtubeChat.js';
+import { MockChat } from './mockChat.js';
+
+/** @typedef {import('./chatMessage.js').ChatMessage} ChatMessage */
+/** @typedef {import('./chatMessage.js').ChatEvent} ChatEvent */
+/** @typedef {import('./chatMessage.js').ChatModeration} ChatModeration */
+/**
+ * @typedef {object} ChatHandlers
+ * @property {(message: ChatMessage) => void} onMessage
+ * @property {(event: ChatEvent) => void} onEvent
+ * @property {(action: ChatModeration) => void} onModeration
+ */
+
+/**
+ * @typedef {object} ChatProvider
+ * @property {string} name    — provider key
+ * @property {string} channel
+ * @property {() => void} dispose
+ */
+
+const DEFAULT_SOURCES = 'twitch:yaaaannis_dev';
+
+/** Provider key → factory. */
+export const PROVIDERS = {
+    twitch: (channel, { onMessage, onEvent, onModeration }) => new TwitchChat(channel, onMessage, onEvent, onModeration),
+    kick: (channel, { onMessage, onEvent, onModeration }) => new KickChat(channel, onMessage, onEvent, onModeration),
+    youtube: (videoId, { onMessage, onEvent, onModeration }) => new YoutubeChat(videoId, onMessage, onEvent, onModeration),
+    mock: (target, { onMessage, onEvent, onModeration }) => new MockChat(target, onMessage, onEvent, onModeration),
+};
+
+/**
+ * Chat sources to open: `?chat=` wins over VITE_CHAT, then DEFAULT_SOURCES. `off` / empty → none.
+ * @returns {string[]} specs like 'twitch:shroud'
+ */
+export function chatSources() {
+    const param = new URLSearchParams(location.search).get('chat');
+    const value = param ?? import.meta.env.VITE_CHAT ?? DEFAULT_SOURCES;
+    if (value.trim().toLowerCase() === 'off') return [];
+    return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Open every source in `specs`; unknown providers are skipped with a warning.
+ * @param {string[]} specs
+ * @param {ChatHandlers} handlers
+ * @returns {ChatProvider[]}
+ */
+export function createChatProviders(specs, handlers) {
+    const providers = [];
+    for (const spec of specs) {
+        const i = spec.indexOf(':');
+        const [key, target] = i < 0
+            ? (spec in PROVIDERS ? [spec, ''] : ['twitch', spec])
+            : [spec.slice(0, i).toLowerCase(), spec.slice(i + 1)];
+        const factory = PROVIDERS[key];
+        if (!factory) {
+            console.warn(`[Chat] unknown provider "${key}" in "${spec}"`);
+            continue;
+        }
+        providers.push(factory(target, handlers));
+    }
+    return providers;
+}
@@ -1,51 +1,129 @@
-// chatSystem.js — Manages Twitch chat characters spawned near the player.
+// chatSystem.js — Manages chat characters spawned near the player.
+// Messages come from any number of chat providers (Twitch, offline mock… see chatProviders.js).
 // One character per username at a time — repeated messages update the existing one.
+// Subs, raids and cheers (ChatEvents) become spectacle; each effect is tuned in eventEffects.
+// Moderation is honoured right away: bans / timeouts despawn the user's character, deleted
+// messages blank its bubble, and the local blocklist keeps matching messages out entirely.
 
 import * as THREE from 'three';
-import { TwitchChat } from './twitchChat.js';
+import { createChatProviders } from './chatProviders.js';
+import { ChatCommandRegistry } from './chatCommands.js';
+import { ChatBlocklist } from './chatBlocklist.js';
 import { ChatCharacter } from '../entities/chatCharacter.js';
 import { ChatBomb } from '../entities/chatBomb.js';
 import { ChatEmoteDrop } from '../entities/chatEmoteDrop.js';
+import { planet } from '../environment/planetCore.js';
+import { gravity } from './gravitySystem.js';
+import { save } from './saveSystem.js';
+import { Emitter } from './emitter.js';
 
-const PLANET_CENTER = new THREE.Vector3(0, -50, 0);
-const PLANET_RADIUS = 50;
 const SPAWN_RADIUS = 5.0;   // units from player in the surface tangent plane (increased for more spread)
 const AVOIDANCE_RADIUS = 2.0; // minimum distance between characters
 const MAX_CHARS = 30;    // max simultaneous unique users
+const CROWD_RADIUS = 9.0;     // raiders land this far around the player
+const GOLDEN_LIFETIME_S = 45;
+
+/**
+ * What each chat event does by default — the streamer's changes are saved in
+ * save.data.settings.chatEvents (see setEventEffect()).
+ */
+export const EVENT_EFFECT_DEFAULTS = Object.freeze({
+    raid: { enabled: true, maxCharacters: 20 },           // one character per viewer, capped
+    sub: { enabled: true, lifetime: GOLDEN_LIFETIME_S },  // golden character with a crown (resubs too)
+    subgift: { enabled: true, lifetime: GOLDEN_LIFETIME_S },
+    bits: { enabled: true, bitsPerEmote: 100, maxEmotes: 40 },
+});
+
+/** Event type → the EVENT_EFFECT_DEFAULTS entry that drives it. */
+const EFFECT_FOR = { sub: 'sub', resub: 'sub', subgift: 'subgift', raid: 'raid', bits: 'bits' };
 
 export class ChatSystem {
     /**
      * @param {THREE.Scene} scene
-     * @param {string} channel  — Twitch channel name (no #)
+     * @param {string[]} sources — provider specs, e.g. ['twitch:shroud', 'mock'] (see chatSources())
      * @param {Player} player   — Player instance to modify gravity
      * @param {SceneSetup} sceneSetup — SceneSetup instance to change day/night
      * @param {object} RAPIER   — Rapier physics engine
      * @param {object} world    — Rapier physics world
      */
-    constructor(scene, channel, player, sceneSetup, RAPIER, world) {
+    constructor(scene, sources, player, sceneSetup, RAPIER, world) {
         this._scene = scene;
         this._player = player;
         this._sceneSetup = sceneSetup;
         this._RAPIER = RAPIER;
         this._world = world;
         this._byUser = new Map();  // username → ChatCharacter (dedup)
-        this._queue = [];         // buffered messages while player pos unknown
+        this._shown = new Map();   // username → { login, messageId } behind that character
+        this._queue = [];         // { message, actions } buffered while player pos unknown
         this._bombs = [];         // active ChatBombs
         this._emoteDrops = [];    // active ChatEmoteDrops
+        this._events = [];        // ChatEvents waiting for the next update()
+        this._crowd = [];         // raiders — not tied to a username
+        this._eventEmitter = new Emitter();
+        this._moderationEmitter = new Emitter();
+
+        /** Latest room settings (Twitch ROOMSTATE), e.g. { 'emote-only': '0', slow: '0' }. */
+        this.roomState = {};
+
+        /** Users and word patterns kept out of the world — see chatBlocklist.js. */
+        this.blocklist = new ChatBlocklist();
+        this.blocklist.onChange(() => this._applyBlocklist());
+
+        /** Per-event effect settings — see EVENT_EFFECT_DEFAULTS. */
+        this.eventEffects = save.data.settings.chatEvents ??= {};
+        for (const [key, defaults] of Object.entries(EVENT_EFFECT_DEFAULTS)) {
+            this.eventEffects[key] = { ...defaults, ...this.eventEffects[key] };
+        }
 
-        this._twitch = new TwitchChat(channel, (username, message, color, emotes) => {
-            const msg = message.trim().toLowerCase();
-            if (msg === '!gravité') {
-                this._triggerLowGravity();
-            } else if (msg === '!day') {
-                this._sceneSetup.setTimeOfDay(1.0);
-            } else if (msg === '!night') {
-                this._sceneSetup.setTimeOfDay(0.0);
-            }
-            this._queue.push({ username, message, color, emotes });
+        /** Viewer `!commands` — other systems add their own (see chatCommands.js). */
+        this.commands = new ChatCommandRegistry();
+        this._registerCommands();
+
+        this._providers = createChatProviders(sources, {
+            onMessage: (message) => this._onMessage(message),
+            onEvent: (event) => this.triggerEvent(event),
+            onModeration: (action) => this._onModeration(action),
         });
 
-        console.log(`[ChatSystem] Connected to #${channel}`);
+        console.log(`[ChatSystem] Listening to ${sources.join(', ')}`);
+    }
+
+    /**
+     * Listen for subs, raids and cheers (called before their effect plays).
+     * @param {(event: import('./chatMessage.js').ChatEvent) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    onEvent(fn) {
+        return this._eventEmitter.on(fn);
+    }
+
+    /**
+     * Listen for bans, timeouts, deleted messages and room setting changes.
+     * @param {(action: import('./chatMessage.js').ChatModeration) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    onModeration(fn) {
+        return this._moderationEmitter.on(fn);
+    }
+
+    /**
+     * Play a chat event — providers call this; the overlay uses it to preview effects.
+     * @param {import('./chatMessage.js').ChatEvent} event
+     */
+    triggerEvent(event) {
+        this._eventEmitter.emit(event);
+        this._events.push(event);
+    }
+
+    /**
+     * Tweak an event's effect, e.g. setEventEffect('raid', { maxCharacters: 10 }).
+     * @param {keyof EVENT_EFFECT_DEFAULTS} key
+     * @param {object} patch
+     */
+    setEventEffect(key, patch) {
+        if (!(key in EVENT_EFFECT_DEFAULTS)) return;
+        Object.assign(this.eventEffects[key], patch);
+        save.commit();
     }
 
     /**
@@ -56,15 +134,23 @@ export class ChatSystem {
     update(dt, playerPos) {
         // Flush queued messages now that we have a player position
         while (this._queue.length > 0 && this._byUser.size < MAX_CHARS) {
-            const { username, message, color, emotes } = this._queue.shift();
-            this._spawn(username, message, playerPos, color, emotes);
+            const { message, actions } = this._queue.shift();
+            const { user, text, color, emotes } = message;
+            const char = this._spawn(user.name, text, playerPos, color, emotes);
+            this._shown.set(user.name, { login: user.login, messageId: message.id });
+            for (const action of actions) action(char);
         }
         // Trim queue if overflowing
         if (this._queue.length > 20) this._queue.splice(0, this._queue.length - 20);
 
+        for (const event of this._events.splice(0)) this._playEvent(event, playerPos);
+        for (let i = this._crowd.length - 1; i >= 0; i--) {
+            if (!this._crowd[i].update(dt)) this._crowd.splice(i, 1);
+        }
+
         // Update alive characters; remove dead ones from the map
         for (const [user, char] of this._byUser) {
-            if (!char.update(dt)) this._byUser.delete(user);
+            if (!char.update(dt)) this._removeCharacter(user);
         }
 
         // Periodically assign new random walking targets to all characters
@@ -99,32 +185,202 @@ export class ChatSystem {
     dispose() {
         for (const char of this._byUser.values()) char.dispose();
         this._byUser.clear();
+        this._shown.clear();
         for (const bomb of this._bombs) bomb.dispose();
         this._bombs = [];
-        this._twitch.dispose();
-        if (this._gravityTimeout) clearTimeout(this._gravityTimeout);
+        for (const char of this._crowd) char.dispose();
+        this._crowd = [];
+        for (const provider of this._providers) provider.dispose();
+        this._providers = [];
+        this._lowGravity?.();
     }
 
     _triggerLowGravity() {
-        // Set low gravity (e.g. 0.2x normal gravity)
-        this._player.gravityMultiplier = 0.2;
+        // 0.2x gravity on the player for 15 seconds — re-triggering restarts the timer
+        this._lowGravity = gravity.addModifier(0.2, 15, {
+            body: this._player.rigidBody,
+            id: 'chat-low-gravity',
+        });
+    }
 
-        // Reset timer if already active
-        if (this._gravityTimeout) clearTimeout(this._gravityTimeout);
+    // ── Internal ──────────────────────────────────────────────────────────
 
-        // Restore gravity after 15 seconds
-        this._gravityTimeout = setTimeout(() => {
-            this._player.gravityMultiplier = 1.0;
-            this._gravityTimeout = null;
-        }, 15000);
+    /** The chat system's own commands — world effects and the speaker's character. */
+    _registerCommands() {
+        const c = this.commands;
+        c.register({
+            name: 'gravité', aliases: ['gravity', 'gravite'], description: 'Low gravity for 15 s',
+            cooldown: { global: 15 },
+            handler: () => { this._triggerLowGravity(); },
+        });
+        c.register({
+            name: 'day', description: 'Switch to daytime', cooldown: { global: 5 },
+            handler: () => { this._sceneSetup.setTimeOfDay(1.0); },
+        });
+        c.register({
+            name: 'night', description: 'Switch to night', cooldown: { global: 5 },
+            handler: () => { this._sceneSetup.setTimeOfDay(0.0); },
+        });
+        // These act on the speaker's character, which only exists once the message is spawned
+        c.register({
+            name: 'bomb', description: 'Drop a bomb next to your character', cooldown: { user: 10, global: 2 },
+            handler: ({ character }) => character((char) => {
+                const up = new THREE.Vector3().subVectors(char._body.position, planet.center).normalize();
+                this._spawnBomb(char._body.position.clone().add(up));
+            }),
+        });
+        c.register({
+            name: 'jump', description: 'Make your character leap', cooldown: { user: 2 },
+            handler: ({ character }) => character((char) => char.jump()),
+        });
+        c.register({
+            name: 'spin', description: 'Make your character spin', cooldown: { user: 2 },
+            handler: ({ character }) => character((char) => char.spin()),
+        });
     }
 
-    // ── Internal ──────────────────────────────────────────────────────────
+    /** @param {import('./chatMessage.js').ChatMessage} message */
+    _onMessage(message) {
+        // Blocked: no character, no command
+        if (this.blocklist.blocks(message)) return;
+        const entry = { message, actions: [] };
+        // A consumed command (e.g. a chess vote) doesn't spawn a character
+        const character = (fn) => { entry.actions.push(fn); };
+        if (this.commands.dispatch(message, { character })) return;
+        this._queue.push(entry);
+    }
+
+    // ── Moderation ────────────────────────────────────────────────────────
+
+    /** @param {import('./chatMessage.js').ChatModeration} action */
+    _onModeration(action) {
+        this._moderationEmitter.emit(action);
+        switch (action.type) {
+            case 'ban':
+            case 'timeout':
+                this._despawnUser(action.login);
+                break;
+            case 'delete':
+                if (!action.messageId) break;   // '' would match every id-less message
+                this._queue = this._queue.filter(({ message }) => message.id !== action.messageId);
+                for (const [name, shown] of this._shown) {
+                    if (shown.messageId === action.messageId) this._byUser.get(name)?.clearBubble();
+                }
+                break;
+            case 'clear':
+                this._queue = [];
+                for (const name of [...this._byUser.keys()]) this._removeCharacter(name, true);
+                break;
+            case 'roomstate':
+                Object.assign(this.roomState, action.state);
+                break;
+        }
+    }
+
+    /** Drop everything a user has in the world or waiting in the queue. */
+    _despawnUser(login) {
+        login = login.toLowerCase();
+        this._queue = this._queue.filter(({ message }) => message.user.login !== login);
+        for (const [name, shown] of [...this._shown]) {
+            if (shown.login === login) this._removeCharacter(name, true);
+        }
+    }
+
+    /** The blocklist changed — take out whoever and whatever it now covers. */
+    _applyBlocklist() {
+        this._queue = this._queue.filter(({ message }) => !this.blocklist.blocks(message));
+        for (const [name, shown] of [...this._shown]) {
+            if (this.blocklist.isUserBlocked(shown.login) || this.blocklist.isUserBlocked(name)) {
+                this._removeCharacter(name, true);
+            }
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @param {boolean} [dispose] — still alive (moderation) rather than faded out
+     */
+    _removeCharacter(name, dispose = false) {
+        if (dispose) this._byUser.get(name)?.dispose();
+        this._byUser.delete(name);
+        this._shown.delete(name);
+    }
+
+    // ── Events ────────────────────────────────────────────────────────────
+
+    /** @param {import('./chatMessage.js').ChatEvent} event */
+    _playEvent(event, playerPos) {
+        const effect = this.eventEffects[EFFECT_FOR[event.type]];
+        if (!effect?.enabled) return;
+        const blocked = (user) => this.blocklist.isUserBlocked(user.login) || this.blocklist.isUserBlocked(user.name);
+        if (blocked(event.user) || (event.recipient && blocked(event.recipient))) return;
+        // Celebrate, but don't put blocked words on a bubble
+        if (event.text && this.blocklist.isTextBlocked(event.text)) event = { ...event, text: '' };
+        switch (event.type) {
+            case 'raid': this._raid(event, playerPos, effect); break;
+            case 'sub':
+            case 'resub': {
+                const months = event.type === 'resub' ? `subscribed for ${event.amount} months!` : 'just subscribed!';
+                this._spawnGolden(event.user, `${months} ${event.text}`.trim(), playerPos, effect.lifetime);
+                break;
+            }
+            case 'subgift':
+                if (event.recipient) {
+                    this._spawnGolden(event.recipient, `thanks for the sub, ${event.user.name}!`, playerPos, effect.lifetime);
+                } else {
+                    const subs = event.amount === 1 ? 'a sub' : `${event.amount} subs`;
+                    this._spawnGolden(event.user, `gifted ${subs}!`, playerPos, effect.lifetime);
+                }
+                break;
+            case 'bits': this._bitsShower(event, playerPos, effect); break;
+        }
+    }
+
+    /** A crowd drops from the sky — the raider first, then one character per viewer (capped). */
+    _raid(event, playerPos, { maxCharacters }) {
+        const count = Math.max(1, Math.min(event.amount, maxCharacters));
+        for (let i = 0; i < count; i++) {
+            const surfacePos = this._getRandomSurfacePos(playerPos, CROWD_RADIUS);
+            const dir = new THREE.Vector3().subVectors(surfacePos, planet.center).normalize();
+            const name = i === 0 ? event.user.name : `${event.user.name} raider #${i}`;
+            const text = i === 0 ? `RAID! ${event.amount} viewers incoming` : 'RAID!';
+            this._crowd.push(new ChatCharacter(this._scene, surfacePos, dir, name, text, '', [], {
+                dropHeight: 10 + Math.random() * 12,
+            }));
+        }
+    }
+
+    /** Subscriber's character, golden and crowned — replaces their plain one if they have it. */
+    _spawnGolden(user, text, playerPos, lifetime) {
+        const username = user.name;
+        this._byUser.get(username)?.dispose();
+        this._shown.set(username, { login: user.login, messageId: '' });
+        const surfacePos = this._getRandomSurfacePos(playerPos, SPAWN_RADIUS);
+        const dir = new THREE.Vector3().subVectors(surfacePos, planet.center).normalize();
+        this._byUser.set(username, new ChatCharacter(this._scene, surfacePos, dir, username, text, '', [], {
+            golden: true, dropHeight: 6, lifetime,
+        }));
+    }
+
+    /** Emote shower — one drop per `bitsPerEmote` bits, using the message's emotes or the cheer gem. */
+    _bitsShower(event, playerPos, { bitsPerEmote, maxEmotes }) {
+        const count = Math.max(1, Math.min(Math.ceil(event.amount / Math.max(1, bitsPerEmote)), maxEmotes));
+        const emotes = event.message?.emotes ?? [];
+        const urls = emotes.length
+            ? emotes.map(em => em.url || `https://static-cdn.jtvnw.net/emoticons/v2/${em.id}/default/light/3.0`)
+            : [cheerUrl(event.amount)];
+        for (let i = 0; i < count; i++) {
+            const spawnPos = this._getRandomSurfacePos(playerPos, 15.0);
+            const upNormal = new THREE.Vector3().subVectors(spawnPos, planet.center).normalize();
+            const dropPos = spawnPos.addScaledVector(upNormal, 8.0 + Math.random() * 10.0);
+            this._spawnEmoteDrop(urls[i % urls.length], dropPos);
+        }
+    }
 
     _getRandomSurfacePos(playerPos, radius) {
         // Surface normal at player position
         const normal = new THREE.Vector3()
-            .subVectors(playerPos, PLANET_CENTER)
+            .subVectors(playerPos, planet.center)
             .normalize();
 
         // Two tangent vectors perpendicular to normal
@@ -149,8 +405,8 @@ export class ChatSystem {
 
             // Project back onto sphere surface
             const rawPos = playerPos.clone().add(worldOffset);
-            const dir = new THREE.Vector3().subVectors(rawPos, PLANET_CENTER).normalize();
-            const candidatePos = PLANET_CENTER.clone().addScaledVector(dir, PLANET_RADIUS);
+            const dir = new THREE.Vector3().subVectors(rawPos, planet.center).normalize();
+            const candidatePos = planet.center.clone().addScaledVector(dir, planet.radius);
 
             // Check distance to other characters
             let minDistToOther = Infinity;
@@ -182,18 +438,13 @@ export class ChatSystem {
             // Optionally bring them closer to player when they speak again, but try not to overlap
             existing.setTarget(this._getRandomSurfacePos(playerPos, SPAWN_RADIUS));
 
-            // Check for bomb command from existing user
-            if (message.toLowerCase().trim().includes('!bomb')) {
-                this._spawnBomb(existing._body.position.clone().add(new THREE.Vector3().subVectors(existing._body.position, PLANET_CENTER).normalize().multiplyScalar(1.0)));
-            }
-
             this._dropEmotes(emotes, playerPos);
 
-            return;
+            return existing;
         }
 
         const surfacePos = this._getRandomSurfacePos(playerPos, SPAWN_RADIUS);
-        const dir = new THREE.Vector3().subVectors(surfacePos, PLANET_CENTER).normalize();
+        const dir = new THREE.Vector3().subVectors(surfacePos, planet.center).normalize();
 
         // Add a little height so they drop in
         surfacePos.addScaledVector(dir, 5.0);
@@ -205,18 +456,12 @@ export class ChatSystem {
             username,
             message,
             color,
-            emotes,
-            this._RAPIER,
-            this._world
+            emotes
         );
         this._byUser.set(username, char);
 
-        // Check for bomb command from new user
-        if (message.toLowerCase().trim().includes('!bomb')) {
-            this._spawnBomb(surfacePos.clone().add(dir.clone().multiplyScalar(1.0)));
-        }
-
         this._dropEmotes(emotes, playerPos);
+        return char;
     }
 
     _dropEmotes(emotes, playerPos) {
@@ -230,7 +475,7 @@ export class ChatSystem {
             if (spawned >= maxDrops) break;
             const imgUrl = em.url || `https://static-cdn.jtvnw.net/emoticons/v2/${em.id}/default/light/3.0`;
             const spawnPos = this._getRandomSurfacePos(playerPos, 15.0);
-            const upNormal = new THREE.Vector3().subVectors(spawnPos, PLANET_CENTER).normalize();
+            const upNormal = new THREE.Vector3().subVectors(spawnPos, planet.center).normalize();
             // drop gently above the player
             const dropPos = spawnPos.clone().addScaledVector(upNormal, 8.0 + Math.random() * 5.0);
             this._spawnEmoteDrop(imgUrl, dropPos);
@@ -253,7 +498,7 @@ export class ChatSystem {
      */
     get activePositions() {
         const positions = [];
-        for (const char of this._byUser.values()) {
+        for (const char of [...this._byUser.values(), ...this._crowd]) {
             if (char._alive && char._body) {
                 positions.push(char._body.position.clone());
             }
@@ -261,3 +506,9 @@ export class ChatSystem {
         return positions;
     }
 }
+
+/** Twitch's cheer gem for a bits amount (the tier the amount reaches). */
+function cheerUrl(bits) {
+    const tier = [10000, 5000, 1000, 100].find(t => bits >= t) ?? 1;
+    return `https://d3aqoihi2n8ty8.cloudfront.net/actions/cheer/dark/static/${tier}/4.png`;
+}
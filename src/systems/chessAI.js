@@ -0,0 +1,73 @@
+// chessAI.js — The chess AI behind a Web Worker, so a 300–600 ms search never stalls a frame.
+//
+//   const move = await chessAI.think(game);   // { from, to, promotion } | null
+//
+// Only the FEN crosses over, so the caller's game is never touched. If the worker can't start
+// (or dies) the search falls back to the main thread — slower frames beat a frozen opponent.
+
+import { ChessGame, bestMove } from './chessEngine.js';
+
+export class ChessAI {
+    constructor() {
+        this._worker = null;
+        this._failed = false;
+        this._pending = new Map();   // request id → { resolve, fen, opts }
+        this._nextId = 0;
+    }
+
+    /**
+     * Pick a move for the side to move in `game`.
+     * @param {import('./chessEngine.js').ChessGame} game
+     * @param {{ depth?: number, randomness?: number }} [opts] — see bestMove()
+     * @returns {Promise<{ from: number, to: number, promotion: string | null } | null>}
+     */
+    think(game, opts = {}) {
+        const worker = this._ensureWorker();
+        if (!worker) return Promise.resolve(bestMove(game, opts));
+
+        const id = ++this._nextId;
+        const fen = game.fen();
+        return new Promise((resolve) => {
+            this._pending.set(id, { resolve, fen, opts });
+            worker.postMessage({ id, fen, opts });
+        });
+    }
+
+    /** Resolve every pending search with null (the game they were for is gone). */
+    cancel() {
+        for (const { resolve } of this._pending.values()) resolve(null);
+        this._pending.clear();
+    }
+
+    dispose() {
+        this.cancel();
+        this._worker?.terminate();
+        this._worker = null;
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _ensureWorker() {
+        if (this._worker || this._failed) return this._worker;
+        try {
+            this._worker = new Worker(new URL('./chessWorker.js', import.meta.url), { type: 'module' });
+        } catch (err) {
+            console.warn('[ChessAI] worker unavailable, searching on the main thread:', err);
+            this._failed = true;
+            return null;
+        }
+        this._worker.onmessage = ({ data: { id, move } }) => {
+            this._pending.get(id)?.resolve(move);
+            this._pending.delete(id);
+        };
+        this._worker.onerror = (err) => {
+            console.warn('[ChessAI] worker crashed, searching on the main thread:', err.message);
+            this._failed = true;
+            this._worker.terminate();
+            this._worker = null;
+            for (const { resolve, fen, opts } of this._pending.values()) resolve(bestMove(new ChessGame(fen), opts));
+            this._pending.clear();
+        };
+        return this._worker;
+    }
+}
@@ -0,0 +1,518 @@
+// chessEngine.js — Chess rules: legal moves, check / checkmate / draws, SAN, and a small AI.
+// Pure logic, no Three.js — the board entity and the hub's chess mode just read and play it.
+//
+//   const game = new ChessGame();
+//   game.moves({ square: 'e2' });        // legal moves from e2 (with SAN)
+//   game.move('e4');                     // SAN, UCI ('e2e4', 'e7e8q') or { from, to, promotion }
+//   game.status;                         // 'playing' | 'checkmate' | 'stalemate' | 'draw'
+//   game.move(bestMove(game));           // let the AI answer
+//
+// Squares are 0–63 with a1 = 0, h1 = 7, a8 = 56. Pieces are FEN letters:
+// uppercase = white, lowercase = black, null = empty.
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+const PROMOTIONS = ['q', 'r', 'b', 'n'];
+
+// Castling: king from → to, rook from → to, squares that must be empty / not attacked
+const CASTLES = {
+    K: { king: [4, 6], rook: [7, 5], empty: [5, 6], safe: [4, 5, 6] },
+    Q: { king: [4, 2], rook: [0, 3], empty: [1, 2, 3], safe: [4, 3, 2] },
+    k: { king: [60, 62], rook: [63, 61], empty: [61, 62], safe: [60, 61, 62] },
+    q: { king: [60, 58], rook: [56, 59], empty: [57, 58, 59], safe: [60, 59, 58] },
+};
+
+/** @typedef {'w' | 'b'} Color */
+
+/**
+ * @typedef {object} Move
+ * @property {number} from
+ * @property {number} to
+ * @property {string} piece           — FEN letter of the moving piece
+ * @property {string | null} captured
+ * @property {string | null} promotion — 'q' | 'r' | 'b' | 'n'
+ * @property {'' | 'ep' | 'K' | 'Q' | 'k' | 'q' | 'double'} special
+ * @property {string} [san]
+ */
+
+// ── Squares ───────────────────────────────────────────────────────────────
+
+const fileOf = sq => sq & 7;
+const rankOf = sq => sq >> 3;
+
+/** @param {number} sq @returns {string} e.g. 'e4' */
+export function squareName(sq) {
+    return 'abcdefgh'[fileOf(sq)] + (rankOf(sq) + 1);
+}
+
+/** @param {string} name e.g. 'e4' @returns {number} square index, -1 if invalid */
+export function parseSquare(name) {
+    const m = /^([a-h])([1-8])$/.exec(name);
+    return m ? (m[2] - 1) * 8 + (m[1].charCodeAt(0) - 97) : -1;
+}
+
+/** @param {string} piece @returns {Color} */
+export function colorOf(piece) {
+    return piece === piece.toUpperCase() ? 'w' : 'b';
+}
+
+// ── Game ──────────────────────────────────────────────────────────────────
+
+export class ChessGame {
+    /** @param {string} [fen] */
+    constructor(fen = START_FEN) {
+        this.load(fen);
+    }
+
+    /** Set up a position from FEN (the start position by default). */
+    load(fen = START_FEN) {
+        const [placement, turn, castling, ep, half, full] = fen.trim().split(/\s+/);
+        /** @type {(string | null)[]} */
+        this.board = new Array(64).fill(null);
+        placement.split('/').forEach((row, i) => {
+            let file = 0;
+            for (const ch of row) {
+                if (/\d/.test(ch)) file += Number(ch);
+                else this.board[(7 - i) * 8 + file++] = ch;
+            }
+        });
+        /** @type {Color} */
+        this.turn = turn === 'b' ? 'b' : 'w';
+        this.castling = { K: false, Q: false, k: false, q: false };
+        for (const c of castling ?? '') if (c in this.castling) this.castling[c] = true;
+        this.ep = ep && ep !== '-' ? parseSquare(ep) : -1;
+        this.halfmove = Number(half) || 0;
+        this.fullmove = Number(full) || 1;
+
+        this._undo = [];        // make() records, for undo / search
+        this._played = [];      // Moves played through move(), with SAN
+        this._positions = [this._positionKey()];
+    }
+
+    reset() { this.load(); }
+
+    /** @returns {string | null} */
+    pieceAt(square) {
+        const sq = typeof square === 'string' ? parseSquare(square) : square;
+        return this.board[sq] ?? null;
+    }
+
+    /** Is `color`'s king (the side to move by default) in check? */
+    inCheck(color = this.turn) {
+        const king = this.board.indexOf(color === 'w' ? 'K' : 'k');
+        return king >= 0 && this._attacked(king, color === 'w' ? 'b' : 'w');
+    }
+
+    /** @returns {'playing' | 'checkmate' | 'stalemate' | 'draw'} */
+    get status() {
+        if (this._legalMoves().length === 0) return this.inCheck() ? 'checkmate' : 'stalemate';
+        if (this.halfmove >= 100 || this._insufficientMaterial() || this._repetitions() >= 3) return 'draw';
+        return 'playing';
+    }
+
+    /** @returns {Color | null} the side that delivered mate */
+    get winner() {
+        return this.status === 'checkmate' ? (this.turn === 'w' ? 'b' : 'w') : null;
+    }
+
+    /**
+     * Legal moves for the side to move, with SAN.
+     * @param {{ square?: string | number }} [opts] — only moves from this square
+     * @returns {Move[]}
+     */
+    moves({ square } = {}) {
+        const from = typeof square === 'string' ? parseSquare(square) : square;
+        const all = this._legalMoves();
+        const list = from === undefined ? all : all.filter(m => m.from === from);
+        return list.map(m => ({ ...m, san: this._san(m, all) }));
+    }
+
+    /**
+     * Play a move if it's legal.
+     * @param {string | { from: string | number, to: string | number, promotion?: string }} input
+     * @returns {Move | null} the move played, null if illegal
+     */
+    move(input) {
+        const move = this._match(input);
+        if (!move) return null;
+        move.san = this._san(move, this._legalMoves());
+        this._make(move);
+        this._played.push(move);
+        this._positions.push(this._positionKey());
+        return move;
+    }
+
+    /** Take back the last move played through move(). @returns {Move | null} */
+    undo() {
+        const move = this._played.pop();
+        if (!move) return null;
+        this._unmake();
+        this._positions.pop();
+        return move;
+    }
+
+    /** @returns {string[]} SAN of every move played */
+    history() {
+        return this._played.map(m => m.san);
+    }
+
+    /** @returns {Move | null} */
+    get lastMove() {
+        return this._played[this._played.length - 1] ?? null;
+    }
+
+    /** @returns {string} the position as FEN */
+    fen() {
+        const rows = [];
+        for (let r = 7; r >= 0; r--) {
+            let row = '', empty = 0;
+            for (let f = 0; f < 8; f++) {
+                const p = this.board[r * 8 + f];
+                if (!p) { empty++; continue; }
+                if (empty) { row += empty; empty = 0; }
+                row += p;
+            }
+            rows.push(row + (empty || ''));
+        }
+        const castling = Object.keys(this.castling).filter(k => this.castling[k]).join('') || '-';
+        const ep = this.ep >= 0 ? squareName(this.ep) : '-';
+        return `${rows.join('/')} ${this.turn} ${castling} ${ep} ${this.halfmove} ${this.fullmove}`;
+    }
+
+    // ── Internal: move generation ─────────────────────────────────────────
+
+    /** @returns {Move[]} */
+    _legalMoves() {
+        const color = this.turn;
+        return this._pseudoMoves().filter(m => {
+            this._make(m);
+            const ok = !this.inCheck(color);
+            this._unmake();
+            return ok;
+        });
+    }
+
+    /** Moves that follow piece rules but may leave the king in check. @returns {Move[]} */
+    _pseudoMoves() {
+        const moves = [];
+        const color = this.turn;
+        const enemy = color === 'w' ? 'b' : 'w';
+
+        const add = (from, to, special = '') => {
+            const piece = this.board[from];
+            const captured = special === 'ep' ? (color === 'w' ? 'p' : 'P') : this.board[to];
+            const lastRank = color === 'w' ? 7 : 0;
+            if (piece.toLowerCase() === 'p' && rankOf(to) === lastRank) {
+                for (const promotion of PROMOTIONS) moves.push({ from, to, piece, captured, promotion, special });
+            } else {
+                moves.push({ from, to, piece, captured, promotion: null, special });
+            }
+        };
+        const target = (f, r) => (f < 0 || f > 7 || r < 0 || r > 7) ? -1 : r * 8 + f;
+        const isEnemy = sq => this.board[sq] && colorOf(this.board[sq]) === enemy;
+
+        for (let from = 0; from < 64; from++) {
+            const piece = this.board[from];
+            if (!piece || colorOf(piece) !== color) continue;
+            const f = fileOf(from), r = rankOf(from);
+
+            switch (piece.toLowerCase()) {
+                case 'p': {
+                    const dir = color === 'w' ? 1 : -1;
+                    const one = target(f, r + dir);
+                    if (one >= 0 && !this.board[one]) {
+                        add(from, one);
+                        const two = target(f, r + 2 * dir);
+                        if (r === (color === 'w' ? 1 : 6) && !this.board[two]) add(from, two, 'double');
+                    }
+                    for (const df of [-1, 1]) {
+                        const to = target(f + df, r + dir);
+                        if (to < 0) continue;
+                        if (isEnemy(to)) add(from, to);
+                        else if (to === this.ep) add(from, to, 'ep');
+                    }
+                    break;
+                }
+                case 'n':
+                case 'k':
+                    for (const [df, dr] of piece.toLowerCase() === 'n' ? KNIGHT_STEPS : KING_STEPS) {
+                        const to = target(f + df, r + dr);
+                        if (to >= 0 && (!this.board[to] || isEnemy(to))) add(from, to);
+                    }
+                    break;
+                default: {
+                    const type = piece.toLowerCase();
+                    const dirs = type === 'r' ? ROOK_DIRS : type === 'b' ? BISHOP_DIRS : [...ROOK_DIRS, ...BISHOP_DIRS];
+                    for (const [df, dr] of dirs) {
+                        for (let i = 1; ; i++) {
+                            const to = target(f + df * i, r + dr * i);
+                            if (to < 0) break;
+                            if (!this.board[to]) { add(from, to); continue; }
+                            if (isEnemy(to)) add(from, to);
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        // Castling
+        for (const [side, c] of Object.entries(CASTLES)) {
+            if (!this.castling[side] || colorOf(side) !== color) continue;
+            if (c.empty.some(sq => this.board[sq])) continue;
+            if (c.safe.some(sq => this._attacked(sq, enemy))) continue;
+            moves.push({ from: c.king[0], to: c.king[1], piece: this.board[c.king[0]], captured: null, promotion: null, special: side });
+        }
+        return moves;
+    }
+
+    /** Is `sq` attacked by any piece of `by`? */
+    _attacked(sq, by) {
+        const f = fileOf(sq), r = rankOf(sq);
+        const at = (df, dr) => {
+            const ff = f + df, rr = r + dr;
+            if (ff < 0 || ff > 7 || rr < 0 || rr > 7) return undefined;
+            return this.board[rr * 8 + ff];
+        };
+        const mine = p => p && colorOf(p) === by;
+
+        // Pawns attack diagonally forward — look backwards from the square
+        const pr = by === 'w' ? -1 : 1;
+        const pawn = by === 'w' ? 'P' : 'p';
+        if (at(-1, pr) === pawn || at(1, pr) === pawn) return true;
+
+        for (const [df, dr] of KNIGHT_STEPS) {
+            const p = at(df, dr);
+            if (mine(p) && p.toLowerCase() === 'n') return true;
+        }
+        for (const [df, dr] of KING_STEPS) {
+            const p = at(df, dr);
+            if (mine(p) && p.toLowerCase() === 'k') return true;
+        }
+        for (const [dirs, types] of [[ROOK_DIRS, 'rq'], [BISHOP_DIRS, 'bq']]) {
+            for (const [df, dr] of dirs) {
+                for (let i = 1; ; i++) {
+                    const p = at(df * i, dr * i);
+                    if (p === undefined) break;
+                    if (!p) continue;
+                    if (mine(p) && types.includes(p.toLowerCase())) return true;
+                    break;
+                }
+            }
+        }
+        return false;
+    }
+
+    // ── Internal: make / unmake ───────────────────────────────────────────
+
+    _make(m) {
+        this._undo.push({
+            move: m, castling: { ...this.castling }, ep: this.ep,
+            halfmove: this.halfmove, fullmove: this.fullmove,
+        });
+        const b = this.board;
+        const white = colorOf(m.piece) === 'w';
+
+        b[m.from] = null;
+        b[m.to] = m.promotion ? (white ? m.promotion.toUpperCase() : m.promotion) : m.piece;
+        if (m.special === 'ep') b[m.to + (white ? -8 : 8)] = null;
+        if (m.special in CASTLES) {
+            const [rookFrom, rookTo] = CASTLES[m.special].rook;
+            b[rookTo] = b[rookFrom];
+            b[rookFrom] = null;
+        }
+
+        // A king or rook that moves (or a rook that's taken) loses its castling rights
+        if (m.piece === 'K') this.castling.K = this.castling.Q = false;
+        if (m.piece === 'k') this.castling.k = this.castling.q = false;
+        for (const [side, c] of Object.entries(CASTLES)) {
+            if (m.from === c.rook[0] || m.to === c.rook[0]) this.castling[side] = false;
+        }
+
+        this.ep = m.special === 'double' ? (m.from + m.to) / 2 : -1;
+        this.halfmove = (m.piece.toLowerCase() === 'p' || m.captured) ? 0 : this.halfmove + 1;
+        if (!white) this.fullmove++;
+        this.turn = white ? 'b' : 'w';
+    }
+
+    _unmake() {
+        const { move: m, castling, ep, halfmove, fullmove } = this._undo.pop();
+        const b = this.board;
+        const white = colorOf(m.piece) === 'w';
+
+        b[m.from] = m.piece;
+        b[m.to] = m.special === 'ep' ? null : m.captured;
+        if (m.special === 'ep') b[m.to + (white ? -8 : 8)] = m.captured;
+        if (m.special in CASTLES) {
+            const [rookFrom, rookTo] = CASTLES[m.special].rook;
+            b[rookFrom] = b[rookTo];
+            b[rookTo] = null;
+        }
+
+        this.castling = castling;
+        this.ep = ep;
+        this.halfmove = halfmove;
+        this.fullmove = fullmove;
+        this.turn = white ? 'w' : 'b';
+    }
+
+    // ── Internal: notation + draws ────────────────────────────────────────
+
+    /** Find the legal move matching SAN / UCI / { from, to, promotion }. */
+    _match(input) {
+        const legal = this._legalMoves();
+        if (typeof input === 'string') {
+            const text = input.trim();
+            const uci = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/i.exec(text);
+            if (uci) input = { from: uci[1].toLowerCase(), to: uci[2].toLowerCase(), promotion: uci[3] };
+            else {
+                const strip = s => s.replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+                return legal.find(m => strip(this._san(m, legal)) === strip(text)) ?? null;
+            }
+        }
+        const from = typeof input.from === 'string' ? parseSquare(input.from) : input.from;
+        const to = typeof input.to === 'string' ? parseSquare(input.to) : input.to;
+        const promotion = input.promotion?.toLowerCase() ?? 'q';
+        return legal.find(m => m.from === from && m.to === to && (!m.promotion || m.promotion === promotion)) ?? null;
+    }
+
+    /** Standard Algebraic Notation for a legal move (`legal` = every legal move, for disambiguation). */
+    _san(m, legal) {
+        let san;
+        if (m.special === 'K' || m.special === 'k') san = 'O-O';
+        else if (m.special === 'Q' || m.special === 'q') san = 'O-O-O';
+        else {
+            const type = m.piece.toUpperCase();
+            const to = squareName(m.to);
+            if (type === 'P') {
+                san = (m.captured ? squareName(m.from)[0] + 'x' : '') + to;
+                if (m.promotion) san += '=' + m.promotion.toUpperCase();
+            } else {
+                const rivals = legal.filter(o => o.piece === m.piece && o.to === m.to && o.from !== m.from);
+                let from = '';
+                if (rivals.length) {
+                    if (rivals.every(o => fileOf(o.from) !== fileOf(m.from))) from = squareName(m.from)[0];
+                    else if (rivals.every(o => rankOf(o.from) !== rankOf(m.from))) from = squareName(m.from)[1];
+                    else from = squareName(m.from);
+                }
+                san = type + from + (m.captured ? 'x' : '') + to;
+            }
+        }
+
+        this._make(m);
+        if (this.inCheck()) san += this._legalMoves().length === 0 ? '#' : '+';
+        this._unmake();
+        return san;
+    }
+
+    _positionKey() {
+        return this.fen().split(' ').slice(0, 4).join(' ');
+    }
+
+    _repetitions() {
+        const key = this._positions[this._positions.length - 1];
+        return this._positions.filter(k => k === key).length;
+    }
+
+    _insufficientMaterial() {
+        const rest = this.board.filter(p => p && p.toLowerCase() !== 'k');
+        if (rest.length === 0) return true;
+        return rest.length === 1 && 'nb'.includes(rest[0].toLowerCase());
+    }
+}
+
+// ── AI ────────────────────────────────────────────────────────────────────
+// Negamax + alpha-beta on material and a little piece-square positioning.
+// Depth 3 plus quiescence takes a few hundred ms — the game runs it in a worker (chessAI.js).
+// Fun to beat, not a grandmaster.
+
+const VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+const MATE = 100000;
+
+// Bonus for centralised knights / bishops / queens and advancing pawns (from white's side)
+const CENTER = [0, 1, 2, 3, 3, 2, 1, 0];
+const positional = (type, sq, white) => {
+    const f = fileOf(sq), r = white ? rankOf(sq) : 7 - rankOf(sq);
+    if (type === 'p') return r * 6 + (f >= 2 && f <= 5 ? CENTER[f] * 4 : 0);
+    if (type === 'n' || type === 'b' || type === 'q') return (CENTER[f] + CENTER[r]) * (type === 'q' ? 2 : 5);
+    if (type === 'k') return r === 0 ? 10 : -r * 5;   // stay home behind the pawns
+    return 0;
+};
+
+/** Score from the side to move's point of view. */
+function evaluate(game) {
+    let score = 0;
+    for (let sq = 0; sq < 64; sq++) {
+        const p = game.board[sq];
+        if (!p) continue;
+        const white = colorOf(p) === 'w';
+        const type = p.toLowerCase();
+        const v = VALUES[type] + positional(type, sq, white);
+        score += white ? v : -v;
+    }
+    return game.turn === 'w' ? score : -score;
+}
+
+/** Captures first (most valuable victim), then promotions. */
+function ordered(moves) {
+    const weight = m => (m.captured ? 10 * VALUES[m.captured.toLowerCase()] - VALUES[m.piece.toLowerCase()] : 0)
+        + (m.promotion ? VALUES[m.promotion] : 0);
+    return moves.sort((a, b) => weight(b) - weight(a));
+}
+
+/** Search captures only until the position is quiet, so the horizon doesn't hang pieces. */
+function quiesce(game, alpha, beta) {
+    const stand = evaluate(game);
+    if (stand >= beta) return beta;
+    if (stand > alpha) alpha = stand;
+
+    const color = game.turn;
+    for (const m of ordered(game._pseudoMoves().filter(m => m.captured))) {
+        game._make(m);
+        const score = game.inCheck(color) ? -Infinity : -quiesce(game, -beta, -alpha);
+        game._unmake();
+        if (score >= beta) return beta;
+        if (score > alpha) alpha = score;
+    }
+    return alpha;
+}
+
+function negamax(game, depth, alpha, beta, ply) {
+    if (depth === 0) return quiesce(game, alpha, beta);
+    const moves = game._legalMoves();
+    if (moves.length === 0) return game.inCheck() ? -MATE + ply : 0;
+
+    for (const m of ordered(moves)) {
+        game._make(m);
+        const score = -negamax(game, depth - 1, -beta, -alpha, ply + 1);
+        game._unmake();
+        if (score >= beta) return beta;
+        if (score > alpha) alpha = score;
+    }
+    return alpha;
+}
+
+/**
+ * Pick a move for the side to move.
+ * @param {ChessGame} game
+ * @param {{ depth?: number, randomness?: number }} [opts] — randomness: centipawns of noise
+ *        added to root scores so the AI doesn't always play the same game
+ * @returns {{ from: number, to: number, promotion: string | null } | null}
+ */
+export function bestMove(game, { depth = 3, randomness = 15 } = {}) {
+    let best = null;
+    let bestScore = -Infinity;
+    for (const m of ordered(game._legalMoves())) {
+        game._make(m);
+        // Moves more than `randomness` below the best so far can't win — let alpha-beta cut them
+        const floor = bestScore - randomness;
+        const score = -negamax(game, depth - 1, -Infinity, -floor, 1) + Math.random() * randomness;
+        game._unmake();
+        if (score > bestScore) { bestScore = score; best = m; }
+    }
+    return best && { from: best.from, to: best.to, promotion: best.promotion };
+}
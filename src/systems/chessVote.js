@@ -0,0 +1,121 @@
+// chessVote.js — Timed chat vote on the next chess move ("chat vs streamer").
+// Each viewer holds one vote (voting again replaces it); only legal moves count.
+// When the window closes the most-voted move wins — ties go to the move that got there first.
+
+const DEFAULT_WINDOW_S = 20;
+
+export class ChessVote {
+    constructor() {
+        this._game = null;
+        this._remaining = 0;
+        this._byUser = new Map();   // username → move key
+        this._moves = new Map();    // move key → { move, count, order }
+        this._order = 0;
+    }
+
+    get isOpen() { return this._game !== null; }
+
+    /** Seconds left in the current window (0 when closed). */
+    get remaining() { return this._game ? Math.max(0, this._remaining) : 0; }
+
+    /** Number of viewers who voted in the current window. */
+    get voters() { return this._byUser.size; }
+
+    /**
+     * Current standings, most votes first.
+     * @returns {Array<{ san: string, count: number }>}
+     */
+    get tally() {
+        return [...this._moves.values()]
+            .filter(e => e.count > 0)
+            .sort((a, b) => b.count - a.count || a.order - b.order)
+            .map(e => ({ san: e.move.san, count: e.count }));
+    }
+
+    /**
+     * Start collecting votes for the side to move in `game`.
+     * @param {import('./chessEngine.js').ChessGame} game
+     * @param {number} [seconds]
+     */
+    open(game, seconds = DEFAULT_WINDOW_S) {
+        this._game = game;
+        this._remaining = seconds;
+        this._byUser.clear();
+        this._moves.clear();
+        this._order = 0;
+    }
+
+    /** Drop the current window without a result. */
+    close() {
+        this._game = null;
+        this._byUser.clear();
+        this._moves.clear();
+    }
+
+    /**
+     * Register a viewer's vote. SAN ("Nf6", "nf6", "O-O", "0-0") and UCI ("e7e5") are accepted.
+     * @param {string} username
+     * @param {string} text
+     * @returns {boolean} true if the vote counted, false if closed or not a legal move
+     */
+    cast(username, text) {
+        if (!this._game || !text) return false;
+        const move = this._legal(text);
+        if (!move) return false;
+
+        const key = `${move.from}-${move.to}-${move.promotion ?? ''}`;
+        const previous = this._byUser.get(username);
+        if (previous === key) return true;
+        if (previous) this._moves.get(previous).count--;
+
+        this._byUser.set(username, key);
+        const entry = this._moves.get(key);
+        if (entry) {
+            entry.count++;
+            entry.order = ++this._order;
+        } else {
+            this._moves.set(key, { move, count: 1, order: ++this._order });
+        }
+        return true;
+    }
+
+    /**
+     * Call every frame while open.
+     * @returns {{ move: object | null } | null} the result once the window closes —
+     *          `move` is null if nobody voted; null while voting is still running
+     */
+    update(dt) {
+        if (!this._game) return null;
+        this._remaining -= dt;
+        if (this._remaining > 0) return null;
+
+        const [top] = [...this._moves.values()]
+            .filter(e => e.count > 0)
+            .sort((a, b) => b.count - a.count || a.order - b.order);
+        const move = top ? { from: top.move.from, to: top.move.to, promotion: top.move.promotion } : null;
+        this.close();
+        return { move };
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    /** Legal move matching the vote text, or null — the game is left untouched. */
+    _legal(text) {
+        const game = this._game;
+        const tries = [text];
+        // Chat rarely capitalises piece letters: "nf6" → "Nf6" (a pawn capture like "bxc3" matches first)
+        if (/^[nbrqk]/.test(text)) tries.push(text[0].toUpperCase() + text.slice(1));
+        // Castling as chat types it: o-o, 0-0, O-O-O, 0-0-0…
+        const castle = /^[o0]-[o0](-[o0])?[+#]?$/i.exec(text);
+        if (castle) tries.push(castle[1] ? 'O-O-O' : 'O-O');
+
+        for (const attempt of tries) {
+            const move = game.move(attempt);
+            if (move) {
+                game.undo();
+                return move;
+            }
+        }
+        return null;
+    }
+}
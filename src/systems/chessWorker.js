@@ -0,0 +1,10 @@
+// chessWorker.js — Runs the chess AI's search off the main thread (see chessAI.js).
+//
+//   → { id, fen, opts }   position to search, bestMove() options
+//   ← { id, move }        the chosen move, null if there is none
+
+import { ChessGame, bestMove } from './chessEngine.js';
+
+self.onmessage = ({ data: { id, fen, opts } }) => {
+    self.postMessage({ id, move: bestMove(new ChessGame(fen), opts) });
+};
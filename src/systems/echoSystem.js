@@ -1,6 +1,13 @@
 // echoSystem.js — Records player positions, spawns ghost echoes that become platforms
+//
+// Two modes, chosen per theme (see BaseTheme.echoMode):
+//   'free'   → free-roam, only manual echoes (E key)
+//   'replay' → the player's path is recorded into a ring buffer and replayed by a
+//              translucent ghost SPAWN_DELAY seconds later; the ghost leaves solid
+//              platforms along its route.
 
 import * as THREE from 'three';
+import { planet } from '../environment/planetCore.js';
 
 const RECORD_INTERVAL = 0.3;   // seconds between recordings
 const SPAWN_DELAY = 3.0;   // seconds before ghost appears
@@ -8,6 +15,9 @@ const MAX_BUFFER_SIZE = 200;
 const DISSOLVE_DURATION = 4.0;   // fade-in from dissolve=1 → 0
 const ECHO_LIFETIME = 20.0;  // seconds before echo dissolves out
 const GHOST_SIZE = 0.45;  // radius of ghost sphere
+const GHOST_OPACITY = 0.35;  // replay ghost max opacity
+const PLATFORM_SPACING = 0.9;   // min distance between two ghost platforms
+const PLAYER_CLEARANCE = 0.9;   // never drop a platform inside the player
 
 export class EchoSystem {
     /**
@@ -22,6 +32,48 @@ export class EchoSystem {
 
         /** @type {EchoInstance[]} Active echo objects */
         this.echoes = [];
+
+        /** @type {'free' | 'replay'} */
+        this.mode = 'free';
+
+        // Ring buffer of recorded positions — sample n lives in slot n % MAX_BUFFER_SIZE
+        this._positions = new Float32Array(MAX_BUFFER_SIZE * 3);
+        this._times = new Float32Array(MAX_BUFFER_SIZE);
+        this._written = 0;            // total samples ever recorded
+        this._cursor = 0;             // next sample the ghost will reach
+        this._lastRecordTime = -Infinity;
+        this._lastPlatformPos = null;
+
+        // Replay ghost (single mesh, hidden until the buffer has aged SPAWN_DELAY)
+        this._ghostMat = new THREE.MeshStandardMaterial({
+            color: 0x99ccff,
+            emissive: 0x3366cc,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false,
+        });
+        this._ghost = new THREE.Mesh(new THREE.SphereGeometry(GHOST_SIZE, 16, 12), this._ghostMat);
+        this._ghost.visible = false;
+        this.scene.add(this._ghost);
+    }
+
+    /**
+     * Switch between free-roam and echo platforming. Clears the recording.
+     * @param {'free' | 'replay'} mode
+     */
+    setMode(mode) {
+        this.mode = mode === 'replay' ? 'replay' : 'free';
+        this.resetRecording();
+    }
+
+    /** Forget the recorded path and hide the ghost (e.g. after a teleport). */
+    resetRecording() {
+        this._written = 0;
+        this._cursor = 0;
+        this._lastRecordTime = -Infinity;
+        this._lastPlatformPos = null;
+        this._ghost.visible = false;
+        this._ghostMat.opacity = 0;
     }
 
     /**
@@ -41,8 +93,10 @@ export class EchoSystem {
 
         const mesh = new THREE.Mesh(geo, mat);
         mesh.position.copy(position);
-        // Lift echo slightly so it sits on floor
-        mesh.position.y = Math.max(position.y, GHOST_SIZE);
+        // Lift echo slightly so it sits on the planet surface
+        if (position.distanceTo(planet.center) - planet.radius < GHOST_SIZE) {
+            planet.project(position, GHOST_SIZE, mesh.position);
+        }
         this.scene.add(mesh);
 
         // Rapier fixed collider (becomes a platform)
@@ -61,6 +115,64 @@ export class EchoSystem {
         this.echoes.push(echo);
     }
 
+    /**
+     * Store the player position every RECORD_INTERVAL seconds.
+     * @param {THREE.Vector3} position
+     * @param {number} elapsedTime
+     */
+    record(position, elapsedTime) {
+        if (elapsedTime - this._lastRecordTime < RECORD_INTERVAL) return;
+        this._lastRecordTime = elapsedTime;
+
+        const slot = this._written % MAX_BUFFER_SIZE;
+        this._positions[slot * 3] = position.x;
+        this._positions[slot * 3 + 1] = position.y;
+        this._positions[slot * 3 + 2] = position.z;
+        this._times[slot] = elapsedTime;
+        this._written++;
+    }
+
+    /**
+     * Move the ghost along the recorded path, SPAWN_DELAY seconds behind the player,
+     * and drop a platform at every sample it reaches.
+     * @param {number} elapsedTime
+     * @param {number} dt
+     * @param {THREE.Vector3} playerPos
+     */
+    replay(elapsedTime, dt, playerPos) {
+        const replayTime = elapsedTime - SPAWN_DELAY;
+
+        // Samples older than the ring buffer were overwritten — skip them
+        const oldest = Math.max(0, this._written - MAX_BUFFER_SIZE);
+        if (this._cursor < oldest) this._cursor = oldest;
+
+        const sample = new THREE.Vector3();
+        while (this._cursor < this._written && this._times[this._cursor % MAX_BUFFER_SIZE] <= replayTime) {
+            this._readSample(this._cursor, sample);
+            this._dropPlatform(sample, elapsedTime, playerPos);
+            this._cursor++;
+        }
+
+        const active = this._cursor > 0;
+        if (active) {
+            // Interpolate between the last reached sample and the next one
+            const prev = this._readSample(this._cursor - 1, new THREE.Vector3());
+            if (this._cursor < this._written) {
+                const t0 = this._times[(this._cursor - 1) % MAX_BUFFER_SIZE];
+                const t1 = this._times[this._cursor % MAX_BUFFER_SIZE];
+                const next = this._readSample(this._cursor, sample);
+                const t = THREE.MathUtils.clamp((replayTime - t0) / Math.max(t1 - t0, 0.001), 0, 1);
+                this._ghost.position.lerpVectors(prev, next, t);
+            } else {
+                this._ghost.position.copy(prev);
+            }
+        }
+
+        const target = active ? GHOST_OPACITY : 0;
+        this._ghostMat.opacity += (target - this._ghostMat.opacity) * Math.min(1, dt * 3);
+        this._ghost.visible = this._ghostMat.opacity > 0.01;
+    }
+
     /**
      * @param {number} elapsedTime
      * @param {number} dt
@@ -81,12 +193,7 @@ export class EchoSystem {
                 echo.mat.opacity -= dt / 3.0;
 
                 if (echo.mat.opacity <= 0) {
-                    // Cleanup
-                    this.scene.remove(echo.mesh);
-                    echo.mesh.geometry.dispose();
-                    echo.mat.dispose();
-                    this.world.removeRigidBody(echo.rb);
-                    this.echoes.splice(i, 1);
+                    this._removeEcho(i);
                 }
             }
         }
@@ -96,8 +203,56 @@ export class EchoSystem {
      * Main update — call once per frame.
      * @param {number} elapsedTime
      * @param {number} dt
+     * @param {THREE.Vector3} [playerPos]
      */
-    tick(elapsedTime, dt) {
+    tick(elapsedTime, dt, playerPos) {
+        if (this.mode === 'replay' && playerPos) {
+            this.record(playerPos, elapsedTime);
+            this.replay(elapsedTime, dt, playerPos);
+        }
         this.update(elapsedTime, dt);
     }
+
+    /** Remove every echo platform (e.g. when the theme changes). */
+    clear() {
+        for (let i = this.echoes.length - 1; i >= 0; i--) this._removeEcho(i);
+        this.resetRecording();
+    }
+
+    dispose() {
+        this.clear();
+        this.scene.remove(this._ghost);
+        this._ghost.geometry.dispose();
+        this._ghostMat.dispose();
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _readSample(n, target) {
+        const slot = n % MAX_BUFFER_SIZE;
+        return target.set(
+            this._positions[slot * 3],
+            this._positions[slot * 3 + 1],
+            this._positions[slot * 3 + 2]
+        );
+    }
+
+    _dropPlatform(position, elapsedTime, playerPos) {
+        // Standing still would stack platforms on one spot
+        if (this._lastPlatformPos && this._lastPlatformPos.distanceTo(position) < PLATFORM_SPACING) return;
+        // The player may be back on their own path — don't trap them in a collider
+        if (playerPos && playerPos.distanceTo(position) < PLAYER_CLEARANCE) return;
+
+        this.spawnManualEcho(position, elapsedTime);
+        this._lastPlatformPos = (this._lastPlatformPos ?? new THREE.Vector3()).copy(position);
+    }
+
+    _removeEcho(i) {
+        const echo = this.echoes[i];
+        this.scene.remove(echo.mesh);
+        echo.mesh.geometry.dispose();
+        echo.mat.dispose();
+        this.world.removeRigidBody(echo.rb);
+        this.echoes.splice(i, 1);
+    }
 }
@@ -0,0 +1,43 @@
+// emitter.js — The listener list behind every `onX(fn) → unsubscribe` API.
+//
+//   this._changed = new Emitter();
+//   onChange(fn) { return this._changed.on(fn); }
+//   this._changed.emit(value);
+//
+// emit() runs listeners in subscription order; dispatch() runs the newest first and stops at
+// the first one that returns true (input presses). Either way a listener may unsubscribe
+// (itself or another) mid-call.
+
+export class Emitter {
+    constructor() {
+        this._listeners = [];
+    }
+
+    /**
+     * @param {(...args: any[]) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    on(fn) {
+        this._listeners.push(fn);
+        return () => {
+            const i = this._listeners.indexOf(fn);
+            if (i >= 0) this._listeners.splice(i, 1);
+        };
+    }
+
+    /** Call every listener with `args`. */
+    emit(...args) {
+        for (const fn of [...this._listeners]) fn(...args);
+    }
+
+    /**
+     * Call listeners newest first until one returns true.
+     * @returns {boolean} true if a listener consumed the call
+     */
+    dispatch(...args) {
+        for (const fn of [...this._listeners].reverse()) {
+            if (fn(...args) === true) return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,178 @@
+// gravitySystem.js — Central gravity field. Every dynamic body registers here instead of
+// applying its own spherical-gravity impulse; main.js calls step() once per fixed step.
+//
+// Field at a point, in order:
+//   1. planet pull toward the active planet centre (body strength, units/s²)
+//   2. + point attractors (moons, floating islands), fading to 0 at their radius
+//   3. directional zones replace the direction inside their volume
+//   4. flip volumes invert the result
+//   5. × timed modifiers (global or per body), e.g. the !gravité chat command
+
+import * as THREE from 'three';
+import { planet } from '../environment/planetCore.js';
+
+const DEFAULT_STRENGTH = 20;  // units/s² — the original player / props gravity
+
+const _pos = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _acc = new THREE.Vector3();
+
+export class GravityField {
+    constructor() {
+        this._bodies = new Map();     // RigidBody → { strength }
+        this._attractors = new Set(); // { position, radius, weight }
+        this._zones = new Set();      // { center, radius, direction, scale }
+        this._flips = new Set();      // { center, radius }
+        this._modifiers = new Set();  // { multiplier, remaining, body, id }
+    }
+
+    // ── Registration ──────────────────────────────────────────────────────
+
+    /**
+     * Let the field drive a dynamic body. Remove it before the body is destroyed.
+     * @param {import('@dimforge/rapier3d-compat').RigidBody} body
+     * @param {{ strength?: number }} [opts] - acceleration toward the planet (units/s²)
+     * @returns {() => void} unregister
+     */
+    addBody(body, { strength = DEFAULT_STRENGTH } = {}) {
+        this._bodies.set(body, { strength });
+        return () => this.removeBody(body);
+    }
+
+    removeBody(body) {
+        this._bodies.delete(body);
+        for (const m of this._modifiers) if (m.body === body) this._modifiers.delete(m);
+    }
+
+    /**
+     * Point attractor — pulls with `weight` × the body's own strength, fading to 0 at `radius`.
+     * @param {{ position: THREE.Vector3, radius: number, weight?: number }} attractor
+     * @returns {() => void} remove
+     */
+    addAttractor({ position, radius, weight = 1 }) {
+        const a = { position: position.clone(), radius, weight };
+        this._attractors.add(a);
+        return () => this._attractors.delete(a);
+    }
+
+    /**
+     * Spherical volume where gravity points along a fixed `direction`.
+     * @param {{ center: THREE.Vector3, radius: number, direction: THREE.Vector3, scale?: number }} zone
+     * @returns {() => void} remove
+     */
+    addZone({ center, radius, direction, scale = 1 }) {
+        const z = { center: center.clone(), radius, direction: direction.clone().normalize(), scale };
+        this._zones.add(z);
+        return () => this._zones.delete(z);
+    }
+
+    /**
+     * Spherical volume where gravity is inverted.
+     * @param {{ center: THREE.Vector3, radius: number }} volume
+     * @returns {() => void} remove
+     */
+    addFlipVolume({ center, radius }) {
+        const v = { center: center.clone(), radius };
+        this._flips.add(v);
+        return () => this._flips.delete(v);
+    }
+
+    /**
+     * Scale gravity for `duration` seconds (Infinity = until removed).
+     * A modifier with the same `id` is replaced, so re-triggering restarts the timer.
+     * @param {number} multiplier
+     * @param {number} duration - seconds
+     * @param {{ body?: object, id?: string }} [opts] - limit to one body / dedupe key
+     * @returns {() => void} remove
+     */
+    addModifier(multiplier, duration, { body = null, id = null } = {}) {
+        if (id) {
+            for (const m of this._modifiers) if (m.id === id) this._modifiers.delete(m);
+        }
+        const m = { multiplier, remaining: duration, body, id };
+        this._modifiers.add(m);
+        return () => this._modifiers.delete(m);
+    }
+
+    // ── Queries ───────────────────────────────────────────────────────────
+
+    /** Product of the active modifiers that apply to `body` (null → global ones only). */
+    multiplierFor(body = null) {
+        let k = 1;
+        for (const m of this._modifiers) {
+            if (m.body === null || m.body === body) k *= m.multiplier;
+        }
+        return k;
+    }
+
+    /**
+     * Gravitational acceleration at `position` for a body of the given strength.
+     * @param {THREE.Vector3} position
+     * @param {number} [strength]
+     * @param {THREE.Vector3} [target]
+     */
+    accelerationAt(position, strength = DEFAULT_STRENGTH, target = new THREE.Vector3()) {
+        // 1. Planet
+        target.subVectors(planet.center, position);
+        if (target.lengthSq() > 1e-6) target.normalize().multiplyScalar(strength);
+        else target.set(0, 0, 0);
+
+        // 2. Attractors
+        for (const a of this._attractors) {
+            _dir.subVectors(a.position, position);
+            const d = _dir.length();
+            if (d < 1e-3 || d >= a.radius) continue;
+            target.addScaledVector(_dir, (strength * a.weight * (1 - d / a.radius)) / d);
+        }
+
+        // 3. Directional zones (first match wins)
+        for (const z of this._zones) {
+            if (position.distanceToSquared(z.center) > z.radius * z.radius) continue;
+            target.copy(z.direction).multiplyScalar(strength * z.scale);
+            break;
+        }
+
+        // 4. Flip volumes
+        for (const v of this._flips) {
+            if (position.distanceToSquared(v.center) <= v.radius * v.radius) {
+                target.negate();
+                break;
+            }
+        }
+        return target;
+    }
+
+    /** Local "up" for a body at `position`: opposite to gravity, planet normal when it cancels out. */
+    upAt(position, target = new THREE.Vector3()) {
+        this.accelerationAt(position, 1, target);
+        if (target.lengthSq() < 1e-6) return planet.upAt(position, target);
+        return target.negate().normalize();
+    }
+
+    // ── Simulation ────────────────────────────────────────────────────────
+
+    /**
+     * Apply one fixed step of gravity to every registered body and age the modifiers.
+     * Call right before world.step().
+     * @param {number} dt
+     */
+    step(dt) {
+        for (const m of this._modifiers) {
+            m.remaining -= dt;
+            if (m.remaining <= 0) this._modifiers.delete(m);
+        }
+
+        for (const [body, { strength }] of this._bodies) {
+            if (!body.isValid()) { this._bodies.delete(body); continue; }
+            if (!body.isDynamic()) continue;
+
+            const t = body.translation();
+            this.accelerationAt(_pos.set(t.x, t.y, t.z), strength, _acc)
+                .multiplyScalar(this.multiplierFor(body) * dt);
+            body.applyImpulse({ x: _acc.x, y: _acc.y, z: _acc.z }, true);
+        }
+    }
+}
+
+/** The game's single gravity field. */
+export const gravity = new GravityField();
@@ -0,0 +1,341 @@
+// inputManager.js — One place for every input device, exposed as named actions.
+// Keyboard (rebindable, saved in localStorage), the first standard Gamepad, and the
+// mobile virtual stick / buttons all feed the same actions:
+//
+//   move     — analog axis, x → right, y → down (screen), length ≤ 1
+//   jump · punch · echo · interact · menu · mute · commands — buttons
+//
+//   if (input.isDown('jump')) ...
+//   const off = input.on('interact', () => { ...; return true; });  // true = consumed
+//
+// Press listeners run newest-first; returning true stops the press there and keeps the
+// action from reading as held (e.g. the High Striker grabbing Space while its gauge runs).
+
+import { Emitter } from './emitter.js';
+
+const STORAGE_KEY = 'input-bindings';
+const STICK_DEADZONE = 0.2;
+
+/** @type {Record<string, string[]>} action → KeyboardEvent.code list */
+export const DEFAULT_BINDINGS = Object.freeze({
+    up: ['ArrowUp'],
+    down: ['ArrowDown'],
+    left: ['ArrowLeft'],
+    right: ['ArrowRight'],
+    jump: ['Space'],
+    punch: ['KeyF'],
+    echo: ['KeyE'],
+    interact: ['Enter'],
+    menu: ['Escape'],
+    mute: ['KeyM'],
+    commands: ['KeyC'],
+});
+
+/** Human-readable names, in display order (used by the controls panel). */
+export const ACTION_LABELS = Object.freeze({
+    up: 'Move up',
+    down: 'Move down',
+    left: 'Move left',
+    right: 'Move right',
+    jump: 'Jump',
+    punch: 'Punch',
+    echo: 'Echo',
+    interact: 'Interact',
+    menu: 'Menu',
+    mute: 'Mute sound',
+    commands: 'Chat commands',
+});
+
+/** Actions that can't be left without a key — menu is the only way into the controls panel. */
+const ALWAYS_BOUND = ['menu'];
+
+// Standard Gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const PAD_BUTTONS = {
+    0: 'jump',      // A / Cross
+    1: 'interact',  // B / Circle
+    2: 'punch',     // X / Square
+    3: 'echo',      // Y / Triangle
+    9: 'menu',      // Start
+    12: 'up', 13: 'down', 14: 'left', 15: 'right',  // D-pad
+};
+
+export class InputManager {
+    constructor() {
+        this._bindings = this._loadBindings();
+        this._codeToAction = new Map();
+        this._rebuildLookup();
+
+        this._held = new Map();       // action → Set of source ids ('key:Space', 'pad:0', 'touch:jump')
+        this._listeners = new Map();  // action → Emitter of (action) => boolean|void
+        this._bindingChanges = new Emitter();
+        this._padButtons = [];        // previous gamepad button states
+        this._padAxis = { x: 0, y: 0 };
+        this._virtualAxis = { x: 0, y: 0 };
+        this._keyCapture = null;      // one-shot raw key callback (rebinding)
+        this._move = { x: 0, y: 0 };
+
+        this._onKeyDown = (e) => {
+            if (this._isTyping(e)) return;
+            if (this._keyCapture) {
+                e.preventDefault();
+                const cb = this._keyCapture;
+                this._keyCapture = null;
+                cb(e.code);
+                return;
+            }
+            const action = this._codeToAction.get(e.code);
+            if (!action) return;
+            if (!e.repeat) this.press(action, 'key:' + e.code);
+        };
+        this._onKeyUp = (e) => {
+            const action = this._codeToAction.get(e.code);
+            if (action) this.release(action, 'key:' + e.code);
+        };
+        this._onBlur = () => this._held.clear();
+
+        window.addEventListener('keydown', this._onKeyDown);
+        window.addEventListener('keyup', this._onKeyUp);
+        window.addEventListener('blur', this._onBlur);
+    }
+
+    // ── Queries ───────────────────────────────────────────────────────────
+
+    /** @param {string} action */
+    isDown(action) {
+        return (this._held.get(action)?.size ?? 0) > 0;
+    }
+
+    /**
+     * Movement axis combining keys, gamepad stick and the virtual joystick.
+     * @returns {{ x: number, y: number }} length ≤ 1 (shared object, read don't keep)
+     */
+    get move() {
+        let x = this._padAxis.x + this._virtualAxis.x;
+        let y = this._padAxis.y + this._virtualAxis.y;
+        if (this.isDown('right')) x += 1;
+        if (this.isDown('left')) x -= 1;
+        if (this.isDown('down')) y += 1;
+        if (this.isDown('up')) y -= 1;
+
+        const len = Math.sqrt(x * x + y * y);
+        if (len > 1) { x /= len; y /= len; }
+        this._move.x = x;
+        this._move.y = y;
+        return this._move;
+    }
+
+    // ── Events ────────────────────────────────────────────────────────────
+
+    /**
+     * Listen for presses of an action. Newest listeners run first; return true to consume.
+     * @param {string} action
+     * @param {(action: string) => boolean|void} fn
+     * @returns {() => void} unsubscribe
+     */
+    on(action, fn) {
+        if (!this._listeners.has(action)) this._listeners.set(action, new Emitter());
+        return this._listeners.get(action).on(fn);
+    }
+
+    /**
+     * Feed a press from any device. Used internally and by the mobile controls.
+     * @param {string} action
+     * @param {string} source - stable id of the physical control, released with release()
+     */
+    press(action, source) {
+        const held = this._held.get(action);
+        if (held?.has(source)) return;
+
+        if (this._listeners.get(action)?.dispatch(action)) return;
+        if (!held) this._held.set(action, new Set([source]));
+        else held.add(source);
+    }
+
+    /**
+     * @param {string} action
+     * @param {string} source
+     */
+    release(action, source) {
+        this._held.get(action)?.delete(source);
+    }
+
+    /**
+     * Analog movement from the mobile joystick.
+     * @param {number} x - right
+     * @param {number} y - down
+     */
+    setVirtualAxis(x, y) {
+        this._virtualAxis.x = x;
+        this._virtualAxis.y = y;
+    }
+
+    /** Poll the gamepad — call once per frame, before reading input. */
+    update() {
+        const pads = navigator.getGamepads?.() ?? [];
+        let pad = null;
+        for (const p of pads) if (p?.connected) { pad = p; break; }
+
+        if (!pad) {
+            if (this._padButtons.length) this._releasePad();
+            return;
+        }
+
+        const ax = pad.axes[0] ?? 0;
+        const ay = pad.axes[1] ?? 0;
+        const mag = Math.sqrt(ax * ax + ay * ay);
+        if (mag < STICK_DEADZONE) {
+            this._padAxis.x = this._padAxis.y = 0;
+        } else {
+            // Rescale so the stick starts at 0 just past the deadzone
+            const k = Math.min(1, (mag - STICK_DEADZONE) / (1 - STICK_DEADZONE)) / mag;
+            this._padAxis.x = ax * k;
+            this._padAxis.y = ay * k;
+        }
+
+        for (const [index, action] of Object.entries(PAD_BUTTONS)) {
+            const down = !!pad.buttons[index]?.pressed;
+            if (down === !!this._padButtons[index]) continue;
+            this._padButtons[index] = down;
+            if (down) this.press(action, 'pad:' + index);
+            else this.release(action, 'pad:' + index);
+        }
+    }
+
+    // ── Rebinding ─────────────────────────────────────────────────────────
+
+    /** @returns {Record<string, string[]>} current key bindings (copy) */
+    get bindings() {
+        return structuredClone(this._bindings);
+    }
+
+    /**
+     * Label of the first key bound to an action, for on-screen hints ('' when unbound).
+     * @param {string} action
+     */
+    keyFor(action) {
+        const code = this._bindings[action]?.[0];
+        return code ? keyLabel(code) : '';
+    }
+
+    /**
+     * Replace the keys of an action and persist. A key moved here is removed from
+     * whichever action had it before; an ALWAYS_BOUND action left without keys gets
+     * its default back.
+     * @param {string} action
+     * @param {string[]} codes
+     */
+    rebind(action, codes) {
+        if (!(action in DEFAULT_BINDINGS)) throw new Error(`Unknown action "${action}"`);
+        this._unbind(codes);
+        this._bindings[action] = [...codes];
+        this._restoreAlwaysBound(this._bindings);
+        this._bindingsChanged();
+    }
+
+    resetBindings() {
+        this._bindings = structuredClone(DEFAULT_BINDINGS);
+        this._bindingsChanged();
+    }
+
+    /**
+     * Called after a rebind or reset (e.g. to refresh key hints).
+     * @param {() => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    onBindingsChange(fn) {
+        return this._bindingChanges.on(fn);
+    }
+
+    /**
+     * Route the next key press to `fn` instead of the actions (for "press a key" UIs).
+     * @param {((code: string) => void) | null} fn - null cancels
+     */
+    captureNextKey(fn) {
+        this._keyCapture = fn;
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('keyup', this._onKeyUp);
+        window.removeEventListener('blur', this._onBlur);
+        this._listeners.clear();
+        this._held.clear();
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _isTyping(e) {
+        const t = e.target;
+        return t instanceof HTMLElement && (t.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(t.tagName));
+    }
+
+    _releasePad() {
+        for (const [index, action] of Object.entries(PAD_BUTTONS)) this.release(action, 'pad:' + index);
+        this._padButtons = [];
+        this._padAxis.x = this._padAxis.y = 0;
+    }
+
+    _bindingsChanged() {
+        this._held.clear();
+        this._rebuildLookup();
+        this._saveBindings();
+        this._bindingChanges.emit();
+    }
+
+    /** Remove `codes` from every action. */
+    _unbind(codes, bindings = this._bindings) {
+        for (const list of Object.values(bindings)) {
+            for (const code of codes) {
+                const i = list.indexOf(code);
+                if (i >= 0) list.splice(i, 1);
+            }
+        }
+    }
+
+    _restoreAlwaysBound(bindings) {
+        for (const action of ALWAYS_BOUND) {
+            if (bindings[action].length) continue;
+            this._unbind(DEFAULT_BINDINGS[action], bindings);
+            bindings[action] = [...DEFAULT_BINDINGS[action]];
+        }
+    }
+
+    _rebuildLookup() {
+        this._codeToAction.clear();
+        for (const [action, codes] of Object.entries(this._bindings)) {
+            for (const code of codes) this._codeToAction.set(code, action);
+        }
+    }
+
+    _loadBindings() {
+        const bindings = structuredClone(DEFAULT_BINDINGS);
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+            if (saved && typeof saved === 'object') {
+                for (const action of Object.keys(bindings)) {
+                    if (Array.isArray(saved[action])) bindings[action] = saved[action].filter(c => typeof c === 'string');
+                }
+                this._restoreAlwaysBound(bindings);
+            }
+        } catch (_) { /* corrupted or unavailable storage → defaults */ }
+        return bindings;
+    }
+
+    _saveBindings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this._bindings));
+        } catch (_) { }
+    }
+}
+
+/** 'KeyF' → 'F', 'ArrowUp' → '↑', 'Escape' → 'Esc', 'Space' → 'Space' */
+export function keyLabel(code) {
+    const NAMES = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+    if (NAMES[code]) return NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code;
+}
+
+/** The game's single input manager. */
+export const input = new InputManager();
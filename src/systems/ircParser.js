@@ -0,0 +1,156 @@
+// ircParser.js — IRCv3 line parser (tags, prefix, command, params) for the Twitch chat provider.
+//
+//   @badge-info=;badges=vip/1;color=#FF4500;display-name=Ana :ana!ana@ana.tmi.twitch.tv PRIVMSG #chan :hi there
+//   → { tags: { 'badge-info': '', badges: 'vip/1', color: '#FF4500', 'display-name': 'Ana' },
+//       prefix: { nick: 'ana', user: 'ana', host: 'ana.tmi.twitch.tv' },
+//       command: 'PRIVMSG', params: ['#chan', 'hi there'] }
+//
+// A WebSocket frame may hold several CRLF-separated lines — use parseIrcFrame() on it.
+
+/**
+ * @typedef {object} IrcMessage
+ * @property {Record<string, string>} tags — unescaped values; a key without `=` maps to ''
+ * @property {{ nick: string, user: string, host: string } | null} prefix
+ * @property {string} command — upper-case verb or 3-digit numeric
+ * @property {string[]} params — the trailing `:` param (if any) is the last entry
+ * @property {string} raw
+ */
+
+const TAG_ESCAPES = { ':': ';', s: ' ', r: '\r', n: '\n', '\\': '\\' };
+
+/**
+ * Parse every line of a frame, skipping blank ones.
+ * @param {string} data
+ * @returns {IrcMessage[]}
+ */
+export function parseIrcFrame(data) {
+    const messages = [];
+    for (const line of String(data).split(/\r?\n/)) {
+        const message = parseIrcLine(line);
+        if (message) messages.push(message);
+    }
+    return messages;
+}
+
+/**
+ * @param {string} line — one IRC line, with or without its CRLF
+ * @returns {IrcMessage | null} null for a blank or command-less line
+ */
+export function parseIrcLine(line) {
+    const raw = line.replace(/\r?\n$/, '');
+    let pos = 0;
+    const next = () => {
+        const end = raw.indexOf(' ', pos);
+        const token = end < 0 ? raw.slice(pos) : raw.slice(pos, end);
+        pos = end < 0 ? raw.length : end + 1;
+        while (raw[pos] === ' ') pos++;
+        return token;
+    };
+
+    let tags = {};
+    if (raw[pos] === '@') tags = parseTags(next().slice(1));
+
+    let prefix = null;
+    if (raw[pos] === ':') prefix = parsePrefix(next().slice(1));
+
+    const command = next().toUpperCase();
+    if (!command) return null;
+
+    const params = [];
+    while (pos < raw.length) {
+        if (raw[pos] === ':') {
+            params.push(raw.slice(pos + 1));
+            break;
+        }
+        params.push(next());
+    }
+    return { tags, prefix, command, params, raw };
+}
+
+/**
+ * `a=1;b=x\sy;c` → { a: '1', b: 'x y', c: '' }
+ * @param {string} str — the tag section without its leading '@'
+ * @returns {Record<string, string>}
+ */
+export function parseTags(str) {
+    const tags = {};
+    for (const pair of str.split(';')) {
+        if (!pair) continue;
+        const eq = pair.indexOf('=');
+        if (eq < 0) tags[pair] = '';
+        else tags[pair.slice(0, eq)] = unescapeTagValue(pair.slice(eq + 1));
+    }
+    return tags;
+}
+
+/**
+ * Undo IRCv3 tag escaping (`\:` `\s` `\r` `\n` `\\`); an unknown escape drops the backslash,
+ * a trailing lone backslash is removed.
+ * @param {string} value
+ * @returns {string}
+ */
+export function unescapeTagValue(value) {
+    return value.replace(/\\(.?)/g, (_, c) => TAG_ESCAPES[c] ?? c);
+}
+
+/**
+ * `nick!user@host`, `nick@host` or a bare server name.
+ * @param {string} str — without the leading ':'
+ */
+function parsePrefix(str) {
+    const at = str.indexOf('@');
+    const hostless = at < 0 ? str : str.slice(0, at);
+    const bang = hostless.indexOf('!');
+    return {
+        nick: bang < 0 ? hostless : hostless.slice(0, bang),
+        user: bang < 0 ? '' : hostless.slice(bang + 1),
+        host: at < 0 ? '' : str.slice(at + 1),
+    };
+}
+
+// ── Twitch tag values ─────────────────────────────────────────────────────
+
+/**
+ * `broadcaster/1,subscriber/12` → [{ set: 'broadcaster', version: '1' }, …]
+ * @param {string} [value]
+ * @returns {Array<{ set: string, version: string }>}
+ */
+export function parseBadges(value = '') {
+    return value.split(',').filter(Boolean).map(b => {
+        const slash = b.indexOf('/');
+        return slash < 0 ? { set: b, version: '' } : { set: b.slice(0, slash), version: b.slice(slash + 1) };
+    });
+}
+
+/**
+ * `25:0-4,12-16/1902:23-27` → [{ id: '25', start: 0, end: 4 }, …], sorted by position.
+ * Twitch counts code points; pass the message text to get UTF-16 indices (what
+ * String#substring expects) even when it contains emoji.
+ * @param {string} [value]
+ * @param {string} [text]
+ * @returns {import('./chatMessage.js').ChatEmote[]}
+ */
+export function parseEmotes(value = '', text = '') {
+    // code point index → UTF-16 index
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+        offsets.push(i);
+        if (text.codePointAt(i) > 0xffff) i++;
+    }
+    const toIndex = (cp) => offsets[cp] ?? cp;
+
+    const emotes = [];
+    for (const part of value.split('/')) {
+        const colon = part.lastIndexOf(':');
+        if (colon <= 0) continue;
+        const id = part.slice(0, colon);
+        for (const range of part.slice(colon + 1).split(',')) {
+            const [start, end] = range.split('-').map(n => parseInt(n, 10));
+            if (!Number.isFinite(start) || !Number.isFinite(end)) continue;
+            // `end` is inclusive — keep a trailing surrogate pair whole
+            const last = toIndex(end);
+            emotes.push({ id, start: toIndex(start), end: text.codePointAt(last) > 0xffff ? last + 1 : last });
+        }
+    }
+    return emotes.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,149 @@
+// kickChat.js — Read-only Kick chat through Kick's public Pusher websocket (chat provider).
+//
+//   kick:<channel>      channel slug — its chatroom id is looked up on kick.com
+//   kick:<chatroomId>   numeric chatroom id, skips the lookup (use it if kick.com blocks the request)
+//
+// Emotes arrive inline as `[emote:37226:KEKW]`; they're turned back into their name with a
+// ChatEmote pointing at Kick's CDN.
+
+import { normalizeMessage, normalizeModeration } from './chatMessage.js';
+
+const PUSHER_URL = 'wss://ws-us2.pusher.com/app/32cbd69e4b950bf97679?protocol=7&client=js&version=8.4.0&flash=false';
+const CHANNEL_API = 'https://kick.com/api/v2/channels/';
+const RECONNECT_MS = 5000;
+const EMOTE_TOKEN = /\[emote:(\d+):([^\]]+)\]/g;
+
+export class KickChat {
+    /**
+     * @param {string} channel — slug or numeric chatroom id
+     * @param {(message: import('./chatMessage.js').ChatMessage) => void} onMessage
+     * @param {(event: import('./chatMessage.js').ChatEvent) => void} [_onEvent] — Kick subs aren't surfaced yet
+     * @param {(action: import('./chatMessage.js').ChatModeration) => void} [onModeration] — bans, deletions
+     */
+    constructor(channel, onMessage, _onEvent, onModeration = () => {}) {
+        this.name = 'kick';
+        this.channel = channel.toLowerCase();
+        this._onMessage = onMessage;
+        this._onModeration = onModeration;
+        this._ws = null;
+        this._timer = null;
+        this._chatroomId = /^\d+$/.test(channel) ? channel : null;
+        this._disposed = false;
+
+        this._start();
+    }
+
+    dispose() {
+        this._disposed = true;
+        clearTimeout(this._timer);
+        if (this._ws) {
+            this._ws.onclose = null;
+            this._ws.close();
+            this._ws = null;
+        }
+    }
+
+    // ── Connection ────────────────────────────────────────────────────────
+
+    async _start() {
+        if (!this._chatroomId) {
+            try {
+                const res = await fetch(CHANNEL_API + encodeURIComponent(this.channel));
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                this._chatroomId = String((await res.json()).chatroom.id);
+            } catch (err) {
+                console.warn(`[KickChat] can't find the chatroom of "${this.channel}" — try kick:<chatroomId>:`, err);
+                return;
+            }
+        }
+        if (!this._disposed) this._connect();
+    }
+
+    _connect() {
+        const ws = new WebSocket(PUSHER_URL);
+        this._ws = ws;
+
+        ws.onmessage = (event) => {
+            let frame, data;
+            try {
+                frame = JSON.parse(event.data);
+                // Pusher double-encodes: each event's payload is itself a JSON string
+                data = (typeof frame.data === 'string' ? JSON.parse(frame.data) : frame.data) ?? {};
+            } catch (_) {
+                return;
+            }
+            this._handle(frame.event, data);
+        };
+        ws.onclose = () => {
+            if (!this._disposed) this._timer = setTimeout(() => this._connect(), RECONNECT_MS);
+        };
+        ws.onerror = () => ws.close();
+    }
+
+    /**
+     * @param {string} event
+     * @param {object} data — the event's payload, already parsed
+     */
+    _handle(event, data) {
+        switch (event) {
+            case 'pusher:connection_established':
+                this._send('pusher:subscribe', { auth: '', channel: `chatrooms.${this._chatroomId}.v2` });
+                break;
+            case 'pusher:ping':
+                this._send('pusher:pong', {});
+                break;
+            case 'App\\Events\\ChatMessageEvent':
+                this._onMessage(this._toChatMessage(data));
+                break;
+            case 'App\\Events\\MessageDeletedEvent':
+                this._onModeration(normalizeModeration({
+                    type: 'delete', messageId: data.message?.id,
+                }, this.name, this.channel));
+                break;
+            case 'App\\Events\\UserBannedEvent': {
+                const duration = data.expires_at ? Math.max(0, (Date.parse(data.expires_at) - Date.now()) / 1000) : 0;
+                this._onModeration(normalizeModeration({
+                    type: data.permanent || !duration ? 'ban' : 'timeout',
+                    login: data.user?.username, duration,
+                }, this.name, this.channel));
+                break;
+            }
+            case 'App\\Events\\ChatroomClearEvent':
+                this._onModeration(normalizeModeration({ type: 'clear' }, this.name, this.channel));
+                break;
+        }
+    }
+
+    _send(event, data) {
+        this._ws?.send(JSON.stringify({ event, data }));
+    }
+
+    // ── Parsing ───────────────────────────────────────────────────────────
+
+    /** Kick's ChatMessageEvent payload → ChatMessage. */
+    _toChatMessage({ id, content = '', created_at: createdAt, sender = {} }) {
+        // Swap `[emote:id:name]` tokens for their name, remembering where each one landed
+        const emotes = [];
+        let text = '';
+        let last = 0;
+        for (const match of content.matchAll(EMOTE_TOKEN)) {
+            text += content.slice(last, match.index);
+            const [, emoteId, name] = match;
+            emotes.push({ id: emoteId, start: text.length, end: text.length + name.length - 1, url: `https://files.kick.com/emotes/${emoteId}/fullsize` });
+            text += name;
+            last = match.index + match[0].length;
+        }
+        text += content.slice(last);
+
+        const badges = (sender.identity?.badges ?? []).map(b => ({ set: b.type, version: String(b.count ?? 1) }));
+        return normalizeMessage({
+            id,
+            user: { id: String(sender.id ?? ''), login: sender.username, name: sender.username },
+            text,
+            color: sender.identity?.color,
+            badges,
+            emotes,
+            timestamp: Date.parse(createdAt) || Date.now(),
+        }, this.name, this.channel);
+    }
+}
@@ -0,0 +1,138 @@
+// mockChat.js — Offline chat provider for developing chat features without going live.
+//
+//   mock                    bots chatting every few seconds (commands included), with the
+//                           odd sub, raid or cheer
+//   mock:/chat/replay.json  replay a recording: [{ "at": 1.5, "user": "Ana", "text": "hi" }, …]
+//                           (`at` in seconds from the start, any ChatMessage field allowed; loops)
+//                           — an entry with a `type` is a ChatEvent: { "type": "raid", "amount": 12 }
+//                           or a ChatModeration: { "type": "timeout", "login": "ana", "duration": 60 }
+//   mock:ws://localhost:8787  relay a local WebSocket — each frame is a JSON message like
+//                             the replay entries, or plain "user: text"
+
+import { normalizeMessage, normalizeEvent, normalizeModeration, CHAT_MODERATION_TYPES } from './chatMessage.js';
+
+const BOT_INTERVAL_S = [2, 6];     // random gap between bot messages
+const REPLAY_GAP_S = 5;            // pause before a recording starts over
+const RECONNECT_MS = 5000;
+const BOT_EVENT_CHANCE = 0.08;     // share of bot lines replaced by a sub / raid / cheer
+
+const BOTS = [
+    { name: 'PixelPanda', color: '#ff6b6b', badges: [{ set: 'subscriber', version: '6' }] },
+    { name: 'rocket_raccoon', color: '#4dabf7', badges: [] },
+    { name: 'ModMarta', color: '#69db7c', badges: [{ set: 'moderator', version: '1' }] },
+    { name: 'vip_vic', color: '#9775fa', badges: [{ set: 'vip', version: '1' }] },
+    { name: 'lurker42', color: '', badges: [] },
+];
+const BOT_EVENTS = [
+    { type: 'sub', tier: '1000', text: 'first sub!' },
+    { type: 'resub', amount: 7, tier: '1000', text: 'still here' },
+    { type: 'subgift', amount: 5, tier: '1000' },
+    { type: 'raid', amount: 14 },
+    { type: 'bits', amount: 500, text: 'Cheer500 take my bits' },
+];
+const BOT_LINES = [
+    'hello there!', 'this planet is so cute', 'gg', 'how do you make the grass move?',
+    '!day', '!night', '!bomb', '!jump', '!spin', '!strike', '!move e5', 'LUL',
+];
+
+export class MockChat {
+    /**
+     * @param {string} target — '' for bots, a JSON recording URL, or a ws:// URL
+     * @param {(message: import('./chatMessage.js').ChatMessage) => void} onMessage
+     * @param {(event: import('./chatMessage.js').ChatEvent) => void} [onEvent]
+     * @param {(action: import('./chatMessage.js').ChatModeration) => void} [onModeration]
+     */
+    constructor(target, onMessage, onEvent = () => {}, onModeration = () => {}) {
+        this.name = 'mock';
+        this.channel = target || 'bots';
+        this._onMessage = onMessage;
+        this._onEvent = onEvent;
+        this._onModeration = onModeration;
+        this._timer = null;
+        this._ws = null;
+        this._disposed = false;
+
+        if (/^wss?:\/\//.test(target)) this._connect(target);
+        else if (target) this._replay(target);
+        else this._scheduleBot();
+    }
+
+    dispose() {
+        this._disposed = true;
+        clearTimeout(this._timer);
+        if (this._ws) {
+            this._ws.onclose = null;
+            this._ws.close();
+            this._ws = null;
+        }
+    }
+
+    // ── Sources ───────────────────────────────────────────────────────────
+
+    _scheduleBot() {
+        const [min, max] = BOT_INTERVAL_S;
+        this._timer = setTimeout(() => {
+            const bot = BOTS[Math.floor(Math.random() * BOTS.length)];
+            if (Math.random() < BOT_EVENT_CHANCE) {
+                this._emit({ ...BOT_EVENTS[Math.floor(Math.random() * BOT_EVENTS.length)], user: bot.name });
+            } else {
+                const text = BOT_LINES[Math.floor(Math.random() * BOT_LINES.length)];
+                this._emit({ user: bot.name, text, color: bot.color, badges: bot.badges });
+            }
+            this._scheduleBot();
+        }, (min + Math.random() * (max - min)) * 1000);
+    }
+
+    async _replay(url) {
+        let entries;
+        try {
+            const res = await fetch(url);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            entries = await res.json();
+        } catch (err) {
+            console.warn(`[MockChat] can't load ${url}:`, err);
+            return;
+        }
+        if (!Array.isArray(entries) || entries.length === 0 || this._disposed) return;
+        entries = [...entries].sort((a, b) => (a.at ?? 0) - (b.at ?? 0));
+
+        const play = (i, startMs) => {
+            if (i >= entries.length) {
+                this._timer = setTimeout(() => play(0, performance.now()), REPLAY_GAP_S * 1000);
+                return;
+            }
+            const delay = Math.max(0, startMs + (entries[i].at ?? 0) * 1000 - performance.now());
+            this._timer = setTimeout(() => {
+                this._emit(entries[i]);
+                play(i + 1, startMs);
+            }, delay);
+        };
+        play(0, performance.now());
+    }
+
+    _connect(url) {
+        const ws = new WebSocket(url);
+        this._ws = ws;
+        ws.onmessage = (event) => {
+            let raw;
+            try {
+                raw = JSON.parse(event.data);
+            } catch (_) {
+                const [user, ...rest] = String(event.data).split(':');
+                raw = rest.length ? { user: user.trim(), text: rest.join(':').trim() } : { text: event.data };
+            }
+            this._emit(raw);
+        };
+        ws.onclose = () => {
+            if (!this._disposed) this._timer = setTimeout(() => this._connect(url), RECONNECT_MS);
+        };
+        ws.onerror = () => ws.close();
+    }
+
+    _emit(raw) {
+        if (!raw || this._disposed) return;
+        if (CHAT_MODERATION_TYPES.includes(raw.type)) this._onModeration(normalizeModeration(raw, this.name, this.channel));
+        else if (raw.type) this._onEvent(normalizeEvent(raw, this.name, this.channel));
+        else this._onMessage(normalizeMessage(raw, this.name, this.channel));
+    }
+}
@@ -0,0 +1,152 @@
+// musicPlayer.js — Local playlist player, routed through the shared Web Audio graph.
+//
+// Tracks live in public/audio and are listed in public/audio/playlist.json:
+//
+//   { "tracks": [ { "file": "lofi-01.mp3", "title": "Lo-fi Morning" } ] }
+//
+// The bundled synth-lofi-01.wav is generated by scripts/synthTrack.js (CC0) before every
+// dev / build run — it is not checked in.
+//
+// A <audio> element streams the file; a MediaElementSource feeds it into audio.music so
+// the analyser (and anything listening to it) hears the music.
+
+import { audio } from './audioSystem.js';
+import { Emitter } from './emitter.js';
+
+const PLAYLIST_URL = '/audio/playlist.json';
+
+export class MusicPlayer {
+    constructor() {
+        /** @type {Array<{ title: string, url: string }>} */
+        this.tracks = [];
+        this.index = 0;
+        /** @type {'stopped' | 'playing' | 'paused'} */
+        this.state = 'stopped';
+        this.loaded = false;       // playlist fetched (even if empty)
+
+        this._el = null;
+        this._loading = null;
+        this._failures = 0;        // consecutive tracks that wouldn't play
+        this._changes = new Emitter();
+    }
+
+    /** @returns {{ title: string, url: string } | null} */
+    get current() { return this.tracks[this.index] ?? null; }
+
+    /**
+     * Called on every state / track change.
+     * @param {(player: MusicPlayer) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    onChange(fn) {
+        return this._changes.on(fn);
+    }
+
+    /** Fetch the playlist once (an empty or missing one just means no tracks). */
+    load() {
+        this._loading ??= fetch(PLAYLIST_URL)
+            .then(res => (res.ok ? res.json() : { tracks: [] }))
+            .then(({ tracks = [] }) => {
+                this.tracks = tracks
+                    .filter(t => t?.file)
+                    .map(t => ({ title: t.title ?? t.file.replace(/\.[^.]+$/, ''), url: `/audio/${t.file}` }));
+            })
+            .catch(err => console.warn('[Music] playlist unavailable:', err))
+            .finally(() => { this.loaded = true; });
+        return this._loading;
+    }
+
+    /**
+     * Play a file picked by the user (appended to the playlist for this session).
+     * @param {File} file
+     */
+    async playFile(file) {
+        audio.unlock();
+        await this.load();        // so the fetched playlist can't overwrite the new entry
+        this.tracks.push({ title: file.name.replace(/\.[^.]+$/, ''), url: URL.createObjectURL(file) });
+        this.index = this.tracks.length - 1;
+        return this.play();
+    }
+
+    /** Play / pause — call from a user gesture the first time. */
+    toggle() {
+        if (this.state === 'playing') this.pause();
+        else this.play();
+    }
+
+    async play() {
+        audio.unlock();           // must happen inside the gesture, before any await
+        this._ensureElement();
+        await this.load();
+        if (!this.current) {
+            this._emit();
+            return;
+        }
+        if (this._el.dataset.url !== this.current.url) this._setSource();
+        this.state = 'playing';
+        this._emit();
+        try {
+            await this._el.play();
+        } catch (err) {
+            // Broken files are handled by the 'error' event; a blocked autoplay just leaves us paused
+            if (err.name === 'NotAllowedError') {
+                this.state = 'paused';
+                this._emit();
+            }
+        }
+    }
+
+    pause() {
+        if (this.state !== 'playing') return;
+        this._el.pause();
+        this.state = 'paused';
+        this._emit();
+    }
+
+    /** Next track; keeps playing if we were. */
+    next() {
+        if (this.tracks.length === 0) return;
+        this.index = (this.index + 1) % this.tracks.length;
+        // play() picks up the new source; when idle it's loaded on the next play
+        if (this.state === 'playing') this.play();
+        else this._emit();
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _ensureElement() {
+        if (this._el) return;
+        this._el = new Audio();
+        this._el.preload = 'auto';
+        this._el.addEventListener('ended', () => this.next());
+        this._el.addEventListener('playing', () => { this._failures = 0; });
+        this._el.addEventListener('error', () => {
+            if (this.state === 'playing') this._skipBroken(this._el.error);
+        });
+        audio.context.createMediaElementSource(this._el).connect(audio.music);
+    }
+
+    _setSource() {
+        this._el.src = this.current.url;
+        this._el.dataset.url = this.current.url;
+    }
+
+    /** A track failed to load — try the next one, give up after a full lap. */
+    _skipBroken(err) {
+        console.warn(`[Music] can't play ${this.current?.url}:`, err);
+        if (++this._failures >= this.tracks.length) {
+            this._failures = 0;
+            this.state = 'stopped';
+            this._emit();
+            return;
+        }
+        this.next();
+    }
+
+    _emit() {
+        this._changes.emit(this);
+    }
+}
+
+/** The game's single music player. */
+export const music = new MusicPlayer();
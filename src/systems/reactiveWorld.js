@@ -0,0 +1,55 @@
+// reactiveWorld.js — Turns state.roomEnergy into world reactions.
+// "Actif → elle s'ouvre, Passif → elle se referme": the raw energy is smoothed here,
+// then broadcast to subscribers (themes, entities, SceneSetup itself).
+
+import { Emitter } from './emitter.js';
+
+const SMOOTHING = 1.5;  // 1/s — how fast the world follows the raw energy
+const RESUME_S = 1.0;  // ramp back in after a suspend (theme transitions)
+
+export class ReactiveWorld {
+    constructor() {
+        /** Smoothed energy in [-1, 1] (0 = neutral). */
+        this.energy = 0;
+
+        this._listeners = new Emitter();  // (energy, dt) => void
+        this._suspended = false;
+        this._weight = 1;             // 0 → 1 ramp applied to what subscribers see
+    }
+
+    /**
+     * Register a reaction. Called every frame with the smoothed energy.
+     * @param {(energy: number, dt: number) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(fn) {
+        return this._listeners.on(fn);
+    }
+
+    /** Stop notifying subscribers (e.g. while ThemeManager animates mesh scales). */
+    suspend() {
+        this._suspended = true;
+        this._weight = 0;
+    }
+
+    /** Resume notifications, easing energy back in over RESUME_S. */
+    resume() {
+        this._suspended = false;
+    }
+
+    /** Energy as seen by subscribers — 0 while suspended, ramped after resume. */
+    get effectiveEnergy() { return this.energy * this._weight; }
+
+    /**
+     * @param {number} rawEnergy - state.roomEnergy in [-1, 1]
+     * @param {number} dt
+     */
+    update(rawEnergy, dt) {
+        this.energy += (rawEnergy - this.energy) * Math.min(1, dt * SMOOTHING);
+        if (this._suspended) return;
+
+        this._weight = Math.min(1, this._weight + dt / RESUME_S);
+        const e = this.effectiveEnergy;
+        this._listeners.emit(e, dt);
+    }
+}
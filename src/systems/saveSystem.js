@@ -0,0 +1,242 @@
+// saveSystem.js — Versioned save game in localStorage, with JSON file export / import.
+//
+//   save.data.progress  — last theme + player spawn
+//   save.data.records   — personal bests per minigame (save.recordBest)
+//   save.data.leaderboards — ranked score tables per minigame (save.addToLeaderboard)
+//   save.data.totals    — lifetime stats (distance, play time, best height)
+//   save.data.settings  — persisted tweaks (DebugGui values)
+//   save.data.achievements / cosmetics — unlocked achievements, visited themes, equipped skin + trail
+//
+// Modules write into save.data then call save.commit(); writes are debounced.
+// Live values (player position, stateManager totals) are pulled by collectors
+// registered with onBeforeWrite(), so they never go stale between commits.
+
+import { Emitter } from './emitter.js';
+
+const STORAGE_KEY = 'save';
+const BACKUP_KEY = 'save-backup';   // last unreadable save, kept for manual recovery
+const SAVE_VERSION = 3;
+const COMMIT_DELAY_MS = 1000;
+const AUTOSAVE_MS = 10000;
+
+function defaults() {
+    return {
+        version: SAVE_VERSION,
+        progress: { theme: 'hub', spawn: null },
+        records: {},
+        leaderboards: {},
+        totals: { distance: 0, playTime: 0, bestHeight: 0 },
+        settings: {},
+        achievements: { unlocked: {}, visited: [] },
+        cosmetics: { skin: 'default', trail: 'none' },
+    };
+}
+
+/**
+ * Upgrades from older versions: MIGRATIONS[n] turns a version-n save into version n+1.
+ * Append one entry (and bump SAVE_VERSION) whenever the shape of save.data changes.
+ * @type {Record<number, (data: object) => object>}
+ */
+const MIGRATIONS = {
+    // Unversioned data (hand-written files) → assume the v1 layout
+    0: (data) => data,
+    // v2 adds achievements — count the theme the player was last on as visited
+    1: (data) => ({
+        ...data,
+        achievements: { unlocked: {}, visited: data.progress?.theme ? [data.progress.theme] : [] },
+    }),
+    // v3 adds leaderboards — nothing to carry over
+    2: (data) => ({ ...data, leaderboards: {} }),
+};
+
+export class SaveSystem {
+    constructor() {
+        this.data = this._read();
+        this._collectors = new Emitter();
+        this._timer = null;
+        this._autosave = null;
+        this._locked = false;       // set after an import: the running session must not overwrite it
+
+        this._onHide = () => { if (document.visibilityState === 'hidden') this.write(); };
+        this._onPageHide = () => this.write();
+    }
+
+    /** Start periodic + on-exit saving (call once at boot). */
+    start() {
+        if (this._autosave) return;
+        this._autosave = setInterval(() => this.write(), AUTOSAVE_MS);
+        document.addEventListener('visibilitychange', this._onHide);
+        window.addEventListener('pagehide', this._onPageHide);
+    }
+
+    /**
+     * Pull live values into save.data right before each write.
+     * @param {(data: object) => void} fn
+     * @returns {() => void} unregister
+     */
+    onBeforeWrite(fn) {
+        return this._collectors.on(fn);
+    }
+
+    /** Schedule a write (debounced). */
+    commit() {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.write(), COMMIT_DELAY_MS);
+    }
+
+    /** Write immediately. */
+    write() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (this._locked) return;
+        this._collectors.emit(this.data);
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        } catch (err) {
+            console.warn('[Save] write failed:', err);
+        }
+    }
+
+    // ── Records ───────────────────────────────────────────────────────────
+
+    /**
+     * Keep the higher of the stored and the new value.
+     * @param {string} game   — e.g. 'jumpRope'
+     * @param {string} stat   — e.g. 'bestStreak'
+     * @param {number} value
+     * @returns {boolean} true when this is a new personal best
+     */
+    recordBest(game, stat, value) {
+        const rec = (this.data.records[game] ??= {});
+        if (typeof rec[stat] === 'number' && rec[stat] >= value) return false;
+        rec[stat] = value;
+        this.commit();
+        return true;
+    }
+
+    /**
+     * Add to a cumulative record (e.g. goals scored).
+     * @returns {number} new total
+     */
+    addToRecord(game, stat, amount = 1) {
+        const rec = (this.data.records[game] ??= {});
+        rec[stat] = (rec[stat] ?? 0) + amount;
+        this.commit();
+        return rec[stat];
+    }
+
+    /** @returns {number | undefined} */
+    getRecord(game, stat) {
+        return this.data.records[game]?.[stat];
+    }
+
+    // ── Leaderboards ──────────────────────────────────────────────────────
+
+    /**
+     * Insert a score into a ranked table (highest first; ties keep the earlier entry on top).
+     * @param {string} game — e.g. 'highStriker'
+     * @param {{ name: string, score: number }} entry — extra fields are stored as-is
+     * @param {number} [size] — entries kept
+     * @returns {number} 0-based rank, -1 if the score didn't make the table
+     */
+    addToLeaderboard(game, entry, size = 10) {
+        const board = (this.data.leaderboards[game] ??= []);
+        let rank = board.findIndex(e => e.score < entry.score);
+        if (rank < 0) rank = board.length;
+        if (rank >= size) return -1;
+        board.splice(rank, 0, { ...entry, date: Date.now() });
+        board.length = Math.min(board.length, size);
+        this.commit();
+        return rank;
+    }
+
+    /** @returns {Array<{ name: string, score: number, date: number }>} highest first */
+    getLeaderboard(game) {
+        return this.data.leaderboards[game] ?? [];
+    }
+
+    // ── Export / import ───────────────────────────────────────────────────
+
+    /** Download the current save as a JSON file. */
+    exportFile() {
+        this.write();
+        const blob = new Blob([JSON.stringify(this.data, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `save-${new Date().toISOString().slice(0, 10)}.json`;
+        a.click();
+        URL.revokeObjectURL(a.href);
+    }
+
+    /**
+     * Replace the save with a previously exported file. The caller should reload
+     * the page afterwards so every module starts from the imported data.
+     * @param {File} file
+     * @returns {Promise<void>} rejects if the file is not a valid save
+     */
+    async importFile(file) {
+        const parsed = JSON.parse(await file.text());
+        const data = this._migrate(parsed);
+        if (!data) throw new Error('Not a compatible save file');
+        this.data = data;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        this._locked = true;
+    }
+
+    /** Wipe everything back to defaults. */
+    reset() {
+        this.data = defaults();
+        this.write();
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _read() {
+        let raw = null;
+        try {
+            raw = localStorage.getItem(STORAGE_KEY);
+            if (!raw) return defaults();
+            const data = this._migrate(JSON.parse(raw));
+            if (data) return data;
+        } catch (err) {
+            console.warn('[Save] could not read save:', err);
+        }
+        // Unreadable or from a newer build — keep a copy rather than silently overwriting it
+        try { if (raw) localStorage.setItem(BACKUP_KEY, raw); } catch (_) { }
+        return defaults();
+    }
+
+    /**
+     * Bring any supported save up to SAVE_VERSION and fill missing fields.
+     * @returns {object | null} null when the data can't be used
+     */
+    _migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+        let version = Number.isInteger(data.version) ? data.version : 0;
+        if (version > SAVE_VERSION) return null;
+
+        while (version < SAVE_VERSION) {
+            const step = MIGRATIONS[version];
+            if (!step) return null;
+            data = step(structuredClone(data));
+            data.version = ++version;
+        }
+        return mergeDefaults(defaults(), data);
+    }
+}
+
+/** Deep-merge `data` over `base`, keeping base values where data is missing or mistyped. */
+function mergeDefaults(base, data) {
+    for (const [key, value] of Object.entries(data)) {
+        const def = base[key];
+        if (def && typeof def === 'object' && !Array.isArray(def)) {
+            if (value && typeof value === 'object' && !Array.isArray(value)) mergeDefaults(def, value);
+        } else if (def === undefined || def === null || typeof def === typeof value) {
+            base[key] = value;
+        }
+    }
+    return base;
+}
+
+/** The game's single save. */
+export const save = new SaveSystem();
@@ -0,0 +1,285 @@
+// soundBank.js — Procedural sound effects and ambience beds.
+// The repo ships no audio samples, so every sound is synthesised into an AudioBuffer the
+// first time it's asked for, then cached:
+//
+//   loops     fire · hum · portal · ambience:hub · ambience:desert · ambience:ice · ambience:lava
+//   one-shots kick · bell · explosion · warp
+//
+// Loops either use whole-cycle frequencies over their length or get their tail crossfaded
+// into their head, so they repeat without a click.
+
+const LOOP_FADE_S = 0.5;    // crossfade length for noise-based loops
+
+/** @type {Record<string, { seconds: number, loop?: boolean, peak?: number, render: (d: Float32Array, sr: number) => void }>} */
+const RECIPES = {
+    // ── Loops ────────────────────────────────────────────────────────────
+    fire: {
+        seconds: 4, loop: true, peak: 0.7,
+        render(d, sr) {
+            lowNoise(d, sr, 300, 0.35);
+            crackles(d, sr, 14, 0.004, 1.0);
+        },
+    },
+    hum: {
+        // 1 s of 100 Hz mains buzz — whole cycles, loops as is
+        seconds: 1, peak: 0.5,
+        render(d, sr) {
+            for (let i = 0; i < d.length; i++) {
+                const t = i / sr;
+                d[i] = Math.sin(2 * Math.PI * 100 * t) + 0.5 * Math.sin(2 * Math.PI * 200 * t)
+                    + 0.25 * Math.sin(2 * Math.PI * 300 * t) + 0.1 * Math.sign(Math.sin(2 * Math.PI * 100 * t));
+            }
+        },
+    },
+    portal: {
+        // Shimmering chord with a 1 Hz swell — 2 s of whole cycles
+        seconds: 2, peak: 0.5,
+        render(d, sr) {
+            for (let i = 0; i < d.length; i++) {
+                const t = i / sr;
+                const swell = 0.6 + 0.4 * Math.sin(2 * Math.PI * t);
+                d[i] = swell * (Math.sin(2 * Math.PI * 220 * t) + 0.6 * Math.sin(2 * Math.PI * 330.5 * t)
+                    + 0.4 * Math.sin(2 * Math.PI * 441 * t) + 0.2 * Math.sin(2 * Math.PI * 880.5 * t));
+            }
+        },
+    },
+    'ambience:hub': {
+        // Gentle breeze + the odd bird
+        seconds: 8, loop: true, peak: 0.4,
+        render(d, sr) {
+            wind(d, sr, 500, 0.25, 1);
+            chirps(d, sr, 5, 2400, 4200, 0.25);
+        },
+    },
+    'ambience:desert': {
+        // Dry gusty howl
+        seconds: 8, loop: true, peak: 0.45,
+        render(d, sr) {
+            wind(d, sr, 250, 0.5, 2);
+            wind(d, sr, 900, 0.35, 3);
+        },
+    },
+    'ambience:ice': {
+        // Thin high wind + crystals tinkling
+        seconds: 8, loop: true, peak: 0.35,
+        render(d, sr) {
+            wind(d, sr, 2500, 0.3, 1, 800);
+            pings(d, sr, 9, 2500, 5500, 0.6, 0.35);
+        },
+    },
+    'ambience:lava': {
+        // Deep rumble + bubbling
+        seconds: 8, loop: true, peak: 0.55,
+        render(d, sr) {
+            lowNoise(d, sr, 90, 1.0);
+            bubbles(d, sr, 12, 0.5);
+        },
+    },
+
+    // ── One-shots ────────────────────────────────────────────────────────
+    kick: {
+        seconds: 0.5, peak: 0.9,
+        render(d, sr) {
+            thump(d, sr, 150, 45, 0.09, 1);
+            burst(d, sr, 0, 0.012, 0.5);
+        },
+    },
+    bell: {
+        // Inharmonic partials, the high ones dying first
+        seconds: 4, peak: 0.8,
+        render(d, sr) {
+            const partials = [[1, 1, 1.6], [2.76, 0.6, 0.9], [5.4, 0.4, 0.5], [8.93, 0.25, 0.3]];
+            for (let i = 0; i < d.length; i++) {
+                const t = i / sr;
+                for (const [ratio, gain, decay] of partials) {
+                    d[i] += gain * Math.exp(-t / decay) * Math.sin(2 * Math.PI * 660 * ratio * t);
+                }
+            }
+            burst(d, sr, 0, 0.005, 0.4);
+        },
+    },
+    explosion: {
+        seconds: 1.8, peak: 1.0,
+        render(d, sr) {
+            let lp = 0;
+            for (let i = 0; i < d.length; i++) {
+                const t = i / sr;
+                const cutoff = 60 + 2000 * Math.exp(-t / 0.15);   // bright crack, dark tail
+                const a = 1 - Math.exp(-2 * Math.PI * cutoff / sr);
+                lp += a * (Math.random() * 2 - 1 - lp);
+                d[i] = lp * Math.exp(-t / 0.45) * Math.min(1, t / 0.004) * 3;
+            }
+            thump(d, sr, 70, 28, 0.35, 1);
+        },
+    },
+    warp: {
+        // Rising sweep + whoosh — travelling through a portal
+        seconds: 0.9, peak: 0.7,
+        render(d, sr) {
+            let phase = 0, lp = 0;
+            for (let i = 0; i < d.length; i++) {
+                const t = i / sr, u = t / 0.9;
+                phase += 2 * Math.PI * (200 + 1200 * u * u) / sr;
+                const env = Math.sin(Math.PI * u);
+                lp += 0.15 * (Math.random() * 2 - 1 - lp);
+                d[i] = env * (0.6 * Math.sin(phase) + 0.8 * lp);
+            }
+        },
+    },
+};
+
+const _cache = new Map();   // name → AudioBuffer
+
+/** Every sound name the bank can build. */
+export const SOUNDS = Object.freeze(Object.keys(RECIPES));
+
+/**
+ * The (cached) buffer for a sound.
+ * @param {BaseAudioContext} context
+ * @param {string} name — one of SOUNDS
+ * @returns {AudioBuffer}
+ */
+export function getSound(context, name) {
+    let buffer = _cache.get(name);
+    if (buffer) return buffer;
+
+    const recipe = RECIPES[name];
+    if (!recipe) throw new Error(`[Audio] unknown sound "${name}"`);
+
+    const sr = context.sampleRate;
+    const fade = recipe.loop ? Math.floor(LOOP_FADE_S * sr) : 0;
+    const data = new Float32Array(Math.floor(recipe.seconds * sr) + fade);
+    recipe.render(data, sr);
+    const out = fade ? crossfadeLoop(data, fade) : data;
+    normalize(out, recipe.peak ?? 0.8);
+
+    buffer = context.createBuffer(1, out.length, sr);
+    buffer.copyToChannel(out, 0);
+    _cache.set(name, buffer);
+    return buffer;
+}
+
+// ── Building blocks (all add into `d`) ────────────────────────────────────
+
+/** Low-passed noise — rumble, fire roar. */
+function lowNoise(d, sr, cutoff, gain) {
+    const a = 1 - Math.exp(-2 * Math.PI * cutoff / sr);
+    let lp = 0;
+    for (let i = 0; i < d.length; i++) {
+        lp += a * (Math.random() * 2 - 1 - lp);
+        d[i] += lp * gain * 4;
+    }
+}
+
+/**
+ * Band-limited noise swelling `cycles` times over the buffer — wind.
+ * `highpass` (Hz) thins it out.
+ */
+function wind(d, sr, cutoff, gain, cycles, highpass = 0) {
+    const a = 1 - Math.exp(-2 * Math.PI * cutoff / sr);
+    const h = highpass ? 1 - Math.exp(-2 * Math.PI * highpass / sr) : 0;
+    let lp = 0, hp = 0;
+    for (let i = 0; i < d.length; i++) {
+        lp += a * (Math.random() * 2 - 1 - lp);
+        hp += h * (lp - hp);
+        const gust = 0.55 + 0.45 * Math.sin(2 * Math.PI * cycles * i / d.length);
+        d[i] += (lp - hp) * gust * gain * 4;
+    }
+}
+
+/** Short noise bursts scattered at random — fire crackle. */
+function crackles(d, sr, perSecond, length, gain) {
+    const count = Math.round(perSecond * d.length / sr);
+    for (let n = 0; n < count; n++) {
+        burst(d, sr, Math.random() * d.length / sr, length * (0.5 + Math.random()), gain * Math.random());
+    }
+}
+
+/** Noise burst with an exponential tail, starting at `at` seconds. */
+function burst(d, sr, at, length, gain) {
+    const start = Math.floor(at * sr);
+    const end = Math.min(d.length, start + Math.floor(length * 6 * sr));
+    for (let i = start; i < end; i++) {
+        d[i] += (Math.random() * 2 - 1) * gain * Math.exp(-(i - start) / (length * sr));
+    }
+}
+
+/** Sine dropping from `from` to `to` Hz — kick / boom body. */
+function thump(d, sr, from, to, decay, gain) {
+    let phase = 0;
+    for (let i = 0; i < d.length; i++) {
+        const t = i / sr;
+        phase += 2 * Math.PI * (to + (from - to) * Math.exp(-t / 0.04)) / sr;
+        d[i] += Math.sin(phase) * Math.exp(-t / decay) * gain;
+    }
+}
+
+/** Quick upward whistles — birds. */
+function chirps(d, sr, count, low, high, gain) {
+    for (let n = 0; n < count; n++) {
+        const start = Math.floor(Math.random() * (d.length - 0.4 * sr));
+        const notes = 1 + Math.floor(Math.random() * 3);
+        for (let k = 0; k < notes; k++) {
+            const s0 = start + Math.floor(k * 0.12 * sr);
+            const len = Math.floor(0.08 * sr);
+            const f0 = low + Math.random() * (high - low) * 0.5;
+            let phase = 0;
+            for (let i = 0; i < len && s0 + i < d.length; i++) {
+                const u = i / len;
+                phase += 2 * Math.PI * (f0 + (high - f0) * u) / sr;
+                d[s0 + i] += Math.sin(phase) * Math.sin(Math.PI * u) * gain;
+            }
+        }
+    }
+}
+
+/** Decaying sine pings at random pitches — ice crystals. */
+function pings(d, sr, count, low, high, decay, gain) {
+    for (let n = 0; n < count; n++) {
+        const start = Math.floor(Math.random() * d.length);
+        const f = low + Math.random() * (high - low);
+        const g = gain * (0.3 + 0.7 * Math.random());
+        for (let i = start; i < d.length; i++) {
+            const t = (i - start) / sr;
+            const env = Math.exp(-t / (decay * 0.3));
+            if (env < 0.001) break;
+            d[i] += Math.sin(2 * Math.PI * f * t) * env * g;
+        }
+    }
+}
+
+/** Low blips sliding upwards — lava bubbles popping. */
+function bubbles(d, sr, count, gain) {
+    for (let n = 0; n < count; n++) {
+        const start = Math.floor(Math.random() * d.length);
+        const f0 = 80 + Math.random() * 120;
+        const len = Math.floor((0.06 + Math.random() * 0.08) * sr);
+        let phase = 0;
+        for (let i = 0; i < len && start + i < d.length; i++) {
+            const u = i / len;
+            phase += 2 * Math.PI * f0 * (1 + 1.5 * u) / sr;
+            d[start + i] += Math.sin(phase) * Math.sin(Math.PI * u) * gain;
+        }
+    }
+}
+
+// ── Post-processing ───────────────────────────────────────────────────────
+
+/** Fold the extra `fade` samples at the end over the start, so the loop point is seamless. */
+function crossfadeLoop(data, fade) {
+    const out = data.slice(0, data.length - fade);
+    const tail = data.length - fade;
+    for (let i = 0; i < fade; i++) {
+        const u = i / fade;
+        out[i] = out[i] * Math.sqrt(u) + data[tail + i] * Math.sqrt(1 - u);
+    }
+    return out;
+}
+
+function normalize(data, peak) {
+    let max = 0;
+    for (let i = 0; i < data.length; i++) max = Math.max(max, Math.abs(data[i]));
+    if (max === 0) return;
+    const k = peak / max;
+    for (let i = 0; i < data.length; i++) data[i] *= k;
+}
@@ -0,0 +1,200 @@
+// triggerSystem.js — Shared trigger volumes built on Rapier sensor colliders.
+// Each volume fires onEnter / onStay / onExit for the player, and volumes with an
+// onInteract callback light up ONE contextual "press Enter" prompt. The 'interact'
+// action is routed to the most recently entered interactive volume.
+//
+//   const zone = triggers.add({ position, radius: 2, height: 3, label: 'Spawn cubes',
+//                               onInteract: () => this._spawnCubes() });
+//   ...
+//   zone.dispose();
+
+import * as THREE from 'three';
+import { planet } from '../environment/planetCore.js';
+import { input } from './inputManager.js';
+
+class TriggerVolume {
+    constructor(system, collider, body, opts) {
+        this._system = system;
+        this.collider = collider;
+        this.body = body;
+        this.label = opts.label ?? '';
+        this.onEnter = opts.onEnter ?? null;
+        this.onStay = opts.onStay ?? null;
+        this.onExit = opts.onExit ?? null;
+        this.onInteract = opts.onInteract ?? null;
+
+        /** Set false to hide the prompt / ignore 'interact' while the zone is busy. */
+        this.interactable = true;
+        this.isInside = false;
+    }
+
+    get canInteract() { return !!this.onInteract && this.interactable && this.isInside; }
+
+    dispose() {
+        this._system._remove(this);
+    }
+}
+
+export class TriggerSystem {
+    constructor() {
+        this._volumes = new Set();
+        this._focus = [];          // volumes the player is inside, most recently entered last
+        this._RAPIER = null;
+        this._world = null;
+        this._player = null;
+
+        this._promptEl = null;
+        this._promptLabel = null;
+
+        this._offInteract = null;
+        this._onInteract = () => {
+            if (this._player?.isFrozen) return false;
+            const target = this._current();
+            if (!target) return false;
+            target.onInteract(target);
+            return true;
+        };
+    }
+
+    /**
+     * Wire the system to the physics world and the player (call once, before any add()).
+     * @param {*} RAPIER
+     * @param {*} world
+     * @param {import('../entities/player.js').Player} player — must expose `.collider`
+     */
+    init(RAPIER, world, player) {
+        this._RAPIER = RAPIER;
+        this._world = world;
+        this._player = player;
+        this._buildPrompt();
+        this._offInteract = input.on('interact', this._onInteract);
+    }
+
+    /**
+     * Create a sensor volume. With `height` it's a cylinder standing on the surface at
+     * `position` (axis = planet normal); without, a ball centred on `position`.
+     * @param {object} opts
+     * @param {THREE.Vector3} opts.position
+     * @param {number} opts.radius
+     * @param {number} [opts.height]
+     * @param {string} [opts.label]                 — shown in the prompt ("ENTER — label")
+     * @param {(v: TriggerVolume) => void} [opts.onEnter]
+     * @param {(v: TriggerVolume, dt: number) => void} [opts.onStay]
+     * @param {(v: TriggerVolume) => void} [opts.onExit]
+     * @param {(v: TriggerVolume) => void} [opts.onInteract]
+     * @returns {TriggerVolume}
+     */
+    add(opts) {
+        const { position, radius, height } = opts;
+        const R = this._RAPIER;
+
+        let center = position;
+        let quat = new THREE.Quaternion();
+        let shape;
+        if (height !== undefined) {
+            const normal = planet.upAt(position);
+            center = position.clone().addScaledVector(normal, height / 2);
+            quat.setFromUnitVectors(new THREE.Vector3(0, 1, 0), normal);
+            shape = R.ColliderDesc.cylinder(height / 2, radius);
+        } else {
+            shape = R.ColliderDesc.ball(radius);
+        }
+
+        const body = this._world.createRigidBody(
+            R.RigidBodyDesc.fixed()
+                .setTranslation(center.x, center.y, center.z)
+                .setRotation({ x: quat.x, y: quat.y, z: quat.z, w: quat.w })
+        );
+        const collider = this._world.createCollider(shape.setSensor(true), body);
+
+        const volume = new TriggerVolume(this, collider, body, opts);
+        this._volumes.add(volume);
+        return volume;
+    }
+
+    /**
+     * Poll sensor overlaps — call once per frame after the physics step.
+     * @param {number} dt
+     */
+    update(dt) {
+        const playerCollider = this._player?.collider;
+        if (!playerCollider) return;
+
+        for (const v of this._volumes) {
+            const inside = this._world.intersectionPair(v.collider, playerCollider);
+            if (inside && !v.isInside) {
+                v.isInside = true;
+                this._focus.push(v);
+                v.onEnter?.(v);
+            } else if (!inside && v.isInside) {
+                this._exit(v);
+            }
+            if (v.isInside) v.onStay?.(v, dt);
+        }
+        this._refreshPrompt();
+    }
+
+    dispose() {
+        this._offInteract?.();
+        for (const v of [...this._volumes]) this._remove(v);
+        this._promptEl?.remove();
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _exit(v) {
+        v.isInside = false;
+        this._focus = this._focus.filter(f => f !== v);
+        v.onExit?.(v);
+    }
+
+    _remove(v) {
+        if (!this._volumes.delete(v)) return;
+        if (v.isInside) this._exit(v);
+        try { this._world.removeRigidBody(v.body); } catch (_) { }
+        this._refreshPrompt();
+    }
+
+    _current() {
+        for (let i = this._focus.length - 1; i >= 0; i--) {
+            if (this._focus[i].canInteract) return this._focus[i];
+        }
+        return null;
+    }
+
+    _buildPrompt() {
+        this._promptEl = document.createElement('div');
+        this._promptEl.style.cssText = `
+            position: fixed;
+            bottom: 30px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: none;
+            font-family: 'Fredoka One', monospace;
+            font-size: 20px;
+            color: white;
+            text-shadow: 2px 2px 5px rgba(0,0,0,0.85);
+            pointer-events: none;
+            z-index: 9997;
+        `;
+        document.body.appendChild(this._promptEl);
+    }
+
+    _refreshPrompt() {
+        if (!this._promptEl) return;
+        const target = this._player?.isFrozen ? null : this._current();
+        const label = target ? target.label : null;
+        if (label === this._promptLabel) return;
+        this._promptLabel = label;
+
+        if (target) {
+            this._promptEl.innerHTML = `⏎ <strong>ENTER</strong>${label ? ' — ' + label : ''}`;
+            this._promptEl.style.display = 'block';
+        } else {
+            this._promptEl.style.display = 'none';
+        }
+    }
+}
+
+/** The game's single trigger system. */
+export const triggers = new TriggerSystem();
@@ -1,14 +1,23 @@
-// twitchChat.js — Anonymous read-only connection to a Twitch IRC channel.
+// twitchChat.js — Anonymous read-only connection to a Twitch IRC channel (chat provider).
 // Uses the public wss://irc-ws.chat.twitch.tv endpoint — no OAuth needed for reading.
 
+import { normalizeMessage, normalizeEvent, normalizeModeration } from './chatMessage.js';
+import { parseIrcFrame, parseBadges, parseEmotes } from './ircParser.js';
+
 export class TwitchChat {
     /**
      * @param {string} channel  — channel name WITHOUT the #, e.g. "shroud"
-     * @param {(username: string, message: string, color: string, emotes: Array<{id: string, start: number, end: number}>) => void} onMessage
+     * @param {(message: import('./chatMessage.js').ChatMessage) => void} onMessage
+     * @param {(event: import('./chatMessage.js').ChatEvent) => void} [onEvent] — subs, raids, cheers
+     * @param {(action: import('./chatMessage.js').ChatModeration) => void} [onModeration] — bans, deletions
      */
-    constructor(channel, onMessage) {
-        this._channel = channel.toLowerCase();
+    constructor(channel, onMessage, onEvent = () => {}, onModeration = () => {}) {
+        this.name = 'twitch';
+        this.channel = channel.replace(/^#/, '').toLowerCase();
+        this._channel = this.channel;
         this._onMessage = onMessage;
+        this._onEvent = onEvent;
+        this._onModeration = onModeration;
         this._ws = null;
         this._reconnectMs = 5000;
 
@@ -29,44 +38,8 @@ export class TwitchChat {
         };
 
         ws.onmessage = (event) => {
-            const raw = event.data;
-            // Keep-alive PING
-            if (raw.startsWith('PING')) {
-                ws.send('PONG :tmi.twitch.tv\r\n');
-                return;
-            }
-            // Parse PRIVMSG: "@tags :user!user@... PRIVMSG #channel :message"
-            const match = raw.match(/PRIVMSG\s+#\S+\s+:(.+)/);
-            if (!match) return;
-            const message = match[1].trim();
-
-            // Extract display-name, color, and emotes from IRCv3 tags
-            const tagMatch = raw.match(/display-name=([^;]+)/);
-            const username = tagMatch ? tagMatch[1] : raw.match(/:(\w+)!/)?.[1] ?? 'anon';
-
-            const colorMatch = raw.match(/(?:^|;)color=(#[0-9A-Fa-f]{6})/);
-            const color = colorMatch ? colorMatch[1] : '';
-
-            // emotes=25:0-4,12-16/1902:23-27
-            const emotesMatch = raw.match(/(?:^|;)emotes=([^;]+)/);
-            const emotes = [];
-            if (emotesMatch && emotesMatch[1]) {
-                const parts = emotesMatch[1].split('/');
-                for (const part of parts) {
-                    const [id, positions] = part.split(':');
-                    if (!id || !positions) continue;
-                    for (const pos of positions.split(',')) {
-                        const [start, end] = pos.split('-');
-                        emotes.push({
-                            id,
-                            start: parseInt(start, 10),
-                            end: parseInt(end, 10)
-                        });
-                    }
-                }
-            }
-
-            this._onMessage(username, message, color, emotes);
+            // One frame can carry several CRLF-separated lines
+            for (const message of parseIrcFrame(event.data)) this._handle(message);
         };
 
         ws.onclose = () => {
@@ -80,6 +53,160 @@ export class TwitchChat {
         };
     }
 
+    /** @param {import('./ircParser.js').IrcMessage} message */
+    _handle(message) {
+        switch (message.command) {
+            case 'PING':
+                // Keep-alive — echo the token back
+                this._ws?.send(`PONG :${message.params[0] ?? 'tmi.twitch.tv'}\r\n`);
+                break;
+            case 'RECONNECT':
+                // Twitch is about to restart the server — onclose reconnects
+                this._ws?.close();
+                break;
+            case 'PRIVMSG': {
+                const chat = this._toChatMessage(message);
+                this._onMessage(chat);
+                if (chat.bits > 0) {
+                    this._onEvent(normalizeEvent({
+                        type: 'bits', id: chat.id, user: chat.user, text: chat.text,
+                        amount: chat.bits, message: chat, timestamp: chat.timestamp,
+                    }, this.name, this.channel));
+                }
+                break;
+            }
+            case 'USERNOTICE': {
+                const event = this._toChatEvent(message);
+                if (event) this._onEvent(event);
+                break;
+            }
+            case 'CLEARCHAT':
+            case 'CLEARMSG':
+            case 'ROOMSTATE':
+                this._onModeration(this._toModeration(message));
+                break;
+        }
+    }
+
+    /**
+     * CLEARCHAT (ban / timeout / whole chat), CLEARMSG (one message), ROOMSTATE (settings).
+     * @param {import('./ircParser.js').IrcMessage} message
+     * @returns {import('./chatMessage.js').ChatModeration}
+     */
+    _toModeration({ command, tags, params }) {
+        const target = params[1] ?? '';
+        let raw;
+        if (command === 'CLEARMSG') {
+            raw = { type: 'delete', login: tags.login, messageId: tags['target-msg-id'] };
+        } else if (command === 'ROOMSTATE') {
+            const state = {};
+            for (const key of ['emote-only', 'followers-only', 'r9k', 'slow', 'subs-only']) {
+                if (key in tags) state[key] = tags[key];
+            }
+            raw = { type: 'roomstate', state };
+        } else if (!target) {
+            raw = { type: 'clear' };
+        } else {
+            const duration = parseInt(tags['ban-duration'], 10) || 0;
+            raw = { type: duration ? 'timeout' : 'ban', login: target, duration };
+        }
+        return normalizeModeration(raw, this.name, this.channel);
+    }
+
+    /**
+     * Subs, gifts and raids — other USERNOTICEs (announcements, rituals…) give null.
+     * @param {import('./ircParser.js').IrcMessage} message
+     * @returns {import('./chatMessage.js').ChatEvent | null}
+     */
+    _toChatEvent({ tags, params }) {
+        const login = tags.login ?? '';
+        const raw = {
+            id: tags.id,
+            user: { id: tags['user-id'], login, name: tags['display-name'] || login },
+            text: params[1] ?? '',
+            tier: tags['msg-param-sub-plan'] ?? '',
+            timestamp: parseInt(tags['tmi-sent-ts'], 10) || Date.now(),
+        };
+        switch (tags['msg-id']) {
+            case 'sub':
+            case 'resub':
+                raw.type = tags['msg-id'];
+                raw.amount = parseInt(tags['msg-param-cumulative-months'], 10) || 1;
+                break;
+            case 'subgift':
+            case 'anonsubgift':
+                // Part of a mass gift — the submysterygift summary already covers it
+                if (tags['msg-param-community-gift-id']) return null;
+                raw.type = 'subgift';
+                raw.recipient = {
+                    id: tags['msg-param-recipient-id'],
+                    login: tags['msg-param-recipient-user-name'],
+                    name: tags['msg-param-recipient-display-name'],
+                };
+                break;
+            case 'submysterygift':
+            case 'anonsubmysterygift':
+                raw.type = 'subgift';
+                raw.amount = parseInt(tags['msg-param-mass-gift-count'], 10) || 1;
+                break;
+            case 'raid':
+                raw.type = 'raid';
+                raw.user = {
+                    id: tags['user-id'],
+                    login: tags['msg-param-login'] || login,
+                    name: tags['msg-param-displayName'] || raw.user.name,
+                };
+                raw.amount = parseInt(tags['msg-param-viewerCount'], 10) || 1;
+                break;
+            default:
+                return null;
+        }
+        return normalizeEvent(raw, this.name, this.channel);
+    }
+
+    /**
+     * @param {import('./ircParser.js').IrcMessage} message
+     * @returns {import('./chatMessage.js').ChatMessage}
+     */
+    _toChatMessage({ tags, prefix, params }) {
+        let text = params[1] ?? '';
+        // "/me waves" arrives as a CTCP ACTION
+        const action = /^\u0001ACTION (.*)\u0001$/.exec(text);
+        if (action) text = action[1];
+
+        const login = tags.login || prefix?.nick || 'anon';
+        const badges = parseBadges(tags.badges);
+        const reply = tags['reply-parent-msg-id'] ? {
+            id: tags['reply-parent-msg-id'],
+            threadId: tags['reply-thread-parent-msg-id'] || tags['reply-parent-msg-id'],
+            user: {
+                id: tags['reply-parent-user-id'] ?? '',
+                login: tags['reply-parent-user-login'] ?? '',
+                name: tags['reply-parent-display-name'] || tags['reply-parent-user-login'] || '',
+            },
+            text: tags['reply-parent-msg-body'] ?? '',
+        } : null;
+
+        return normalizeMessage({
+            id: tags.id,
+            user: { id: tags['user-id'], login, name: tags['display-name'] || login },
+            text,
+            color: tags.color,
+            badges,
+            emotes: parseEmotes(tags.emotes, text),
+            // Tags and badges can disagree (e.g. a hidden badge) — either one counts
+            roles: {
+                broadcaster: badges.some(b => b.set === 'broadcaster'),
+                moderator: tags.mod === '1' || badges.some(b => b.set === 'moderator' || b.set === 'broadcaster'),
+                subscriber: tags.subscriber === '1' || badges.some(b => b.set === 'subscriber' || b.set === 'founder'),
+                vip: tags.vip !== undefined || badges.some(b => b.set === 'vip'),
+            },
+            bits: parseInt(tags.bits, 10) || 0,
+            reply,
+            timestamp: parseInt(tags['tmi-sent-ts'], 10) || Date.now(),
+        }, this.name, this.channel);
+    }
+
     dispose() {
         if (this._ws) {
             this._ws.onclose = null; // prevent reconnect loop
@@ -0,0 +1,138 @@
+// youtubeChat.js — Read-only YouTube live chat through the Data API's liveChatMessages polling.
+//
+//   youtube:<videoId>   the live stream's video id (the `v=` of its watch URL)
+//
+// Needs an API key in VITE_YOUTUBE_API_KEY (.env.local). Every poll costs quota, so the
+// interval YouTube asks for (pollingIntervalMillis) is honoured, never shortened.
+// Messages already in the chat when we connect are skipped.
+
+import { normalizeMessage, normalizeEvent, normalizeModeration } from './chatMessage.js';
+
+const API = 'https://www.googleapis.com/youtube/v3/';
+const MIN_POLL_MS = 2000;
+const RETRY_MS = 15000;
+
+export class YoutubeChat {
+    /**
+     * @param {string} videoId
+     * @param {(message: import('./chatMessage.js').ChatMessage) => void} onMessage
+     * @param {(event: import('./chatMessage.js').ChatEvent) => void} [onEvent] — new and returning members
+     * @param {(action: import('./chatMessage.js').ChatModeration) => void} [onModeration] — bans, deletions
+     */
+    constructor(videoId, onMessage, onEvent = () => {}, onModeration = () => {}) {
+        this.name = 'youtube';
+        this.channel = videoId;
+        this._onMessage = onMessage;
+        this._onEvent = onEvent;
+        this._onModeration = onModeration;
+        this._key = import.meta.env.VITE_YOUTUBE_API_KEY ?? '';
+        this._liveChatId = null;
+        this._pageToken = null;
+        this._timer = null;
+        this._disposed = false;
+
+        if (!this._key) console.warn('[YoutubeChat] VITE_YOUTUBE_API_KEY is not set — YouTube chat disabled');
+        else this._start();
+    }
+
+    dispose() {
+        this._disposed = true;
+        clearTimeout(this._timer);
+    }
+
+    // ── Polling ───────────────────────────────────────────────────────────
+
+    async _start() {
+        try {
+            const { items = [] } = await this._get('videos', { part: 'liveStreamingDetails', id: this.channel });
+            this._liveChatId = items[0]?.liveStreamingDetails?.activeLiveChatId ?? null;
+        } catch (err) {
+            console.warn('[YoutubeChat] video lookup failed:', err);
+        }
+        if (!this._liveChatId) {
+            console.warn(`[YoutubeChat] "${this.channel}" has no active live chat`);
+            return;
+        }
+        this._poll();
+    }
+
+    async _poll() {
+        if (this._disposed) return;
+        let wait = RETRY_MS;
+        try {
+            const page = await this._get('liveChat/messages', {
+                liveChatId: this._liveChatId,
+                part: 'snippet,authorDetails',
+                ...(this._pageToken && { pageToken: this._pageToken }),
+            });
+            // The first page is the backlog from before we joined
+            if (this._pageToken && !this._disposed) for (const item of page.items ?? []) this._handle(item);
+            this._pageToken = page.nextPageToken;
+            wait = Math.max(MIN_POLL_MS, page.pollingIntervalMillis ?? 0);
+        } catch (err) {
+            console.warn('[YoutubeChat] poll failed:', err);
+        }
+        if (!this._disposed) this._timer = setTimeout(() => this._poll(), wait);
+    }
+
+    async _get(path, params) {
+        const query = new URLSearchParams({ ...params, key: this._key });
+        const res = await fetch(`${API}${path}?${query}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+    }
+
+    // ── Parsing ───────────────────────────────────────────────────────────
+
+    /** One liveChatMessage resource → onMessage / onEvent / onModeration. */
+    _handle({ id, snippet = {}, authorDetails = {} }) {
+        const channelId = authorDetails.channelId ?? '';
+        // YouTube has no login names; the channel id stands in (lowercased, like moderation targets)
+        const user = { id: channelId, login: channelId.toLowerCase(), name: authorDetails.displayName ?? '' };
+        const timestamp = Date.parse(snippet.publishedAt) || Date.now();
+
+        switch (snippet.type) {
+            case 'textMessageEvent':
+                this._onMessage(normalizeMessage({
+                    id,
+                    user,
+                    text: snippet.displayMessage,
+                    roles: {
+                        broadcaster: !!authorDetails.isChatOwner,
+                        moderator: !!authorDetails.isChatModerator,
+                        subscriber: !!authorDetails.isChatSponsor,
+                    },
+                    timestamp,
+                }, this.name, this.channel));
+                break;
+            case 'newSponsorEvent':
+                this._onEvent(normalizeEvent({ type: 'sub', id, user, timestamp }, this.name, this.channel));
+                break;
+            case 'memberMilestoneChatEvent':
+                this._onEvent(normalizeEvent({
+                    type: 'resub', id, user, timestamp,
+                    text: snippet.memberMilestoneChatDetails?.userComment,
+                    amount: snippet.memberMilestoneChatDetails?.memberMonth,
+                }, this.name, this.channel));
+                break;
+            case 'messageDeletedEvent':
+                this._onModeration(normalizeModeration({
+                    type: 'delete', messageId: snippet.messageDeletedDetails?.deletedMessageId,
+                }, this.name, this.channel));
+                break;
+            case 'userBannedEvent': {
+                const ban = snippet.userBannedDetails ?? {};
+                const temporary = ban.banType === 'temporary';
+                this._onModeration(normalizeModeration({
+                    type: temporary ? 'timeout' : 'ban',
+                    login: ban.bannedUserDetails?.channelId,
+                    duration: temporary ? Number(ban.banDurationSeconds) || 0 : 0,
+                }, this.name, this.channel));
+                break;
+            }
+            case 'chatEndedEvent':
+                this.dispose();
+                break;
+        }
+    }
+}
@@ -0,0 +1,72 @@
+// achievementToast.js — Slide-in toast when an achievement unlocks.
+// Toasts are queued so several unlocks in a row are shown one after the other.
+
+import { achievements } from '../systems/achievementSystem.js';
+
+const SHOW_MS = 3500;
+const SLIDE_MS = 350;
+
+export class AchievementToast {
+    constructor() {
+        this._queue = [];
+        this._busy = false;
+
+        this._el = document.createElement('div');
+        this._el.style.cssText = `
+            position: fixed;
+            top: 24px;
+            left: 50%;
+            transform: translate(-50%, -140%);
+            display: flex;
+            align-items: center;
+            gap: 14px;
+            padding: 12px 22px 12px 16px;
+            border-radius: 14px;
+            background: rgba(20, 12, 48, 0.92);
+            border: 2px solid #ffcc33;
+            box-shadow: 0 6px 24px rgba(0,0,0,0.45), 0 0 18px rgba(255,204,51,0.35);
+            font-family: 'Fredoka One', monospace;
+            color: white;
+            pointer-events: none;
+            transition: transform ${SLIDE_MS}ms cubic-bezier(0.34,1.56,0.64,1);
+            z-index: 9998;
+        `;
+        document.body.appendChild(this._el);
+
+        this._unsub = achievements.onUnlock((a) => this.show(a));
+    }
+
+    /** @param {import('../systems/achievementSystem.js').Achievement} achievement */
+    show(achievement) {
+        this._queue.push(achievement);
+        if (!this._busy) this._next();
+    }
+
+    dispose() {
+        this._unsub();
+        this._el.remove();
+    }
+
+    // ── Internal ──────────────────────────────────────────────────────────
+
+    _next() {
+        const a = this._queue.shift();
+        if (!a) { this._busy = false; return; }
+        this._busy = true;
+
+        this._el.innerHTML = `
+            <div style="font-size:34px">${a.icon}</div>
+            <div>
+                <div style="font-size:12px;letter-spacing:0.12em;color:#ffcc33">ACHIEVEMENT UNLOCKED</div>
+                <div style="font-size:20px">${a.title}</div>
+                <div style="font-size:13px;opacity:0.75">${a.description}</div>
+            </div>
+        `;
+        this._el.style.transform = 'translate(-50%, 0)';
+
+        setTimeout(() => {
+            this._el.style.transform = 'translate(-50%, -140%)';
+            setTimeout(() => this._next(), SLIDE_MS);
+        }, SHOW_MS);
+    }
+}
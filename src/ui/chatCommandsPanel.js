@@ -0,0 +1,316 @@
+// chatCommandsPanel.js — Streamer overlay for viewer `!commands` and chat events, plus the
+// `!help` card.
+// The overlay lists every registered command with its role and cooldowns; unticking one
+// disables it at runtime (saved). Below, each sub / raid / bits effect can be switched off,
+// tuned and previewed. The blocklist (users, words, /regex/) is edited at the bottom, one
+// entry per line. `!help` pops a card on screen with the commands the viewer who asked
+// is allowed to use.
+
+import { input } from '../systems/inputManager.js';
+import { ROLE_LABELS } from '../systems/chatCommands.js';
+import { normalizeEvent } from '../systems/chatMessage.js';
+
+const HELP_SHOW_MS = 8000;
+
+/** Event effect rows: the setting shown next to each, and the fake event ▶ plays. */
+const EVENT_ROWS = [
+    { key: 'raid', label: 'Raid crowd', param: 'maxCharacters', unit: 'max', test: { type: 'raid', user: 'TestRaider', amount: 15 } },
+    { key: 'sub', label: 'Golden sub', param: 'lifetime', unit: 's', test: { type: 'resub', user: 'TestSub', amount: 3 } },
+    { key: 'subgift', label: 'Gift subs', param: 'lifetime', unit: 's', test: { type: 'subgift', user: 'TestGifter', amount: 5 } },
+    { key: 'bits', label: 'Bits shower', param: 'bitsPerEmote', unit: 'bits/emote', test: { type: 'bits', user: 'TestCheer', amount: 1000 } },
+];
+
+export class ChatCommandsPanel {
+    /**
+     * @param {import('../systems/chatSystem.js').ChatSystem} chat
+     */
+    constructor(chat) {
+        const commands = chat.commands;
+        this._chat = chat;
+        this._commands = commands;
+        this._el = null;
+        this._list = null;
+        this._events = null;
+        this._blockUsers = null;
+        this._blockWords = null;
+        this._help = null;
+        this._helpTimer = null;
+        this._isOpen = false;
+        this._offMenu = null;
+        this._inject();
+
+        this._offChange = commands.onChange(() => { if (this._isOpen) this._render(); });
+        this._offHelp = commands.register({
+            name: 'help', aliases: ['commands'], description: 'Show the commands you can use',
+            cooldown: { global: 10 },
+            handler: ({ user, message }) => {
+                this._showHelp(user.name, commands.available(message.roles));
+                return true;
+            },
+        });
+    }
+
+    // ── Public API ────────────────────────────────────────────────────────
+
+    open() {
+        if (this._isOpen) return;
+        this._isOpen = true;
+        this._render();
+        this._el.classList.remove('cc-hidden');
+        this._offMenu = input.on('menu', () => { this.close(); return true; });
+    }
+
+    close() {
+        if (!this._isOpen) return;
+        this._isOpen = false;
+        this._el.classList.add('cc-hidden');
+        this._offMenu?.();
+        this._offMenu = null;
+    }
+
+    toggle() {
+        if (this._isOpen) this.close();
+        else this.open();
+    }
+
+    get isOpen() { return this._isOpen; }
+
+    dispose() {
+        this.close();
+        this._offChange();
+        this._offHelp();
+        clearTimeout(this._helpTimer);
+        this._el.remove();
+        this._help.remove();
+    }
+
+    // ── DOM Build ─────────────────────────────────────────────────────────
+
+    _inject() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .cc-overlay {
+                position: fixed; inset: 0; z-index: 9500;
+                display: flex; align-items: center; justify-content: center;
+                background: rgba(6, 3, 26, 0.82);
+                font-family: 'Fredoka One', 'Arial Rounded MT Bold', sans-serif;
+                color: #fff;
+                transition: opacity 0.25s ease;
+            }
+            .cc-hidden { opacity: 0; pointer-events: none; }
+            .cc-box {
+                min-width: 420px; max-height: 80vh; overflow-y: auto; padding: 1.6rem 2rem;
+                border-radius: 16px; background: rgba(255,255,255,0.06);
+                border: 2px solid rgba(255,255,255,0.18);
+            }
+            .cc-title { font-size: 1.6rem; color: #ffe066; text-align: center; margin-bottom: 1.2rem; }
+            .cc-row {
+                display: grid; grid-template-columns: auto 1fr auto auto; align-items: center; gap: 0.8rem;
+                padding: 0.45rem 0.6rem; border-radius: 8px; cursor: pointer;
+            }
+            .cc-row:hover { background: rgba(255,255,255,0.1); }
+            .cc-row.cc-off { opacity: 0.45; }
+            .cc-name { font-family: monospace; color: #9fd8ff; }
+            .cc-name small { opacity: 0.6; }
+            .cc-desc { font-size: 0.85rem; opacity: 0.8; }
+            .cc-meta { font-size: 0.75rem; opacity: 0.6; text-align: right; }
+            .cc-check { accent-color: #ffe066; cursor: pointer; }
+            .cc-footer { display: flex; justify-content: space-between; margin-top: 1.2rem; font-size: 0.85rem; }
+            .cc-btn { cursor: pointer; opacity: 0.75; }
+            .cc-btn:hover { opacity: 1; }
+            .cc-empty { text-align: center; opacity: 0.6; }
+            .cc-section { margin-top: 1.1rem; font-size: 0.8rem; letter-spacing: 0.12em; color: rgba(200,220,255,0.6); }
+            .cc-event { grid-template-columns: 1fr auto auto auto; cursor: default; }
+            .cc-block { display: flex; gap: 0.8rem; margin-top: 0.4rem; }
+            .cc-block label { flex: 1; display: flex; flex-direction: column; gap: 0.3rem; font-size: 0.8rem; opacity: 0.8; }
+            .cc-block textarea {
+                height: 5.5rem; resize: vertical; font-family: monospace; font-size: 0.85rem;
+                background: rgba(255,255,255,0.1); color: #fff;
+                border: 1px solid rgba(255,255,255,0.25); border-radius: 6px;
+            }
+            .cc-number {
+                width: 4.5rem; font-family: inherit; background: rgba(255,255,255,0.1); color: #fff;
+                border: 1px solid rgba(255,255,255,0.25); border-radius: 6px; text-align: right;
+            }
+
+            .cc-help {
+                position: fixed; left: 24px; bottom: 24px; z-index: 9400;
+                max-width: 360px; padding: 12px 18px;
+                border-radius: 14px; background: rgba(20, 12, 48, 0.92);
+                border: 2px solid #9fd8ff;
+                font-family: 'Fredoka One', monospace; color: #fff;
+                pointer-events: none;
+                transform: translateX(-140%);
+                transition: transform 350ms cubic-bezier(0.34,1.56,0.64,1);
+            }
+            .cc-help.cc-shown { transform: translateX(0); }
+            .cc-help-title { font-size: 12px; letter-spacing: 0.12em; color: #9fd8ff; margin-bottom: 6px; }
+            .cc-help-line { font-size: 14px; }
+            .cc-help-line span { font-family: monospace; color: #ffe066; }
+        `;
+        document.head.appendChild(style);
+
+        const el = document.createElement('div');
+        el.className = 'cc-overlay cc-hidden';
+        el.innerHTML = `
+            <div class="cc-box">
+                <div class="cc-title">Chat commands</div>
+                <div class="cc-list"></div>
+                <div class="cc-section">EVENTS</div>
+                <div class="cc-events"></div>
+                <div class="cc-section">BLOCKLIST</div>
+                <div class="cc-block">
+                    <label>Users<textarea class="cc-block-users" spellcheck="false" placeholder="one login per line"></textarea></label>
+                    <label>Words<textarea class="cc-block-words" spellcheck="false" placeholder="word, phrase or /regex/i"></textarea></label>
+                </div>
+                <div class="cc-footer">
+                    <span class="cc-btn cc-all">Enable all</span>
+                    <span class="cc-btn cc-close">Close</span>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(el);
+        this._el = el;
+        this._list = el.querySelector('.cc-list');
+        this._events = el.querySelector('.cc-events');
+
+        // Blocklist — saved when a box loses focus
+        const blocklist = this._chat.blocklist;
+        this._blockUsers = el.querySelector('.cc-block-users');
+        this._blockWords = el.querySelector('.cc-block-words');
+        this._blockUsers.addEventListener('change', () => blocklist.setUsers(this._blockUsers.value.split('\n')));
+        this._blockWords.addEventListener('change', () => blocklist.setPatterns(this._blockWords.value.split('\n')));
+
+        el.querySelector('.cc-all').addEventListener('click', () => {
+            for (const c of this._commands.list()) if (!c.enabled) this._commands.setEnabled(c.name, true);
+        });
+        el.querySelector('.cc-close').addEventListener('click', () => this.close());
+        el.addEventListener('click', (e) => { if (e.target === el) this.close(); });
+
+        this._help = document.createElement('div');
+        this._help.className = 'cc-help';
+        document.body.appendChild(this._help);
+    }
+
+    _render() {
+        this._renderCommands();
+        this._renderEvents();
+        this._blockUsers.value = this._chat.blocklist.users.join('\n');
+        this._blockWords.value = this._chat.blocklist.patterns.join('\n');
+    }
+
+    _renderCommands() {
+        this._list.replaceChildren();
+        const commands = this._commands.list();
+        if (commands.length === 0) {
+            this._list.innerHTML = '<div class="cc-empty">No commands registered</div>';
+            return;
+        }
+        for (const c of commands) {
+            const row = document.createElement('label');
+            row.className = 'cc-row' + (c.enabled ? '' : ' cc-off');
+
+            const name = document.createElement('span');
+            name.className = 'cc-name';
+            name.textContent = `!${c.name}${c.args ? ' ' + c.args : ''}`;
+            if (c.aliases.length) {
+                const aliases = document.createElement('small');
+                aliases.textContent = ' ' + c.aliases.map(a => '!' + a).join(' ');
+                name.appendChild(aliases);
+            }
+
+            const desc = document.createElement('span');
+            desc.className = 'cc-desc';
+            desc.textContent = c.description;
+
+            const meta = document.createElement('span');
+            meta.className = 'cc-meta';
+            meta.textContent = [ROLE_LABELS[c.role], formatCooldown(c.cooldown)].filter(Boolean).join(' · ');
+
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.className = 'cc-check';
+            box.checked = c.enabled;
+            box.addEventListener('change', () => this._commands.setEnabled(c.name, box.checked));
+
+            row.append(name, desc, meta, box);
+            this._list.appendChild(row);
+        }
+    }
+
+    _renderEvents() {
+        this._events.replaceChildren();
+        for (const { key, label, param, unit, test } of EVENT_ROWS) {
+            const effect = this._chat.eventEffects[key];
+            const row = document.createElement('div');
+            row.className = 'cc-row cc-event' + (effect.enabled ? '' : ' cc-off');
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const value = document.createElement('span');
+            value.className = 'cc-meta';
+            const number = document.createElement('input');
+            number.type = 'number';
+            number.className = 'cc-number';
+            number.min = '1';
+            number.value = String(effect[param]);
+            number.addEventListener('change', () => {
+                if (number.valueAsNumber >= 1) this._chat.setEventEffect(key, { [param]: number.valueAsNumber });
+                else number.value = String(effect[param]);
+            });
+            value.append(number, ` ${unit}`);
+
+            const play = document.createElement('span');
+            play.className = 'cc-btn';
+            play.textContent = '▶';
+            play.title = 'Preview';
+            play.addEventListener('click', () => this._chat.triggerEvent(normalizeEvent(test, 'mock', 'preview')));
+
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.className = 'cc-check';
+            box.checked = effect.enabled;
+            box.addEventListener('change', () => {
+                this._chat.setEventEffect(key, { enabled: box.checked });
+                row.classList.toggle('cc-off', !box.checked);
+            });
+
+            row.append(name, value, play, box);
+            this._events.appendChild(row);
+        }
+    }
+
+    /**
+     * @param {string} username
+     * @param {ReturnType<import('../systems/chatCommands.js').ChatCommandRegistry['available']>} commands
+     */
+    _showHelp(username, commands) {
+        this._help.replaceChildren();
+        const title = document.createElement('div');
+        title.className = 'cc-help-title';
+        title.textContent = `COMMANDS FOR ${username.toUpperCase()}`;
+        this._help.appendChild(title);
+
+        for (const c of commands) {
+            const line = document.createElement('div');
+            line.className = 'cc-help-line';
+            const name = document.createElement('span');
+            name.textContent = `!${c.name}${c.args ? ' ' + c.args : ''}`;
+            line.append(name, c.description ? ` — ${c.description}` : '');
+            this._help.appendChild(line);
+        }
+
+        this._help.classList.add('cc-shown');
+        clearTimeout(this._helpTimer);
+        this._helpTimer = setTimeout(() => this._help.classList.remove('cc-shown'), HELP_SHOW_MS);
+    }
+}
+
+/** { user: 10, global: 2 } → '10 s each · 2 s global' */
+function formatCooldown({ user, global }) {
+    const parts = [];
+    if (user) parts.push(`${user} s each`);
+    if (global) parts.push(`${global} s global`);
+    return parts.join(' · ');
+}
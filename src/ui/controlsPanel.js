@@ -0,0 +1,329 @@
+// controlsPanel.js — Pause overlay: key rebinding, audio volumes, achievements + cosmetics,
+// save export / import.
+// Click an action, press a key: the binding is saved by the input manager (localStorage).
+
+import { input, ACTION_LABELS, keyLabel } from '../systems/inputManager.js';
+import { save } from '../systems/saveSystem.js';
+import { audio } from '../systems/audioSystem.js';
+import { audioReactive } from '../systems/audioReactive.js';
+import { music } from '../systems/musicPlayer.js';
+import { achievements, ACHIEVEMENTS, SKINS, TRAILS } from '../systems/achievementSystem.js';
+
+export class ControlsPanel {
+    /**
+     * @param {object} [opts]
+     * @param {() => void} [opts.onCosmeticsChange] — save.data.cosmetics was edited
+     */
+    constructor({ onCosmeticsChange } = {}) {
+        this._onCosmeticsChange = onCosmeticsChange ?? null;
+        this._el = null;
+        this._list = null;
+        this._extras = null;
+        this._isOpen = false;
+        this._listening = null;   // action waiting for a key
+        this._offMenu = null;
+        this._inject();
+        achievements.onUnlock(() => { if (this._isOpen) this._render(); });
+    }
+
+    // ── Public API ────────────────────────────────────────────────────────
+
+    open() {
+        if (this._isOpen) return;
+        this._isOpen = true;
+        this._render();
+        this._el.classList.remove('cp-hidden');
+        this._offMenu = input.on('menu', () => { this.close(); return true; });
+    }
+
+    close() {
+        if (!this._isOpen) return;
+        this._isOpen = false;
+        this._stopListening();
+        this._el.classList.add('cp-hidden');
+        this._offMenu?.();
+        this._offMenu = null;
+    }
+
+    get isOpen() { return this._isOpen; }
+
+    // ── DOM Build ─────────────────────────────────────────────────────────
+
+    _inject() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .cp-overlay {
+                position: fixed; inset: 0; z-index: 9500;
+                display: flex; align-items: center; justify-content: center;
+                background: rgba(6, 3, 26, 0.82);
+                font-family: 'Fredoka One', 'Arial Rounded MT Bold', sans-serif;
+                color: #fff;
+                transition: opacity 0.25s ease;
+            }
+            .cp-hidden { opacity: 0; pointer-events: none; }
+            .cp-box {
+                min-width: 340px; padding: 1.6rem 2rem;
+                border-radius: 16px; background: rgba(255,255,255,0.06);
+                border: 2px solid rgba(255,255,255,0.18);
+            }
+            .cp-title { font-size: 1.6rem; color: #ffe066; text-align: center; margin-bottom: 1.2rem; }
+            .cp-row {
+                display: flex; justify-content: space-between; gap: 2rem;
+                padding: 0.45rem 0.6rem; border-radius: 8px; cursor: pointer;
+            }
+            .cp-row:hover { background: rgba(255,255,255,0.1); }
+            .cp-row.cp-listening { background: rgba(255,224,102,0.25); }
+            .cp-keys { font-family: monospace; color: #9fd8ff; }
+            .cp-footer { display: flex; justify-content: space-between; margin-top: 1.2rem; font-size: 0.85rem; }
+            .cp-btn { cursor: pointer; opacity: 0.75; }
+            .cp-btn:hover { opacity: 1; }
+            .cp-section { margin-top: 1.1rem; font-size: 0.8rem; letter-spacing: 0.12em; color: rgba(200,220,255,0.6); }
+            .cp-achievement { display: flex; gap: 0.6rem; padding: 0.25rem 0.6rem; font-size: 0.9rem; opacity: 0.4; }
+            .cp-achievement.cp-done { opacity: 1; }
+            .cp-achievement small { font-family: monospace; opacity: 0.7; }
+            .cp-select {
+                font-family: inherit; background: rgba(255,255,255,0.1); color: #fff;
+                border: 1px solid rgba(255,255,255,0.25); border-radius: 6px;
+            }
+            .cp-select option { color: #000; }
+            .cp-range { width: 140px; accent-color: #ffe066; cursor: pointer; }
+            .cp-check { accent-color: #ffe066; cursor: pointer; }
+        `;
+        document.head.appendChild(style);
+
+        const el = document.createElement('div');
+        el.className = 'cp-overlay cp-hidden';
+        el.innerHTML = `
+            <div class="cp-box">
+                <div class="cp-title">Controls</div>
+                <div class="cp-list"></div>
+                <div class="cp-extras"></div>
+                <div class="cp-footer">
+                    <span class="cp-btn cp-reset">Reset defaults</span>
+                    <span class="cp-btn cp-close">Close</span>
+                </div>
+                <div class="cp-footer">
+                    <span class="cp-btn cp-export">Export save</span>
+                    <span class="cp-btn cp-import">Import save…</span>
+                    <input class="cp-file" type="file" accept="application/json,.json" hidden>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(el);
+        this._el = el;
+        this._list = el.querySelector('.cp-list');
+        this._extras = el.querySelector('.cp-extras');
+
+        el.querySelector('.cp-reset').addEventListener('click', () => {
+            this._stopListening();
+            input.resetBindings();
+            this._render();
+        });
+        el.querySelector('.cp-close').addEventListener('click', () => this.close());
+
+        const fileInput = el.querySelector('.cp-file');
+        el.querySelector('.cp-export').addEventListener('click', () => save.exportFile());
+        el.querySelector('.cp-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                await save.importFile(file);
+                location.reload();  // every module restores from the imported data
+            } catch (err) {
+                console.warn('[Save] import failed:', err);
+                alert('This file is not a valid save.');
+            }
+        });
+        el.addEventListener('click', (e) => { if (e.target === el) this.close(); });
+    }
+
+    _render() {
+        const bindings = input.bindings;
+        this._list.replaceChildren();
+        for (const [action, label] of Object.entries(ACTION_LABELS)) {
+            const row = document.createElement('div');
+            row.className = 'cp-row' + (this._listening === action ? ' cp-listening' : '');
+
+            const name = document.createElement('span');
+            name.textContent = label;
+            const keys = document.createElement('span');
+            keys.className = 'cp-keys';
+            keys.textContent = this._listening === action
+                ? 'press a key…'
+                : (bindings[action].map(keyLabel).join(' / ') || '—');
+
+            row.append(name, keys);
+            row.addEventListener('click', () => this._listen(action));
+            this._list.appendChild(row);
+        }
+        this._renderExtras();
+    }
+
+    _renderExtras() {
+        this._extras.replaceChildren();
+
+        // Audio — sliders apply live, saved with the rest of the settings
+        this._extras.appendChild(this._section('AUDIO'));
+        this._extras.appendChild(this._volumeRow('Master', 'master'));
+        this._extras.appendChild(this._volumeRow('Music', 'music'));
+        this._extras.appendChild(this._volumeRow('Effects', 'sfx'));
+        this._extras.appendChild(this._muteRow());
+        this._extras.appendChild(this._visualiserRow());
+        this._extras.appendChild(this._localFileRow());
+
+        // Cosmetics — locked items are listed but disabled
+        this._extras.appendChild(this._section('STYLE'));
+        this._extras.appendChild(this._cosmeticRow('Skin', SKINS, 'skin'));
+        this._extras.appendChild(this._cosmeticRow('Trail', TRAILS, 'trail'));
+
+        // Achievements
+        this._extras.appendChild(this._section('ACHIEVEMENTS'));
+        for (const a of ACHIEVEMENTS) {
+            const done = achievements.isUnlocked(a.id);
+            const row = document.createElement('div');
+            row.className = 'cp-achievement' + (done ? ' cp-done' : '');
+            row.innerHTML = `<span>${done ? a.icon : '🔒'}</span><span>${a.title} <small>— ${a.description}</small></span>`;
+            this._extras.appendChild(row);
+        }
+    }
+
+    _section(text) {
+        const el = document.createElement('div');
+        el.className = 'cp-section';
+        el.textContent = text;
+        return el;
+    }
+
+    _cosmeticRow(label, items, key) {
+        const row = document.createElement('div');
+        row.className = 'cp-row';
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const select = document.createElement('select');
+        select.className = 'cp-select';
+        for (const item of items) {
+            const opt = document.createElement('option');
+            opt.value = item.id;
+            opt.disabled = !achievements.isItemUnlocked(item);
+            opt.textContent = (opt.disabled ? '🔒 ' : '') + item.label;
+            select.appendChild(opt);
+        }
+        select.value = save.data.cosmetics[key];
+        select.addEventListener('change', () => {
+            save.data.cosmetics[key] = select.value;
+            save.commit();
+            this._onCosmeticsChange?.();
+        });
+
+        row.append(name, select);
+        return row;
+    }
+
+    _volumeRow(label, bus) {
+        const row = document.createElement('div');
+        row.className = 'cp-row';
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'cp-range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.value = String(Math.round(audio.volumes[bus] * 100));
+        slider.addEventListener('input', () => audio.setVolume(bus, slider.valueAsNumber / 100));
+
+        row.append(name, slider);
+        return row;
+    }
+
+    _muteRow() {
+        const row = document.createElement('label');
+        row.className = 'cp-row';
+        const name = document.createElement('span');
+        name.textContent = 'Mute all';
+
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.className = 'cp-check';
+        box.checked = audio.muted;
+        box.addEventListener('change', () => audio.setMuted(box.checked));
+
+        row.append(name, box);
+        return row;
+    }
+
+    /** Which input drives the audio-reactive visuals. */
+    _visualiserRow() {
+        const row = document.createElement('div');
+        row.className = 'cp-row';
+        const name = document.createElement('span');
+        name.textContent = 'Visuals react to';
+
+        const select = document.createElement('select');
+        select.className = 'cp-select';
+        for (const [value, label] of [['music', 'Music'], ['mic', 'Microphone']]) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = label;
+            select.appendChild(opt);
+        }
+        select.value = audioReactive.source;
+        select.addEventListener('change', async () => {
+            if (select.value === 'music') return audioReactive.useMusic();
+            try {
+                await audioReactive.useMicrophone();
+            } catch (err) {
+                console.warn('[Audio] microphone unavailable:', err);
+                select.value = 'music';
+            }
+        });
+
+        row.append(name, select);
+        return row;
+    }
+
+    /** Play a track from disk through the music bus (cassette + visuals pick it up). */
+    _localFileRow() {
+        const row = document.createElement('div');
+        row.className = 'cp-row';
+        const name = document.createElement('span');
+        name.textContent = 'Local track';
+
+        const btn = document.createElement('span');
+        btn.className = 'cp-btn';
+        btn.textContent = 'Play a file…';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'audio/*';
+        fileInput.hidden = true;
+        btn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) music.playFile(file);
+        });
+
+        row.append(name, btn, fileInput);
+        return row;
+    }
+
+    _listen(action) {
+        this._listening = action;
+        this._render();
+        input.captureNextKey((code) => {
+            this._listening = null;
+            if (code !== 'Escape') input.rebind(action, [code]);  // Escape cancels
+            this._render();
+        });
+    }
+
+    _stopListening() {
+        if (!this._listening) return;
+        this._listening = null;
+        input.captureNextKey(null);
+    }
+}
@@ -1,6 +1,9 @@
 // galaxyMenu.js — Mario Galaxy-style world selection overlay.
 // One portal ring → open this menu → click a planet to travel.
 
+import { input } from '../systems/inputManager.js';
+import { achievements } from '../systems/achievementSystem.js';
+
 const WORLDS = {
     hub: { label: 'Hub', color1: '#a8f0a0', color2: '#33aa33', color3: '#1a5c1a', shadow: '#44ff44' },
     desert: { label: 'Desert', color1: '#f5c069', color2: '#c47a2b', color3: '#5c3010', shadow: '#ffaa44' },
@@ -17,7 +20,7 @@ export class GalaxyMenu {
         this._el = null;
         this._isOpen = false;
         this._currentKey = 'hub';
-        this._keyHandler = null;
+        this._offMenu = null;
         this._inject();
     }
 
@@ -30,8 +33,8 @@ export class GalaxyMenu {
         this._el.classList.remove('gm-hidden');
         this._el.classList.add('gm-visible');
 
-        this._keyHandler = (e) => { if (e.code === 'Escape') this.close(); };
-        window.addEventListener('keydown', this._keyHandler);
+        this._offMenu?.();
+        this._offMenu = input.on('menu', () => { this.close(); return true; });
     }
 
     close() {
@@ -39,7 +42,8 @@ export class GalaxyMenu {
         this._isOpen = false;
         this._el.classList.add('gm-hidden');
         this._el.classList.remove('gm-visible');
-        if (this._keyHandler) window.removeEventListener('keydown', this._keyHandler);
+        this._offMenu?.();
+        this._offMenu = null;
     }
 
     get isOpen() { return this._isOpen; }
@@ -50,8 +54,6 @@ export class GalaxyMenu {
         // CSS
         const style = document.createElement('style');
         style.textContent = `
-            @import url('https://fonts.googleapis.com/css2?family=Fredoka+One&display=swap');
-
             .gm-overlay {
                 position: fixed; inset: 0; z-index: 9000;
                 display: flex; flex-direction: column;
@@ -132,6 +134,15 @@ export class GalaxyMenu {
                 text-align: center;
             }
 
+            /* Locked planet — greyed out, requirement shown under the name */
+            .gm-planet-item.gm-locked { cursor: not-allowed; }
+            .gm-planet-item.gm-locked .gm-sphere { filter: grayscale(1) brightness(0.45); }
+            .gm-planet-item.gm-locked:hover .gm-sphere { filter: grayscale(1) brightness(0.45); }
+            .gm-lock {
+                max-width: 160px; font-size: 0.8rem; color: rgba(200,220,255,0.65);
+                text-align: center; font-family: monospace;
+            }
+
             /* Divider */
             .gm-divider {
                 width: 60%; max-width: 500px; height: 2px;
@@ -226,10 +237,20 @@ export class GalaxyMenu {
 
             item.appendChild(sphere);
             item.appendChild(label);
-            item.addEventListener('click', () => {
-                this.close();
-                setTimeout(() => this._travelTo(key), 100);
-            });
+
+            const requirement = achievements.worldRequirement(key);
+            if (requirement) {
+                item.classList.add('gm-locked');
+                const lock = document.createElement('div');
+                lock.className = 'gm-lock';
+                lock.textContent = `🔒 ${requirement.icon} ${requirement.description}`;
+                item.appendChild(lock);
+            } else {
+                item.addEventListener('click', () => {
+                    this.close();
+                    setTimeout(() => this._travelTo(key), 100);
+                });
+            }
             destRow.appendChild(item);
         });
         this._el.appendChild(destRow);
@@ -0,0 +1,71 @@
+// loadingScreen.js — Branded overlay with a progress bar, shown while the first theme's assets load.
+
+export class LoadingScreen {
+    constructor() {
+        this._inject();
+    }
+
+    /** @param {number} progress - 0 → 1 */
+    setProgress(progress) {
+        const pct = Math.round(Math.min(Math.max(progress, 0), 1) * 100);
+        this._fill.style.width = `${pct}%`;
+        this._label.textContent = `${pct}%`;
+    }
+
+    /** Fade out, then remove from the DOM. */
+    hide() {
+        this.setProgress(1);
+        this._el.classList.add('ls-hidden');
+        setTimeout(() => this._el.remove(), 600);
+    }
+
+    // ── DOM Build ─────────────────────────────────────────────────────────
+
+    _inject() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .ls-overlay {
+                position: fixed; inset: 0; z-index: 10000;
+                display: flex; flex-direction: column;
+                align-items: center; justify-content: center; gap: 1.6rem;
+                background: radial-gradient(ellipse at 30% 40%, #1a0840 0%, #06031a 60%, #000008 100%);
+                font-family: 'Fredoka One', 'Arial Rounded MT Bold', sans-serif;
+                color: #fff;
+                transition: opacity 0.5s ease;
+            }
+            .ls-hidden { opacity: 0; pointer-events: none; }
+
+            .ls-title {
+                font-size: 2.6rem; color: #ffe066; letter-spacing: 0.05em;
+                text-shadow: 0 0 20px #ffaa00, 0 0 40px #ff8800;
+                animation: ls-float 1.6s ease-in-out infinite alternate;
+            }
+            @keyframes ls-float { from { transform: translateY(0); } to { transform: translateY(-8px); } }
+
+            .ls-bar {
+                width: min(360px, 70vw); height: 14px; border-radius: 7px;
+                background: rgba(255,255,255,0.12); border: 2px solid rgba(255,224,102,0.5);
+                overflow: hidden;
+            }
+            .ls-fill {
+                width: 0%; height: 100%; border-radius: 5px;
+                background: linear-gradient(90deg, #ffaa00, #ffe066);
+                box-shadow: 0 0 12px #ffaa00;
+                transition: width 0.2s ease-out;
+            }
+            .ls-label { font-family: monospace; font-size: 0.9rem; opacity: 0.7; }
+        `;
+        document.head.appendChild(style);
+
+        this._el = document.createElement('div');
+        this._el.className = 'ls-overlay';
+        this._el.innerHTML = `
+            <div class="ls-title">Yannis Portfolio</div>
+            <div class="ls-bar"><div class="ls-fill"></div></div>
+            <div class="ls-label">0%</div>
+        `;
+        this._fill = this._el.querySelector('.ls-fill');
+        this._label = this._el.querySelector('.ls-label');
+        document.body.appendChild(this._el);
+    }
+}
@@ -1,16 +1,13 @@
 // mobileControls.js — Virtual joystick + action buttons for mobile/touch
 
+import { input } from '../systems/inputManager.js';
+
 /**
  * Detects touch devices and shows a virtual joystick + buttons.
- * Fires synthetic keydown/keyup events that the player.js KEYS system picks up.
+ * The joystick feeds the input manager's analog move axis; buttons press actions.
  */
 
-const DEADZONE = 0.25; // normalised (0-1) threshold before triggering a direction
-
-function fireKey(code, down) {
-    const type = down ? 'keydown' : 'keyup';
-    window.dispatchEvent(new KeyboardEvent(type, { code, bubbles: true }));
-}
+const DEADZONE = 0.15; // normalised (0-1) radius where the stick reads as centred
 
 function isTouchDevice() {
     return ('ontouchstart' in window) || navigator.maxTouchPoints > 0;
@@ -140,21 +137,6 @@ export function initMobileControls() {
     // ── Joystick logic ───────────────────────────────────────────────────────
     const RADIUS = 65; // half of joystick zone width
     let joyOrigin = null;
-    let activeKeys = new Set();
-
-    function setKey(code, active) {
-        if (active && !activeKeys.has(code)) {
-            activeKeys.add(code);
-            fireKey(code, true);
-        } else if (!active && activeKeys.has(code)) {
-            activeKeys.delete(code);
-            fireKey(code, false);
-        }
-    }
-
-    function releaseAllDirections() {
-        ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].forEach(k => setKey(k, false));
-    }
 
     function updateJoystick(touchX, touchY) {
         const dx = touchX - joyOrigin.x;
@@ -173,10 +155,8 @@ export function initMobileControls() {
         const nx = clamp > 0 ? (Math.cos(angle) * clamp) / maxDist : 0;
         const ny = clamp > 0 ? (Math.sin(angle) * clamp) / maxDist : 0;
 
-        setKey('ArrowRight', nx > DEADZONE);
-        setKey('ArrowLeft', nx < -DEADZONE);
-        setKey('ArrowDown', ny > DEADZONE);
-        setKey('ArrowUp', ny < -DEADZONE);
+        if (Math.sqrt(nx * nx + ny * ny) < DEADZONE) input.setVirtualAxis(0, 0);
+        else input.setVirtualAxis(nx, ny);
     }
 
     joystickZone.addEventListener('touchstart', e => {
@@ -201,26 +181,26 @@ export function initMobileControls() {
         e.preventDefault();
         joyOrigin = null;
         knob.style.transform = 'translate(-50%, -50%)';
-        releaseAllDirections();
+        input.setVirtualAxis(0, 0);
     }, { passive: false });
 
     // ── Button logic ─────────────────────────────────────────────────────────
-    function setupBtn(el, code) {
+    function setupBtn(el, action) {
         el.addEventListener('touchstart', e => {
             e.preventDefault();
             el.classList.add('pressed');
-            fireKey(code, true);
+            input.press(action, 'touch:' + action);
         }, { passive: false });
 
         const release = e => {
             e.preventDefault();
             el.classList.remove('pressed');
-            fireKey(code, false);
+            input.release(action, 'touch:' + action);
         };
         el.addEventListener('touchend', release, { passive: false });
         el.addEventListener('touchcancel', release, { passive: false });
     }
 
-    setupBtn(btnJump, 'Space');
-    setupBtn(btnPunch, 'KeyF');
+    setupBtn(btnJump, 'jump');
+    setupBtn(btnPunch, 'punch');
 }
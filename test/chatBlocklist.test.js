@@ -0,0 +1,125 @@
+// chatBlocklist.test.js — Blocked users, whole-word entries and /regex/ patterns.
+// Run with `npm test` (node --test).
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// saveSystem reads localStorage when it loads — give it an empty one
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+const { save } = await import('../src/systems/saveSystem.js');
+const { ChatBlocklist } = await import('../src/systems/chatBlocklist.js');
+
+let commits = 0;
+save.commit = () => { commits++; };   // no debounce timer left behind
+
+beforeEach(() => {
+    save.data.settings = {};
+    commits = 0;
+});
+
+function withPatterns(...patterns) {
+    const blocklist = new ChatBlocklist();
+    blocklist.setPatterns(patterns);
+    return blocklist;
+}
+
+// ── Users ─────────────────────────────────────────────────────────────────
+
+test('users are matched case-insensitively, with or without @', () => {
+    const blocklist = new ChatBlocklist();
+    blocklist.setUsers(['@SpamBot', ' troll ', '', 'spambot']);
+    assert.deepEqual(blocklist.users, ['spambot', 'troll']);
+    assert.equal(blocklist.isUserBlocked('SPAMBOT'), true);
+    assert.equal(blocklist.isUserBlocked('spambot2'), false);
+});
+
+test('blocks() checks the login, the display name and the text', () => {
+    const blocklist = new ChatBlocklist();
+    blocklist.setUsers(['troll']);
+    blocklist.setPatterns(['spoiler']);
+    const msg = (login, name, text) => ({ user: { login, name }, text });
+
+    assert.equal(blocklist.blocks(msg('troll', 'Someone', 'hi')), true);
+    assert.equal(blocklist.blocks(msg('user_1', 'Troll', 'hi')), true);
+    assert.equal(blocklist.blocks(msg('user_1', 'Someone', 'SPOILER: it ends')), true);
+    assert.equal(blocklist.blocks(msg('user_1', 'Someone', 'hi')), false);
+});
+
+// ── Plain entries ─────────────────────────────────────────────────────────
+
+test('a plain entry matches whole words only, in any case', () => {
+    const blocklist = withPatterns('ass');
+    assert.equal(blocklist.isTextBlocked('what an ASS'), true);
+    assert.equal(blocklist.isTextBlocked('ass!'), true);
+    assert.equal(blocklist.isTextBlocked('a classic pass'), false);
+    assert.equal(blocklist.isTextBlocked('ass_hat'), false);
+});
+
+test('word boundaries hold for non-Latin letters and digits', () => {
+    const blocklist = withPatterns('été');
+    assert.equal(blocklist.isTextBlocked("l'été arrive"), true);
+    assert.equal(blocklist.isTextBlocked('étéx'), false);
+    assert.equal(withPatterns('42').isTextBlocked('4242'), false);
+});
+
+test('a plain entry with spaces or regex characters is taken literally', () => {
+    const blocklist = withPatterns('bad word', 'c++');
+    assert.equal(blocklist.isTextBlocked('such a BAD WORD'), true);
+    assert.equal(blocklist.isTextBlocked('bad  word'), false);
+    assert.equal(blocklist.isTextBlocked('I write c++ daily'), true);
+    assert.equal(blocklist.isTextBlocked('I write cc daily'), false);
+});
+
+// ── Regular expressions ───────────────────────────────────────────────────
+
+test('/…/flags is a regular expression with its flags', () => {
+    assert.equal(withPatterns('/fr[e3]{2}\\s*v-?bucks/').isTextBlocked('Free vbucks here'), false);
+    assert.equal(withPatterns('/fr[e3]{2}\\s*v-?bucks/i').isTextBlocked('FR33 V-Bucks here'), true);
+    assert.equal(withPatterns('/^!/').isTextBlocked('!drop'), true);
+});
+
+test('g and y are dropped so repeated tests give the same answer', () => {
+    const blocklist = withPatterns('/spam/gy');
+    for (let i = 0; i < 3; i++) assert.equal(blocklist.isTextBlocked('spam'), true);
+    assert.equal(blocklist.isTextBlocked('so spam'), true);   // y would anchor at lastIndex 0
+});
+
+test('a bad pattern is skipped with a warning; the others still apply', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const blocklist = withPatterns('/([a-z]/', '/x/q', 'spoiler');
+
+    assert.equal(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /bad pattern "\/\(\[a-z\]\/"/);
+    assert.equal(blocklist.isTextBlocked('spoiler alert'), true);
+    assert.deepEqual(blocklist.patterns, ['/([a-z]/', '/x/q', 'spoiler']);   // kept for editing
+});
+
+test('"//" and "/x" are plain entries, not expressions', () => {
+    assert.equal(withPatterns('//').isTextBlocked('a // comment'), true);
+    assert.equal(withPatterns('/x').isTextBlocked('run /x now'), true);
+});
+
+// ── Saving ────────────────────────────────────────────────────────────────
+
+test('changes are saved and reported', () => {
+    const blocklist = new ChatBlocklist();
+    let changes = 0;
+    blocklist.onChange(() => changes++);
+
+    blocklist.setUsers(['troll']);
+    blocklist.setPatterns([' spoiler ', 'spoiler', '']);
+    assert.deepEqual(save.data.settings.chatBlocklist, { users: ['troll'], patterns: ['spoiler'] });
+    assert.equal(commits, 2);
+    assert.equal(changes, 2);
+});
+
+test('a saved blocklist applies as soon as it is loaded', () => {
+    save.data.settings.chatBlocklist = { users: ['troll'], patterns: ['/sp[a4]m/i'] };
+    const blocklist = new ChatBlocklist();
+    assert.equal(blocklist.isUserBlocked('Troll'), true);
+    assert.equal(blocklist.isTextBlocked('SP4M'), true);
+});
@@ -0,0 +1,193 @@
+// chatCommands.test.js — `!command` dispatch: aliases, roles, cooldowns and the saved on/off switches.
+// Run with `npm test` (node --test).
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// saveSystem reads localStorage when it loads — give it an empty one
+const storage = new Map();
+globalThis.localStorage = {
+    getItem: key => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+};
+const { save } = await import('../src/systems/saveSystem.js');
+const { ChatCommandRegistry, roleRank } = await import('../src/systems/chatCommands.js');
+
+let commits = 0;
+save.commit = () => { commits++; };   // no debounce timer left behind
+
+let clock = 0;   // ms, stands in for performance.now()
+
+beforeEach((t) => {
+    save.data.settings = {};
+    commits = 0;
+    clock = 0;
+    t.mock.method(performance, 'now', () => clock);
+});
+
+function message(text, { login = 'viewer', ...roles } = {}) {
+    return { text, user: { id: login, login, name: login }, roles };
+}
+
+/** Registers a command whose handler records its context and consumes the message. */
+function track(registry, def) {
+    const calls = [];
+    registry.register({ ...def, handler: (ctx) => { calls.push(ctx); return true; } });
+    return calls;
+}
+
+// ── Dispatch ──────────────────────────────────────────────────────────────
+
+test('!name runs the command with its arguments split out', () => {
+    const registry = new ChatCommandRegistry();
+    const calls = track(registry, { name: 'Bomb' });
+
+    assert.equal(registry.dispatch(message('  !BOMB  here now ')), true);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].name, 'bomb');
+    assert.equal(calls[0].args, 'here now');
+    assert.deepEqual(calls[0].argv, ['here', 'now']);
+    assert.equal(calls[0].user.login, 'viewer');
+});
+
+test('plain text and unknown commands are not consumed', () => {
+    const registry = new ChatCommandRegistry();
+    const calls = track(registry, { name: 'bomb' });
+    assert.equal(registry.dispatch(message('bomb')), false);
+    assert.equal(registry.dispatch(message('!bombs')), false);
+    assert.equal(registry.dispatch(message('!')), false);
+    assert.equal(calls.length, 0);
+});
+
+test('aliases run the command and report the name that was typed', () => {
+    const registry = new ChatCommandRegistry();
+    const calls = track(registry, { name: 'bomb', aliases: ['Boom', 'kaboom'] });
+    assert.equal(registry.dispatch(message('!boom')), true);
+    assert.equal(registry.dispatch(message('!KABOOM')), true);
+    assert.deepEqual(calls.map(c => c.name), ['boom', 'kaboom']);
+});
+
+test('extra context reaches the handler', () => {
+    const registry = new ChatCommandRegistry();
+    const calls = track(registry, { name: 'move' });
+    registry.dispatch(message('!move e4'), { game: 'chess' });
+    assert.equal(calls[0].game, 'chess');
+});
+
+test('the newest registration runs first; one that declines passes to the next', () => {
+    const registry = new ChatCommandRegistry();
+    const order = [];
+    registry.register({ name: 'play', handler: () => { order.push('old'); return true; } });
+    const unregister = registry.register({ name: 'play', handler: () => { order.push('new'); return false; } });
+
+    assert.equal(registry.dispatch(message('!play')), true);
+    assert.deepEqual(order, ['new', 'old']);
+
+    unregister();
+    registry.dispatch(message('!play'));
+    assert.deepEqual(order, ['new', 'old', 'old']);
+    assert.equal(registry.list().length, 1);
+});
+
+test('an unknown role is refused at registration', () => {
+    assert.throws(() => new ChatCommandRegistry().register({ name: 'x', role: 'admin', handler() {} }));
+});
+
+// ── Roles ─────────────────────────────────────────────────────────────────
+
+test('roles rank everyone < subscriber < vip < moderator < broadcaster', () => {
+    assert.equal(roleRank({}), 0);
+    assert.equal(roleRank({ subscriber: true }), 1);
+    assert.equal(roleRank({ subscriber: true, vip: true }), 2);
+    assert.equal(roleRank({ moderator: true }), 3);
+    assert.equal(roleRank({ broadcaster: true, moderator: true }), 4);
+});
+
+test('a command is gated on its role, and higher roles pass', () => {
+    const registry = new ChatCommandRegistry();
+    const calls = track(registry, { name: 'reset', role: 'moderator' });
+
+    assert.equal(registry.dispatch(message('!reset')), false);
+    assert.equal(registry.dispatch(message('!reset', { subscriber: true, vip: true })), false);
+    assert.equal(registry.dispatch(message('!reset', { moderator: true })), true);
+    assert.equal(registry.dispatch(message('!reset', { broadcaster: true })), true);
+    assert.equal(calls.length, 2);
+});
+
+test('available() lists the enabled commands a role may use', () => {
+    const registry = new ChatCommandRegistry();
+    track(registry, { name: 'bomb' });
+    track(registry, { name: 'reset', role: 'moderator' });
+    track(registry, { name: 'hat', role: 'subscriber' });
+    registry.setEnabled('hat', false);
+
+    assert.deepEqual(registry.available({}).map(c => c.name), ['bomb']);
+    assert.deepEqual(registry.available({ moderator: true }).map(c => c.name), ['bomb', 'reset']);
+});
+
+// ── Cooldowns ─────────────────────────────────────────────────────────────
+
+test('the per-user cooldown holds back the same viewer only', () => {
+    const registry = new ChatCommandRegistry();
+    const calls = track(registry, { name: 'bomb', cooldown: { user: 10 } });
+
+    assert.equal(registry.dispatch(message('!bomb', { login: 'ann' })), true);
+    clock = 9_999;
+    assert.equal(registry.dispatch(message('!bomb', { login: 'ann' })), false);
+    assert.equal(registry.dispatch(message('!bomb', { login: 'bob' })), true);
+    clock = 10_000;
+    assert.equal(registry.dispatch(message('!bomb', { login: 'ann' })), true);
+    assert.deepEqual(calls.map(c => c.user.login), ['ann', 'bob', 'ann']);
+});
+
+test('the global cooldown holds back everyone', () => {
+    const registry = new ChatCommandRegistry();
+    track(registry, { name: 'bomb', cooldown: { global: 2 } });
+
+    assert.equal(registry.dispatch(message('!bomb', { login: 'ann' })), true);
+    clock = 1_000;
+    assert.equal(registry.dispatch(message('!bomb', { login: 'bob' })), false);
+    clock = 2_000;
+    assert.equal(registry.dispatch(message('!bomb', { login: 'bob' })), true);
+});
+
+test('a message turned away by a cooldown does not restart it', () => {
+    const registry = new ChatCommandRegistry();
+    track(registry, { name: 'bomb', cooldown: { user: 10 } });
+
+    registry.dispatch(message('!bomb'));
+    clock = 5_000;
+    registry.dispatch(message('!bomb'));   // too early
+    clock = 10_000;
+    assert.equal(registry.dispatch(message('!bomb')), true);
+});
+
+// ── Enable / disable ──────────────────────────────────────────────────────
+
+test('a disabled command is skipped, and the switch is saved', () => {
+    const registry = new ChatCommandRegistry();
+    const calls = track(registry, { name: 'bomb', aliases: ['boom'] });
+    let changes = 0;
+    registry.onChange(() => changes++);
+
+    registry.setEnabled('BOMB', false);
+    assert.equal(registry.isEnabled('bomb'), false);
+    assert.equal(registry.dispatch(message('!bomb')), false);
+    assert.equal(registry.dispatch(message('!boom')), false);
+    assert.deepEqual(save.data.settings.chatCommands, { bomb: false });
+    assert.equal(commits, 1);
+    assert.equal(changes, 1);
+
+    registry.setEnabled('bomb', true);
+    assert.deepEqual(save.data.settings.chatCommands, {});
+    assert.equal(registry.dispatch(message('!bomb')), true);
+    assert.equal(calls.length, 1);
+});
+
+test('a command switched off in the save starts disabled', () => {
+    save.data.settings.chatCommands = { bomb: false };
+    const registry = new ChatCommandRegistry();
+    track(registry, { name: 'bomb' });
+    assert.deepEqual(registry.list().map(c => [c.name, c.enabled]), [['bomb', false]]);
+    assert.equal(registry.dispatch(message('!bomb')), false);
+});
@@ -0,0 +1,219 @@
+// chessEngine.test.js — Rules (perft, mate, castling, en passant, promotion, SAN, draws) and the AI.
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChessGame, bestMove, parseSquare, squareName } from '../src/systems/chessEngine.js';
+
+const KIWIPETE = 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1';
+// "Position 3" from the chessprogramming wiki — en passant and rook/king edge cases
+const POSITION_3 = '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1';
+
+/** Leaf nodes of the legal move tree, the standard move generator check. */
+function perft(game, depth) {
+    if (depth === 0) return 1;
+    let nodes = 0;
+    for (const m of game._legalMoves()) {
+        game._make(m);
+        nodes += perft(game, depth - 1);
+        game._unmake();
+    }
+    return nodes;
+}
+
+function play(game, ...moves) {
+    for (const san of moves) assert.ok(game.move(san), `illegal: ${san}`);
+    return game;
+}
+
+const sans = game => game.moves().map(m => m.san);
+
+// ── Move generation ───────────────────────────────────────────────────────
+
+test('perft: start position', () => {
+    const game = new ChessGame();
+    assert.deepEqual([1, 2, 3].map(d => perft(game, d)), [20, 400, 8902]);
+});
+
+test('perft: Kiwipete', () => {
+    const game = new ChessGame(KIWIPETE);
+    assert.deepEqual([1, 2].map(d => perft(game, d)), [48, 2039]);
+});
+
+test('perft: position 3', () => {
+    const game = new ChessGame(POSITION_3);
+    assert.deepEqual([1, 2, 3].map(d => perft(game, d)), [14, 191, 2812]);
+});
+
+test('perft leaves the position untouched', () => {
+    const game = new ChessGame(KIWIPETE);
+    perft(game, 2);
+    assert.equal(game.fen(), KIWIPETE);
+});
+
+test('squares: a1 = 0, h8 = 63', () => {
+    assert.equal(parseSquare('a1'), 0);
+    assert.equal(parseSquare('h8'), 63);
+    assert.equal(squareName(12), 'e2');
+});
+
+// ── Game end ──────────────────────────────────────────────────────────────
+
+test("fool's mate is checkmate for black", () => {
+    const game = play(new ChessGame(), 'f3', 'e5', 'g4', 'Qh4#');
+    assert.equal(game.status, 'checkmate');
+    assert.equal(game.winner, 'b');
+    assert.deepEqual(game.moves(), []);
+});
+
+test('stalemate: no legal move and not in check', () => {
+    const game = new ChessGame('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1');
+    assert.equal(game.inCheck(), false);
+    assert.equal(game.status, 'stalemate');
+    assert.equal(game.winner, null);
+});
+
+// ── Castling ──────────────────────────────────────────────────────────────
+
+test('both castles are available with clear, safe squares', () => {
+    const game = new ChessGame('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    assert.ok(sans(game).includes('O-O'));
+    assert.ok(sans(game).includes('O-O-O'));
+    play(game, 'O-O');
+    assert.equal(game.pieceAt('g1'), 'K');
+    assert.equal(game.pieceAt('f1'), 'R');
+    assert.equal(game.pieceAt('h1'), null);
+    assert.equal(game.fen().split(' ')[2], 'kq');
+});
+
+test('no castling through an attacked square', () => {
+    // The f2 rook covers f1, so only the queen side is open
+    const game = new ChessGame('4k3/8/8/8/8/8/5r2/R3K2R w KQ - 0 1');
+    assert.ok(!sans(game).includes('O-O'));
+    assert.ok(sans(game).includes('O-O-O'));
+});
+
+test('no castling out of check', () => {
+    const game = new ChessGame('4r1k1/8/8/8/8/8/8/R3K2R w KQ - 0 1');
+    assert.ok(game.inCheck());
+    assert.ok(!sans(game).some(s => s.startsWith('O-O')));
+});
+
+test('moving the king or a rook, or losing a rook, drops castling rights', () => {
+    const rights = game => game.fen().split(' ')[2];
+    assert.equal(rights(play(new ChessGame('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1'), 'Kf1')), 'kq');
+    assert.equal(rights(play(new ChessGame('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1'), 'Rb1')), 'Kkq');
+    // Bxh1 takes the rook before it ever moved
+    assert.equal(rights(play(new ChessGame('r3k2r/8/8/8/8/8/6b1/R3K2R b KQkq - 0 1'), 'Bxh1')), 'Qkq');
+});
+
+test('undo restores castling rights', () => {
+    const game = new ChessGame('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    play(game, 'Ke2');
+    game.undo();
+    assert.equal(game.fen(), 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+});
+
+// ── En passant ────────────────────────────────────────────────────────────
+
+test('en passant is offered right after the double step and removes the pawn', () => {
+    const game = play(new ChessGame(), 'e4', 'a6', 'e5', 'd5');
+    assert.equal(game.fen().split(' ')[3], 'd6');
+    assert.ok(sans(game).includes('exd6'));
+
+    const move = game.move('exd6');
+    assert.equal(move.special, 'ep');
+    assert.equal(game.pieceAt('d6'), 'P');
+    assert.equal(game.pieceAt('d5'), null);
+
+    game.undo();
+    assert.equal(game.pieceAt('d5'), 'p');
+    assert.equal(game.pieceAt('e5'), 'P');
+});
+
+test('en passant expires after one move', () => {
+    const game = play(new ChessGame(), 'e4', 'a6', 'e5', 'd5', 'Nf3', 'a5');
+    assert.ok(!sans(game).includes('exd6'));
+});
+
+// ── Promotion ─────────────────────────────────────────────────────────────
+
+test('a pawn on the last rank offers all four promotions', () => {
+    const game = new ChessGame('8/P7/8/8/8/8/8/k6K w - - 0 1');
+    assert.deepEqual(sans(game).filter(s => s.startsWith('a8')).sort(), ['a8=B', 'a8=N', 'a8=Q+', 'a8=R+']);
+});
+
+test('promotion defaults to a queen when none is given', () => {
+    const game = new ChessGame('8/P7/8/8/8/8/8/k6K w - - 0 1');
+    const move = game.move({ from: 'a7', to: 'a8' });
+    assert.equal(move.promotion, 'q');
+    assert.equal(game.pieceAt('a8'), 'Q');
+});
+
+test('under-promotion through UCI and SAN', () => {
+    assert.equal(play(new ChessGame('8/P7/8/8/8/8/8/k6K w - - 0 1'), 'a7a8n').pieceAt('a8'), 'N');
+    assert.equal(play(new ChessGame('8/P7/8/8/8/8/8/k6K w - - 0 1'), 'a8=R').pieceAt('a8'), 'R');
+    assert.equal(play(new ChessGame('k6K/8/8/8/8/8/p7/8 b - - 0 1'), 'a1=B').pieceAt('a1'), 'b');
+});
+
+// ── SAN ───────────────────────────────────────────────────────────────────
+
+test('SAN marks check with + and mate with #', () => {
+    const game = play(new ChessGame(), 'e4', 'e5', 'Bc4', 'Nc6', 'Qh5', 'Nf6', 'Qxf7#');
+    assert.deepEqual(game.history(), ['e4', 'e5', 'Bc4', 'Nc6', 'Qh5', 'Nf6', 'Qxf7#']);
+
+    const check = play(new ChessGame(), 'e4', 'f5', 'Qh5');
+    assert.equal(check.lastMove.san, 'Qh5+');
+});
+
+test('SAN disambiguates by file, then by rank', () => {
+    const byFile = new ChessGame('4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1');
+    assert.ok(sans(byFile).includes('Nbd2'));
+    assert.ok(sans(byFile).includes('Nfd2'));
+
+    const byRank = new ChessGame('4k3/8/8/R7/8/8/8/R3K3 w - - 0 1');
+    assert.ok(sans(byRank).includes('R5a3'));
+    assert.ok(sans(byRank).includes('R1a3'));
+});
+
+test('moves are read as SAN, UCI or squares, with 0-0 for castling', () => {
+    assert.ok(new ChessGame().move('e2e4'));
+    assert.ok(new ChessGame().move({ from: 'g1', to: 'f3' }));
+    assert.ok(new ChessGame().move('Nf3!?'));
+    assert.ok(new ChessGame('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1').move('0-0-0'));
+    assert.equal(new ChessGame().move('e5'), null);
+});
+
+// ── Draws ─────────────────────────────────────────────────────────────────
+
+test('threefold repetition is a draw', () => {
+    const game = play(new ChessGame(), 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1');
+    assert.equal(game.status, 'playing');
+    play(game, 'Ng8');
+    assert.equal(game.status, 'draw');
+});
+
+test('fifty moves without a capture or pawn move is a draw', () => {
+    assert.equal(new ChessGame('4k3/8/8/8/8/8/8/R3K3 w - - 99 80').status, 'playing');
+    assert.equal(play(new ChessGame('4k3/8/8/8/8/8/8/R3K3 w - - 99 80'), 'Ra2').status, 'draw');
+});
+
+test('insufficient material is a draw', () => {
+    assert.equal(new ChessGame('4k3/8/8/8/8/8/8/4K3 w - - 0 1').status, 'draw');
+    assert.equal(new ChessGame('4k3/8/8/8/8/8/8/4KN2 w - - 0 1').status, 'draw');
+    assert.equal(new ChessGame('4k3/8/8/8/8/8/8/4KR2 w - - 0 1').status, 'playing');
+});
+
+// ── AI ────────────────────────────────────────────────────────────────────
+
+test('the AI finds mate in one', () => {
+    const game = play(new ChessGame(), 'f3', 'e5', 'g4');
+    const move = bestMove(game, { depth: 2, randomness: 0 });
+    assert.equal(game.move(move).san, 'Qh4#');
+});
+
+test('the AI takes a hanging queen', () => {
+    const game = new ChessGame('4k3/8/8/3q4/8/8/8/3RK3 w - - 0 1');
+    const move = bestMove(game, { depth: 2, randomness: 0 });
+    assert.equal(game.move(move).san, 'Rxd5');
+});
@@ -0,0 +1,127 @@
+// chessVote.test.js — Chat's `!move` vote: what counts as a vote, the tally and the winner.
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChessGame } from '../src/systems/chessEngine.js';
+import { ChessVote } from '../src/systems/chessVote.js';
+
+const CASTLES_READY = 'r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R b KQkq - 0 1';
+
+/** A vote open on black's first move (or on `fen`). */
+function openVote(fen) {
+    const game = fen ? new ChessGame(fen) : new ChessGame();
+    if (!fen) game.move('e4');
+    const vote = new ChessVote();
+    vote.open(game, 10);
+    return { game, vote };
+}
+
+// ── Parsing ───────────────────────────────────────────────────────────────
+
+test('SAN, lower-case piece letters and UCI all count', () => {
+    const { vote } = openVote();
+    assert.equal(vote.cast('a', 'Nf6'), true);
+    assert.equal(vote.cast('b', 'nf6'), true);
+    assert.equal(vote.cast('c', 'g8f6'), true);
+    assert.equal(vote.cast('d', 'e5'), true);
+    assert.deepEqual(vote.tally, [{ san: 'Nf6', count: 3 }, { san: 'e5', count: 1 }]);
+});
+
+test('a lower-case b is read as a pawn capture before a bishop move', () => {
+    // Both b4xc3 and Bd4xc3 are legal here
+    const { vote } = openVote('4k3/8/8/8/1p1b4/2N5/8/4K3 b - - 0 1');
+    assert.equal(vote.cast('a', 'bxc3'), true);
+    assert.equal(vote.cast('b', 'Bxc3'), true);
+    assert.deepEqual(vote.tally, [{ san: 'bxc3', count: 1 }, { san: 'Bxc3+', count: 1 }]);
+});
+
+test('castling votes: O-O, o-o, 0-0 and their queen-side forms', () => {
+    const { vote } = openVote(CASTLES_READY);
+    for (const [user, text] of [['a', 'O-O'], ['b', 'o-o'], ['c', '0-0'], ['d', '0-0+']]) {
+        assert.equal(vote.cast(user, text), true, text);
+    }
+    for (const [user, text] of [['e', 'O-O-O'], ['f', 'o-o-o'], ['g', '0-0-0']]) {
+        assert.equal(vote.cast(user, text), true, text);
+    }
+    assert.deepEqual(vote.tally, [{ san: 'O-O', count: 4 }, { san: 'O-O-O', count: 3 }]);
+});
+
+test('illegal moves, gibberish and empty votes are rejected', () => {
+    const { vote } = openVote();
+    for (const text of ['e4', 'Ke7e6', 'hello', '', '0-0', 'z9z9']) {
+        assert.equal(vote.cast('a', text), false, text);
+    }
+    assert.deepEqual(vote.tally, []);
+});
+
+test('casting a vote leaves the game untouched', () => {
+    const { game, vote } = openVote();
+    const fen = game.fen();
+    vote.cast('a', 'Nf6');
+    assert.equal(game.fen(), fen);
+    assert.deepEqual(game.history(), ['e4']);
+});
+
+test('nothing counts while the vote is closed', () => {
+    const vote = new ChessVote();
+    assert.equal(vote.isOpen, false);
+    assert.equal(vote.cast('a', 'e5'), false);
+});
+
+// ── Tally ─────────────────────────────────────────────────────────────────
+
+test('one vote per viewer: voting again moves it', () => {
+    const { vote } = openVote();
+    vote.cast('a', 'e5');
+    vote.cast('a', 'e5');
+    assert.deepEqual(vote.tally, [{ san: 'e5', count: 1 }]);
+    vote.cast('a', 'd5');
+    assert.deepEqual(vote.tally, [{ san: 'd5', count: 1 }]);
+    assert.equal(vote.voters, 1);
+});
+
+test('an illegal second vote keeps the first one', () => {
+    const { vote } = openVote();
+    vote.cast('a', 'e5');
+    vote.cast('a', 'e4');
+    assert.deepEqual(vote.tally, [{ san: 'e5', count: 1 }]);
+});
+
+// ── Result ────────────────────────────────────────────────────────────────
+
+test('the most-voted move wins when the window closes', () => {
+    const { game, vote } = openVote();
+    vote.cast('a', 'e5');
+    vote.cast('b', 'd5');
+    vote.cast('c', 'd5');
+    assert.equal(vote.update(9), null);
+    assert.equal(vote.remaining, 1);
+
+    const result = vote.update(1);
+    assert.equal(game.move(result.move).san, 'd5');
+    assert.equal(vote.isOpen, false);
+});
+
+test('a tie goes to the move that reached that count first', () => {
+    const { game, vote } = openVote();
+    vote.cast('a', 'd5');
+    vote.cast('b', 'e5');
+    vote.cast('c', 'e5');   // e5: 2
+    vote.cast('d', 'd5');   // d5 catches up later
+    assert.equal(game.move(vote.update(10).move).san, 'e5');
+});
+
+test('a silent chat closes with no move', () => {
+    const { vote } = openVote();
+    assert.deepEqual(vote.update(10), { move: null });
+});
+
+test('a move everyone left is not the winner', () => {
+    const { game, vote } = openVote();
+    vote.cast('a', 'e5');
+    vote.cast('b', 'd5');
+    vote.cast('a', 'd5');   // e5 drops to 0
+    assert.deepEqual(vote.tally, [{ san: 'd5', count: 2 }]);
+    assert.equal(game.move(vote.update(10).move).san, 'd5');
+});
@@ -0,0 +1,64 @@
+// emitter.test.js — The listener list behind the onX(fn) → unsubscribe APIs.
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Emitter } from '../src/systems/emitter.js';
+
+test('emit calls listeners in subscription order with every argument', () => {
+    const emitter = new Emitter();
+    const calls = [];
+    emitter.on((a, b) => calls.push(['first', a, b]));
+    emitter.on((a, b) => calls.push(['second', a, b]));
+    emitter.emit(1, 'x');
+    assert.deepEqual(calls, [['first', 1, 'x'], ['second', 1, 'x']]);
+});
+
+test('unsubscribe removes only that listener and is idempotent', () => {
+    const emitter = new Emitter();
+    const calls = [];
+    const off = emitter.on(() => calls.push('a'));
+    emitter.on(() => calls.push('b'));
+    off();
+    off();
+    emitter.emit();
+    assert.deepEqual(calls, ['b']);
+});
+
+test('the same function subscribed twice is removed one subscription at a time', () => {
+    const emitter = new Emitter();
+    let count = 0;
+    const fn = () => count++;
+    const off = emitter.on(fn);
+    emitter.on(fn);
+    off();
+    emitter.emit();
+    assert.equal(count, 1);
+});
+
+test('a listener unsubscribing mid-emit does not skip the next one', () => {
+    const emitter = new Emitter();
+    const calls = [];
+    const off = emitter.on(() => { calls.push('once'); off(); });
+    emitter.on(() => calls.push('always'));
+    emitter.emit();
+    emitter.emit();
+    assert.deepEqual(calls, ['once', 'always', 'always']);
+});
+
+test('dispatch runs the newest listener first and stops at the first that returns true', () => {
+    const emitter = new Emitter();
+    const calls = [];
+    emitter.on(() => { calls.push('old'); });
+    emitter.on(() => { calls.push('grab'); return true; });
+    emitter.on(() => { calls.push('new'); return 'truthy but not true'; });
+    assert.equal(emitter.dispatch(), true);
+    assert.deepEqual(calls, ['new', 'grab']);
+});
+
+test('dispatch reports false when nobody consumed the call', () => {
+    const emitter = new Emitter();
+    emitter.on(() => false);
+    assert.equal(emitter.dispatch(), false);
+    assert.equal(new Emitter().dispatch(), false);
+});
@@ -0,0 +1,236 @@
+// ircParser.test.js — The Twitch IRC parser against raw lines recorded from irc-ws.chat.twitch.tv.
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseIrcFrame, parseIrcLine, parseTags, unescapeTagValue, parseBadges, parseEmotes,
+} from '../src/systems/ircParser.js';
+
+// ── Recorded lines ────────────────────────────────────────────────────────
+
+const CAP_ACK = ':tmi.twitch.tv CAP * ACK :twitch.tv/tags twitch.tv/commands';
+const PING = 'PING :tmi.twitch.tv';
+const JOIN = ':justinfan12345!justinfan12345@justinfan12345.tmi.twitch.tv JOIN #yaaaannis_dev';
+const WELCOME = ':tmi.twitch.tv 001 justinfan12345 :Welcome, GLHF!';
+const NAMES = ':justinfan12345.tmi.twitch.tv 353 justinfan12345 = #yaaaannis_dev :justinfan12345';
+
+const PRIVMSG = '@badge-info=subscriber/14;badges=moderator/1,subscriber/12;client-nonce=d1a3;color=#1E90FF;'
+    + 'display-name=PixelPanda;emotes=25:0-4,12-16/1902:6-10;first-msg=0;flags=;id=b34ccfc7-4977-403a-8a94-33c6bac34fb8;'
+    + 'mod=1;returning-chatter=0;room-id=713936733;subscriber=1;tmi-sent-ts=1642696567751;turbo=0;'
+    + 'user-id=102340;user-type=mod :pixelpanda!pixelpanda@pixelpanda.tmi.twitch.tv PRIVMSG #yaaaannis_dev :Kappa Keepo Kappa';
+
+const CHEER = '@badge-info=;badges=bits/100;bits=250;color=;display-name=rocket_raccoon;emotes=;id=7c5f1c9d;mod=0;'
+    + 'subscriber=0;tmi-sent-ts=1642696600000;user-id=5551;vip :rocket_raccoon!rocket_raccoon@rocket_raccoon.tmi.twitch.tv '
+    + 'PRIVMSG #yaaaannis_dev :cheer200 Cheer50 gg';
+
+const REPLY = '@badge-info=;badges=vip/1;color=#9775FA;display-name=vip_vic;emotes=;id=a1b2c3;mod=0;'
+    + 'reply-parent-display-name=PixelPanda;reply-parent-msg-body=how\\sdo\\syou\\smake\\sthe\\sgrass\\smove?;'
+    + 'reply-parent-msg-id=b34ccfc7-4977-403a-8a94-33c6bac34fb8;reply-parent-user-id=102340;'
+    + 'reply-parent-user-login=pixelpanda;reply-thread-parent-msg-id=b34ccfc7-4977-403a-8a94-33c6bac34fb8;'
+    + 'reply-thread-parent-user-login=pixelpanda;subscriber=0;tmi-sent-ts=1642696700000;user-id=777;vip=1 '
+    + ':vip_vic!vip_vic@vip_vic.tmi.twitch.tv PRIVMSG #yaaaannis_dev :@PixelPanda it\'s a shader';
+
+const RESUB = '@badge-info=subscriber/7;badges=subscriber/6;color=#FF6B6B;display-name=lurker42;emotes=;flags=;'
+    + 'id=db25007f;login=lurker42;mod=0;msg-id=resub;msg-param-cumulative-months=7;msg-param-months=0;'
+    + 'msg-param-should-share-streak=0;msg-param-sub-plan-name=Channel\\sSubscription\\s(yaaaannis_dev);'
+    + 'msg-param-sub-plan=1000;room-id=713936733;subscriber=1;'
+    + 'system-msg=lurker42\\ssubscribed\\sat\\sTier\\s1.\\sThey\'ve\\ssubscribed\\sfor\\s7\\smonths!;'
+    + 'tmi-sent-ts=1642696800000;user-id=4242;user-type= :tmi.twitch.tv USERNOTICE #yaaaannis_dev :still here';
+
+const RAID = '@badge-info=;badges=;color=#00FF7F;display-name=FriendlyStreamer;emotes=;flags=;id=3d830f12;'
+    + 'login=friendlystreamer;mod=0;msg-id=raid;msg-param-displayName=FriendlyStreamer;'
+    + 'msg-param-login=friendlystreamer;msg-param-viewerCount=12;room-id=713936733;subscriber=0;'
+    + 'system-msg=12\\sraiders\\sfrom\\sFriendlyStreamer\\shave\\sjoined!;tmi-sent-ts=1642696900000;user-id=999;'
+    + 'user-type= :tmi.twitch.tv USERNOTICE #yaaaannis_dev';
+
+const TIMEOUT = '@ban-duration=600;room-id=713936733;target-user-id=777;tmi-sent-ts=1642697000000 '
+    + ':tmi.twitch.tv CLEARCHAT #yaaaannis_dev :vip_vic';
+const CLEAR_ALL = '@room-id=713936733;tmi-sent-ts=1642697100000 :tmi.twitch.tv CLEARCHAT #yaaaannis_dev';
+const CLEARMSG = '@login=pixelpanda;room-id=;target-msg-id=b34ccfc7-4977-403a-8a94-33c6bac34fb8;'
+    + 'tmi-sent-ts=1642697200000 :tmi.twitch.tv CLEARMSG #yaaaannis_dev :Kappa Keepo Kappa';
+
+// ── Framing ───────────────────────────────────────────────────────────────
+
+test('splits a multi-line CRLF frame and skips blank lines', () => {
+    const frame = `${CAP_ACK}\r\n${WELCOME}\r\n${JOIN}\r\n${NAMES}\r\n\r\n${PRIVMSG}\r\n`;
+    const messages = parseIrcFrame(frame);
+    assert.deepEqual(messages.map(m => m.command), ['CAP', '001', 'JOIN', '353', 'PRIVMSG']);
+    assert.equal(messages[4].params[1], 'Kappa Keepo Kappa');
+    assert.ok(messages.every(m => !m.raw.endsWith('\r')));
+});
+
+test('accepts bare LF line endings', () => {
+    assert.deepEqual(parseIrcFrame(`${PING}\n${PING}\n`).map(m => m.command), ['PING', 'PING']);
+});
+
+test('returns null for blank lines', () => {
+    assert.equal(parseIrcLine(''), null);
+    assert.equal(parseIrcLine('\r\n'), null);
+});
+
+// ── Commands ──────────────────────────────────────────────────────────────
+
+test('PING keeps its token as the trailing param', () => {
+    const m = parseIrcLine(`${PING}\r\n`);
+    assert.equal(m.command, 'PING');
+    assert.equal(m.prefix, null);
+    assert.deepEqual(m.params, ['tmi.twitch.tv']);
+});
+
+test('CAP ACK splits middle params and keeps the trailing one whole', () => {
+    const m = parseIrcLine(CAP_ACK);
+    assert.equal(m.command, 'CAP');
+    assert.deepEqual(m.params, ['*', 'ACK', 'twitch.tv/tags twitch.tv/commands']);
+});
+
+test('numeric replies keep their digits as the command', () => {
+    const m = parseIrcLine(WELCOME);
+    assert.equal(m.command, '001');
+    assert.deepEqual(m.params, ['justinfan12345', 'Welcome, GLHF!']);
+});
+
+// ── Prefix forms ──────────────────────────────────────────────────────────
+
+test('prefix: nick!user@host', () => {
+    assert.deepEqual(parseIrcLine(JOIN).prefix,
+        { nick: 'justinfan12345', user: 'justinfan12345', host: 'justinfan12345.tmi.twitch.tv' });
+});
+
+test('prefix: nick@host', () => {
+    assert.deepEqual(parseIrcLine(':ana@ana.tmi.twitch.tv PART #chan').prefix,
+        { nick: 'ana', user: '', host: 'ana.tmi.twitch.tv' });
+});
+
+test('prefix: bare server name', () => {
+    assert.deepEqual(parseIrcLine(WELCOME).prefix, { nick: 'tmi.twitch.tv', user: '', host: '' });
+});
+
+// ── Tags ──────────────────────────────────────────────────────────────────
+
+test('unescapes tag values', () => {
+    assert.equal(unescapeTagValue('a\\sb'), 'a b');
+    assert.equal(unescapeTagValue('a\\:b'), 'a;b');
+    assert.equal(unescapeTagValue('a\\\\b'), 'a\\b');
+    assert.equal(unescapeTagValue('a\\rb\\nc'), 'a\rb\nc');
+    assert.equal(unescapeTagValue('trailing\\'), 'trailing');
+    assert.equal(unescapeTagValue('unknown\\q'), 'unknownq');
+    assert.equal(unescapeTagValue('\\\\s'), '\\s');   // escaped backslash, then a plain 's'
+});
+
+test('key-only and empty tags map to an empty string', () => {
+    assert.deepEqual(parseTags('vip;color=;flags=;mod=0'), { vip: '', color: '', flags: '', mod: '0' });
+    const m = parseIrcLine(CHEER);
+    assert.equal(m.tags.vip, '');
+    assert.equal(m.tags.color, '');
+});
+
+test('PRIVMSG tags are parsed and unescaped', () => {
+    const m = parseIrcLine(PRIVMSG);
+    assert.equal(m.command, 'PRIVMSG');
+    assert.deepEqual(m.params, ['#yaaaannis_dev', 'Kappa Keepo Kappa']);
+    assert.equal(m.tags['display-name'], 'PixelPanda');
+    assert.equal(m.tags['user-id'], '102340');
+    assert.equal(m.tags.mod, '1');
+    assert.equal(m.tags.subscriber, '1');
+    assert.equal(m.tags.color, '#1E90FF');
+    assert.equal(m.tags['tmi-sent-ts'], '1642696567751');
+});
+
+test('bits tag on a cheer', () => {
+    const m = parseIrcLine(CHEER);
+    assert.equal(m.tags.bits, '250');
+    assert.deepEqual(parseBadges(m.tags.badges), [{ set: 'bits', version: '100' }]);
+    assert.equal(m.params[1], 'cheer200 Cheer50 gg');
+});
+
+test('reply-parent tags', () => {
+    const m = parseIrcLine(REPLY);
+    assert.equal(m.tags['reply-parent-msg-id'], 'b34ccfc7-4977-403a-8a94-33c6bac34fb8');
+    assert.equal(m.tags['reply-thread-parent-msg-id'], 'b34ccfc7-4977-403a-8a94-33c6bac34fb8');
+    assert.equal(m.tags['reply-parent-user-login'], 'pixelpanda');
+    assert.equal(m.tags['reply-parent-display-name'], 'PixelPanda');
+    assert.equal(m.tags['reply-parent-msg-body'], 'how do you make the grass move?');
+    assert.equal(m.tags.vip, '1');
+    assert.equal(m.params[1], "@PixelPanda it's a shader");
+});
+
+test('badges', () => {
+    assert.deepEqual(parseBadges('moderator/1,subscriber/12'),
+        [{ set: 'moderator', version: '1' }, { set: 'subscriber', version: '12' }]);
+    assert.deepEqual(parseBadges(''), []);
+    assert.deepEqual(parseBadges(), []);
+});
+
+// ── USERNOTICE / moderation ───────────────────────────────────────────────
+
+test('USERNOTICE resub', () => {
+    const m = parseIrcLine(RESUB);
+    assert.equal(m.command, 'USERNOTICE');
+    assert.deepEqual(m.params, ['#yaaaannis_dev', 'still here']);
+    assert.equal(m.tags['msg-id'], 'resub');
+    assert.equal(m.tags['msg-param-cumulative-months'], '7');
+    assert.equal(m.tags['msg-param-sub-plan'], '1000');
+    assert.equal(m.tags['msg-param-sub-plan-name'], 'Channel Subscription (yaaaannis_dev)');
+    assert.equal(m.tags['system-msg'], "lurker42 subscribed at Tier 1. They've subscribed for 7 months!");
+    assert.equal(m.tags['user-type'], '');
+});
+
+test('USERNOTICE raid without a message', () => {
+    const m = parseIrcLine(RAID);
+    assert.equal(m.tags['msg-id'], 'raid');
+    assert.equal(m.tags['msg-param-viewerCount'], '12');
+    assert.deepEqual(m.params, ['#yaaaannis_dev']);
+});
+
+test('CLEARCHAT timeout, ban and full clear', () => {
+    const timeout = parseIrcLine(TIMEOUT);
+    assert.equal(timeout.command, 'CLEARCHAT');
+    assert.equal(timeout.tags['ban-duration'], '600');
+    assert.deepEqual(timeout.params, ['#yaaaannis_dev', 'vip_vic']);
+
+    const clear = parseIrcLine(CLEAR_ALL);
+    assert.equal(clear.command, 'CLEARCHAT');
+    assert.deepEqual(clear.params, ['#yaaaannis_dev']);
+});
+
+test('CLEARMSG', () => {
+    const m = parseIrcLine(CLEARMSG);
+    assert.equal(m.command, 'CLEARMSG');
+    assert.equal(m.tags.login, 'pixelpanda');
+    assert.equal(m.tags['room-id'], '');
+    assert.equal(m.tags['target-msg-id'], 'b34ccfc7-4977-403a-8a94-33c6bac34fb8');
+    assert.equal(m.params[1], 'Kappa Keepo Kappa');
+});
+
+// ── Emotes ────────────────────────────────────────────────────────────────
+
+test('emotes are sorted by position', () => {
+    const m = parseIrcLine(PRIVMSG);
+    const text = m.params[1];
+    const emotes = parseEmotes(m.tags.emotes, text);
+    assert.deepEqual(emotes, [
+        { id: '25', start: 0, end: 4 },
+        { id: '1902', start: 6, end: 10 },
+        { id: '25', start: 12, end: 16 },
+    ]);
+    assert.deepEqual(emotes.map(e => text.substring(e.start, e.end + 1)), ['Kappa', 'Keepo', 'Kappa']);
+});
+
+test('emote positions are converted from code points to UTF-16 around astral emoji', () => {
+    // Twitch counts 😀 as one character: Kappa is at code points 2-6
+    const text = '😀 Kappa 🎉🎉 Keepo';
+    const emotes = parseEmotes('25:2-6/1902:11-15', text);
+    assert.deepEqual(emotes.map(e => text.substring(e.start, e.end + 1)), ['Kappa', 'Keepo']);
+});
+
+test('an emote range ending on an astral character keeps the surrogate pair whole', () => {
+    const text = 'hi 🐼';
+    const [emote] = parseEmotes('emotesv2_abc:3-3', text);
+    assert.equal(text.substring(emote.start, emote.end + 1), '🐼');
+});
+
+test('malformed emote ranges are skipped', () => {
+    assert.deepEqual(parseEmotes('25:x-y/:1-2/1902', 'Kappa'), []);
+    assert.deepEqual(parseEmotes('', 'Kappa'), []);
+});
@@ -0,0 +1,56 @@
+// planetCore.test.js — The shared `planet` helpers on a planet other than the default one.
+// Run with `npm test` (node --test).
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// saveSystem (pulled in through audioReactive) reads localStorage when it loads
+globalThis.localStorage = { getItem: () => null, setItem() {} };
+const THREE = await import('three');
+const { planet, DEFAULT_PLANET } = await import('../src/environment/planetCore.js');
+
+// An off-centre moon, the way PlanetCore.setPlanet() leaves the descriptor
+const MOON = { center: [4, -30, -2], radius: 30 };
+
+function usePlanet({ center, radius }) {
+    planet.center.fromArray(center);
+    planet.radius = radius;
+}
+
+afterEach(() => usePlanet(DEFAULT_PLANET));
+
+function assertClose(v, [x, y, z]) {
+    assert.ok(v.distanceTo(new THREE.Vector3(x, y, z)) < 1e-9, `${v.toArray()} ≠ ${[x, y, z]}`);
+}
+
+test('the default planet has its north pole at the origin', () => {
+    assertClose(planet.capPoint(0, 0), [0, 0, 0]);
+});
+
+test('capPoint puts the pole and cap offsets on the active planet', () => {
+    usePlanet(MOON);
+    assertClose(planet.capPoint(0, 0), [4, 0, -2]);
+    assertClose(planet.capPoint(0, 0, 1.5), [4, 1.5, -2]);
+
+    const p = planet.capPoint(6, -3, 0.5);
+    assert.ok(Math.abs(p.distanceTo(planet.center) - 30.5) < 1e-9);
+});
+
+test('upAt points away from the active centre', () => {
+    usePlanet(MOON);
+    assertClose(planet.upAt(new THREE.Vector3(4, 10, -2)), [0, 1, 0]);
+    assertClose(planet.upAt(new THREE.Vector3(34, -30, -2)), [1, 0, 0]);
+});
+
+test('project drops a point onto the surface, lifted along the normal', () => {
+    usePlanet(MOON);
+    assertClose(planet.project(new THREE.Vector3(4, 50, -2), 2), [4, 2, -2]);
+    assertClose(planet.project(new THREE.Vector3(-6, -30, -2)), [-26, -30, -2]);
+});
+
+test('helpers write into the target they are given', () => {
+    usePlanet(MOON);
+    const target = new THREE.Vector3();
+    assert.equal(planet.capPoint(1, 1, 0, target), target);
+    assert.equal(planet.project(new THREE.Vector3(0, 5, 0), 0, target), target);
+});